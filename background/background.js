@@ -2,8 +2,10 @@
  * Background Service Worker (Manifest V3)
  * Handles:
  * - Opening the tab manager page when extension icon is clicked
- * - Auto-cleanup of Bin tabs via alarms API
+ * - Closing tabs past their group retention (archived in the graveyard) via alarms API
  * - Cleanup of orphaned storage entries
+ * - Re-attaching tab records to restored tabs (tab IDs change across restarts)
+ * - Applying group rules (saved query → group) on the alarm and on tab loads
  * - Background tab discovery (Firefox Android workaround)
  * - Platform detection (Desktop vs Android)
  * - History analysis (Desktop only - Android uses tab-event fallback)
@@ -236,12 +238,22 @@ browser.runtime.onStartup.addListener(async () => {
 // Handle alarms
 browser.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === 'cleanup-bin') {
-    console.log('Running scheduled Bin cleanup...');
+    console.log('Running scheduled retention cleanup...');
 
     try {
-      // Note: storage.js and group-manager.js are loaded via manifest.json background.scripts
-      const deletedIds = await groupManager.cleanupBin();
-      console.log(`Cleaned up ${deletedIds.length} tabs from Bin`);
+      // Note: storage.js, group-manager.js, tab-identity.js, graveyard.js, categorizer.js and group-rules.js are loaded via manifest.json background.scripts
+      // Give restored tabs their records back before rules and cleanup look at them
+      await tabIdentity.reattach();
+
+      // Time-based rules (age>3d) start matching between tab loads
+      const { moves } = await groupRules.apply();
+      console.log(`Rules moved ${moves.length} tabs`);
+
+      const deletedIds = await groupManager.cleanupExpiredTabs();
+      console.log(`Closed ${deletedIds.length} expired tabs (archived in the graveyard)`);
+
+      const purgedCount = await graveyard.purge();
+      console.log(`Purged ${purgedCount} graveyard entries`);
 
       // Also cleanup orphaned storage entries
       const orphanedCount = await groupManager.cleanupOrphanedEntries();
@@ -275,10 +287,35 @@ browser.alarms.onAlarm.addListener(async (alarm) => {
       console.error('[History] Scheduled re-analysis failed:', error);
     }
   }
+
+  if (alarm.name === analysisQueue.ALARM_NAME) {
+    // Wakes the background page and retries chunks held off by battery or activity
+    await analysisQueue.resume().catch(error => {
+      console.error('[Analysis] Failed to resume:', error);
+    });
+  }
 });
 
+// Idle-only analysis jobs wait for the user to step away (no idle API on Android)
+if (browser.idle?.onStateChanged) {
+  browser.idle.setDetectionInterval(analysisQueue.IDLE_THRESHOLD_SECONDS);
+  browser.idle.onStateChanged.addListener((state) => {
+    if (state !== 'active') {
+      analysisQueue.resume().catch(error => {
+        console.error('[Analysis] Failed to resume:', error);
+      });
+    }
+  });
+}
+
 // Handle tab removal - cleanup storage
-browser.tabs.onRemoved.addListener(async (tabId) => {
+// Tabs closed with their window (browser quitting) come back under new IDs,
+// so their records stay for TabIdentity to re-attach
+browser.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+  if (removeInfo?.isWindowClosing) {
+    return;
+  }
+
   const key = `tab-${tabId}`;
 
   try {
@@ -302,6 +339,36 @@ browser.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
+// Once tabs have loaded: re-attach records (Android restores tabs lazily),
+// then apply group rules to the loaded tabs
+let reattachTimer = null;
+const loadedTabIds = new Set();
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status !== 'complete') {
+    return;
+  }
+
+  loadedTabIds.add(tabId);
+  clearTimeout(reattachTimer);
+  reattachTimer = setTimeout(async () => {
+    const tabIds = new Set(loadedTabIds);
+    loadedTabIds.clear();
+
+    try {
+      await tabIdentity.reattach();
+    } catch (error) {
+      console.error('[Identity] Re-attach failed:', error);
+    }
+
+    try {
+      const tabs = (await browser.tabs.query({})).filter(tab => tabIds.has(tab.id));
+      await groupRules.apply(tabs);
+    } catch (error) {
+      console.error('[Rules] Failed to apply rules:', error);
+    }
+  }, 2000);
+});
+
 // =======================
 // ML Classification Message Handlers
 // =======================
@@ -318,6 +385,42 @@ browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.action === 'embedText') {
+    handleEmbedText(message, sendResponse);
+    return true;
+  }
+
+  if (message.action === 'embedTabs') {
+    handleEmbedTabs(message, sendResponse);
+    return true;
+  }
+
+  if (message.action === 'extractEntities') {
+    handleExtractEntities(message, sendResponse);
+    return true;
+  }
+
+  if (message.action === 'startAnalysis') {
+    analysisQueue.start(message.tabs, { steps: message.steps, idleOnly: message.idleOnly })
+      .then(job => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'getAnalysisStatus') {
+    analysisQueue.getStatus()
+      .then(job => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'cancelAnalysis') {
+    analysisQueue.cancel()
+      .then(job => sendResponse({ success: true, job }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
   if (message.action === 'getMLStatus') {
     if (typeof MLClassifierWorker !== 'undefined') {
       sendResponse({
@@ -373,6 +476,106 @@ async function handleClassifyTab(message, sendResponse) {
   }
 }
 
+async function handleEmbedText(message, sendResponse) {
+  try {
+    if (typeof MLEmbedderWorker === 'undefined') {
+      throw new Error('MLEmbedderWorker not loaded');
+    }
+
+    const embedding = await MLEmbedderWorker.embed(message.text || '');
+    sendResponse({ success: true, embedding });
+  } catch (error) {
+    console.error('[Background] Embedding error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Embed tabs on-device and store the vectors (keyed by URL, like analysis
+ * embeddings) in IndexedDB and the embedding index
+ * Message: { tabs, store = true, onProgress }
+ */
+async function handleEmbedTabs(message, sendResponse) {
+  try {
+    const { tabs, store = true, onProgress } = message;
+    console.log(`[Background] Embedding ${tabs.length} tabs`);
+
+    if (typeof MLEmbedderWorker === 'undefined') {
+      throw new Error('MLEmbedderWorker not loaded');
+    }
+
+    const results = [];
+    for (let i = 0; i < tabs.length; i++) {
+      const tab = tabs[i];
+      results.push({ tabId: tab.id, url: tab.url, embedding: await MLEmbedderWorker.embedTab(tab) });
+
+      if (i % 5 === 0 && onProgress) {
+        sendMLProgress('embedProgress', i + 1, tabs.length);
+      }
+    }
+
+    if (store) {
+      await embeddingIndex.addEmbeddings(results
+        .filter(result => result.url && result.embedding)
+        .map(result => ({ tabId: result.url, vector: result.embedding })));
+    }
+
+    sendResponse({ success: true, results });
+  } catch (error) {
+    console.error('[Background] Tab embedding error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Extract named entities on-device and store them (keyed by URL, like
+ * analysis entities) in IndexedDB
+ * Message: { tabs, store = true, onProgress }
+ */
+async function handleExtractEntities(message, sendResponse) {
+  try {
+    const { tabs, store = true, onProgress } = message;
+    console.log(`[Background] Extracting entities from ${tabs.length} tabs`);
+
+    if (typeof MLNerWorker === 'undefined') {
+      throw new Error('MLNerWorker not loaded');
+    }
+
+    const results = [];
+    for (let i = 0; i < tabs.length; i++) {
+      const tab = tabs[i];
+      const entities = await MLNerWorker.extractEntities(tab);
+
+      if (store && tab.url) {
+        await indexedDBStorage.saveTabEntities(tab.url, entities);
+      }
+
+      results.push({ tabId: tab.id, url: tab.url, entities });
+
+      if (i % 5 === 0 && onProgress) {
+        sendMLProgress('entitiesProgress', i + 1, tabs.length);
+      }
+    }
+
+    sendResponse({ success: true, results });
+  } catch (error) {
+    console.error('[Background] Entity extraction error:', error);
+    sendResponse({ success: false, error: error.message });
+  }
+}
+
+/**
+ * Broadcast ML batch progress to open pages
+ * @param {string} action - Progress message action
+ * @param {number} processed - Tabs processed
+ * @param {number} total - Tabs in the batch
+ */
+function sendMLProgress(action, processed, total) {
+  browser.runtime.sendMessage({ action, processed, total }).catch(() => {
+    // Ignore if UI is closed
+  });
+}
+
 async function handleClassifyBatch(message, sendResponse) {
   try {
     const { tabs, sessionContext, onProgress } = message;
@@ -463,6 +666,21 @@ async function initialize() {
   // Initialize tab tracker
   await tabTracker.init();
 
+  // Tab IDs change across restarts: move group/bin/metadata records to the restored tabs.
+  // storage.session is only empty after a browser restart (not when this event page
+  // wakes up again), which is when old IDs may belong to other pages.
+  try {
+    const session = browser.storage.session;
+    const startup = session ? !(await session.get('identityStartupDone')).identityStartupDone : false;
+    const { reattached } = await tabIdentity.reattach({ startup });
+    if (session) {
+      await session.set({ identityStartupDone: true });
+    }
+    console.log(`[Identity] Startup re-attach complete (${reattached} records)`);
+  } catch (error) {
+    console.error('[Identity] Startup re-attach failed:', error);
+  }
+
   // Initialize history analysis if enabled (Desktop only)
   if (platformInfo.hasHistoryAPI) {
     try {
@@ -493,6 +711,11 @@ async function initialize() {
   } else {
     console.error('[Background] MLClassifierWorker not defined! Check if ml-worker.js loaded.');
   }
+
+  // Pick up an analysis interrupted by a restart (progress is saved per chunk)
+  analysisQueue.resume().catch(error => {
+    console.error('[Analysis] Failed to resume:', error);
+  });
 }
 
 console.log('FiltreInfini background script loaded');
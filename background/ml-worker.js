@@ -1,8 +1,9 @@
 /**
  * ML Worker - Background Service Worker for ML Classification
  *
- * Handles ML model loading and classification in the background worker
- * to avoid memory/download limits in extension pages.
+ * Handles ML model loading, classification, embeddings and named entity
+ * recognition in the background worker to avoid memory/download limits
+ * in extension pages.
  *
  * Based on Transformers.js extension example pattern:
  * https://github.com/xenova/transformers.js/tree/main/examples/extension
@@ -243,15 +244,149 @@ class MLClassifierWorker {
   }
 }
 
+/**
+ * ML Embedder Singleton
+ * Sentence embeddings (all-MiniLM-L6-v2, same vectors as scripts/analyze-tabs.js);
+ * shares the model loading of MLClassifierWorker
+ */
+class MLEmbedderWorker extends MLClassifierWorker {
+  static task = 'feature-extraction';
+  static model = 'embeddings';  // Local model directory name
+  static instance = null;
+  static isLoading = false;
+  static loadError = null;
+
+  /**
+   * Embed a text (mean pooled, normalized)
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  static async embed(text) {
+    const embedder = await this.getInstance();
+
+    const maxChars = 512 * 4; // Token limit approximation
+    const truncated = text.length > maxChars ? text.substring(0, maxChars) : text;
+
+    const result = await embedder(truncated, { pooling: 'mean', normalize: true });
+    return Array.from(result.data);
+  }
+
+  /**
+   * Embed a tab from its title, domain and URL path (as scripts/analyze-tabs.js does)
+   * @param {Object} tab - Tab to embed
+   * @returns {Promise<Array<number>|null>} Embedding vector, or null if the tab has no usable text
+   */
+  static async embedTab(tab) {
+    const features = this.extractFeatures(tab);
+
+    if (!features || features.length < 3) {
+      return null;
+    }
+
+    return this.embed(features);
+  }
+}
+
+/**
+ * ML Entity Extractor Singleton
+ * Named entities (bert-base-NER) grouped like the analysis file entities;
+ * shares the model loading of MLClassifierWorker
+ */
+class MLNerWorker extends MLClassifierWorker {
+  static task = 'token-classification';
+  static model = 'ner';  // Local model directory name
+  static instance = null;
+  static isLoading = false;
+  static loadError = null;
+  static MAX_PER_TYPE = 5;
+  static NOISE_WORDS = ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for'];
+
+  /**
+   * Extract the people, organizations, locations and misc entities of a tab
+   * @param {Object} tab - Tab
+   * @returns {Promise<Object>} { people: [{ word, type, score }], organizations, locations, misc }
+   */
+  static async extractEntities(tab) {
+    const empty = { people: [], organizations: [], locations: [], misc: [] };
+    const features = this.extractFeatures(tab);
+
+    if (!features || features.length < 3) {
+      return empty;
+    }
+
+    const ner = await this.getInstance();
+    const entities = this.filterEntities(this.reassembleEntities(await ner(features)));
+    const ofType = (type) => entities.filter(entity => entity.type === type).slice(0, this.MAX_PER_TYPE);
+
+    return {
+      people: ofType('PER'),
+      organizations: ofType('ORG'),
+      locations: ofType('LOC'),
+      misc: ofType('MISC')
+    };
+  }
+
+  /**
+   * Merge B-/I- tagged subword tokens into whole entities
+   * "##" subwords tagged B- (a common NER glitch) continue the current entity.
+   * @param {Array<Object>} tokens - Pipeline output ([{ word, entity, score }])
+   * @returns {Array<Object>} Entities ([{ word, type, score }])
+   */
+  static reassembleEntities(tokens) {
+    const entities = [];
+    let current = null;
+
+    for (const token of tokens) {
+      const isSubword = token.word.startsWith('##');
+      const word = token.word.replace(/^##/, '');
+      const type = token.entity.replace(/^[BI]-/, '');
+      const continues = current && current.type === type && (isSubword || token.entity.startsWith('I-'));
+
+      if (continues) {
+        current.word += isSubword ? word : ` ${word}`;
+        current.score = (current.score + token.score) / 2;
+      } else {
+        if (current) {
+          entities.push(current);
+        }
+        current = token.entity.startsWith('B-') ? { word, type, score: token.score } : null;
+      }
+    }
+
+    if (current) {
+      entities.push(current);
+    }
+
+    return entities;
+  }
+
+  /**
+   * Drop single letters, unsure short words and noise words
+   * @param {Array<Object>} entities - Entities
+   * @returns {Array<Object>} Kept entities
+   */
+  static filterEntities(entities) {
+    return entities.filter(entity =>
+      entity.word.length > 1 &&
+      (entity.word.length > 2 || entity.score >= 0.9) &&
+      !this.NOISE_WORDS.includes(entity.word.toLowerCase())
+    );
+  }
+}
+
 console.log('[ML Worker] ✓ Ready');
 
 // Export for use in background.js
 // In Firefox background scripts, use self (global scope) instead of window
 if (typeof self !== 'undefined') {
   self.MLClassifierWorker = MLClassifierWorker;
+  self.MLEmbedderWorker = MLEmbedderWorker;
+  self.MLNerWorker = MLNerWorker;
 }
 
 // Also export to window if it exists (for compatibility)
 if (typeof window !== 'undefined') {
   window.MLClassifierWorker = MLClassifierWorker;
+  window.MLEmbedderWorker = MLEmbedderWorker;
+  window.MLNerWorker = MLNerWorker;
 }
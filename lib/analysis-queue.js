@@ -0,0 +1,353 @@
+/**
+ * Analysis Queue - resumable on-device analysis of tabs in the background
+ *
+ * Classifies, embeds and extracts entities from tabs in chunks with the
+ * background ML worker (MLClassifierWorker, MLEmbedderWorker, MLNerWorker).
+ * Like the `--resume` checkpoint of scripts/analyze-tabs.js, progress is saved
+ * after every chunk in the IndexedDB `jobs` store, so a job interrupted by a
+ * browser restart or an unloaded background page picks up where it stopped:
+ *
+ * { jobId: 'analysis', status: 'running' | 'done' | 'failed' | 'cancelled',
+ *   steps, idleOnly, tabs: [{ id, source, url, title, domain }], sessionContext,
+ *   total, processed, failed, failedChunks, waitingFor, error, createdAt, updatedAt, completedAt }
+ *
+ * Results go where an imported analysis file puts them (keyed by URL): tab
+ * records with their classification, entities and embeddings (through the
+ * embedding index). Classifications of local tabs are also cached in their
+ * tab metadata, as "Classify All" used to do; synced and imported tabs have no
+ * metadata of their own.
+ *
+ * Tabs whose analysis fails are counted and skipped. The job only fails when
+ * its first tabs all fail, or several chunks in a row do (most likely a model
+ * that can't load).
+ *
+ * Chunks wait while the battery is low and discharging, and, for `idleOnly`
+ * jobs, while the user is active; the alarm and the idle listener in
+ * background.js resume them. Every change is broadcast to open pages as an
+ * `analysisProgress` message.
+ */
+
+class AnalysisQueue {
+  constructor() {
+    this.JOB_ID = 'analysis';
+    this.ALARM_NAME = 'analysis-queue';
+    this.STEPS = ['classify', 'embed', 'entities'];
+    this.CHUNK_SIZE = 10;
+    this.MAX_FAILED_CHUNKS = 3;
+    this.MIN_BATTERY_LEVEL = 0.2;
+    this.IDLE_THRESHOLD_SECONDS = 60;
+    this.job = null;
+    this.running = null;
+  }
+
+  /**
+   * Queue tabs for analysis and start processing them
+   * Tabs are deduplicated by URL (preferring the local tab); tabs without a URL are skipped.
+   * @param {Array<Object>} tabs - Tabs ({ id, source, url, title, domain })
+   * @param {Object} options - { steps = all steps, idleOnly = false }
+   * @returns {Promise<Object>} Job summary
+   * @throws {Error} If an analysis is already running, or a step is unknown
+   */
+  async start(tabs, options = {}) {
+    const { steps = this.STEPS, idleOnly = false } = options;
+    const current = await this.load();
+
+    if (current?.status === 'running') {
+      throw new Error('An analysis is already running');
+    }
+
+    const unknown = steps.filter(step => !this.STEPS.includes(step));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown analysis step: ${unknown.join(', ')}`);
+    }
+
+    const byUrl = new Map();
+    for (const tab of tabs) {
+      if (tab.url && (!byUrl.has(tab.url) || (tab.source === 'local' && byUrl.get(tab.url).source !== 'local'))) {
+        byUrl.set(tab.url, { id: tab.id, source: tab.source, url: tab.url, title: tab.title, domain: tab.domain });
+      }
+    }
+    const queued = Array.from(byUrl.values());
+
+    const now = Date.now();
+    this.job = {
+      jobId: this.JOB_ID,
+      status: 'running',
+      steps,
+      idleOnly,
+      tabs: queued,
+      sessionContext: typeof ContextFeatures !== 'undefined' ? ContextFeatures.extractSessionContext(queued) : null,
+      total: queued.length,
+      processed: 0,
+      failed: 0,
+      failedChunks: 0,
+      waitingFor: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    await this.save();
+    browser.alarms.create(this.ALARM_NAME, { periodInMinutes: 1 });
+    this.run();
+
+    return this.summarize(this.job);
+  }
+
+  /**
+   * Continue a running job (after a restart, an alarm or the user going idle)
+   * @returns {Promise<void>}
+   */
+  async resume() {
+    if (this.running) {
+      return this.running;
+    }
+
+    const job = await this.load();
+    if (job?.status === 'running') {
+      return this.run();
+    }
+  }
+
+  /**
+   * Stop the current job; results of the chunks already analyzed are kept
+   * @returns {Promise<Object|null>} Job summary or null if there is no job
+   */
+  async cancel() {
+    const job = await this.load();
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === 'running') {
+      await this.finish('cancelled');
+    }
+
+    return this.summarize(job);
+  }
+
+  /**
+   * Get the current or last job
+   * @returns {Promise<Object|null>} Job summary or null if no analysis ever ran
+   */
+  async getStatus() {
+    const job = await this.load();
+    return job ? this.summarize(job) : null;
+  }
+
+  /**
+   * Start the processing loop unless it is already going
+   * @returns {Promise<void>} Resolves when the job finishes or starts waiting
+   */
+  run() {
+    if (!this.running) {
+      this.running = this.process()
+        .catch(error => console.error('[Analysis] Queue failed:', error))
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+
+  /**
+   * Analyze chunks until the job is done, cancelled or has to wait
+   * @returns {Promise<void>}
+   */
+  async process() {
+    const job = this.job;
+
+    while (job.status === 'running' && job.processed < job.total) {
+      const blocker = await this.getBlocker(job);
+      if (blocker) {
+        if (job.waitingFor !== blocker) {
+          job.waitingFor = blocker;
+          await this.save();
+        }
+        return;
+      }
+      job.waitingFor = null;
+
+      const chunk = job.tabs.slice(job.processed, job.processed + this.CHUNK_SIZE);
+      const { failed, error } = await this.analyzeChunk(chunk, job);
+
+      // Cancelled while the chunk was running
+      if (job.status !== 'running') {
+        return;
+      }
+
+      job.failedChunks = failed === chunk.length ? (job.failedChunks || 0) + 1 : 0;
+      job.error = error ? error.message : null;
+
+      // Nothing worked so far, or for several chunks in a row: most likely a
+      // model that can't load, stop instead of failing every tab
+      const succeeded = job.processed - job.failed;
+      if (job.failedChunks > 0 && (succeeded === 0 || job.failedChunks >= this.MAX_FAILED_CHUNKS)) {
+        await this.finish('failed');
+        return;
+      }
+
+      job.processed += chunk.length;
+      job.failed += failed;
+      await this.save();
+    }
+
+    if (job.status === 'running') {
+      await this.finish('done');
+    }
+  }
+
+  /**
+   * Analyze a chunk of tabs and store the results
+   * A tab whose analysis fails is counted and skipped.
+   * @param {Array<Object>} chunk - Tabs
+   * @param {Object} job - Job
+   * @returns {Promise<Object>} { failed, error: last error or null }
+   */
+  async analyzeChunk(chunk, job) {
+    const embeddings = [];
+    let failed = 0;
+    let lastError = null;
+
+    for (const tab of chunk) {
+      try {
+        const record = { tabId: tab.url, url: tab.url, title: tab.title, domain: tab.domain, analyzedAt: Date.now() };
+
+        if (job.steps.includes('classify')) {
+          const result = await MLClassifierWorker.classifyTab(tab, job.sessionContext);
+          record.classification = this.toClassification(result.classifications);
+
+          if (tab.source === 'local') {
+            const metadata = await metadataStorage.getMetadata(tab.id) || {};
+            metadata.mlClassifications = result.classifications;
+            metadata.mlMetadata = result.metadata;
+            await metadataStorage.setMetadata(tab.id, metadata);
+          }
+        }
+
+        if (job.steps.includes('entities')) {
+          record.entities = await MLNerWorker.extractEntities(tab);
+          await indexedDBStorage.saveTabEntities(tab.url, record.entities);
+        }
+
+        if (job.steps.includes('embed')) {
+          const vector = await MLEmbedderWorker.embedTab(tab);
+          if (vector) {
+            embeddings.push({ tabId: tab.url, vector });
+          }
+        }
+
+        // Keep what an imported analysis file already knows about the tab
+        const existing = await indexedDBStorage.getTab(tab.url);
+        await indexedDBStorage.saveTab({ ...existing, ...record });
+      } catch (error) {
+        console.error(`[Analysis] Failed to analyze "${tab.title}":`, error);
+        failed++;
+        lastError = error;
+      }
+    }
+
+    if (embeddings.length > 0) {
+      await embeddingIndex.addEmbeddings(embeddings);
+    }
+
+    return { failed, error: lastError };
+  }
+
+  /**
+   * Reason to hold off the next chunk, if any
+   * Battery and idle state are skipped where the browser doesn't expose them
+   * (no Battery API in Firefox, no idle API on Android).
+   * @param {Object} job - Job
+   * @returns {Promise<string|null>} 'battery', 'active' or null
+   */
+  async getBlocker(job) {
+    if (typeof navigator !== 'undefined' && typeof navigator.getBattery === 'function') {
+      try {
+        const battery = await navigator.getBattery();
+        if (!battery.charging && battery.level < this.MIN_BATTERY_LEVEL) {
+          return 'battery';
+        }
+      } catch (error) {
+        // Battery status unavailable, don't hold off
+      }
+    }
+
+    if (job.idleOnly && browser.idle?.queryState) {
+      if ((await browser.idle.queryState(this.IDLE_THRESHOLD_SECONDS)) === 'active') {
+        return 'active';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * End the current job
+   * @param {string} status - 'done', 'failed' or 'cancelled'
+   * @returns {Promise<void>}
+   */
+  async finish(status) {
+    this.job.status = status;
+    this.job.waitingFor = null;
+    this.job.completedAt = Date.now();
+    await this.save();
+    await browser.alarms.clear(this.ALARM_NAME);
+  }
+
+  /**
+   * Load the job from IndexedDB (once per background page)
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async load() {
+    if (!this.job) {
+      this.job = await indexedDBStorage.getJob(this.JOB_ID);
+    }
+    return this.job;
+  }
+
+  /**
+   * Persist the job and tell open pages about it
+   * @returns {Promise<void>}
+   */
+  async save() {
+    this.job.updatedAt = Date.now();
+    await indexedDBStorage.saveJob(this.job);
+
+    browser.runtime.sendMessage({ action: 'analysisProgress', job: this.summarize(this.job) }).catch(() => {
+      // No page open
+    });
+  }
+
+  /**
+   * Job state without its tab list
+   * @param {Object} job - Job
+   * @returns {Object} Summary
+   */
+  summarize(job) {
+    const { tabs, sessionContext, ...summary } = job;
+    return summary;
+  }
+
+  /**
+   * Top label per dimension, in the analysis file format ({ intent: { label, score }, ... })
+   * @param {Object} classifications - MLClassifierWorker classifications ({ intent: { labels, scores, topK } })
+   * @returns {Object} Classification
+   */
+  toClassification(classifications) {
+    const classification = {};
+
+    for (const [dimension, result] of Object.entries(classifications)) {
+      const best = result.labels
+        .map((label, i) => ({ label, score: result.scores[i] }))
+        .sort((a, b) => b.score - a.score)[0];
+      classification[dimension] = best || null;
+    }
+
+    return classification;
+  }
+}
+
+// Export singleton instance
+const analysisQueue = new AnalysisQueue();
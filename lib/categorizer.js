@@ -113,8 +113,8 @@ const CATEGORY_RULES = {
  * @returns {Object} { category: string, color: string, icon: string }
  */
 function categorizeTab(tab) {
-  const url = tab.url.toLowerCase();
-  const title = tab.title.toLowerCase();
+  const url = (tab.url || '').toLowerCase();
+  const title = (tab.title || '').toLowerCase();
   const domain = extractDomain(url);
 
   for (const [categoryName, rules] of Object.entries(CATEGORY_RULES)) {
@@ -0,0 +1,454 @@
+/**
+ * Embedding Index - approximate nearest-neighbour search over tab embeddings
+ *
+ * IVF-style index (inverted file): the MiniLM vectors from the IndexedDB
+ * `embeddings` store are clustered with spherical k-means into ~sqrt(n)
+ * lists. A query only scores the vectors of its `nprobe` closest lists, so
+ * finding the neighbours of one tab among 10k takes a few hundred dot
+ * products instead of 10k.
+ *
+ * The centroids and list assignments are persisted in the IndexedDB
+ * `indexes` store; vectors stay in `embeddings`. Embeddings stored since the
+ * last save are assigned to their closest list on load (`sync()`), and the
+ * lists are retrained once the index has doubled since training.
+ *
+ * Vectors are normalized when added, so similarity is the cosine (dot product).
+ */
+
+class EmbeddingIndex {
+  constructor() {
+    this.INDEX_ID = 'embeddings';
+    this.MIN_TRAINING_SIZE = 256; // Below this, exact search is just as fast
+    this.TRAINING_SAMPLE = 4096;
+    this.KMEANS_ITERATIONS = 8;
+    this.nprobe = 8;
+    this.syncing = null;
+    this.reset();
+  }
+
+  /**
+   * Forget all vectors and lists
+   */
+  reset() {
+    this.dimension = null;
+    this.vectors = new Map(); // tabId -> normalized Float32Array
+    this.centroids = [];
+    this.lists = []; // centroid index -> Set of tabIds
+    this.assignments = new Map(); // tabId -> centroid index
+    this.trainedSize = 0;
+  }
+
+  /**
+   * Number of indexed vectors
+   * @returns {number}
+   */
+  get size() {
+    return this.vectors.size;
+  }
+
+  /**
+   * Check whether a tab has an indexed embedding
+   * @param {string} tabId - Tab ID
+   * @returns {boolean}
+   */
+  has(tabId) {
+    return this.vectors.has(tabId);
+  }
+
+  /**
+   * Load the persisted index once per page (see sync())
+   * @returns {Promise<Object>} sync() result
+   */
+  async load() {
+    if (!this.syncing) {
+      this.syncing = this.sync().catch(error => {
+        this.syncing = null;
+        throw error;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Rebuild the in-memory index from IndexedDB
+   * Reuses the persisted lists, assigns embeddings stored since the last save
+   * and drops deleted ones, then saves the index if anything changed.
+   * @returns {Promise<Object>} { size, added, removed, trained }
+   */
+  async sync() {
+    const [embeddings, record] = await Promise.all([
+      indexedDBStorage.getAllEmbeddings(),
+      indexedDBStorage.getIndex(this.INDEX_ID)
+    ]);
+
+    const result = this.restore(record, embeddings);
+    if (result.added > 0 || result.removed > 0 || result.trained) {
+      await this.save();
+    }
+
+    this.syncing = Promise.resolve(result);
+    return result;
+  }
+
+  /**
+   * Restore persisted lists and vectors
+   * @param {Object|null} record - Persisted index state (toRecord())
+   * @param {Array<Object>} embeddings - [{ tabId, vector }]
+   * @returns {Object} { size, added, removed, trained }
+   */
+  restore(record, embeddings) {
+    this.reset();
+
+    const dimension = embeddings[0]?.vector?.length || null;
+    const usable = record && record.dimension === dimension;
+    const assignments = usable ? record.assignments : {};
+    const pending = [];
+
+    if (usable) {
+      this.dimension = record.dimension;
+      this.centroids = record.centroids.map(centroid => Float32Array.from(centroid));
+      this.lists = this.centroids.map(() => new Set());
+      this.trainedSize = record.trainedSize;
+    }
+
+    for (const { tabId, vector } of embeddings) {
+      const list = assignments[tabId];
+      if (list !== undefined && list < this.centroids.length) {
+        this.dimension = vector.length;
+        this.vectors.set(tabId, this.normalize(vector));
+        this.assign(tabId, list);
+      } else {
+        pending.push({ tabId, vector });
+      }
+    }
+
+    const known = Object.keys(assignments).length;
+    const removed = known - this.vectors.size;
+
+    for (const { tabId, vector } of pending) {
+      this.insert(tabId, vector);
+    }
+
+    const trained = this.retrainIfNeeded();
+    return { size: this.size, added: pending.length, removed, trained };
+  }
+
+  /**
+   * Build the index from scratch
+   * @param {Array<Object>} embeddings - [{ tabId, vector }]
+   * @returns {EmbeddingIndex} this
+   */
+  build(embeddings) {
+    this.reset();
+    for (const { tabId, vector } of embeddings) {
+      this.insert(tabId, vector);
+    }
+    if (this.size >= this.MIN_TRAINING_SIZE) {
+      this.train();
+    }
+    return this;
+  }
+
+  /**
+   * Store a new embedding and add it to the index
+   * @param {string} tabId - Tab ID
+   * @param {Float32Array|Array<number>} vector - Embedding vector
+   * @returns {Promise<void>}
+   */
+  async addEmbedding(tabId, vector) {
+    await this.addEmbeddings([{ tabId, vector }]);
+  }
+
+  /**
+   * Store new embeddings and add them to the index, saving the index once
+   * @param {Array<Object>} entries - [{ tabId, vector }]
+   * @returns {Promise<void>}
+   */
+  async addEmbeddings(entries) {
+    await this.load();
+    for (const { tabId, vector } of entries) {
+      await indexedDBStorage.saveEmbedding(tabId, Float32Array.from(vector));
+      this.add(tabId, vector);
+    }
+    await this.save();
+  }
+
+  /**
+   * Add or replace a vector (in memory)
+   * @param {string} tabId - Tab ID
+   * @param {Float32Array|Array<number>} vector - Embedding vector
+   * @throws {Error} If the vector's dimension doesn't match the index
+   */
+  add(tabId, vector) {
+    this.insert(tabId, vector);
+    this.retrainIfNeeded();
+  }
+
+  /**
+   * Remove a vector (in memory)
+   * @param {string} tabId - Tab ID
+   * @returns {boolean} True if the tab was indexed
+   */
+  remove(tabId) {
+    const list = this.assignments.get(tabId);
+    if (list !== undefined) {
+      this.lists[list].delete(tabId);
+      this.assignments.delete(tabId);
+    }
+    return this.vectors.delete(tabId);
+  }
+
+  /**
+   * Find the nearest neighbours of a tab or vector
+   * @param {string|Float32Array|Array<number>} query - Indexed tab ID or vector
+   * @param {number} limit - Maximum number of results
+   * @param {Object} options - { nprobe, minSimilarity }
+   * @returns {Array<Object>} [{ tabId, similarity }], most similar first (excludes the queried tab)
+   */
+  search(query, limit = 10, options = {}) {
+    const { nprobe = this.nprobe, minSimilarity = -1 } = options;
+    const isVector = Array.isArray(query) || ArrayBuffer.isView(query);
+    const queryId = isVector ? null : query;
+    const vector = isVector ? this.normalize(query) : this.vectors.get(queryId);
+
+    if (!vector || this.size === 0) {
+      return [];
+    }
+    this.checkDimension(vector);
+
+    const results = [];
+    for (const tabId of this.candidates(vector, nprobe)) {
+      if (tabId === queryId) continue;
+
+      const similarity = this.dot(vector, this.vectors.get(tabId));
+      if (similarity >= minSimilarity) {
+        results.push({ tabId, similarity });
+      }
+    }
+
+    results.sort((a, b) => b.similarity - a.similarity);
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Get the tab IDs in the lists closest to a vector
+   * @param {Float32Array} vector - Normalized query vector
+   * @param {number} nprobe - Number of lists to scan
+   * @returns {Iterable<string>} Tab IDs
+   */
+  candidates(vector, nprobe) {
+    if (this.centroids.length === 0) {
+      return this.vectors.keys();
+    }
+
+    const closest = this.centroids
+      .map((centroid, list) => ({ list, similarity: this.dot(vector, centroid) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, nprobe);
+
+    return closest.flatMap(({ list }) => Array.from(this.lists[list]));
+  }
+
+  /**
+   * Persist the lists (vectors are already in the embeddings store)
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await indexedDBStorage.saveIndex(this.toRecord());
+  }
+
+  /**
+   * Serializable index state
+   * @returns {Object} { indexId, dimension, centroids, assignments, trainedSize, size, savedAt }
+   */
+  toRecord() {
+    return {
+      indexId: this.INDEX_ID,
+      dimension: this.dimension,
+      centroids: this.centroids,
+      assignments: Object.fromEntries(this.assignments),
+      trainedSize: this.trainedSize,
+      size: this.size,
+      savedAt: Date.now()
+    };
+  }
+
+  /**
+   * Normalize and store a vector, assigning it to its closest list
+   * @param {string} tabId - Tab ID
+   * @param {Float32Array|Array<number>} vector - Embedding vector
+   */
+  insert(tabId, vector) {
+    const normalized = this.normalize(vector);
+    if (this.dimension === null) {
+      this.dimension = normalized.length;
+    }
+    this.checkDimension(normalized);
+
+    this.remove(tabId);
+    this.vectors.set(tabId, normalized);
+    if (this.centroids.length > 0) {
+      this.assign(tabId, this.nearestCentroid(normalized));
+    }
+  }
+
+  /**
+   * Put a tab in a list
+   * @param {string} tabId - Tab ID
+   * @param {number} list - Centroid index
+   */
+  assign(tabId, list) {
+    this.lists[list].add(tabId);
+    this.assignments.set(tabId, list);
+  }
+
+  /**
+   * Train the lists when the index is first big enough or has doubled since training
+   * @returns {boolean} True if the lists were retrained
+   */
+  retrainIfNeeded() {
+    const untrained = this.centroids.length === 0 && this.size >= this.MIN_TRAINING_SIZE;
+    const outgrown = this.centroids.length > 0 && this.size > this.trainedSize * 2;
+
+    if (untrained || outgrown) {
+      this.train();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Cluster the vectors into ~sqrt(n) lists with spherical k-means
+   * Trains on an evenly spaced sample, then assigns every vector.
+   */
+  train() {
+    const ids = Array.from(this.vectors.keys());
+    const step = Math.max(1, ids.length / this.TRAINING_SAMPLE);
+    const sample = [];
+    for (let i = 0; i < ids.length && sample.length < this.TRAINING_SAMPLE; i += step) {
+      sample.push(this.vectors.get(ids[Math.floor(i)]));
+    }
+
+    this.centroids = this.kmeans(sample, Math.round(Math.sqrt(ids.length)));
+
+    this.lists = this.centroids.map(() => new Set());
+    this.assignments.clear();
+    for (const [tabId, vector] of this.vectors) {
+      this.assign(tabId, this.nearestCentroid(vector));
+    }
+    this.trainedSize = this.size;
+  }
+
+  /**
+   * Spherical k-means: cluster normalized vectors by cosine similarity
+   * Centroids start from evenly spaced vectors, so results are deterministic.
+   * @param {Array<Float32Array>} vectors - Normalized vectors
+   * @param {number} k - Number of clusters (capped at the number of vectors)
+   * @returns {Array<Float32Array>} Normalized centroids
+   */
+  kmeans(vectors, k) {
+    const count = Math.max(1, Math.min(vectors.length, k));
+    const dimension = vectors[0].length;
+    const spacing = vectors.length / count;
+    const centroids = Array.from({ length: count }, (_, i) => Float32Array.from(vectors[Math.floor(i * spacing)]));
+
+    for (let iteration = 0; iteration < this.KMEANS_ITERATIONS; iteration++) {
+      const sums = centroids.map(() => new Float32Array(dimension));
+      const counts = new Array(count).fill(0);
+
+      for (const vector of vectors) {
+        const nearest = this.nearestCentroid(vector, centroids);
+        const sum = sums[nearest];
+        for (let d = 0; d < dimension; d++) {
+          sum[d] += vector[d];
+        }
+        counts[nearest]++;
+      }
+
+      // Empty clusters keep their previous centroid
+      sums.forEach((sum, i) => {
+        if (counts[i] > 0) {
+          centroids[i] = this.normalize(sum);
+        }
+      });
+    }
+
+    return centroids;
+  }
+
+  /**
+   * Index of the centroid closest to a vector
+   * @param {Float32Array} vector - Normalized vector
+   * @param {Array<Float32Array>} centroids - Centroids (default: the index lists)
+   * @returns {number} Centroid index
+   */
+  nearestCentroid(vector, centroids = this.centroids) {
+    let best = 0;
+    let bestSimilarity = -Infinity;
+    for (let i = 0; i < centroids.length; i++) {
+      const similarity = this.dot(vector, centroids[i]);
+      if (similarity > bestSimilarity) {
+        best = i;
+        bestSimilarity = similarity;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Unit-length copy of a vector
+   * @param {Float32Array|Array<number>} vector - Vector
+   * @returns {Float32Array} Normalized vector
+   */
+  normalize(vector) {
+    const normalized = Float32Array.from(vector);
+    const norm = Math.sqrt(this.dot(normalized, normalized)) || 1;
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= norm;
+    }
+    return normalized;
+  }
+
+  /**
+   * Dot product of two vectors of the same length
+   * @param {Float32Array} a - Vector
+   * @param {Float32Array} b - Vector
+   * @returns {number}
+   */
+  dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += a[i] * b[i];
+    }
+    return sum;
+  }
+
+  /**
+   * Cosine similarity of two vectors that may not be normalized
+   * @param {Float32Array|Array<number>} a - Vector
+   * @param {Float32Array|Array<number>} b - Vector
+   * @returns {number} Similarity between -1 and 1 (0 for mismatched or empty vectors)
+   */
+  similarity(a, b) {
+    if (a.length !== b.length) {
+      return 0;
+    }
+
+    const norms = this.dot(a, a) * this.dot(b, b);
+    return norms ? this.dot(a, b) / Math.sqrt(norms) : 0;
+  }
+
+  /**
+   * Reject vectors from another model
+   * @param {Float32Array} vector - Vector
+   * @throws {Error} If the dimension differs from the index
+   */
+  checkDimension(vector) {
+    if (this.dimension !== null && vector.length !== this.dimension) {
+      throw new Error(`Embedding has ${vector.length} dimensions, index expects ${this.dimension}`);
+    }
+  }
+}
+
+// Export singleton instance
+const embeddingIndex = new EmbeddingIndex();
@@ -1,8 +1,107 @@
 /**
- * Export functionality - CSV export for tab data
+ * Export functionality - tab data in several formats
+ *
+ * Formats are registered by ID (see registerFormat) with a label, a file
+ * extension, a MIME type and a serializer. Serializers receive entries built
+ * by collect():
+ *
+ * { title, url, domain, favIconUrl, lastAccessed, age, source, device,
+ *   group, groupName, category: { category, icon }|null, metadata, classification }
+ *
+ * Built-in formats: CSV, JSON, Markdown (grouped by domain, category or
+ * group), HTML report with statistics, Netscape bookmarks HTML and OPML.
+ *
+ * Snapshots (TabSnapshots) are built from the same entries, and the graveyard
+ * looks classifications up the same way, so they can't drift apart.
  */
 
 const TabExport = {
+  formats: {},
+
+  /**
+   * Register an export format
+   * @param {string} id - Format ID ('csv', 'json', ...)
+   * @param {Object} format - { label, extension, mimeType, serialize(entries, options) }
+   */
+  registerFormat(id, format) {
+    this.formats[id] = { id, ...format };
+  },
+
+  /**
+   * Get registered formats in registration order
+   * @returns {Array} Formats ({ id, label, extension, mimeType, serialize })
+   */
+  getFormats() {
+    return Object.values(this.formats);
+  },
+
+  /**
+   * Build export entries: tabs with their group, category, metadata and classification
+   * @param {Array} tabs - Array of tabs to export
+   * @param {GroupManager} groupManager - Group manager instance
+   * @returns {Promise<Array>} Entries
+   */
+  async collect(tabs, groupManager) {
+    const groups = new Map((await groupManager.getGroups()).map(group => [group.id, group]));
+    const records = await Storage.getMany(tabs.map(tab => `tab-${tab.id}`));
+    const classifications = await this.loadClassifications();
+
+    return tabs.map(tab => {
+      const record = records[`tab-${tab.id}`];
+      // Tabs of a deleted group count as Main
+      const group = groups.has(record?.group) ? record.group : 'main';
+
+      return {
+        title: tab.title || tab.url,
+        url: tab.url,
+        domain: tabQuery.extractDomain(tab.url),
+        favIconUrl: tab.favIconUrl || null,
+        lastAccessed: tab.lastAccessed || null,
+        age: tabQuery.calculateAge(tab),
+        source: tab.source || 'local',
+        device: tab.device || null,
+        group,
+        groupName: groups.get(group).name,
+        category: typeof categorizeTab === 'function' ? categorizeTab(tab) : null,
+        metadata: record?.metadata || null,
+        classification: classifications.get(tab.url) || null
+      };
+    });
+  },
+
+  /**
+   * Load ML classifications from the analysis store, by URL
+   * @returns {Promise<Map>} url -> classification (empty if unavailable)
+   */
+  async loadClassifications() {
+    if (typeof indexedDBStorage === 'undefined') {
+      return new Map();
+    }
+
+    try {
+      const analyzed = await indexedDBStorage.getAllTabs();
+      return new Map(analyzed
+        .filter(tab => tab.classification)
+        .map(tab => [tab.url || tab.tabId, tab.classification]));
+    } catch (error) {
+      console.warn('[Export] Classifications unavailable:', error);
+      return new Map();
+    }
+  },
+
+  /**
+   * Find the ML classification of one URL in the analysis store
+   * @param {string} url - Tab URL
+   * @returns {Promise<Object|null>} Classification or null
+   */
+  async findClassification(url) {
+    try {
+      return (await indexedDBStorage.getTab(url))?.classification || null;
+    } catch (error) {
+      return null;
+    }
+  },
+
   /**
    * Export tabs to CSV format
    * @param {Array} tabs - Array of tabs to export
@@ -10,29 +109,223 @@ const TabExport = {
    * @returns {Promise<string>} CSV content
    */
   async toCSV(tabs, groupManager) {
+    return this.serializeCSV(await this.collect(tabs, groupManager));
+  },
+
+  /**
+   * Serialize entries as CSV
+   * Custom groups are listed by name ("Trip to Lyon"); built-in groups keep their IDs
+   * @param {Array} entries - Export entries
+   * @returns {string} CSV content
+   */
+  serializeCSV(entries) {
     const header = 'Title,URL,Domain,Last Accessed,Age (days),Group\n';
+    const builtin = new Set(['main', 'staging', 'bin']);
 
-    const rows = await Promise.all(tabs.map(async (tab) => {
-      const group = await groupManager.getGroup(tab.id);
-      const age = tabQuery.calculateAge(tab);
-      const domain = tabQuery.extractDomain(tab.url);
-      const lastAccessed = tab.lastAccessed
-        ? new Date(tab.lastAccessed).toISOString()
+    const rows = entries.map(entry => {
+      const lastAccessed = entry.lastAccessed
+        ? new Date(entry.lastAccessed).toISOString()
         : 'Unknown';
 
       return [
-        this.escapeCSV(tab.title),
-        this.escapeCSV(tab.url),
-        this.escapeCSV(domain),
+        this.escapeCSV(entry.title),
+        this.escapeCSV(entry.url),
+        this.escapeCSV(entry.domain),
         this.escapeCSV(lastAccessed),
-        age,
-        this.escapeCSV(group)
+        entry.age,
+        this.escapeCSV(builtin.has(entry.group) ? entry.group : entry.groupName)
       ].join(',');
-    }));
+    });
 
     return header + rows.join('\n');
   },
 
+  /**
+   * Serialize entries as JSON (everything collect() knows about each tab)
+   * @param {Array} entries - Export entries
+   * @returns {string} JSON content
+   */
+  serializeJSON(entries) {
+    return JSON.stringify({
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      count: entries.length,
+      tabs: entries.map(entry => ({
+        ...entry,
+        lastAccessed: entry.lastAccessed ? new Date(entry.lastAccessed).toISOString() : null
+      }))
+    }, null, 2);
+  },
+
+  /**
+   * Serialize entries as Markdown link lists, one section per domain, category or group
+   * @param {Array} entries - Export entries
+   * @param {Object} options - { groupBy: 'domain' | 'category' | 'group' }
+   * @returns {string} Markdown content
+   */
+  serializeMarkdown(entries, { groupBy = 'domain' } = {}) {
+    const lines = [`# FiltreInfini tabs (${new Date().toISOString().split('T')[0]})`, ''];
+
+    for (const [section, sectionEntries] of this.groupEntries(entries, groupBy)) {
+      lines.push(`## ${section} (${sectionEntries.length})`, '');
+      for (const entry of sectionEntries) {
+        const title = entry.title.replace(/([\\[\]])/g, '\\$1');
+        const url = entry.url.replace(/[()\s]/g, char => encodeURIComponent(char));
+        lines.push(`- [${title}](${url})`);
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Serialize entries as a self-contained HTML report with statistics
+   * @param {Array} entries - Export entries
+   * @returns {string} HTML content
+   */
+  serializeReport(entries) {
+    const esc = (value) => this.escapeHTML(value);
+    const date = new Date().toLocaleString();
+    const ageBuckets = [
+      ['< 1 week', entry => entry.age < 7],
+      ['1 week – 1 month', entry => entry.age >= 7 && entry.age < 30],
+      ['1 – 6 months', entry => entry.age >= 30 && entry.age < 180],
+      ['6 months +', entry => entry.age >= 180]
+    ].map(([label, test]) => [label, entries.filter(test).length]);
+
+    const statTable = (title, rows) => `
+  <section>
+    <h2>${esc(title)}</h2>
+    <table>
+${rows.map(([label, count]) => `      <tr><td>${esc(label)}</td><td class="count">${count}</td></tr>`).join('\n')}
+    </table>
+  </section>`;
+    const counts = (groupBy) => Array.from(this.groupEntries(entries, groupBy), ([label, items]) => [label, items.length]);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>FiltreInfini report – ${esc(date)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 1rem auto; max-width: 960px; padding: 0 1rem; color: #1F2937; }
+    h1 { font-size: 1.5rem; }
+    h2 { font-size: 1.1rem; margin-top: 1.5rem; }
+    .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    td, th { padding: 4px 8px; border-bottom: 1px solid #E5E7EB; text-align: left; vertical-align: top; }
+    .count { text-align: right; font-variant-numeric: tabular-nums; }
+    a { color: #2563EB; overflow-wrap: anywhere; }
+  </style>
+</head>
+<body>
+  <h1>FiltreInfini report</h1>
+  <p>${entries.length} tabs · exported ${esc(date)}</p>
+  <div class="stats">${statTable('Groups', counts('group'))}${statTable('Age', ageBuckets)}${statTable('Categories', counts('category'))}${statTable('Top domains', counts('domain').slice(0, 10))}
+  </div>
+  <h2>Tabs</h2>
+  <table>
+    <tr><th>Title</th><th>Domain</th><th>Group</th><th class="count">Age (days)</th></tr>
+${entries.map(entry => `    <tr><td><a href="${esc(entry.url)}">${esc(entry.title)}</a></td><td>${esc(entry.domain)}</td><td>${esc(entry.groupName)}</td><td class="count">${entry.age}</td></tr>`).join('\n')}
+  </table>
+</body>
+</html>
+`;
+  },
+
+  /**
+   * Serialize entries as a Netscape bookmarks file (one folder per group)
+   * Importable by Firefox, Chrome and most bookmark managers
+   * @param {Array} entries - Export entries
+   * @returns {string} Bookmarks HTML
+   */
+  serializeBookmarks(entries) {
+    const esc = (value) => this.escapeHTML(value);
+    const now = Math.floor(Date.now() / 1000);
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>',
+      `    <DT><H3 ADD_DATE="${now}">FiltreInfini ${new Date().toISOString().split('T')[0]}</H3>`,
+      '    <DL><p>'
+    ];
+
+    for (const [groupName, groupEntries] of this.groupEntries(entries, 'group')) {
+      lines.push(`        <DT><H3 ADD_DATE="${now}">${esc(groupName)}</H3>`, '        <DL><p>');
+      for (const entry of groupEntries) {
+        const visited = entry.lastAccessed ? ` LAST_VISIT="${Math.floor(entry.lastAccessed / 1000)}"` : '';
+        lines.push(`            <DT><A HREF="${esc(entry.url)}" ADD_DATE="${now}"${visited}>${esc(entry.title)}</A>`);
+      }
+      lines.push('        </DL><p>');
+    }
+
+    lines.push('    </DL><p>', '</DL><p>', '');
+    return lines.join('\n');
+  },
+
+  /**
+   * Serialize entries as OPML 2.0 (one outline per group)
+   * @param {Array} entries - Export entries
+   * @returns {string} OPML content
+   */
+  serializeOPML(entries) {
+    const esc = (value) => this.escapeHTML(value);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      '    <title>FiltreInfini tabs</title>',
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+      '  </head>',
+      '  <body>'
+    ];
+
+    for (const [groupName, groupEntries] of this.groupEntries(entries, 'group')) {
+      lines.push(`    <outline text="${esc(groupName)}">`);
+      for (const entry of groupEntries) {
+        const created = entry.lastAccessed ? ` created="${new Date(entry.lastAccessed).toUTCString()}"` : '';
+        lines.push(`      <outline text="${esc(entry.title)}" type="link" url="${esc(entry.url)}"${created}/>`);
+      }
+      lines.push('    </outline>');
+    }
+
+    lines.push('  </body>', '</opml>', '');
+    return lines.join('\n');
+  },
+
+  /**
+   * Group entries into sections, largest first
+   * @param {Array} entries - Export entries
+   * @param {string} groupBy - 'domain', 'category' or 'group'
+   * @returns {Map} Section label -> entries
+   */
+  groupEntries(entries, groupBy) {
+    const labelOf = {
+      domain: entry => entry.domain || 'Other',
+      category: entry => (entry.category ? `${entry.category.icon} ${entry.category.category}` : 'Other'),
+      group: entry => entry.groupName
+    }[groupBy];
+    const sections = new Map();
+
+    for (const entry of entries) {
+      const label = labelOf(entry);
+      if (!sections.has(label)) {
+        sections.set(label, []);
+      }
+      sections.get(label).push(entry);
+    }
+
+    // Groups keep their own order; domains and categories are sorted by size
+    return groupBy === 'group'
+      ? sections
+      : new Map([...sections].sort((a, b) => b[1].length - a[1].length));
+  },
+
   /**
    * Escape CSV field
    * @param {string} str - String to escape
@@ -49,16 +342,31 @@ const TabExport = {
   },
 
   /**
-   * Download CSV file
-   * @param {string} csvContent - CSV content
+   * Escape text for HTML and XML (content and attribute values)
+   * @param {string} str - String to escape
+   * @returns {string} Escaped string
+   */
+  escapeHTML(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Download a file (CSV by default)
+   * @param {string} content - File content
    * @param {string} filename - Filename (optional)
+   * @param {string} mimeType - MIME type (optional)
    */
-  async download(csvContent, filename = null) {
+  async download(content, filename = null, mimeType = 'text/csv;charset=utf-8;') {
     const timestamp = new Date().toISOString().split('T')[0];
     const finalFilename = filename || `filtre-infini-tabs-${timestamp}.csv`;
 
     // Create blob and download
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const blob = new Blob([content], { type: mimeType });
 
     // Use downloads API if available (better for extensions)
     if (browser.downloads) {
@@ -84,15 +392,68 @@ const TabExport = {
   },
 
   /**
-   * Export current view to CSV and trigger download
+   * Export tabs in a registered format and trigger download
    * @param {Array} tabs - Tabs to export
    * @param {GroupManager} groupManager - Group manager instance
+   * @param {string} formatId - Format ID (default: 'csv')
+   * @param {Object} options - Format options (e.g. { groupBy } for Markdown)
+   * @throws {Error} If the format is unknown
    */
-  async exportAndDownload(tabs, groupManager) {
-    const csv = await this.toCSV(tabs, groupManager);
-    await this.download(csv);
+  async exportAndDownload(tabs, groupManager, formatId = 'csv', options = {}) {
+    const format = this.formats[formatId];
+    if (!format) {
+      throw new Error(`Unknown export format: ${formatId}`);
+    }
+
+    const entries = await this.collect(tabs, groupManager);
+    const timestamp = new Date().toISOString().split('T')[0];
+    await this.download(
+      format.serialize(entries, options),
+      `filtre-infini-tabs-${timestamp}.${format.extension}`,
+      format.mimeType
+    );
   }
 };
 
-// TODO: Phase 4 - Add JSON export format
-// TODO: Phase 4 - Add HTML report format with statistics
+// Built-in formats
+TabExport.registerFormat('csv', {
+  label: 'CSV (spreadsheet)',
+  extension: 'csv',
+  mimeType: 'text/csv;charset=utf-8;',
+  serialize: entries => TabExport.serializeCSV(entries)
+});
+
+TabExport.registerFormat('json', {
+  label: 'JSON (full data)',
+  extension: 'json',
+  mimeType: 'application/json',
+  serialize: entries => TabExport.serializeJSON(entries)
+});
+
+TabExport.registerFormat('markdown', {
+  label: 'Markdown (link lists)',
+  extension: 'md',
+  mimeType: 'text/markdown;charset=utf-8;',
+  serialize: (entries, options) => TabExport.serializeMarkdown(entries, options)
+});
+
+TabExport.registerFormat('html', {
+  label: 'HTML report',
+  extension: 'html',
+  mimeType: 'text/html;charset=utf-8;',
+  serialize: entries => TabExport.serializeReport(entries)
+});
+
+TabExport.registerFormat('bookmarks', {
+  label: 'Bookmarks (Netscape HTML)',
+  extension: 'bookmarks.html',
+  mimeType: 'text/html;charset=utf-8;',
+  serialize: entries => TabExport.serializeBookmarks(entries)
+});
+
+TabExport.registerFormat('opml', {
+  label: 'OPML',
+  extension: 'opml',
+  mimeType: 'text/x-opml;charset=utf-8;',
+  serialize: entries => TabExport.serializeOPML(entries)
+});
@@ -0,0 +1,167 @@
+/**
+ * Graveyard - restorable archive of tabs closed by group retention
+ *
+ * When GroupManager.cleanupExpiredTabs closes a tab (Bin after 2 days by
+ * default), the tab is archived here first. Entries live in the IndexedDB
+ * "graveyard" store:
+ *
+ * { entryId, url, title, domain, favIconUrl, group, dateSwiped,
+ *   metadata, classification, deletedAt }
+ *
+ * The purge policy is stored in `storage.local`:
+ * {
+ *   "graveyardPolicy": { maxAgeDays: number, maxEntries: number }  // 0 = no limit
+ * }
+ */
+
+class Graveyard {
+  constructor() {
+    this.POLICY_KEY = 'graveyardPolicy';
+    this.DEFAULT_POLICY = {
+      maxAgeDays: 90,
+      maxEntries: 1000
+    };
+  }
+
+  /**
+   * Get the purge policy (merged with defaults)
+   * @returns {Promise<Object>} { maxAgeDays, maxEntries }
+   */
+  async getPolicy() {
+    return { ...this.DEFAULT_POLICY, ...(await Storage.get(this.POLICY_KEY)) };
+  }
+
+  /**
+   * Update the purge policy
+   * @param {Object} updates - { maxAgeDays?, maxEntries? } (0 = no limit)
+   * @returns {Promise<Object>} Stored policy
+   * @throws {Error} If a limit is not a whole number >= 0
+   */
+  async setPolicy(updates) {
+    const policy = { ...(await this.getPolicy()), ...updates };
+
+    for (const field of Object.keys(this.DEFAULT_POLICY)) {
+      if (!Number.isInteger(policy[field]) || policy[field] < 0) {
+        throw new Error(`Invalid ${field}: ${policy[field]}`);
+      }
+    }
+
+    await Storage.set(this.POLICY_KEY, policy);
+    return policy;
+  }
+
+  /**
+   * Archive a tab that is about to be closed
+   * @param {Object} tab - Browser tab
+   * @param {Object} record - Its `tab-{id}` record ({ group, dateSwiped, metadata })
+   * @returns {Promise<Object>} Stored entry
+   */
+  async archive(tab, record = {}) {
+    const entry = {
+      url: tab.url,
+      title: tab.title || record.metadata?.og?.title || tab.url,
+      domain: this.extractDomain(tab.url),
+      favIconUrl: tab.favIconUrl || null,
+      group: record.group || null,
+      dateSwiped: record.dateSwiped || null,
+      metadata: record.metadata || null,
+      classification: await TabExport.findClassification(tab.url),
+      deletedAt: Date.now()
+    };
+
+    entry.entryId = await indexedDBStorage.saveGraveyardEntry(entry);
+    return entry;
+  }
+
+  /**
+   * Search the graveyard, most recently deleted first
+   * Every word must appear in the title, URL or group
+   * @param {string} text - Search text ('' lists everything)
+   * @returns {Promise<Array>} Matching entries
+   */
+  async search(text = '') {
+    const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const entries = await indexedDBStorage.getGraveyardEntries();
+
+    return entries
+      .filter(entry => {
+        const haystack = `${entry.title} ${entry.url} ${entry.group || ''}`.toLowerCase();
+        return words.every(word => haystack.includes(word));
+      })
+      .reverse();
+  }
+
+  /**
+   * Reopen an archived tab and remove it from the graveyard
+   * The new tab lands in Main with its cached metadata.
+   * @param {Object} entry - Graveyard entry
+   * @returns {Promise<Object>} Created browser tab
+   */
+  async reopen(entry) {
+    const tab = await browser.tabs.create({ url: entry.url, active: false });
+
+    if (entry.metadata) {
+      await Storage.set(`tab-${tab.id}`, { group: 'main', dateSwiped: null, metadata: entry.metadata });
+    }
+
+    await indexedDBStorage.deleteGraveyardEntries([entry.entryId]);
+    return tab;
+  }
+
+  /**
+   * Delete entries from the graveyard for good
+   * @param {Array<number>} entryIds - Entry IDs
+   * @returns {Promise<void>}
+   */
+  async remove(entryIds) {
+    await indexedDBStorage.deleteGraveyardEntries(entryIds);
+  }
+
+  /**
+   * Delete every graveyard entry
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async clear() {
+    const entries = await indexedDBStorage.getGraveyardEntries();
+    await this.remove(entries.map(entry => entry.entryId));
+    return entries.length;
+  }
+
+  /**
+   * Apply the purge policy: drop entries older than maxAgeDays, then the
+   * oldest entries beyond maxEntries
+   * @returns {Promise<number>} Number of entries purged
+   */
+  async purge() {
+    const { maxAgeDays, maxEntries } = await this.getPolicy();
+    const entries = await indexedDBStorage.getGraveyardEntries();
+    const cutoff = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
+
+    const kept = maxAgeDays > 0 ? entries.filter(entry => entry.deletedAt >= cutoff) : entries;
+    const expired = entries.filter(entry => !kept.includes(entry));
+    const overflow = maxEntries > 0 ? kept.slice(0, Math.max(0, kept.length - maxEntries)) : [];
+    const purged = [...expired, ...overflow].map(entry => entry.entryId);
+
+    if (purged.length > 0) {
+      await indexedDBStorage.deleteGraveyardEntries(purged);
+    }
+
+    return purged.length;
+  }
+
+  /**
+   * Extract domain from URL
+   * @param {string} url - URL
+   * @returns {string} Domain or ''
+   */
+  extractDomain(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return '';
+    }
+  }
+}
+
+// Export singleton instance
+const graveyard = new Graveyard();
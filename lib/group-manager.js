@@ -1,13 +1,26 @@
 /**
- * Group Manager - Handles Main/Staging/Bin tab organization
+ * Group Manager - Handles Main/Staging/Bin and user-defined tab groups
  *
  * Storage format:
  * {
  *   "tab-{tabId}": {
- *     group: "main" | "staging" | "bin",
+ *     group: "main" | "staging" | "bin" | custom group id,
  *     dateSwiped: timestamp | null
- *   }
+ *   },
+ *   "groups": [
+ *     { id, name, color, icon, order, rules: [query string, ...] }
+ *   ],
+ *   "groupRetention": { [group id]: days }  // tabs older than this are closed
  * }
+ *
+ * Custom group IDs are slugs of their name at creation ("trip-to-lyon"),
+ * so they can be typed in queries (group:trip-to-lyon) and survive renames.
+ * Rules are query strings; tabs still in Main that match one are filed into
+ * the group when rules are applied.
+ *
+ * `dateSwiped` is when the tab entered its current group (null in Main).
+ * Retention closes tabs that stayed longer than their group's limit and
+ * archives them in the Graveyard first.
  */
 
 class GroupManager {
@@ -18,6 +31,175 @@ class GroupManager {
       BIN: 'bin'
     };
     this.BIN_DELETE_DELAY_DAYS = 2;
+    this.RETENTION_KEY = 'groupRetention';
+    this.ORPHAN_GRACE_DAYS = 7;
+    this.GROUPS_KEY = 'groups';
+    this.BUILTIN_GROUPS = [
+      { id: 'main', name: 'Main', icon: '📥', color: '#3B82F6', builtin: true },
+      { id: 'staging', name: 'Staging', icon: '⏳', color: '#F59E0B', builtin: true },
+      { id: 'bin', name: 'Bin', icon: '🗑️', color: '#EF4444', builtin: true }
+    ];
+    this.DEFAULT_ICON = '📁';
+    this.DEFAULT_COLOR = '#8B5CF6';
+  }
+
+  /**
+   * Get all group definitions: built-in groups first, then custom groups by order
+   * @returns {Promise<Array>} Group definitions
+   */
+  async getGroups() {
+    return [...this.BUILTIN_GROUPS, ...(await this.getCustomGroups())];
+  }
+
+  /**
+   * Get user-defined groups sorted by order
+   * @returns {Promise<Array>} Custom group definitions
+   */
+  async getCustomGroups() {
+    const groups = (await Storage.get(this.GROUPS_KEY)) || [];
+    return groups.sort((a, b) => a.order - b.order);
+  }
+
+  /**
+   * Create a custom group
+   * @param {Object} entry - { name, color?, icon?, rules? }
+   * @returns {Promise<Object>} Stored group definition
+   * @throws {Error} If the name is missing or already used
+   */
+  async createGroup(entry) {
+    const groups = await this.getCustomGroups();
+    const group = this.normalizeGroup(entry, groups);
+
+    group.id = this.generateGroupId(group.name, groups);
+    group.order = groups.length > 0 ? groups[groups.length - 1].order + 1 : 0;
+
+    groups.push(group);
+    await Storage.set(this.GROUPS_KEY, groups);
+    return group;
+  }
+
+  /**
+   * Update a custom group (built-in groups can't be changed)
+   * @param {string} id - Group ID
+   * @param {Object} changes - { name?, color?, icon?, rules? }
+   * @returns {Promise<Object>} Updated group definition
+   * @throws {Error} If the group doesn't exist or the new name is already used
+   */
+  async updateGroup(id, changes) {
+    const groups = await this.getCustomGroups();
+    const index = groups.findIndex(group => group.id === id);
+    if (index < 0) {
+      throw new Error(`Unknown group: ${id}`);
+    }
+
+    const others = groups.filter(group => group.id !== id);
+    const updated = {
+      ...this.normalizeGroup({ ...groups[index], ...changes }, others),
+      id,
+      order: groups[index].order
+    };
+
+    groups[index] = updated;
+    await Storage.set(this.GROUPS_KEY, groups);
+    return updated;
+  }
+
+  /**
+   * Delete a custom group; its tabs go back to Main
+   * @param {string} id - Group ID
+   * @returns {Promise<number>} Number of tabs moved back to Main
+   */
+  async deleteGroup(id) {
+    const groups = await this.getCustomGroups();
+    await Storage.set(this.GROUPS_KEY, groups.filter(group => group.id !== id));
+    await this.setRetention(id, null);
+
+    const allData = await Storage.getAll();
+    let moved = 0;
+
+    for (const key in allData) {
+      if (key.startsWith('tab-') && allData[key]?.group === id) {
+        await Storage.set(key, { ...allData[key], group: this.GROUPS.MAIN, dateSwiped: null });
+        moved++;
+      }
+    }
+
+    return moved;
+  }
+
+  /**
+   * Reorder custom groups
+   * @param {Array<string>} ids - Custom group IDs in their new order
+   * @returns {Promise<Array>} Reordered custom groups
+   */
+  async reorderGroups(ids) {
+    const groups = await this.getCustomGroups();
+    const position = (group) => {
+      const index = ids.indexOf(group.id);
+      return index < 0 ? ids.length + group.order : index;
+    };
+
+    groups.sort((a, b) => position(a) - position(b));
+    groups.forEach((group, index) => {
+      group.order = index;
+    });
+
+    await Storage.set(this.GROUPS_KEY, groups);
+    return groups;
+  }
+
+  /**
+   * Validate and fill in a custom group definition
+   * @param {Object} entry - Raw definition
+   * @param {Array} others - Other custom groups (for the unique name check)
+   * @returns {Object} Normalized definition (without id/order)
+   * @throws {Error} If the name is missing or already used
+   */
+  normalizeGroup(entry, others) {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (!name) {
+      throw new Error('Group needs a name');
+    }
+
+    const taken = [...this.BUILTIN_GROUPS, ...others]
+      .some(group => group.name.toLowerCase() === name.toLowerCase());
+    if (taken) {
+      throw new Error(`A group named "${name}" already exists`);
+    }
+
+    const rules = Array.isArray(entry.rules) ? entry.rules : [];
+
+    return {
+      name,
+      icon: typeof entry.icon === 'string' && entry.icon.trim() ? entry.icon.trim() : this.DEFAULT_ICON,
+      color: /^#[0-9a-f]{6}$/i.test(entry.color || '') ? entry.color : this.DEFAULT_COLOR,
+      rules: rules
+        .filter(rule => typeof rule === 'string')
+        .map(rule => rule.trim())
+        .filter(Boolean)
+    };
+  }
+
+  /**
+   * Build a unique, query-friendly ID from a group name
+   * @param {string} name - Group name
+   * @param {Array} groups - Existing custom groups
+   * @returns {string} ID ("Trip to Lyon" -> "trip-to-lyon")
+   */
+  generateGroupId(name, groups) {
+    const base = name
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'group';
+
+    const taken = new Set([...this.BUILTIN_GROUPS, ...groups].map(group => group.id));
+    let id = base;
+    for (let suffix = 2; taken.has(id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
   }
 
   /**
@@ -33,17 +215,24 @@ class GroupManager {
 
   /**
    * Set the group for a specific tab
+   * Keeps the rest of the tab record (cached page metadata) and stamps the
+   * tab's identity so the group survives a tab ID change (see TabIdentity)
    * @param {number} tabId - Tab ID
-   * @param {string} group - Group name ('main', 'staging', or 'bin')
+   * @param {string} group - Group ID ('main', 'staging', 'bin' or a custom group)
    * @returns {Promise<void>}
    */
   async setGroup(tabId, group) {
     const key = `tab-${tabId}`;
-    const metadata = {
+    const existing = await Storage.get(key) || {};
+    const identity = existing.identity
+      || (typeof tabIdentity !== 'undefined' ? await tabIdentity.lookup(tabId) : null);
+
+    await Storage.set(key, {
+      ...existing,
       group,
-      dateSwiped: group === this.GROUPS.BIN ? Date.now() : null
-    };
-    await Storage.set(key, metadata);
+      dateSwiped: group === this.GROUPS.MAIN ? null : Date.now(),
+      ...(identity && { identity })
+    });
   }
 
   /**
@@ -67,47 +256,90 @@ class GroupManager {
 
   /**
    * Get counts for all groups
-   * @returns {Promise<Object>} Object with counts for each group
+   * @returns {Promise<Object>} Object with `total` and a count per group ID
    */
   async getGroupCounts() {
     const allTabs = await browser.tabs.query({});
-    const counts = {
-      total: allTabs.length,
-      main: 0,
-      staging: 0,
-      bin: 0
-    };
+    const counts = { total: allTabs.length };
+
+    for (const group of await this.getGroups()) {
+      counts[group.id] = 0;
+    }
 
     for (let tab of allTabs) {
       const group = await this.getGroup(tab.id);
-      counts[group]++;
+      // Tabs filed under a group that no longer exists count as Main
+      counts[group in counts ? group : this.GROUPS.MAIN]++;
     }
 
     return counts;
   }
 
   /**
-   * Auto-delete tabs from Bin that are older than BIN_DELETE_DELAY_DAYS
+   * Get retention limits per group
+   * Bin defaults to BIN_DELETE_DELAY_DAYS; other groups keep tabs forever.
+   * @returns {Promise<Object>} Group ID -> days
+   */
+  async getRetention() {
+    return {
+      [this.GROUPS.BIN]: this.BIN_DELETE_DELAY_DAYS,
+      ...(await Storage.get(this.RETENTION_KEY))
+    };
+  }
+
+  /**
+   * Set how long tabs stay in a group before they are closed
+   * @param {string} group - Group ID (not Main)
+   * @param {number|null} days - Days, or null/0 to keep tabs forever
+   * @returns {Promise<Object>} Updated retention limits
+   * @throws {Error} For Main or an invalid number of days
+   */
+  async setRetention(group, days) {
+    if (group === this.GROUPS.MAIN) {
+      throw new Error('Main has no retention');
+    }
+    if (days && (!Number.isFinite(days) || days < 0)) {
+      throw new Error(`Invalid retention: ${days}`);
+    }
+
+    const retention = await this.getRetention();
+    retention[group] = days || null;
+
+    await Storage.set(this.RETENTION_KEY, retention);
+    return retention;
+  }
+
+  /**
+   * Close tabs that stayed in their group longer than its retention limit
+   * Closed tabs are archived in the Graveyard first.
    * Called by background script via alarms API
    * @returns {Promise<Array>} Array of deleted tab IDs
    */
-  async cleanupBin() {
-    const binTabs = await this.getTabsInGroup(this.GROUPS.BIN);
-    const cutoff = Date.now() - (this.BIN_DELETE_DELAY_DAYS * 24 * 60 * 60 * 1000);
+  async cleanupExpiredTabs() {
+    const retention = await this.getRetention();
+    const allTabs = await browser.tabs.query({});
+    const allData = await Storage.getAll();
+    const now = Date.now();
     const deletedIds = [];
 
-    for (let tab of binTabs) {
+    for (let tab of allTabs) {
       const key = `tab-${tab.id}`;
-      const metadata = await Storage.get(key);
-
-      if (metadata && metadata.dateSwiped && metadata.dateSwiped < cutoff) {
-        try {
-          await browser.tabs.remove(tab.id);
-          await Storage.remove(key);
-          deletedIds.push(tab.id);
-        } catch (error) {
-          console.error(`Failed to delete tab ${tab.id}:`, error);
+      const record = allData[key];
+      const days = record && retention[record.group];
+
+      if (!days || !record.dateSwiped || record.dateSwiped >= now - (days * 24 * 60 * 60 * 1000)) {
+        continue;
+      }
+
+      try {
+        if (typeof graveyard !== 'undefined') {
+          await graveyard.archive(tab, record);
         }
+        await browser.tabs.remove(tab.id);
+        await Storage.remove(key);
+        deletedIds.push(tab.id);
+      } catch (error) {
+        console.error(`Failed to delete tab ${tab.id}:`, error);
       }
     }
 
@@ -116,22 +348,38 @@ class GroupManager {
 
   /**
    * Clean up storage for tabs that no longer exist
+   * Records with an identity are kept for ORPHAN_GRACE_DAYS, so TabIdentity
+   * can re-attach them once the tab is restored under a new ID.
+   * Synced and imported tab records (`tab-synced-...`, `tab-imported-...`) are left alone.
    * @returns {Promise<number>} Number of orphaned entries cleaned
    */
   async cleanupOrphanedEntries() {
     const allTabs = await browser.tabs.query({});
     const existingTabIds = new Set(allTabs.map(tab => tab.id));
     const allData = await Storage.getAll();
+    const now = Date.now();
+    const cutoff = now - (this.ORPHAN_GRACE_DAYS * 24 * 60 * 60 * 1000);
     let cleanedCount = 0;
 
     for (let key in allData) {
-      if (key.startsWith('tab-')) {
-        const tabId = parseInt(key.split('-')[1]);
-        if (!existingTabIds.has(tabId)) {
-          await Storage.remove(key);
-          cleanedCount++;
+      const match = /^tab-(\d+)$/.exec(key);
+      if (!match || existingTabIds.has(Number(match[1]))) {
+        continue;
+      }
+
+      const record = allData[key];
+      if (record?.identity) {
+        if (!record.orphanedAt) {
+          await Storage.set(key, { ...record, orphanedAt: now });
+          continue;
+        }
+        if (record.orphanedAt >= cutoff) {
+          continue;
         }
       }
+
+      await Storage.remove(key);
+      cleanedCount++;
     }
 
     return cleanedCount;
@@ -0,0 +1,206 @@
+/**
+ * Group Rules - automatic group assignment
+ *
+ * Storage format:
+ * {
+ *   "group-rules": [
+ *     { id, savedQueryId, group, enabled, createdAt }
+ *   ]
+ * }
+ *
+ * A rule moves the tabs matching a saved query into a group
+ * ("domain:twitter.com age>3d" → Staging, "status:done" → Bin). The rules
+ * of custom groups (see GroupManager) run after them, on tabs still in Main.
+ * Rules are tried in order and the first matching rule wins.
+ *
+ * A rule moves a tab at most once: the tab record remembers the rules that
+ * moved it (`appliedRules`), so a tab moved back by hand stays put.
+ *
+ * The background script applies the rules on the cleanup alarm and when
+ * tabs finish loading; the manager previews them with plan() (dry run).
+ */
+
+class GroupRules {
+  constructor() {
+    this.STORAGE_KEY = 'group-rules';
+  }
+
+  /**
+   * Get all rules in evaluation order
+   * @returns {Promise<Array>} Rules
+   */
+  async getAll() {
+    return (await Storage.get(this.STORAGE_KEY)) || [];
+  }
+
+  /**
+   * Create or update a rule
+   * Entries with an `id` replace the stored rule with that ID
+   * @param {Object} entry - { id?, savedQueryId, group, enabled? }
+   * @returns {Promise<Object>} Stored rule
+   * @throws {Error} If the saved query or group is missing
+   */
+  async save(entry) {
+    const rules = await this.getAll();
+    const existing = entry.id ? rules.find(rule => rule.id === entry.id) : null;
+    const saved = this.normalize({ ...existing, ...entry });
+
+    if (!(await savedQueries.get(saved.savedQueryId))) {
+      throw new Error('Rule needs a saved query');
+    }
+    if (!(await groupManager.getGroups()).some(group => group.id === saved.group)) {
+      throw new Error(`Unknown group: ${saved.group}`);
+    }
+
+    if (existing) {
+      rules[rules.indexOf(existing)] = saved;
+    } else {
+      rules.push(saved);
+    }
+
+    await Storage.set(this.STORAGE_KEY, rules);
+    return saved;
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} id - Rule ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const rules = await this.getAll();
+    await Storage.set(this.STORAGE_KEY, rules.filter(rule => rule.id !== id));
+  }
+
+  /**
+   * Fill in defaults for a rule
+   * @param {Object} entry - Raw rule
+   * @returns {Object} Normalized rule
+   */
+  normalize(entry) {
+    return {
+      id: entry.id || this.generateId(),
+      savedQueryId: entry.savedQueryId || null,
+      group: entry.group || null,
+      enabled: entry.enabled !== false,
+      createdAt: entry.createdAt || Date.now()
+    };
+  }
+
+  /**
+   * Generate a unique rule ID
+   * @returns {string} ID
+   */
+  generateId() {
+    return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Resolve the rules to evaluate: enabled saved-query rules, then the
+   * rules of custom groups (Main tabs only)
+   * Rules whose saved query or group was deleted are skipped.
+   * @returns {Promise<Array>} [{ id, name, query, group, mainOnly }]
+   */
+  async collect() {
+    const queries = new Map((await savedQueries.getAll()).map(entry => [entry.id, entry]));
+    const groupIds = new Set((await groupManager.getGroups()).map(group => group.id));
+    const resolved = [];
+
+    for (const rule of await this.getAll()) {
+      const savedQuery = queries.get(rule.savedQueryId);
+      if (rule.enabled && savedQuery && groupIds.has(rule.group)) {
+        resolved.push({
+          id: rule.id,
+          name: `${savedQuery.icon} ${savedQuery.name}`,
+          query: savedQuery.query,
+          group: rule.group,
+          mainOnly: false
+        });
+      }
+    }
+
+    for (const group of await groupManager.getCustomGroups()) {
+      group.rules.forEach((query, index) => {
+        resolved.push({
+          id: `${group.id}#${index}`,
+          name: `${group.icon} ${group.name}`,
+          query,
+          group: group.id,
+          mainOnly: true
+        });
+      });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Work out what the rules would move, without moving anything (dry run)
+   * @param {Array|null} tabs - Live tabs to consider (default: all open tabs)
+   * @returns {Promise<Object>} { moves: [{ tab, from, to, rule }], errors: { ruleId: message } }
+   */
+  async plan(tabs = null) {
+    const candidates = (tabs || await browser.tabs.query({}))
+      .filter(tab => typeof tab.id === 'number' && !tabQuery.isInternalTab(tab));
+    const records = await Storage.getMany(candidates.map(tab => `tab-${tab.id}`));
+    const snapshot = tabQuery.createSnapshot(candidates);
+    const claimed = new Set();
+    const moves = [];
+    const errors = {};
+
+    for (const rule of await this.collect()) {
+      // An invalid or empty query must not match (and move) every tab
+      const validation = queryParser.validate(rule.query);
+      const ast = validation.valid ? queryParser.parseAST(rule.query) : null;
+      if (!ast) {
+        errors[rule.id] = validation.error || 'Empty query';
+        continue;
+      }
+
+      const { tabs: matches } = await tabQuery.query(snapshot, ast);
+
+      for (const tab of matches) {
+        const record = records[`tab-${tab.id}`];
+        const from = record?.group || groupManager.GROUPS.MAIN;
+
+        if (claimed.has(tab.id) || (rule.mainOnly && from !== groupManager.GROUPS.MAIN)) {
+          continue;
+        }
+
+        // First matching rule wins, even when it has nothing left to do
+        claimed.add(tab.id);
+        if (from !== rule.group && !record?.appliedRules?.includes(rule.id)) {
+          moves.push({ tab, from, to: rule.group, rule });
+        }
+      }
+    }
+
+    return { moves, errors };
+  }
+
+  /**
+   * Apply the rules: move matching tabs and remember which rule moved them
+   * @param {Array|null} tabs - Live tabs to consider (default: all open tabs)
+   * @returns {Promise<Object>} { moves, errors } as returned by plan()
+   */
+  async apply(tabs = null) {
+    const result = await this.plan(tabs);
+
+    for (const { tab, to, rule } of result.moves) {
+      await groupManager.setGroup(tab.id, to);
+
+      const key = `tab-${tab.id}`;
+      const record = await Storage.get(key);
+      await Storage.set(key, { ...record, appliedRules: [...(record.appliedRules || []), rule.id] });
+    }
+
+    if (result.moves.length > 0) {
+      console.log(`[Rules] Moved ${result.moves.length} tabs`);
+    }
+
+    return result;
+  }
+}
+
+// Export singleton instance
+const groupRules = new GroupRules();
@@ -6,6 +6,10 @@
  * - Full-text page content (compressed)
  * - Named entities with tab references
  * - Semantic embeddings for similarity
+ * - Graveyard of auto-deleted tabs (restorable)
+ * - Named snapshots of the tab set (workspaces)
+ * - Persisted search indexes (embedding ANN index)
+ * - Background jobs (resumable analysis queue)
  *
  * Design goals:
  * - Fast queries with indexes
@@ -17,7 +21,7 @@
 class IndexedDBStorage {
   constructor() {
     this.dbName = 'filtre-infini-db';
-    this.version = 1;
+    this.version = 5;
     this.db = null;
   }
 
@@ -89,6 +93,45 @@ class IndexedDBStorage {
 
           console.log('[IndexedDB] Created "embeddings" store');
         }
+
+        // Store 5: graveyard (tabs closed by group retention, added in v2)
+        if (!db.objectStoreNames.contains('graveyard')) {
+          const graveyardStore = db.createObjectStore('graveyard', {
+            keyPath: 'entryId',
+            autoIncrement: true
+          });
+
+          graveyardStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+          graveyardStore.createIndex('url', 'url', { unique: false });
+
+          console.log('[IndexedDB] Created "graveyard" store');
+        }
+
+        // Store 6: snapshots (named captures of the tab set, added in v3)
+        if (!db.objectStoreNames.contains('snapshots')) {
+          const snapshotStore = db.createObjectStore('snapshots', {
+            keyPath: 'snapshotId',
+            autoIncrement: true
+          });
+
+          snapshotStore.createIndex('createdAt', 'createdAt', { unique: false });
+
+          console.log('[IndexedDB] Created "snapshots" store');
+        }
+
+        // Store 7: indexes (persisted search indexes such as the embedding ANN index, added in v4)
+        if (!db.objectStoreNames.contains('indexes')) {
+          db.createObjectStore('indexes', { keyPath: 'indexId' });
+
+          console.log('[IndexedDB] Created "indexes" store');
+        }
+
+        // Store 8: jobs (progress of background jobs such as the analysis queue, added in v5)
+        if (!db.objectStoreNames.contains('jobs')) {
+          db.createObjectStore('jobs', { keyPath: 'jobId' });
+
+          console.log('[IndexedDB] Created "jobs" store');
+        }
       };
     });
   }
@@ -433,6 +476,43 @@ class IndexedDBStorage {
     });
   }
 
+  /**
+   * Get all entities
+   * @returns {Promise<Array<Object>>} Entities with name, type and tabIds
+   */
+  async getAllEntities() {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('entities', 'readonly');
+      const store = tx.objectStore('entities');
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Save the entities found in one tab
+   * Types are stored like importFromAnalysisFile does ("peopl", "organization", ...)
+   * @param {string} tabId - Tab ID (the tab URL, like analysis tab IDs)
+   * @param {Object} entities - { people: [{ word }], organizations, locations, misc }
+   * @returns {Promise<number>} Number of entities saved
+   */
+  async saveTabEntities(tabId, entities) {
+    let count = 0;
+
+    for (const type of ['people', 'organizations', 'locations', 'misc']) {
+      for (const entity of entities[type] || []) {
+        await this.saveEntity(entity.word || entity.text || entity, type.slice(0, -1), [tabId]);
+        count++;
+      }
+    }
+
+    return count;
+  }
+
   /**
    * Save embedding vector
    * @param {string} tabId - Tab ID
@@ -457,6 +537,216 @@ class IndexedDBStorage {
     });
   }
 
+  /**
+   * Get all embeddings
+   * @returns {Promise<Array<Object>>} [{ tabId, vector, computedAt }]
+   */
+  async getAllEmbeddings() {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('embeddings', 'readonly');
+      const store = tx.objectStore('embeddings');
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Save a search index
+   * @param {Object} record - Index state with its `indexId`
+   * @returns {Promise<void>}
+   */
+  async saveIndex(record) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('indexes', 'readwrite');
+      const request = tx.objectStore('indexes').put(record);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get a search index
+   * @param {string} indexId - Index ID
+   * @returns {Promise<Object|null>} Index state or null
+   */
+  async getIndex(indexId) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('indexes', 'readonly');
+      const request = tx.objectStore('indexes').get(indexId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Save a background job
+   * @param {Object} job - Job state with its `jobId`
+   * @returns {Promise<void>}
+   */
+  async saveJob(job) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('jobs', 'readwrite');
+      const request = tx.objectStore('jobs').put(job);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get a background job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job state or null
+   */
+  async getJob(jobId) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('jobs', 'readonly');
+      const request = tx.objectStore('jobs').get(jobId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Archive a deleted tab in the graveyard
+   * @param {Object} entry - { url, title, metadata, classification, deletedAt, ... }
+   * @returns {Promise<number>} Generated entry ID
+   */
+  async saveGraveyardEntry(entry) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('graveyard', 'readwrite');
+      const store = tx.objectStore('graveyard');
+      const request = store.add(entry);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get all graveyard entries, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getGraveyardEntries() {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('graveyard', 'readonly');
+      const index = tx.objectStore('graveyard').index('deletedAt');
+      const request = index.getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete graveyard entries
+   * @param {Array<number>} entryIds - Entry IDs
+   * @returns {Promise<void>}
+   */
+  async deleteGraveyardEntries(entryIds) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('graveyard', 'readwrite');
+      const store = tx.objectStore('graveyard');
+
+      for (const entryId of entryIds) {
+        store.delete(entryId);
+      }
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Save a tab snapshot
+   * @param {Object} snapshot - { name, createdAt, query, tabs }
+   * @returns {Promise<number>} Generated snapshot ID
+   */
+  async saveSnapshot(snapshot) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('snapshots', 'readwrite');
+      const store = tx.objectStore('snapshots');
+      const request = store.add(snapshot);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get a tab snapshot by ID
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {Promise<Object|null>}
+   */
+  async getSnapshot(snapshotId) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('snapshots', 'readonly');
+      const request = tx.objectStore('snapshots').get(snapshotId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get all tab snapshots, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getSnapshots() {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('snapshots', 'readonly');
+      const index = tx.objectStore('snapshots').index('createdAt');
+      const request = index.getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete a tab snapshot
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {Promise<void>}
+   */
+  async deleteSnapshot(snapshotId) {
+    const db = await this.init();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('snapshots', 'readwrite');
+      tx.objectStore('snapshots').delete(snapshotId);
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
   /**
    * Import analysis JSON file into IndexedDB
    * @param {Object} analysisData - Parsed analysis JSON
@@ -632,12 +922,13 @@ class IndexedDBStorage {
     const db = await this.init();
 
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(['tabs', 'content', 'entities', 'embeddings'], 'readwrite');
+      const tx = db.transaction(['tabs', 'content', 'entities', 'embeddings', 'indexes'], 'readwrite');
 
       tx.objectStore('tabs').clear();
       tx.objectStore('content').clear();
       tx.objectStore('entities').clear();
       tx.objectStore('embeddings').clear();
+      tx.objectStore('indexes').clear();
 
       tx.oncomplete = () => {
         console.log('[IndexedDB] All data cleared');
@@ -308,9 +308,9 @@ class MetadataManager {
 
     console.log(`Prefetching metadata for ${needsMetadata.length} tabs`);
 
-    // Separate local vs synced tabs
+    // Separate local vs synced/imported tabs
     const localTabs = needsMetadata.filter(t => t.source === 'local');
-    const syncedTabs = needsMetadata.filter(t => t.source === 'synced');
+    const syncedTabs = needsMetadata.filter(t => t.source !== 'local');
 
     // Fetch local tabs via content scripts
     if (localTabs.length > 0) {
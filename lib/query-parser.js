@@ -6,15 +6,109 @@
  * - "age > 7d"
  * - "domain: example.com AND age > 14d"
  * - "title: search term"
+ * - "domain:github.com OR domain:gitlab.com -title:issue"
+ * - "(domain:github.com OR domain:gitlab.com) NOT age>1y"
+ * - "type:communication entity:person:\"Ada Lovelace\" visits>10 reading>10m"
+ * - "accessed:2025-01-01..2025-03-31", "after:2024-06 age:thisweek"
+ * - "title:/v\d+\.\d+/ ~lovelce", "url:*.example.com/docs/*"
+ * - "source:synced device:\"Pixel 7\""
+ * - "semantic:\"papers about protein folding\" age<1m"
  *
- * MVP: Simple regex-based parsing
- * TODO: Phase 3 - Build proper AST parser with syntax highlighting
+ * Pipeline: lex() -> tokens -> recursive-descent parser -> AST
+ *
+ * Grammar (OR binds looser than AND, AND is implicit between terms):
+ *   query   := or
+ *   or      := and ("OR" and)*
+ *   and     := unary (["AND"] unary)*
+ *   unary   := ("NOT" | "-") unary | primary
+ *   primary := "(" or ")" | field | text
+ *
+ * AST nodes:
+ *   { type: 'and' | 'or', children: [node, ...] }
+ *   { type: 'not', child: node }
+ *   { type: 'field', field, operator, value, start, end, ...parsed value }
+ *     parsed value: days (age), number (visits), minutes (reading),
+ *     entityType + name (entity), from/to timestamps or null (accessed,
+ *     before, after, and named age periods like age:thisweek)
+ *   { type: 'text', value, quoted, mode, start, end }
+ *     mode: 'plain' (substring), 'regex' (/pattern/flags, adds pattern + flags)
+ *     or 'fuzzy' (~term: typo tolerant, accent-insensitive);
+ *     domain/url/title field nodes carry the same mode
+ *
+ * Tooling on top of the lexer: validate(), getSuggestions(), tokenize()
  */
 
 class QueryParser {
+  constructor() {
+    // Known fields and the operators they accept
+    // ':' on a comparison field is treated as '='
+    // `values` feed autocomplete; 'enum' fields also reject anything else
+    // `examples` and `units` feed autocomplete for comparison fields
+    const comparison = ['>', '>=', '<', '<=', '=', ':'];
+    this.FIELDS = {
+      // `match` lists the extra matching modes a text field accepts:
+      // regex (/pattern/flags), glob (* wildcards) and fuzzy (~term)
+      domain: { type: 'text', operators: [':'], match: ['regex', 'glob'] },
+      title: { type: 'text', operators: [':'], match: ['regex', 'fuzzy'] },
+      url: { type: 'text', operators: [':'], match: ['regex', 'glob'] },
+      age: { type: 'age', operators: comparison, units: ['d', 'w', 'm', 'y'], examples: ['today', 'yesterday', 'thisweek', '1w', '2w', '1m', '6m', '1y'] },
+      // Absolute dates (local time): accessed:2025-01-01..2025-03-31, before:2025-01, after:2024
+      accessed: { type: 'daterange', operators: [':'] },
+      before: { type: 'date', operators: [':'], bound: 'before' },
+      after: { type: 'date', operators: [':'], bound: 'after' },
+      group: { type: 'text', operators: [':'], values: ['main', 'staging', 'bin'] },
+      // Data source (see TabSources) and Sync device name: source:synced device:"Pixel 7"
+      source: { type: 'enum', operators: [':'], values: ['local', 'synced', 'imported', 'analysis'] },
+      device: { type: 'text', operators: [':'], match: ['regex'] },
+      // Mirrors MLClassifier.LABELS (not loaded on every page)
+      intent: { type: 'enum', operators: [':'], values: ['informational', 'navigational', 'transactional'] },
+      status: { type: 'enum', operators: [':'], values: ['to-read', 'to-do', 'reference', 'maybe', 'done'] },
+      type: { type: 'enum', operators: [':'], values: ['content', 'communication', 'search'], dimension: 'contentType' },
+      // Named entities from tab analysis: entity:person:"Ada Lovelace" or entity:Lovelace
+      entity: { type: 'entity', operators: [':'], values: ['person:', 'org:', 'location:', 'misc:'] },
+      // Browser history visit count
+      visits: { type: 'number', operators: comparison, examples: ['5', '10', '50', '100'] },
+      // Mirrors the categorizer categories (history categories also match)
+      category: { type: 'text', operators: [':'], values: ['tech', 'reading', 'videos', 'sorties', 'shopping', 'social', 'work', 'other'] },
+      // Estimated reading time: reading>10m, reading<1h
+      reading: { type: 'duration', operators: comparison, units: ['m', 'h'], examples: ['5m', '10m', '30m', '1h'] },
+      // Natural-language match on the analysis embeddings: semantic:"papers about protein folding"
+      semantic: { type: 'semantic', operators: [':'] }
+    };
+
+    // Entity type aliases, normalized to the NER tags (PER, ORG, LOC, MISC)
+    this.ENTITY_TYPES = {
+      person: 'PER',
+      people: 'PER',
+      per: 'PER',
+      org: 'ORG',
+      organization: 'ORG',
+      location: 'LOC',
+      loc: 'LOC',
+      place: 'LOC',
+      misc: 'MISC'
+    };
+
+    this.MAX_SUGGESTIONS = 8;
+    this.DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Named periods accepted by age and date fields (see parseRelativeRange)
+    this.RELATIVE_PERIODS = ['today', 'yesterday', 'thisweek', 'thismonth', 'thisyear'];
+
+    this.KEYWORDS = {
+      OR: 'or',
+      AND: 'and',
+      NOT: 'not'
+    };
+  }
+
   /**
    * Parse a query string into filter objects
    * Mixed mode: "claude memory age>7d" -> text:"claude memory" + age:7d
+   *
+   * The flat fields (domain, age, title, url, text) reflect the first
+   * positive top-level occurrence of each filter, for simple consumers.
+   * `ast` holds the full expression and is what TabQuery evaluates.
    * @param {string} queryString - The query to parse
    * @returns {Object} Parsed filters
    */
@@ -24,118 +118,1383 @@ class QueryParser {
       age: null,
       title: null,
       url: null,
-      text: null  // Free text search (searches title + url)
+      text: null,  // Free text search (searches title + url)
+      ast: null
     };
 
     if (!queryString || queryString.trim() === '') {
       return filters;
     }
 
-    let remainingText = queryString;
-
-    // Extract known filters and remove them from text
-    // Domain filter: "domain: example.com" or "domain:example.com"
-    const domainMatch = remainingText.match(/domain:\s*([^\s]+)/i);
-    if (domainMatch) {
-      filters.domain = domainMatch[1];
-      remainingText = remainingText.replace(domainMatch[0], '');
-    }
-
-    // Age filter: "age > 7d", "age >= 1w", "age < 30d", "age = today", etc.
-    // Supports operators: >, >=, <, <=, =
-    // Supports units: d (days), w (weeks), m (months), y (years), or "today"
-    const ageMatch = remainingText.match(/age\s*(>=|<=|>|<|=)\s*(\d+[dwmy]|today)/i);
-    if (ageMatch) {
-      const operator = ageMatch[1];
-      const value = ageMatch[2].toLowerCase();
-
-      // Parse value to days
-      let days;
-      if (value === 'today') {
-        days = 0;
-        filters.age = { operator: '=', days: 0 };
-      } else {
-        const num = parseInt(value);
-        const unit = value.slice(-1);
-
-        switch (unit) {
-          case 'd':
-            days = num;
-            break;
-          case 'w':
-            days = num * 7;
-            break;
-          case 'm':
-            days = num * 30; // Approximate month
-            break;
-          case 'y':
-            days = num * 365; // Approximate year
-            break;
-          default:
-            days = num;
+    filters.ast = this.parseAST(queryString);
+
+    // Flatten top-level AND terms for backward compatibility
+    const topLevel = filters.ast?.type === 'and' ? filters.ast.children : [filters.ast];
+    const textParts = [];
+
+    for (const node of topLevel) {
+      if (!node) continue;
+
+      if (node.type === 'text') {
+        textParts.push(node.value);
+      } else if (node.type === 'field') {
+        if (node.field === 'age' && !filters.age) {
+          filters.age = { operator: node.operator, days: node.days };
+        } else if (node.field !== 'age' && filters[node.field] === null) {
+          filters[node.field] = node.value;
         }
+      }
+    }
+
+    if (textParts.length > 0) {
+      filters.text = textParts.join(' ');
+    }
+
+    return filters;
+  }
+
+  /**
+   * Parse a query string into an AST
+   * Tolerant: stray ")" are skipped, missing ")" are closed at the end,
+   * and malformed field terms fall back to free text
+   * @param {string} queryString - The query to parse
+   * @returns {Object|null} Root AST node, or null for an empty query
+   */
+  parseAST(queryString) {
+    const state = { tokens: this.lex(queryString), pos: 0 };
+    const parts = [];
 
-        filters.age = { operator, days };
+    while (state.pos < state.tokens.length) {
+      const node = this.parseOr(state);
+      if (node) {
+        parts.push(node);
       }
 
-      remainingText = remainingText.replace(ageMatch[0], '');
+      // Skip stray closing parenthesis and keep going
+      if (this.peek(state)?.type === 'rparen') {
+        state.pos++;
+      }
     }
 
-    // Title filter: "title: some text" or "title:text"
-    const titleMatch = remainingText.match(/title:\s*"([^"]+)"|title:\s*(\S+)/i);
-    if (titleMatch) {
-      filters.title = titleMatch[1] || titleMatch[2];
-      remainingText = remainingText.replace(titleMatch[0], '');
+    return this.makeGroup('and', parts);
+  }
+
+  /**
+   * or := and ("OR" and)*
+   */
+  parseOr(state) {
+    const children = [this.parseAnd(state)];
+
+    while (this.peek(state)?.type === 'or') {
+      state.pos++;
+      children.push(this.parseAnd(state));
     }
 
-    // URL filter: "url: *example*" or "url:pattern"
-    const urlMatch = remainingText.match(/url:\s*"([^"]+)"|url:\s*(\S+)/i);
-    if (urlMatch) {
-      filters.url = urlMatch[1] || urlMatch[2];
-      remainingText = remainingText.replace(urlMatch[0], '');
+    return this.makeGroup('or', children);
+  }
+
+  /**
+   * and := unary (["AND"] unary)*
+   */
+  parseAnd(state) {
+    const children = [];
+
+    while (state.pos < state.tokens.length) {
+      const token = this.peek(state);
+
+      if (token.type === 'rparen' || token.type === 'or') {
+        break;
+      }
+
+      if (token.type === 'and') {
+        state.pos++;
+        continue;
+      }
+
+      children.push(this.parseUnary(state));
     }
 
-    // Whatever text remains is free text search
-    remainingText = remainingText.trim();
-    if (remainingText) {
-      filters.text = remainingText;
+    return this.makeGroup('and', children);
+  }
+
+  /**
+   * unary := ("NOT" | "-") unary | primary
+   */
+  parseUnary(state) {
+    if (this.peek(state)?.type === 'not') {
+      state.pos++;
+      const child = this.parseUnary(state);
+      return child ? { type: 'not', child } : null;
     }
 
-    return filters;
+    return this.parsePrimary(state);
+  }
+
+  /**
+   * primary := "(" or ")" | field | text
+   */
+  parsePrimary(state) {
+    const token = state.tokens[state.pos++];
+
+    if (!token) {
+      return null;
+    }
+
+    switch (token.type) {
+      case 'lparen': {
+        const node = this.parseOr(state);
+        if (this.peek(state)?.type === 'rparen') {
+          state.pos++;
+        }
+        return node;
+      }
+      case 'field':
+        return this.buildFieldNode(token);
+      case 'text':
+        return this.applyMatchMode({
+          type: 'text',
+          value: token.value,
+          quoted: token.quoted,
+          mode: 'plain',
+          start: token.start,
+          end: token.end
+        }, token, ['regex', 'fuzzy']);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Build a field node from a field token
+   * Unknown fields, bad operators and unparseable values become free text
+   * @param {Object} token - Field token from lex()
+   * @returns {Object} Field or text node
+   */
+  buildFieldNode(token) {
+    const definition = this.FIELDS[token.field];
+    const asText = {
+      type: 'text',
+      value: token.raw,
+      quoted: false,
+      mode: 'plain',
+      start: token.start,
+      end: token.end
+    };
+
+    if (!definition || !definition.operators.includes(token.operator) || token.value === '') {
+      return asText;
+    }
+
+    const node = {
+      type: 'field',
+      field: token.field,
+      operator: token.operator,
+      value: token.value,
+      start: token.start,
+      end: token.end
+    };
+
+    if (token.operator === ':' && definition.operators.length > 1) {
+      node.operator = '=';
+    }
+
+    switch (definition.type) {
+      case 'age': {
+        node.days = this.parseAge(token.value);
+        if (node.days === null) {
+          return asText;
+        }
+        // Named periods compare against calendar boundaries, not whole days
+        const period = this.parseRelativeRange(token.value.toLowerCase());
+        if (period) {
+          node.from = period.from.getTime();
+          node.to = period.to.getTime();
+        }
+        break;
+      }
+      case 'date': {
+        // before: accessed before the period starts; after: after it ends
+        const period = this.parseDatePeriod(token.value);
+        if (!period) {
+          return asText;
+        }
+        node.from = definition.bound === 'after' ? period.to.getTime() : null;
+        node.to = definition.bound === 'before' ? period.from.getTime() : null;
+        break;
+      }
+      case 'daterange': {
+        const range = this.parseDateRange(token.value);
+        if (!range) {
+          return asText;
+        }
+        node.from = range.from ? range.from.getTime() : null;
+        node.to = range.to ? range.to.getTime() : null;
+        break;
+      }
+      case 'number':
+        node.number = this.parseNumber(token.value);
+        if (node.number === null) {
+          return asText;
+        }
+        break;
+      case 'duration':
+        node.minutes = this.parseDuration(token.value);
+        if (node.minutes === null) {
+          return asText;
+        }
+        break;
+      case 'enum':
+        node.value = token.value.toLowerCase();
+        if (!definition.values.includes(node.value)) {
+          return asText;
+        }
+        break;
+      case 'entity':
+        Object.assign(node, this.parseEntity(token.value));
+        if (!node.name) {
+          return asText;
+        }
+        break;
+    }
+
+    if (definition.match) {
+      node.mode = 'plain';
+      this.applyMatchMode(node, token, definition.match);
+      if (node.mode === 'fuzzy' && !node.value) {
+        return asText;
+      }
+    }
+
+    return node;
+  }
+
+  /**
+   * Switch a text or field node to regex or fuzzy matching
+   * Invalid regular expressions stay plain substring matches
+   * @param {Object} node - Node with mode 'plain'
+   * @param {Object} token - Token from lex() (regex / fuzzy flags)
+   * @param {Array<string>} modes - Modes allowed here
+   * @returns {Object} The node
+   */
+  applyMatchMode(node, token, modes) {
+    if (token.regex && modes.includes('regex') && !this.checkRegExp(token.regex)) {
+      node.mode = 'regex';
+      node.pattern = token.regex.pattern;
+      node.flags = token.regex.flags;
+    } else if (token.fuzzy && modes.includes('fuzzy')) {
+      node.mode = 'fuzzy';
+      // Field values keep the "~" prefix from the lexer
+      node.value = token.type === 'field' ? node.value.slice(1) : node.value;
+    }
+    return node;
+  }
+
+  /**
+   * Check that a regex literal compiles
+   * @param {Object} regex - { pattern, flags }
+   * @returns {string|null} Error message or null if valid
+   */
+  checkRegExp(regex) {
+    try {
+      new RegExp(regex.pattern, regex.flags);
+      return null;
+    } catch (error) {
+      // Drop the engine's "Invalid regular expression: /x/: " prefix
+      const reason = error.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '');
+      return `Invalid regular expression (${reason})`;
+    }
+  }
+
+  /**
+   * Parse an age value to days
+   * Supports units: d (days), w (weeks), m (months), y (years), and the
+   * named periods of parseRelativeRange ("today", "yesterday", "thisweek"...)
+   * Months and years follow the calendar: on March 31, "1m" reaches back
+   * to February 28 (31 days)
+   * @param {string} value - e.g. "7d", "2w", "1m", "today"
+   * @param {Date} now - Reference date (default: current time)
+   * @returns {number|null} Days, or null if malformed
+   */
+  parseAge(value, now = new Date()) {
+    const lower = value.toLowerCase();
+
+    const period = this.parseRelativeRange(lower, now);
+    if (period) {
+      return this.daysBetween(period.from, now);
+    }
+
+    const match = lower.match(/^(\d+)([dwmy])$/);
+    if (!match) {
+      return null;
+    }
+
+    const num = parseInt(match[1]);
+
+    switch (match[2]) {
+      case 'd':
+        return num;
+      case 'w':
+        return num * 7;
+      case 'm':
+        return this.daysBetween(this.shiftMonths(now, -num), now);
+      case 'y':
+        return this.daysBetween(this.shiftMonths(now, -num * 12), now);
+      default:
+        return num;
+    }
+  }
+
+  /**
+   * Resolve a named period to calendar boundaries (local time)
+   * Weeks start on Monday
+   * @param {string} value - today, yesterday, thisweek, thismonth or thisyear
+   * @param {Date} now - Reference date (default: current time)
+   * @returns {Object|null} { from, to } Dates (to is exclusive), or null if unknown
+   */
+  parseRelativeRange(value, now = new Date()) {
+    const today = this.startOfDay(now);
+
+    switch (value) {
+      case 'today':
+        return { from: today, to: this.addDays(today, 1) };
+      case 'yesterday':
+        return { from: this.addDays(today, -1), to: today };
+      case 'thisweek': {
+        const monday = this.addDays(today, -((today.getDay() + 6) % 7));
+        return { from: monday, to: this.addDays(monday, 7) };
+      }
+      case 'thismonth':
+        return {
+          from: new Date(today.getFullYear(), today.getMonth(), 1),
+          to: new Date(today.getFullYear(), today.getMonth() + 1, 1)
+        };
+      case 'thisyear':
+        return {
+          from: new Date(today.getFullYear(), 0, 1),
+          to: new Date(today.getFullYear() + 1, 0, 1)
+        };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse an ISO date (YYYY-MM-DD, YYYY-MM or YYYY) or named period
+   * to the calendar period it covers (local time)
+   * @param {string} value - e.g. "2025-03-31", "2025-03", "2025", "yesterday"
+   * @param {Date} now - Reference date for named periods
+   * @returns {Object|null} { from, to } Dates (to is exclusive), or null if malformed
+   */
+  parseDatePeriod(value, now = new Date()) {
+    const lower = value.toLowerCase();
+    const match = lower.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+
+    if (!match) {
+      return this.parseRelativeRange(lower, now);
+    }
+
+    const year = parseInt(match[1]);
+    if (match[2] === undefined) {
+      return { from: new Date(year, 0, 1), to: new Date(year + 1, 0, 1) };
+    }
+
+    const month = parseInt(match[2]) - 1;
+    if (month < 0 || month > 11) {
+      return null;
+    }
+    if (match[3] === undefined) {
+      return { from: new Date(year, month, 1), to: new Date(year, month + 1, 1) };
+    }
+
+    const day = parseInt(match[3]);
+    const from = new Date(year, month, day);
+    // Reject overflowing days such as 2025-02-30
+    if (from.getMonth() !== month || from.getDate() !== day) {
+      return null;
+    }
+    return { from, to: this.addDays(from, 1) };
+  }
+
+  /**
+   * Parse a date range "START..END" (both inclusive, either side optional)
+   * or a single date period
+   * @param {string} value - e.g. "2025-01-01..2025-03-31", "2025-01..", "..2024"
+   * @param {Date} now - Reference date for named periods
+   * @returns {Object|null} { from, to } Dates or null for an open side;
+   *   null if malformed or reversed
+   */
+  parseDateRange(value, now = new Date()) {
+    const separator = value.indexOf('..');
+
+    if (separator === -1) {
+      return this.parseDatePeriod(value, now);
+    }
+
+    const startValue = value.slice(0, separator);
+    const endValue = value.slice(separator + 2);
+    if (!startValue && !endValue) {
+      return null;
+    }
+
+    const start = startValue ? this.parseDatePeriod(startValue, now) : null;
+    const end = endValue ? this.parseDatePeriod(endValue, now) : null;
+    if ((startValue && !start) || (endValue && !end)) {
+      return null;
+    }
+    if (start && end && start.from >= end.to) {
+      return null;
+    }
+
+    return { from: start ? start.from : null, to: end ? end.to : null };
+  }
+
+  /**
+   * Move a date by whole calendar months, clamping to the end of shorter
+   * months (March 31 - 1 month = February 28/29)
+   * @param {Date} date - Start date
+   * @param {number} months - Months to add (negative to go back)
+   * @returns {Date} New date
+   */
+  shiftMonths(date, months) {
+    const result = new Date(date.getTime());
+    const day = result.getDate();
+
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(day, lastDay));
+    return result;
+  }
+
+  /**
+   * Local midnight of a date
+   */
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Add calendar days (DST-safe)
+   */
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  /**
+   * Whole calendar days between two dates (DST-safe)
+   */
+  daysBetween(from, to) {
+    return Math.round((this.startOfDay(to) - this.startOfDay(from)) / this.DAY_MS);
+  }
+
+  /**
+   * Parse a non-negative integer value
+   * @param {string} value - e.g. "10"
+   * @returns {number|null} Number, or null if malformed
+   */
+  parseNumber(value) {
+    return /^\d+$/.test(value) ? parseInt(value) : null;
+  }
+
+  /**
+   * Parse a duration value to minutes
+   * Supports units: m (minutes), h (hours), combined ("1h30m"), or bare minutes
+   * @param {string} value - e.g. "10m", "1h", "1h30m", "15"
+   * @returns {number|null} Minutes, or null if malformed
+   */
+  parseDuration(value) {
+    const match = value.toLowerCase().match(/^(?:(\d+)h)?(?:(\d+)m?)?$/);
+    if (!match || (match[1] === undefined && match[2] === undefined)) {
+      return null;
+    }
+
+    return parseInt(match[1] || 0) * 60 + parseInt(match[2] || 0);
+  }
+
+  /**
+   * Parse an entity value into an optional type and a name
+   * "person:Ada Lovelace" -> { entityType: 'PER', name: 'ada lovelace' }
+   * A prefix that is not a known entity type is kept as part of the name
+   * @param {string} value - Entity value with quotes already removed
+   * @returns {Object} { entityType, name } with a lowercased name
+   */
+  parseEntity(value) {
+    const separator = value.indexOf(':');
+    const entityType = separator > 0
+      ? this.ENTITY_TYPES[value.slice(0, separator).toLowerCase()]
+      : undefined;
+
+    if (entityType) {
+      return { entityType, name: value.slice(separator + 1).trim().toLowerCase() };
+    }
+
+    return { entityType: null, name: value.trim().toLowerCase() };
+  }
+
+  /**
+   * Split a query string into tokens with character offsets
+   *
+   * Token types: lparen, rparen, or, and, not, field, text
+   * Field tokens carry { field, operator, value, raw }; `value` has quotes removed
+   * @param {string} queryString - Query to lex
+   * @returns {Array} Array of {type, value, start, end, ...} tokens
+   */
+  lex(queryString) {
+    const input = queryString || '';
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+      const ch = input[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', value: ch, start: i, end: i + 1 });
+        i++;
+        continue;
+      }
+
+      // "-term" negation (a lone "-" is plain text)
+      if (ch === '-' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+        tokens.push({ type: 'not', value: '-', start: i, end: i + 1 });
+        i++;
+        continue;
+      }
+
+      if (ch === '"') {
+        const quoted = this.readQuoted(input, i);
+        tokens.push({
+          type: 'text',
+          value: quoted.value,
+          quoted: true,
+          closed: quoted.closed,
+          start: i,
+          end: quoted.end
+        });
+        i = quoted.end;
+        continue;
+      }
+
+      // "~term" / ~"some phrase" fuzzy text
+      if (ch === '~' && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+        const quoted = input[i + 1] === '"';
+        const word = quoted ? this.readQuoted(input, i + 1) : this.readValue(input, i + 1);
+        tokens.push({
+          type: 'text',
+          value: word.value,
+          quoted,
+          closed: word.closed,
+          fuzzy: true,
+          start: i,
+          end: word.end
+        });
+        i = word.end;
+        continue;
+      }
+
+      // "/pattern/flags" regex text
+      const regex = ch === '/' ? this.readRegex(input, i) : null;
+      if (regex) {
+        tokens.push({
+          type: 'text',
+          value: regex.raw,
+          quoted: false,
+          regex: { pattern: regex.pattern, flags: regex.flags },
+          start: i,
+          end: regex.end
+        });
+        i = regex.end;
+        continue;
+      }
+
+      const field = this.readField(input, i);
+      if (field) {
+        tokens.push(field);
+        i = field.end;
+        continue;
+      }
+
+      const word = this.readValue(input, i);
+      const keyword = this.KEYWORDS[word.value];
+      tokens.push({
+        type: keyword || 'text',
+        value: word.value,
+        quoted: false,
+        start: i,
+        end: word.end
+      });
+      i = word.end;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Try to read a "field OP value" term at position
+   * Whitespace around the operator is only allowed for known fields
+   * ("domain: example.com", "age > 7d"), so "note: buy milk" stays text
+   * @param {string} input - Full query
+   * @param {number} start - Start offset
+   * @returns {Object|null} Field token or null
+   */
+  readField(input, start) {
+    const nameMatch = /[A-Za-z][A-Za-z_]*/y;
+    nameMatch.lastIndex = start;
+    const name = nameMatch.exec(input);
+    if (!name) {
+      return null;
+    }
+
+    const field = name[0].toLowerCase();
+    const known = field in this.FIELDS;
+    let pos = start + name[0].length;
+
+    const opMatch = known ? /\s*(>=|<=|>|<|=|:)/y : /(>=|<=|>|<|=|:)/y;
+    opMatch.lastIndex = pos;
+    const op = opMatch.exec(input);
+    if (!op) {
+      return null;
+    }
+
+    // Leave URLs such as "https://..." to free text
+    if (op[1] === ':' && input.startsWith('//', opMatch.lastIndex)) {
+      return null;
+    }
+
+    const operatorStart = opMatch.lastIndex - op[1].length;
+    pos = opMatch.lastIndex;
+    if (known) {
+      while (pos < input.length && /[ \t]/.test(input[pos])) {
+        pos++;
+      }
+    }
+
+    const value = this.readValue(input, pos);
+
+    return {
+      type: 'field',
+      field,
+      operator: op[1],
+      value: value.value,
+      quoted: value.quoted,
+      closed: value.closed,
+      regex: value.regex || null,
+      fuzzy: input[pos] === '~',
+      raw: input.slice(start, value.end),
+      start,
+      end: value.end,
+      operatorStart,
+      valueStart: pos
+    };
+  }
+
+  /**
+   * Read a bare or quoted value
+   * Stops at whitespace or at an unbalanced ")"; quoted segments may contain
+   * spaces ("title:\"search term\"", "entity:person:\"Ada Lovelace\"")
+   * @param {string} input - Full query
+   * @param {number} start - Start offset
+   * @returns {Object} { value, end, quoted, closed }
+   */
+  readValue(input, start) {
+    const regex = input[start] === '/' ? this.readRegex(input, start) : null;
+    if (regex) {
+      return {
+        value: regex.raw,
+        end: regex.end,
+        quoted: false,
+        closed: true,
+        regex: { pattern: regex.pattern, flags: regex.flags }
+      };
+    }
+
+    let value = '';
+    let depth = 0;
+    let quoted = false;
+    let closed = true;
+    let i = start;
+
+    while (i < input.length) {
+      const ch = input[i];
+
+      if (/\s/.test(ch)) {
+        break;
+      }
+
+      if (ch === '"') {
+        const segment = this.readQuoted(input, i);
+        value += segment.value;
+        quoted = true;
+        closed = closed && segment.closed;
+        i = segment.end;
+        continue;
+      }
+
+      if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        if (depth === 0) {
+          break;
+        }
+        depth--;
+      }
+
+      value += ch;
+      i++;
+    }
+
+    return { value, end: i, quoted, closed };
+  }
+
+  /**
+   * Try to read a "/pattern/flags" regex literal
+   * The literal may contain spaces and parentheses, must end at whitespace,
+   * ")" or the end of the query, and only takes the i, m, s and u flags
+   * (so paths such as "/docs/intro" stay plain text)
+   * @param {string} input - Full query
+   * @param {number} start - Offset of the opening "/"
+   * @returns {Object|null} { pattern, flags, raw, end } or null
+   */
+  readRegex(input, start) {
+    let i = start + 1;
+    let inClass = false;
+
+    while (i < input.length) {
+      const ch = input[i];
+      if (ch === '\\') {
+        i += 2;
+        continue;
+      }
+      if (ch === '[') {
+        inClass = true;
+      } else if (ch === ']') {
+        inClass = false;
+      } else if (ch === '/' && !inClass) {
+        break;
+      }
+      i++;
+    }
+
+    if (i >= input.length || i === start + 1) {
+      return null;
+    }
+
+    const flagMatch = /[a-z]*/y;
+    flagMatch.lastIndex = i + 1;
+    const flags = flagMatch.exec(input)[0];
+    const end = i + 1 + flags.length;
+
+    if (end < input.length && !/[\s)]/.test(input[end])) {
+      return null;
+    }
+    if (!/^[imsu]*$/.test(flags) || new Set(flags).size !== flags.length) {
+      return null;
+    }
+
+    return { pattern: input.slice(start + 1, i), flags, raw: input.slice(start, end), end };
+  }
+
+  /**
+   * Read a double-quoted string starting at the opening quote
+   * @param {string} input - Full query
+   * @param {number} start - Offset of the opening quote
+   * @returns {Object} { value, end, closed }
+   */
+  readQuoted(input, start) {
+    const close = input.indexOf('"', start + 1);
+
+    if (close === -1) {
+      return { value: input.slice(start + 1), end: input.length, closed: false };
+    }
+
+    return { value: input.slice(start + 1, close), end: close + 1, closed: true };
+  }
+
+  /**
+   * Peek at the current token
+   */
+  peek(state) {
+    return state.tokens[state.pos];
+  }
+
+  /**
+   * Collapse a list of children into an and/or node
+   * @param {string} type - 'and' or 'or'
+   * @param {Array} children - Child nodes (nulls are dropped)
+   * @returns {Object|null} Group node, single child, or null
+   */
+  makeGroup(type, children) {
+    const kept = children.filter(Boolean);
+
+    if (kept.length === 0) {
+      return null;
+    }
+    if (kept.length === 1) {
+      return kept[0];
+    }
+    return { type, children: kept };
   }
 
   /**
    * Validate a query string and return helpful error messages
+   * Reports unknown fields, bad operators, malformed values, unbalanced
+   * quotes/parentheses and dangling boolean keywords, with character offsets
    * @param {string} queryString - The query to validate
-   * @returns {Object} { valid: boolean, error: string|null }
+   * @returns {Object} { valid: boolean, error: string|null, errors: Array<{message, start, end}> }
    */
   validate(queryString) {
-    // TODO: Implement proper validation
-    // For now, just return valid
-    return { valid: true, error: null };
+    const tokens = this.lex(queryString);
+    const errors = [];
+    const openParens = [];
+    const needsTermAfter = ['or', 'and', 'not', 'lparen'];
+    const endsTerm = ['or', 'and', 'rparen'];
+
+    tokens.forEach((token, index) => {
+      const prev = tokens[index - 1];
+      const next = tokens[index + 1];
+
+      switch (token.type) {
+        case 'lparen':
+          openParens.push(token);
+          break;
+        case 'rparen':
+          if (openParens.length === 0) {
+            errors.push(this.createError('Unmatched closing parenthesis', token.start, token.end));
+          } else {
+            openParens.pop();
+          }
+          break;
+        case 'or':
+        case 'and':
+          if (!prev || !next || needsTermAfter.includes(prev.type) || endsTerm.includes(next.type)) {
+            errors.push(this.createError(`${token.value} needs a term on both sides`, token.start, token.end));
+          }
+          break;
+        case 'not':
+          if (!next || endsTerm.includes(next.type)) {
+            const keyword = token.value === '-' ? '"-"' : 'NOT';
+            errors.push(this.createError(`${keyword} must be followed by a term`, token.start, token.end));
+          }
+          break;
+        case 'text':
+          if (token.quoted && !token.closed) {
+            errors.push(this.createError('Unclosed quote', token.start, token.end));
+          } else if (token.regex && this.checkRegExp(token.regex)) {
+            errors.push(this.createError(this.checkRegExp(token.regex), token.start, token.end));
+          }
+          break;
+        case 'field':
+          errors.push(...this.validateField(token));
+          break;
+      }
+    });
+
+    for (const paren of openParens) {
+      errors.push(this.createError('Unclosed parenthesis', paren.start, paren.end));
+    }
+
+    errors.sort((a, b) => a.start - b.start);
+
+    return {
+      valid: errors.length === 0,
+      error: errors[0]?.message || null,
+      errors
+    };
+  }
+
+  /**
+   * Validate a single field token
+   * @param {Object} token - Field token from lex()
+   * @returns {Array<Object>} Errors (empty if valid)
+   */
+  validateField(token) {
+    const definition = this.FIELDS[token.field];
+
+    if (!definition) {
+      const suggestion = this.closestField(token.field);
+      const hint = suggestion
+        ? `did you mean "${suggestion}"?`
+        : `known fields: ${Object.keys(this.FIELDS).join(', ')}`;
+      return [this.createError(
+        `Unknown field "${token.field}" (${hint})`,
+        token.start,
+        token.start + token.field.length
+      )];
+    }
+
+    // "age>>7d", "age=<7d": extra operator characters end up in the value
+    const extraOperator = token.value.match(/^[<>=:]+/);
+    if (extraOperator && !token.quoted) {
+      return [this.createError(
+        `Invalid operator "${token.operator}${extraOperator[0]}"`,
+        token.operatorStart,
+        token.valueStart + extraOperator[0].length
+      )];
+    }
+
+    if (!definition.operators.includes(token.operator)) {
+      const allowed = definition.operators.map(op => `"${op}"`).join(', ');
+      return [this.createError(
+        `Operator "${token.operator}" is not supported for ${token.field} (use ${allowed})`,
+        token.operatorStart,
+        token.operatorStart + token.operator.length
+      )];
+    }
+
+    if (token.quoted && !token.closed) {
+      return [this.createError('Unclosed quote', token.valueStart, token.end)];
+    }
+
+    if (token.value === '') {
+      return [this.createError(`Missing value for ${token.field}`, token.start, token.end)];
+    }
+
+    const valueError = token.regex && definition.match?.includes('regex')
+      ? this.checkRegExp(token.regex)
+      : this.validateValue(definition, token.value);
+    if (valueError) {
+      return [this.createError(valueError, token.valueStart, token.end)];
+    }
+
+    return [];
+  }
+
+  /**
+   * Check a field value against its field type
+   * @param {Object} definition - Field definition from FIELDS
+   * @param {string} value - Raw value
+   * @returns {string|null} Error message or null if valid
+   */
+  validateValue(definition, value) {
+    switch (definition.type) {
+      case 'age':
+        return this.parseAge(value) === null
+          ? `Invalid age "${value}" (expected a number with d, w, m or y, or ${this.RELATIVE_PERIODS.join(', ')})`
+          : null;
+      case 'date':
+        return this.parseDatePeriod(value) === null
+          ? `Invalid date "${value}" (expected YYYY-MM-DD, YYYY-MM, YYYY or ${this.RELATIVE_PERIODS.join(', ')})`
+          : null;
+      case 'daterange':
+        if (this.parseDateRange(value) !== null) {
+          return null;
+        }
+        // Both sides valid on their own: the range is reversed
+        return value.split('..').length === 2 && value.split('..').every(part => part && this.parseDatePeriod(part))
+          ? `Date range "${value}" ends before it starts`
+          : `Invalid date range "${value}" (expected a date or START..END, e.g. 2025-01-01..2025-03-31)`;
+      case 'number':
+        return this.parseNumber(value) === null
+          ? `Invalid number "${value}"`
+          : null;
+      case 'duration':
+        return this.parseDuration(value) === null
+          ? `Invalid duration "${value}" (expected minutes or hours, e.g. 10m or 1h)`
+          : null;
+      case 'enum':
+        return definition.values.includes(value.toLowerCase())
+          ? null
+          : `Unknown value "${value}" (expected ${definition.values.join(', ')})`;
+      case 'entity':
+        return this.parseEntity(value).name
+          ? null
+          : 'Missing entity name';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Find the known field closest to a misspelled one
+   * @param {string} name - Unknown field name
+   * @returns {string|null} Closest field within 2 edits, or null
+   */
+  closestField(name) {
+    let best = null;
+    let bestDistance = 3;
+
+    for (const field of Object.keys(this.FIELDS)) {
+      const distance = this.editDistance(name, field);
+      if (distance < bestDistance) {
+        best = field;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Levenshtein distance between two short strings
+   */
+  editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Build a positioned validation error
+   */
+  createError(message, start, end) {
+    return { message, start, end };
   }
 
   /**
    * Get autocomplete suggestions for partial query
-   * TODO: Phase 3 - Implement autocomplete
+   *
+   * Looks at the word under the cursor:
+   * - "dom"      -> field names ("domain:")
+   * - "age"      -> comparison operators ("age>", "age>=", ...)
+   * - "age>3"    -> units ("3d", "3w", ...)
+   * - "domain:g" -> domains present in context.domains, ranked by tab count
+   * - "status:"  -> known values of the field
+   *
+   * Each suggestion replaces query[replaceStart, replaceEnd) with insertText.
    * @param {string} partialQuery - Partial query string
    * @param {number} cursorPosition - Cursor position in query
-   * @returns {Array} Array of suggestions
+   * @param {Object} context - { domains: {domain: count}, values: {field: [values]} }
+   * @returns {Array} Array of {type, label, insertText, replaceStart, replaceEnd, detail}
    */
-  getSuggestions(partialQuery, cursorPosition) {
-    // TODO: Implement autocomplete
-    return [];
+  getSuggestions(partialQuery, cursorPosition, context = {}) {
+    const query = partialQuery || '';
+    const cursor = cursorPosition ?? query.length;
+
+    // Current word: back to whitespace or "(", forward to whitespace
+    let wordStart = cursor;
+    while (wordStart > 0 && !/[\s(]/.test(query[wordStart - 1])) {
+      wordStart--;
+    }
+    let wordEnd = cursor;
+    while (wordEnd < query.length && !/\s/.test(query[wordEnd])) {
+      wordEnd++;
+    }
+
+    // Negation prefix is kept as-is
+    if (query[wordStart] === '-' && wordStart < cursor) {
+      wordStart++;
+    }
+
+    const prefix = query.slice(wordStart, cursor);
+    const term = prefix.match(/^([A-Za-z][A-Za-z_]*)(>=|<=|>|<|=|:)(.*)$/);
+
+    if (term && this.FIELDS[term[1].toLowerCase()]) {
+      const field = term[1].toLowerCase();
+      const valueStart = wordStart + term[1].length + term[2].length;
+      return this.suggestValues(field, term[3], valueStart, wordEnd, context)
+        .slice(0, this.MAX_SUGGESTIONS);
+    }
+
+    if (!/^[A-Za-z_]*$/.test(prefix)) {
+      return [];
+    }
+
+    return this.suggestFields(prefix, wordStart, wordEnd)
+      .slice(0, this.MAX_SUGGESTIONS);
+  }
+
+  /**
+   * Suggest field names, comparison operators and boolean keywords
+   * @param {string} prefix - Partial word
+   * @param {number} replaceStart - Start of the word
+   * @param {number} replaceEnd - End of the word
+   * @returns {Array} Suggestions
+   */
+  suggestFields(prefix, replaceStart, replaceEnd) {
+    const lower = prefix.toLowerCase();
+    const suggestions = [];
+    const definition = this.FIELDS[lower];
+
+    // Exact comparison field: offer its operators
+    if (definition && this.isComparisonField(definition)) {
+      for (const op of definition.operators.filter(op => op !== ':')) {
+        suggestions.push({
+          type: 'operator',
+          label: `${lower}${op}`,
+          insertText: `${lower}${op}`,
+          replaceStart,
+          replaceEnd,
+          detail: this.describeOperator(op, definition)
+        });
+      }
+      return suggestions;
+    }
+
+    for (const [field, fieldDef] of Object.entries(this.FIELDS)) {
+      if (field.startsWith(lower)) {
+        const comparison = this.isComparisonField(fieldDef);
+        const operator = comparison ? '>' : ':';
+        suggestions.push({
+          type: 'field',
+          label: `${field}${operator}`,
+          insertText: `${field}${operator}`,
+          replaceStart,
+          replaceEnd,
+          detail: comparison ? `e.g. ${field}>${fieldDef.examples[1]}` : `filter by ${field}`
+        });
+      }
+    }
+
+    // Boolean keywords are uppercase only, so only suggest them for uppercase input
+    if (prefix && prefix === prefix.toUpperCase()) {
+      for (const keyword of Object.keys(this.KEYWORDS)) {
+        if (keyword.startsWith(prefix) && keyword !== prefix) {
+          suggestions.push({
+            type: 'keyword',
+            label: keyword,
+            insertText: `${keyword} `,
+            replaceStart,
+            replaceEnd,
+            detail: 'boolean operator'
+          });
+        }
+      }
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Suggest values for a field
+   * @param {string} field - Field name
+   * @param {string} partial - Value typed so far
+   * @param {number} replaceStart - Start of the value
+   * @param {number} replaceEnd - End of the word
+   * @param {Object} context - Suggestion context
+   * @returns {Array} Suggestions
+   */
+  suggestValues(field, partial, replaceStart, replaceEnd, context) {
+    const definition = this.FIELDS[field];
+    const lower = partial.replace(/"/g, '').toLowerCase();
+    // Type prefixes such as "person:" keep the cursor in the term
+    const makeValue = (value, detail) => ({
+      type: 'value',
+      label: value,
+      insertText: value.endsWith(':') ? value : `${/\s/.test(value) ? `"${value}"` : value} `,
+      replaceStart,
+      replaceEnd,
+      detail
+    });
+
+    if (this.isComparisonField(definition)) {
+      const number = lower.match(/^\d+/);
+      if (number && definition.units) {
+        return definition.units
+          .map(unit => `${number[0]}${unit}`)
+          .filter(value => value.startsWith(lower))
+          .map(value => makeValue(value, this.describeValue(definition, value)));
+      }
+      return definition.examples
+        .filter(value => value.startsWith(lower))
+        .map(value => makeValue(value, this.describeValue(definition, value)));
+    }
+
+    if (definition.type === 'date' || definition.type === 'daterange') {
+      return this.dateExamples(definition)
+        .filter(([value]) => value.startsWith(lower))
+        .map(([value, detail]) => makeValue(value, detail));
+    }
+
+    if (field === 'domain') {
+      return Object.entries(context.domains || {})
+        .filter(([domain]) => domain.toLowerCase().includes(lower))
+        .sort((a, b) => {
+          // Prefix matches first, then by tab count
+          const aPrefix = a[0].toLowerCase().startsWith(lower);
+          const bPrefix = b[0].toLowerCase().startsWith(lower);
+          if (aPrefix !== bPrefix) {
+            return aPrefix ? -1 : 1;
+          }
+          return b[1] - a[1];
+        })
+        .map(([domain, count]) => makeValue(domain, count === 1 ? '1 tab' : `${count} tabs`));
+    }
+
+    const values = context.values?.[field] || definition.values || [];
+    return values
+      .filter(value => value.toLowerCase().includes(lower))
+      .sort((a, b) => Number(b.toLowerCase().startsWith(lower)) - Number(a.toLowerCase().startsWith(lower)))
+      .map(value => makeValue(value, field));
+  }
+
+  /**
+   * Whether a field compares values (age, visits, reading) rather than matching them
+   * @param {Object} definition - Field definition from FIELDS
+   * @returns {boolean}
+   */
+  isComparisonField(definition) {
+    return definition.operators.includes('>');
+  }
+
+  /**
+   * Human-readable description of a comparison operator
+   * @param {string} op - Comparison operator
+   * @param {Object} definition - Field definition from FIELDS
+   */
+  describeOperator(op, definition) {
+    const descriptions = definition.type === 'age'
+      ? { '>': 'older than', '<': 'newer than' }
+      : { '>': 'more than', '<': 'less than' };
+    const common = { '>=': 'at least', '<=': 'at most', '=': 'exactly' };
+    return descriptions[op] || common[op] || op;
+  }
+
+  /**
+   * Human-readable description of a comparison value
+   * @param {Object} definition - Field definition from FIELDS
+   * @param {string} value - Example value
+   */
+  describeValue(definition, value) {
+    switch (definition.type) {
+      case 'age':
+        return this.describeAge(value);
+      case 'duration': {
+        const minutes = this.parseDuration(value);
+        if (minutes === null) {
+          return '';
+        }
+        return minutes % 60 === 0 && minutes > 0
+          ? `${minutes / 60} hour${minutes === 60 ? '' : 's'} reading`
+          : `${minutes} minute${minutes === 1 ? '' : 's'} reading`;
+      }
+      case 'number':
+        return `${value} visit${value === '1' ? '' : 's'}`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Example values for date fields, relative to today
+   * @param {Object} definition - Field definition from FIELDS
+   * @returns {Array} [value, detail] pairs
+   */
+  dateExamples(definition) {
+    const today = this.startOfDay(new Date());
+    const iso = (date) => [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+    const month = iso(today).slice(0, 7);
+    const year = String(today.getFullYear());
+
+    if (definition.type === 'daterange') {
+      return [
+        ['today', 'accessed today'],
+        ['yesterday', 'accessed yesterday'],
+        ['thisweek', 'accessed since Monday'],
+        [month, 'this month'],
+        [`${iso(this.shiftMonths(today, -3))}..${iso(today)}`, 'last 3 months'],
+        [year, 'this year']
+      ];
+    }
+
+    return [
+      [iso(today), 'today'],
+      [month, 'this month'],
+      [year, 'this year'],
+      ['yesterday', 'yesterday'],
+      ['thisweek', 'this week']
+    ];
+  }
+
+  /**
+   * Human-readable description of an age value
+   */
+  describeAge(value) {
+    const periods = {
+      today: 'accessed today',
+      yesterday: 'accessed yesterday',
+      thisweek: 'accessed since Monday',
+      thismonth: 'accessed since the 1st',
+      thisyear: 'accessed since January 1'
+    };
+    if (periods[value]) {
+      return periods[value];
+    }
+    const units = { d: 'day', w: 'week', m: 'month', y: 'year' };
+    const match = value.match(/^(\d+)([dwmy])$/);
+    if (!match) {
+      return '';
+    }
+    const num = parseInt(match[1]);
+    return `${num} ${units[match[2]]}${num === 1 ? '' : 's'}`;
   }
 
   /**
    * Tokenize query for syntax highlighting
-   * TODO: Phase 3 - Implement syntax highlighting
+   *
+   * Token types: field, operator, value, text, keyword (OR/AND/NOT/-), paren, error.
+   * Parts of a "field OP value" term share termStart/termEnd so they can be
+   * drawn as one chip. Tokens covered by a validation error become 'error'
+   * and carry its message. Whitespace is not tokenized.
    * @param {string} queryString - Query to tokenize
-   * @returns {Array} Array of {type, value, color} tokens
+   * @returns {Array} Array of {type, value, start, end, termStart?, termEnd?, message?} tokens
    */
   tokenize(queryString) {
-    // TODO: Implement tokenization for syntax highlighting
-    return [];
+    const input = queryString || '';
+    const tokens = [];
+
+    for (const token of this.lex(input)) {
+      switch (token.type) {
+        case 'field': {
+          const term = { termStart: token.start, termEnd: token.end };
+          const operatorEnd = token.operatorStart + token.operator.length;
+
+          tokens.push(this.createToken('field', input, token.start, token.start + token.field.length, term));
+          tokens.push(this.createToken('operator', input, token.operatorStart, operatorEnd, term));
+          if (token.end > token.valueStart) {
+            tokens.push(this.createToken('value', input, token.valueStart, token.end, term));
+          }
+          break;
+        }
+        case 'or':
+        case 'and':
+        case 'not':
+          tokens.push(this.createToken('keyword', input, token.start, token.end));
+          break;
+        case 'lparen':
+        case 'rparen':
+          tokens.push(this.createToken('paren', input, token.start, token.end));
+          break;
+        default:
+          tokens.push(this.createToken('text', input, token.start, token.end));
+      }
+    }
+
+    // Flag tokens overlapping validation errors
+    const { errors } = this.validate(input);
+    for (const token of tokens) {
+      const error = errors.find(e => e.start < token.end && e.end > token.start);
+      if (error) {
+        token.type = 'error';
+        token.message = error.message;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Build a highlighting token from a slice of the query
+   */
+  createToken(type, input, start, end, extra = {}) {
+    return { type, value: input.slice(start, end), start, end, ...extra };
   }
 }
 
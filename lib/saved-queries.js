@@ -0,0 +1,181 @@
+/**
+ * Saved Queries - user-defined smart collections
+ *
+ * Storage format:
+ * {
+ *   "saved-queries": [
+ *     { id, name, query, icon, sort: string|null, createdAt }
+ *   ]
+ * }
+ *
+ * `sort` is one of the manager sort modes (see #sort-select), or null to
+ * keep the current sort when the query is applied.
+ */
+
+class SavedQueries {
+  constructor() {
+    this.STORAGE_KEY = 'saved-queries';
+    this.DEFAULT_ICON = '⭐';
+    this.SORT_MODES = ['lastAccessed', 'lastAccessed-asc', 'title', 'domain', 'age', 'age-desc'];
+    this.EXPORT_VERSION = 1;
+  }
+
+  /**
+   * Get all saved queries in display order
+   * @returns {Promise<Array>} Saved queries
+   */
+  async getAll() {
+    return (await Storage.get(this.STORAGE_KEY)) || [];
+  }
+
+  /**
+   * Get a saved query by ID
+   * @param {string} id - Saved query ID
+   * @returns {Promise<Object|null>} Saved query or null
+   */
+  async get(id) {
+    const queries = await this.getAll();
+    return queries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Create or update a saved query
+   * Entries with an `id` replace the stored entry with that ID
+   * @param {Object} entry - { id?, name, query, icon?, sort? }
+   * @returns {Promise<Object>} Stored entry
+   * @throws {Error} If the name or query is missing
+   */
+  async save(entry) {
+    const queries = await this.getAll();
+    const existing = entry.id ? queries.find(item => item.id === entry.id) : null;
+    const saved = this.normalize({ ...existing, ...entry });
+
+    if (existing) {
+      queries[queries.indexOf(existing)] = saved;
+    } else {
+      queries.push(saved);
+    }
+
+    await Storage.set(this.STORAGE_KEY, queries);
+    return saved;
+  }
+
+  /**
+   * Delete a saved query
+   * @param {string} id - Saved query ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    const queries = await this.getAll();
+    await Storage.set(this.STORAGE_KEY, queries.filter(entry => entry.id !== id));
+  }
+
+  /**
+   * Serialize all saved queries for download
+   * @returns {Promise<string>} JSON document
+   */
+  async exportJSON() {
+    const queries = await this.getAll();
+
+    return JSON.stringify({
+      version: this.EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      queries: queries.map(({ name, query, icon, sort }) => ({ name, query, icon, sort }))
+    }, null, 2);
+  }
+
+  /**
+   * Import saved queries from an exported JSON document
+   * Accepts the export format or a bare array. An imported query replaces
+   * a stored one with the same name; entries without a name or query, or
+   * whose query doesn't pass QueryParser.validate, are skipped and reported.
+   * @param {string} json - JSON document
+   * @returns {Promise<Object>} { imported, skipped, rejected: [{ name, query, error }] }
+   * @throws {Error} If the document is not valid JSON or has no queries list
+   */
+  async importJSON(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('Invalid JSON file');
+    }
+
+    const entries = Array.isArray(data) ? data : data?.queries;
+    if (!Array.isArray(entries)) {
+      throw new Error('No saved queries found in file');
+    }
+
+    const queries = await this.getAll();
+    const rejected = [];
+    let imported = 0;
+
+    for (const entry of entries) {
+      let saved;
+      try {
+        saved = this.normalize({ ...entry, id: undefined });
+
+        const { valid, error } = queryParser.validate(saved.query);
+        if (!valid) {
+          throw new Error(error);
+        }
+      } catch (error) {
+        rejected.push({
+          name: typeof entry?.name === 'string' ? entry.name : null,
+          query: typeof entry?.query === 'string' ? entry.query : null,
+          error: error.message
+        });
+        continue;
+      }
+
+      const index = queries.findIndex(item => item.name.toLowerCase() === saved.name.toLowerCase());
+      if (index >= 0) {
+        queries[index] = { ...saved, id: queries[index].id };
+      } else {
+        queries.push(saved);
+      }
+      imported++;
+    }
+
+    await Storage.set(this.STORAGE_KEY, queries);
+    return { imported, skipped: rejected.length, rejected };
+  }
+
+  /**
+   * Validate and fill in a saved query entry
+   * @param {Object} entry - Raw entry
+   * @returns {Object} Normalized entry
+   * @throws {Error} If the name or query is missing
+   */
+  normalize(entry) {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    const query = typeof entry?.query === 'string' ? entry.query.trim() : '';
+
+    if (!name) {
+      throw new Error('Saved query needs a name');
+    }
+    if (!query) {
+      throw new Error('Saved query needs a query');
+    }
+
+    return {
+      id: entry.id || this.generateId(),
+      name,
+      query,
+      icon: typeof entry.icon === 'string' && entry.icon.trim() ? entry.icon.trim() : this.DEFAULT_ICON,
+      sort: this.SORT_MODES.includes(entry.sort) ? entry.sort : null,
+      createdAt: entry.createdAt || Date.now()
+    };
+  }
+
+  /**
+   * Generate a unique saved query ID
+   * @returns {string} ID
+   */
+  generateId() {
+    return `sq-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+}
+
+// Export singleton instance
+const savedQueries = new SavedQueries();
@@ -14,6 +14,18 @@ const Storage = {
     return result[key] || null;
   },
 
+  /**
+   * Get data for several keys in a single read
+   * @param {Array<string>} keys - Storage keys
+   * @returns {Promise<Object>} Map of key -> stored data (missing keys omitted)
+   */
+  async getMany(keys) {
+    if (keys.length === 0) {
+      return {};
+    }
+    return await browser.storage.local.get(keys);
+  },
+
   /**
    * Set data for a specific key
    * @param {string} key - Storage key
@@ -1,6 +1,10 @@
 /**
  * Parser for Firefox Sync tab export data
  * Parses JSON from SyncedTabs._internal.getTabClients()
+ *
+ * Several exports can be merged into a timeline (see mergeExport): each tab,
+ * matched by device + URL, remembers the exports it was seen in, so it's
+ * known since when a tab has been lingering on a device and when it was closed.
  */
 class SyncParser {
   /**
@@ -12,6 +16,7 @@ class SyncParser {
   parse(syncedData, filename) {
     const syncExportDate = this.extractTimestamp(filename);
     const allTabs = [];
+    const seen = new Set();
 
     // syncedData is an array of devices
     for (const device of syncedData) {
@@ -28,9 +33,16 @@ class SyncParser {
           continue;
         }
 
+        // A URL open twice on the same device is listed once
+        const key = this.getTimelineKey({ deviceId, url: tab.url });
+        if (seen.has(key)) {
+          continue;
+        }
+        seen.add(key);
+
         const domain = this.extractDomain(tab.url);
         const ageDays = this.calculateTabAge(tab.lastUsed);
-        const ageFormatted = this.formatAge(ageDays);
+        const ageFormatted = this.formatAge(ageDays, tab.lastUsed * 1000);
         const isInternal = this.isInternalUrl(tab.url);
 
         allTabs.push({
@@ -66,11 +78,94 @@ class SyncParser {
     return {
       tabs: allTabs,
       syncExportDate: syncExportDate,
+      deviceIds: syncedData.map(device => device.id),
       deviceCount: syncedData.length,
       totalTabs: allTabs.length,
     };
   }
 
+  /**
+   * Merge a parsed export into the timeline of previous exports
+   * Exports can be merged in any order; merging an export again replaces it.
+   * Each tab gets:
+   * - seenIn: export dates the tab was listed in
+   * - firstSeenAt / lastSeenAt: first and last of those dates
+   * - closedAt: date of the first later export of the same device without
+   *   the tab (null while the tab is still open)
+   * Tab fields (title, lastUsed, ...) come from the newest export listing it.
+   * @param {Object|null} timeline - { tabs, exports } from a previous merge (null for none)
+   * @param {Object} result - Result of parse()
+   * @returns {Object} { tabs, exports: [{ syncExportDate, deviceIds, totalTabs }] } (exports oldest first)
+   */
+  mergeExport(timeline, result) {
+    const date = result.syncExportDate;
+    const exports = (timeline?.exports || [])
+      .filter(entry => entry.syncExportDate !== date)
+      .concat({ syncExportDate: date, deviceIds: result.deviceIds, totalTabs: result.totalTabs })
+      .sort((a, b) => a.syncExportDate - b.syncExportDate);
+
+    // Forget an earlier import of the same export
+    const byKey = new Map();
+    for (const tab of timeline?.tabs || []) {
+      const seenIn = (tab.seenIn || [tab.syncExportDate]).filter(seenAt => seenAt !== date);
+      if (seenIn.length > 0) {
+        byKey.set(this.getTimelineKey(tab), { ...tab, seenIn });
+      }
+    }
+
+    for (const tab of result.tabs) {
+      const key = this.getTimelineKey(tab);
+      const existing = byKey.get(key);
+
+      if (!existing) {
+        byKey.set(key, { ...tab, seenIn: [date] });
+      } else if (date > Math.max(...existing.seenIn)) {
+        byKey.set(key, { ...existing, ...tab, seenIn: [...existing.seenIn, date] });
+      } else {
+        existing.seenIn.push(date);
+      }
+    }
+
+    const tabs = Array.from(byKey.values(), tab => {
+      const seenIn = tab.seenIn.sort((a, b) => a - b);
+      const lastSeenAt = seenIn[seenIn.length - 1];
+      const closedIn = exports.find(entry =>
+        entry.syncExportDate > lastSeenAt && (entry.deviceIds || []).includes(tab.deviceId));
+
+      return {
+        ...tab,
+        seenIn,
+        firstSeenAt: seenIn[0],
+        lastSeenAt,
+        closedAt: closedIn ? closedIn.syncExportDate : null
+      };
+    });
+
+    return { tabs, exports };
+  }
+
+  /**
+   * Split a timeline into tabs still open (longest lingering first) and
+   * closed tabs (most recently closed first)
+   * @param {Array} tabs - Timeline tabs from mergeExport
+   * @returns {Object} { open, closed }
+   */
+  summarizeTimeline(tabs) {
+    return {
+      open: tabs.filter(tab => !tab.closedAt).sort((a, b) => (a.firstSeenAt || 0) - (b.firstSeenAt || 0)),
+      closed: tabs.filter(tab => tab.closedAt).sort((a, b) => b.closedAt - a.closedAt)
+    };
+  }
+
+  /**
+   * Timeline key of a synced tab: device + URL
+   * @param {Object} tab - Tab with deviceId and url
+   * @returns {string} Key
+   */
+  getTimelineKey(tab) {
+    return `${tab.deviceId}|${tab.url}`;
+  }
+
   /**
    * Extract timestamp from synced-tabs filename
    * @param {string} filename - e.g., "synced-tabs-1762162517587.json"
@@ -134,28 +229,54 @@ class SyncParser {
 
   /**
    * Format age in human-readable format
+   * With the last-used time, months and years are counted on the calendar
+   * (Jan 31 -> Feb 28 is one month); otherwise they are approximated from days
    * @param {number} days - Age in days
+   * @param {number|null} lastUsedMs - Last used timestamp in milliseconds (optional)
    * @returns {string} Formatted age string
    */
-  formatAge(days) {
+  formatAge(days, lastUsedMs = null) {
+    const months = lastUsedMs
+      ? this.countCalendarMonths(lastUsedMs, Date.now())
+      : Math.floor(days / 30);
+
     if (days === 0) {
       return 'Today';
     } else if (days === 1) {
       return 'Yesterday';
     } else if (days < 7) {
       return `${days}d ago`;
-    } else if (days < 30) {
+    } else if (lastUsedMs ? months < 1 : days < 30) {
       const weeks = Math.floor(days / 7);
       return `${weeks}w ago`;
-    } else if (days < 365) {
-      const months = Math.floor(days / 30);
+    } else if (lastUsedMs ? months < 12 : days < 365) {
       return `${months}mo ago`;
     } else {
-      const years = Math.floor(days / 365);
+      const years = lastUsedMs ? Math.floor(months / 12) : Math.floor(days / 365);
       return `${years}y ago`;
     }
   }
 
+  /**
+   * Count whole calendar months between two timestamps (local time)
+   * A month ending on a shorter month's last day counts as complete
+   * @param {number} fromMs - Earlier timestamp in milliseconds
+   * @param {number} toMs - Later timestamp in milliseconds
+   * @returns {number} Whole months
+   */
+  countCalendarMonths(fromMs, toMs) {
+    const from = new Date(fromMs);
+    const to = new Date(toMs);
+    let months = (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+
+    const lastDayOfMonth = new Date(to.getFullYear(), to.getMonth() + 1, 0).getDate();
+    if (to.getDate() < from.getDate() && to.getDate() !== lastDayOfMonth) {
+      months--;
+    }
+
+    return Math.max(months, 0);
+  }
+
   /**
    * Check if URL is internal (browser pages)
    * @param {string} url - URL to check
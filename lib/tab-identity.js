@@ -0,0 +1,298 @@
+/**
+ * Tab Identity - keeps tab records attached to tabs across restarts
+ *
+ * Firefox tab IDs change when the browser restarts or Android reloads a
+ * tab, which orphans the `tab-{tabId}` records (group, swipe date,
+ * metadata). Each record therefore carries a durable identity:
+ *
+ * {
+ *   "tab-{tabId}": {
+ *     group, dateSwiped, metadata,
+ *     identity: { url, title, fingerprint, seenAt },
+ *     orphanedAt: timestamp   // set by GroupManager.cleanupOrphanedEntries
+ *   }
+ * }
+ *
+ * reattach() moves orphaned records to the restored tab with the same
+ * fingerprint (URL + title), falling back to the only orphan with the
+ * same URL. After a restart the new IDs can collide with old ones, so the
+ * startup pass also treats a live ID whose record describes another page
+ * as an orphan. Records written before identities existed are migrated once
+ * from the live tab or the ProgressiveTabTracker history (`knownTabs`).
+ */
+
+class TabIdentity {
+  constructor() {
+    this.MIGRATION_KEY = 'tabIdentityVersion';
+    this.VERSION = 1;
+  }
+
+  /**
+   * Build the identity of a tab
+   * @param {Object|null} tab - Browser tab or tracked tab ({ url, title })
+   * @returns {Object|null} { url, title, fingerprint, seenAt } or null without a URL
+   */
+  describe(tab) {
+    if (!tab?.url) {
+      return null;
+    }
+
+    const url = this.normalizeUrl(tab.url);
+    const title = this.normalizeTitle(tab.title);
+
+    return {
+      url,
+      title,
+      fingerprint: this.fingerprint(url, title),
+      seenAt: Date.now()
+    };
+  }
+
+  /**
+   * Look up the identity of a live tab by ID
+   * @param {number|string} tabId - Tab ID (synced tab IDs have no identity)
+   * @returns {Promise<Object|null>} Identity or null
+   */
+  async lookup(tabId) {
+    if (typeof tabId !== 'number') {
+      return null;
+    }
+
+    try {
+      return this.describe(await browser.tabs.get(tabId));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Hash a normalized URL + title (FNV-1a, 32 bit)
+   * @param {string} url - Normalized URL
+   * @param {string} title - Normalized title
+   * @returns {string} Hex fingerprint
+   */
+  fingerprint(url, title) {
+    const input = `${url}\n${title}`;
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < input.length; i++) {
+      hash ^= input.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Normalize a URL for matching (scheme and host case)
+   * @param {string} url - URL
+   * @returns {string} Normalized URL
+   */
+  normalizeUrl(url) {
+    try {
+      return new URL(url).href;
+    } catch {
+      return url.trim();
+    }
+  }
+
+  /**
+   * Normalize a title for matching
+   * Drops unread counters ("(3) Inbox", "[12] Chat") that change between sessions
+   * @param {string} title - Tab title
+   * @returns {string} Normalized title
+   */
+  normalizeTitle(title) {
+    return (title || '')
+      .replace(/^\s*[([]\d+\+?[)\]]\s*/, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+  }
+
+  /**
+   * Load the ProgressiveTabTracker history
+   * @returns {Promise<Map>} Tab ID -> tracked tab ({ url, title, ... })
+   */
+  async loadTrackedTabs() {
+    const knownTabs = await Storage.get('knownTabs');
+    return new Map(knownTabs || []);
+  }
+
+  /**
+   * Give existing `tab-*` records an identity (runs once)
+   * Uses the live tab when its ID still exists, else the tracker history
+   * @returns {Promise<number>} Number of records migrated
+   */
+  async migrate() {
+    if ((await Storage.get(this.MIGRATION_KEY)) >= this.VERSION) {
+      return 0;
+    }
+
+    const liveTabs = new Map((await browser.tabs.query({})).map(tab => [tab.id, tab]));
+    const tracked = await this.loadTrackedTabs();
+    const allData = await Storage.getAll();
+    let migrated = 0;
+
+    for (const key in allData) {
+      const tabId = this.parseKey(key);
+      if (tabId === null || allData[key]?.identity) {
+        continue;
+      }
+
+      const identity = this.describe(liveTabs.get(tabId) || tracked.get(tabId));
+      if (identity) {
+        await Storage.set(key, { ...allData[key], identity });
+        migrated++;
+      }
+    }
+
+    await Storage.set(this.MIGRATION_KEY, this.VERSION);
+    console.log(`[Identity] Migrated ${migrated} tab records`);
+    return migrated;
+  }
+
+  /**
+   * Re-attach orphaned records to restored tabs and refresh live identities
+   * A live tab that already has a group keeps its own record.
+   * @param {Object} options - { startup: true on the browser startup pass, when
+   *   live IDs may have been reused by other pages; in-session passes only
+   *   re-stamp live records (the page navigated) }
+   * @returns {Promise<Object>} { reattached, stamped }
+   */
+  async reattach(options = {}) {
+    const { startup = false } = options;
+    await this.migrate();
+
+    const tabs = await browser.tabs.query({});
+    const liveTabs = new Map(tabs.map(tab => [tab.id, tab]));
+    const allData = await Storage.getAll();
+
+    // Orphans: records whose tab ID no longer exists, and on startup
+    // records under a reused ID (stale: the live tab gets a fresh record)
+    const byFingerprint = new Map();
+    const byUrl = new Map();
+    const stale = new Set();
+    for (const key in allData) {
+      const tabId = this.parseKey(key);
+      const identity = allData[key]?.identity;
+      if (tabId === null || !identity) {
+        continue;
+      }
+
+      if (liveTabs.has(tabId)) {
+        const live = this.describe(liveTabs.get(tabId));
+        if (!startup || !live || live.fingerprint === identity.fingerprint) {
+          continue;
+        }
+        stale.add(key);
+      }
+
+      const orphan = { key, record: allData[key], identity, claimed: false };
+      this.addToIndex(byFingerprint, identity.fingerprint, orphan);
+      this.addToIndex(byUrl, identity.url, orphan);
+    }
+
+    let reattached = 0;
+    let stamped = 0;
+
+    for (const tab of tabs) {
+      const identity = this.describe(tab);
+      if (!identity) {
+        continue;
+      }
+
+      const key = `tab-${tab.id}`;
+      let record = stale.has(key) ? null : allData[key];
+      let changed = false;
+
+      if (!record?.group) {
+        const orphan = this.claim(byFingerprint.get(identity.fingerprint))
+          || this.claimUnique(byUrl.get(identity.url));
+
+        if (orphan) {
+          // Live data (fresh metadata) wins over the orphan's
+          record = { ...orphan.record, ...record };
+          delete record.orphanedAt;
+          // A stale key is rewritten or cleared by its own live tab
+          if (!stale.has(orphan.key)) {
+            await Storage.remove(orphan.key);
+          }
+          reattached++;
+          changed = true;
+        }
+      }
+
+      if (record && (changed || record.identity?.fingerprint !== identity.fingerprint)) {
+        await Storage.set(key, { ...record, identity });
+        if (!changed) {
+          stamped++;
+        }
+      } else if (!record && stale.has(key)) {
+        await Storage.remove(key);
+      }
+    }
+
+    if (reattached > 0) {
+      console.log(`[Identity] Re-attached ${reattached} tab records to restored tabs`);
+    }
+
+    return { reattached, stamped };
+  }
+
+  /**
+   * Parse a `tab-{tabId}` storage key
+   * Synced tab records (`tab-synced-...`) don't belong to browser tabs
+   * @param {string} key - Storage key
+   * @returns {number|null} Browser tab ID or null
+   */
+  parseKey(key) {
+    const match = /^tab-(\d+)$/.exec(key);
+    return match ? Number(match[1]) : null;
+  }
+
+  /**
+   * Add an orphan to a lookup index
+   * @param {Map} index - Index (key -> orphans)
+   * @param {string} key - Index key
+   * @param {Object} orphan - Orphaned record
+   */
+  addToIndex(index, key, orphan) {
+    if (!index.has(key)) {
+      index.set(key, []);
+    }
+    index.get(key).push(orphan);
+  }
+
+  /**
+   * Claim the most recently seen unclaimed orphan
+   * @param {Array|undefined} orphans - Candidates
+   * @returns {Object|null} Claimed orphan
+   */
+  claim(orphans) {
+    const candidates = (orphans || []).filter(orphan => !orphan.claimed);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const orphan = candidates.reduce((best, item) =>
+      (item.identity.seenAt || 0) > (best.identity.seenAt || 0) ? item : best
+    );
+    orphan.claimed = true;
+    return orphan;
+  }
+
+  /**
+   * Claim an orphan only if it's the only unclaimed candidate
+   * (a URL match alone is ambiguous when several tabs had that URL)
+   * @param {Array|undefined} orphans - Candidates
+   * @returns {Object|null} Claimed orphan
+   */
+  claimUnique(orphans) {
+    const candidates = (orphans || []).filter(orphan => !orphan.claimed);
+    return candidates.length === 1 ? this.claim(candidates) : null;
+  }
+}
+
+// Export singleton instance
+const tabIdentity = new TabIdentity();
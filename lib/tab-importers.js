@@ -0,0 +1,360 @@
+/**
+ * Tab Importers - bring in tabs saved by other tools
+ *
+ * Supported files:
+ * - bookmarks: Netscape bookmarks HTML (Firefox, Chrome, most bookmark managers)
+ * - onetab:    OneTab text export ("url | title" lines, groups separated by blank lines)
+ * - sessions:  Session Buddy or Tab Session Manager JSON
+ * - urls:      Plain list of URLs, one per line
+ *
+ * Tabs are normalized into the shape SyncParser produces (domain, ageDays,
+ * ageFormatted, lastUsed, pseudo-ID, ...) with `source: 'imported'` and the
+ * importer label as device name, and are stored under `importedTabs` in
+ * `storage.local` (see the "imported" source in TabSources).
+ */
+
+class TabImporters {
+  constructor() {
+    this.STORAGE_KEY = 'importedTabs';
+    this.syncParser = new SyncParser();
+    this.importers = new Map();
+
+    this.register('bookmarks', {
+      label: 'Bookmarks',
+      detect: (content) => /<!DOCTYPE NETSCAPE-Bookmark-file-1>/i.test(content) || /<DL>[\s\S]*<A\s[^>]*HREF=/i.test(content),
+      parse: (content) => this.parseBookmarks(content)
+    });
+
+    this.register('sessions', {
+      label: 'Session Buddy / Tab Session Manager',
+      detect: (content) => {
+        const data = this.parseJSON(content);
+        return Boolean(data && (data.sessions || data.collections || (Array.isArray(data) && data.some(session => session?.windows))));
+      },
+      parse: (content) => this.parseSessions(this.parseJSON(content))
+    });
+
+    this.register('onetab', {
+      label: 'OneTab',
+      detect: (content) => /^https?:\/\/\S+ \| /m.test(content),
+      parse: (content) => this.parseOneTab(content)
+    });
+
+    this.register('urls', {
+      label: 'URL list',
+      detect: (content) => /^\s*https?:\/\/\S+\s*$/m.test(content),
+      parse: (content) => this.parseUrlList(content)
+    });
+  }
+
+  /**
+   * Register an importer
+   * Importers are tried in registration order when detecting a file's format.
+   * @param {string} id - Importer ID
+   * @param {Object} importer - { label, detect(content) => boolean, parse(content) => [{ url, title, lastUsed, folder }] }
+   */
+  register(id, importer) {
+    this.importers.set(id, { id, ...importer });
+  }
+
+  /**
+   * Get registered importers
+   * @returns {Array} Importers ({ id, label, detect, parse })
+   */
+  getImporters() {
+    return Array.from(this.importers.values());
+  }
+
+  /**
+   * Find the importer that recognizes a file
+   * @param {string} content - File content
+   * @returns {Object|null} Importer or null
+   */
+  detect(content) {
+    return this.getImporters().find(importer => importer.detect(content)) || null;
+  }
+
+  /**
+   * Parse a file into tabs
+   * @param {string} content - File content
+   * @param {string|null} importerId - Importer to use (default: detect from content)
+   * @returns {Object} { importer, tabs, totalTabs, importDate }
+   * @throws {Error} If the format is not recognized or the file has no tabs
+   */
+  parse(content, importerId = null) {
+    const importer = importerId ? this.importers.get(importerId) : this.detect(content);
+    if (!importer) {
+      throw new Error(importerId ? `Unknown importer: ${importerId}` : 'Unrecognized file format');
+    }
+
+    const importDate = Date.now();
+    const byUrl = new Map();
+
+    for (const entry of importer.parse(content)) {
+      if (this.isSupportedUrl(entry.url) && !byUrl.has(entry.url)) {
+        byUrl.set(entry.url, this.normalize(entry, importer, importDate));
+      }
+    }
+
+    if (byUrl.size === 0) {
+      throw new Error(`No tabs found in this ${importer.label} file`);
+    }
+
+    return { importer, tabs: Array.from(byUrl.values()), totalTabs: byUrl.size, importDate };
+  }
+
+  /**
+   * Parse a file and store its tabs with the previously imported ones
+   * Tabs imported again (same importer and URL) replace their older copy.
+   * @param {string} content - File content
+   * @param {string|null} importerId - Importer to use (default: detect from content)
+   * @returns {Promise<Object>} parse() result
+   */
+  async import(content, importerId = null) {
+    const result = this.parse(content, importerId);
+    const ids = new Set(result.tabs.map(tab => tab.id));
+    const existing = (await this.getAll()).filter(tab => !ids.has(tab.id));
+
+    await Storage.set(this.STORAGE_KEY, [...existing, ...result.tabs]);
+    return result;
+  }
+
+  /**
+   * Get all imported tabs
+   * @returns {Promise<Array>} Imported tabs
+   */
+  async getAll() {
+    return (await Storage.get(this.STORAGE_KEY)) || [];
+  }
+
+  /**
+   * Forget all imported tabs
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await Storage.remove(this.STORAGE_KEY);
+  }
+
+  /**
+   * Map a parsed entry to the SyncParser tab shape
+   * Entries without a date are dated from the import.
+   * @param {Object} entry - { url, title, lastUsed (ms), folder, favIconUrl }
+   * @param {Object} importer - Importer
+   * @param {number} importDate - Import timestamp in ms
+   * @returns {Object} Tab
+   */
+  normalize(entry, importer, importDate) {
+    const lastUsed = Math.floor((entry.lastUsed || importDate) / 1000);
+    const ageDays = this.syncParser.calculateTabAge(lastUsed);
+
+    return {
+      title: entry.title || entry.url,
+      url: entry.url,
+      icon: entry.favIconUrl || null,
+
+      domain: this.syncParser.extractDomain(entry.url),
+      ageDays,
+      ageFormatted: this.syncParser.formatAge(ageDays, lastUsed * 1000),
+      isInternal: this.syncParser.isInternalUrl(entry.url),
+
+      source: 'imported',
+      deviceName: importer.label,
+      deviceId: importer.id,
+      folder: entry.folder || null,
+      syncExportDate: importDate,
+
+      lastUsed,
+      lastAccessed: lastUsed * 1000,
+      inactive: true,
+
+      id: `imported-${importer.id}-${this.hashUrl(entry.url)}`
+    };
+  }
+
+  /**
+   * Parse a Netscape bookmarks file
+   * Folder names are joined into a path ("Toolbar / Recipes").
+   * @param {string} content - Bookmarks HTML
+   * @returns {Array} Entries
+   */
+  parseBookmarks(content) {
+    const entries = [];
+    const folders = [];
+    let pendingFolder = null;
+    const tokens = /<H3[^>]*>([\s\S]*?)<\/H3>|<DL[^>]*>|<\/DL>|<A\s([^>]*)>([\s\S]*?)<\/A>/gi;
+    let match;
+
+    while ((match = tokens.exec(content)) !== null) {
+      const [token, folderName, attributes, title] = match;
+
+      if (folderName !== undefined) {
+        pendingFolder = this.decodeEntities(folderName.trim());
+      } else if (/^<DL/i.test(token)) {
+        folders.push(pendingFolder);
+        pendingFolder = null;
+      } else if (/^<\/DL/i.test(token)) {
+        folders.pop();
+      } else {
+        const attribute = (name) => new RegExp(`\\b${name}="([^"]*)"`, 'i').exec(attributes)?.[1];
+        const date = Number(attribute('LAST_VISIT') || attribute('ADD_DATE'));
+
+        entries.push({
+          url: this.decodeEntities(attribute('HREF') || ''),
+          title: this.decodeEntities(title.trim()),
+          lastUsed: date ? date * 1000 : null,
+          folder: folders.filter(Boolean).join(' / ') || null
+        });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse a OneTab export: "url | title" lines, blank lines between groups
+   * @param {string} content - OneTab text
+   * @returns {Array} Entries
+   */
+  parseOneTab(content) {
+    const entries = [];
+    let group = 1;
+    let groupSize = 0;
+
+    for (const line of content.split(/\r?\n/)) {
+      if (!line.trim()) {
+        if (groupSize > 0) {
+          group++;
+          groupSize = 0;
+        }
+        continue;
+      }
+
+      const separator = line.indexOf(' | ');
+      const url = (separator === -1 ? line : line.slice(0, separator)).trim();
+      const title = separator === -1 ? '' : line.slice(separator + 3).trim();
+      entries.push({ url, title, lastUsed: null, folder: `OneTab group ${group}` });
+      groupSize++;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse Session Buddy (sessions or collections) and Tab Session Manager exports
+   * @param {Object|Array} data - Parsed JSON
+   * @returns {Array} Entries
+   */
+  parseSessions(data) {
+    const entries = [];
+    const add = (tab, folder, date) => {
+      if (tab?.url) {
+        entries.push({
+          url: tab.url,
+          title: tab.title || '',
+          favIconUrl: tab.favIconUrl || tab.favicon || null,
+          lastUsed: tab.lastAccessed || date || null,
+          folder: folder || null
+        });
+      }
+    };
+    const toMs = (value) => (value ? new Date(value).getTime() || null : null);
+
+    // Session Buddy: { sessions: [{ name, created, windows: [{ tabs }] }] }
+    for (const session of data.sessions || []) {
+      for (const window of session.windows || []) {
+        for (const tab of window.tabs || []) {
+          add(tab, session.name || session.title, toMs(session.modified || session.created || session.generated));
+        }
+      }
+    }
+
+    // Session Buddy 4: { collections: [{ title, created, folders: [{ links }] }] }
+    for (const collection of data.collections || []) {
+      for (const folder of collection.folders || []) {
+        for (const link of folder.links || []) {
+          add(link, collection.title || folder.title, toMs(collection.updated || collection.created));
+        }
+      }
+    }
+
+    // Tab Session Manager: [{ name, date, windows: { windowId: { tabId: tab } } }]
+    for (const session of Array.isArray(data) ? data : []) {
+      for (const window of Object.values(session?.windows || {})) {
+        for (const tab of Object.values(window || {})) {
+          add(tab, session.name, toMs(session.date));
+        }
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse a plain URL list (other lines are ignored)
+   * @param {string} content - Text
+   * @returns {Array} Entries
+   */
+  parseUrlList(content) {
+    return content.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => /^https?:\/\/\S+$/.test(line))
+      .map(url => ({ url, title: '', lastUsed: null, folder: null }));
+  }
+
+  /**
+   * Parse JSON, or return null if the content isn't JSON
+   * @param {string} content - Text
+   * @returns {Object|Array|null} Parsed value
+   */
+  parseJSON(content) {
+    try {
+      return JSON.parse(content);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a URL can be listed (same rule as SyncParser: web and about: pages)
+   * @param {string} url - URL
+   * @returns {boolean} True if supported
+   */
+  isSupportedUrl(url) {
+    return /^(https?:\/\/|about:)/.test(url || '');
+  }
+
+  /**
+   * Decode the HTML entities used in bookmark files
+   * Numeric entities beyond Unicode (`&#x110000;`) are left as they are.
+   * @param {string} text - Encoded text
+   * @returns {string} Decoded text
+   */
+  decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return point <= 0x10FFFF ? String.fromCodePoint(point) : entity;
+      }
+      return named[code.toLowerCase()] ?? entity;
+    });
+  }
+
+  /**
+   * Stable short hash of a URL for pseudo-IDs (FNV-1a, hex)
+   * Unlike btoa, works with any character in the URL.
+   * @param {string} url - URL
+   * @returns {string} 8-character hash
+   */
+  hashUrl(url) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < url.length; i++) {
+      hash ^= url.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+}
+
+// Export singleton instance
+const tabImporters = new TabImporters();
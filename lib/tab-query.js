@@ -4,6 +4,29 @@
  */
 
 class TabQuery {
+  constructor() {
+    // Compiled matchers per AST node (regex / glob / fuzzy setup is done once per query)
+    this.matcherCache = new WeakMap();
+
+    // Timing of the last executeQuery / filterTabs run
+    this.lastStats = null;
+
+    // Typos tolerated by ~fuzzy terms, by word length
+    this.FUZZY_MAX_TYPOS = [
+      { maxLength: 3, typos: 0 },
+      { maxLength: 6, typos: 1 },
+      { maxLength: Infinity, typos: 2 }
+    ];
+
+    // semantic:"..." terms: query text -> MiniLM vector (null if the ML worker failed)
+    this.queryEmbeddings = new Map();
+    this.MAX_QUERY_EMBEDDINGS = 50;
+    // Cosine similarity a tab needs to match a semantic term; the similarity
+    // is weighted like a title match (x100) when ranking
+    this.SEMANTIC_MIN_SIMILARITY = 0.3;
+    this.SEMANTIC_WEIGHT = 100;
+  }
+
   /**
    * Find tabs matching domain pattern
    * Supports wildcards: *example* or example.com
@@ -11,36 +34,8 @@ class TabQuery {
    * @returns {Promise<Array>} Matching tabs
    */
   async findByDomain(pattern) {
-    // Remove protocol if present
-    pattern = pattern.replace(/^https?:\/\//, '');
-
     const allTabs = await browser.tabs.query({});
-
-    return allTabs.filter(tab => {
-      try {
-        const url = new URL(tab.url);
-        const hostname = url.hostname;
-
-        // Exact match
-        if (hostname === pattern) {
-          return true;
-        }
-
-        // Wildcard matching
-        if (pattern.includes('*')) {
-          const regex = new RegExp(
-            '^' + pattern.replace(/\*/g, '.*') + '$'
-          );
-          return regex.test(hostname);
-        }
-
-        // Substring match
-        return hostname.includes(pattern);
-      } catch (error) {
-        // Invalid URL (about:, file:, etc.)
-        return false;
-      }
-    });
+    return allTabs.filter(tab => this.matchesDomain(tab.url, pattern));
   }
 
   /**
@@ -79,111 +74,871 @@ class TabQuery {
    */
   async findByUrl(pattern) {
     const allTabs = await browser.tabs.query({});
+    return allTabs.filter(tab => this.matchesUrl(tab.url, pattern));
+  }
 
-    return allTabs.filter(tab => {
-      // Support wildcards
+  /**
+   * Check whether a URL's hostname matches a domain pattern
+   * @param {string} url - Tab URL
+   * @param {string} pattern - Domain pattern (exact, substring or wildcard)
+   * @returns {boolean} True if matching
+   */
+  matchesDomain(url, pattern) {
+    // Remove protocol if present
+    pattern = pattern.replace(/^https?:\/\//, '');
+
+    try {
+      const hostname = new URL(url).hostname;
+
+      // Exact match
+      if (hostname === pattern) {
+        return true;
+      }
+
+      // Wildcard matching
       if (pattern.includes('*')) {
-        const regex = new RegExp(
-          '^' + pattern.replace(/\*/g, '.*') + '$'
-        );
-        return regex.test(tab.url);
+        return this.globToRegExp(pattern, 'i').test(hostname);
       }
 
       // Substring match
-      return tab.url.includes(pattern);
-    });
+      return hostname.includes(pattern);
+    } catch (error) {
+      // Invalid URL (about:, file:, etc.)
+      return false;
+    }
   }
 
   /**
-   * Execute query with multiple filters
-   * Combines all filters with AND logic
-   * @param {Object} filters - Parsed filters from QueryParser
-   * @returns {Promise<Array>} Matching tabs
+   * Check whether a URL matches a URL pattern
+   * @param {string} url - Tab URL
+   * @param {string} pattern - URL pattern (can include wildcards)
+   * @returns {boolean} True if matching
    */
-  async executeQuery(filters) {
-    let results = await browser.tabs.query({});
-
-    // Apply domain filter
-    if (filters.domain) {
-      const domainTabs = await this.findByDomain(filters.domain);
-      const domainIds = new Set(domainTabs.map(t => t.id));
-      results = results.filter(tab => domainIds.has(tab.id));
-    }
-
-    // Apply age filter
-    if (filters.age) {
-      const { operator, days } = filters.age;
-      results = results.filter(tab => {
-        const tabAge = this.calculateAge(tab);
-
-        switch (operator) {
-          case '>':
-            return tabAge > days;
-          case '>=':
-            return tabAge >= days;
-          case '<':
-            return tabAge < days;
-          case '<=':
-            return tabAge <= days;
-          case '=':
-            // For "age=today", match tabs accessed today (age 0)
-            if (days === 0) {
-              return tabAge === 0;
-            }
-            // For other cases, exact match
-            return tabAge === days;
-          default:
-            return true;
+  matchesUrl(url, pattern) {
+    // Support wildcards
+    if (pattern.includes('*')) {
+      return this.globToRegExp(pattern).test(url);
+    }
+
+    // Substring match
+    return url.includes(pattern);
+  }
+
+  /**
+   * Convert a glob to an anchored RegExp
+   * Only "*" is a wildcard; every other character matches literally
+   * ("*.example.com" does not match "wwwXexampleYcom")
+   * @param {string} pattern - Glob pattern
+   * @param {string} flags - RegExp flags
+   * @returns {RegExp} Compiled pattern
+   */
+  globToRegExp(pattern, flags = '') {
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\\/]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}$`, flags);
+  }
+
+  /**
+   * Compare a tab value against a comparison filter
+   * @param {number|null} value - Tab value (age in days, visit count, minutes...)
+   * @param {string} operator - One of >, >=, <, <=, =
+   * @param {number} target - Filter value
+   * @returns {boolean} True if matching (never for a missing value)
+   */
+  compare(value, operator, target) {
+    if (value === null || value === undefined) {
+      return false;
+    }
+
+    switch (operator) {
+      case '>':
+        return value > target;
+      case '>=':
+        return value >= target;
+      case '<':
+        return value < target;
+      case '<=':
+        return value <= target;
+      case '=':
+        // For "age=today" this matches tabs accessed today (age 0)
+        return value === target;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Compare an access time against a named age period (age:yesterday, age>thisweek)
+   * Older (>) means before the period, newer (<) means after it
+   * @param {number|null} timestamp - Last access time in ms
+   * @param {string} operator - One of >, >=, <, <=, =
+   * @param {number} from - Period start in ms
+   * @param {number} to - Period end in ms (exclusive)
+   * @returns {boolean} True if matching (never for a missing timestamp)
+   */
+  compareToPeriod(timestamp, operator, from, to) {
+    if (timestamp === null) {
+      return false;
+    }
+
+    switch (operator) {
+      case '>':
+        return timestamp < from;
+      case '>=':
+        return timestamp < to;
+      case '<':
+        return timestamp >= to;
+      case '<=':
+        return timestamp >= from;
+      case '=':
+        return timestamp >= from && timestamp < to;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Check an access time against a date range
+   * @param {number|null} timestamp - Last access time in ms
+   * @param {number|null} from - Range start in ms (null for open)
+   * @param {number|null} to - Range end in ms, exclusive (null for open)
+   * @returns {boolean} True if within range (never for a missing timestamp)
+   */
+  isInRange(timestamp, from, to) {
+    if (timestamp === null) {
+      return false;
+    }
+    return (from === null || timestamp >= from) && (to === null || timestamp < to);
+  }
+
+  /**
+   * Evaluate a query AST against a single tab
+   * @param {Object|null} node - AST node from QueryParser.parseAST (null matches all)
+   * @param {Object} tab - Tab object (live, tracked or synced)
+   * @param {Object} context - Tab data from a query snapshot: { metadata, group, history, entities, embedding }
+   * @returns {boolean} True if the tab matches
+   */
+  evaluate(node, tab, context = {}) {
+    if (!node) {
+      return true;
+    }
+
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this.evaluate(child, tab, context));
+      case 'or':
+        return node.children.some(child => this.evaluate(child, tab, context));
+      case 'not':
+        return !this.evaluate(node.child, tab, context);
+      case 'text':
+        return this.scoreText(tab, node, context.metadata) > 0;
+      case 'field':
+        return this.matchesField(node, tab, context);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Evaluate a single field node against a tab
+   * @param {Object} node - Field node
+   * @param {Object} tab - Tab object
+   * @param {Object} context - Tab data: { metadata, group, history, entities, embedding }
+   * @returns {boolean} True if matching
+   */
+  matchesField(node, tab, context = {}) {
+    switch (node.field) {
+      case 'domain':
+        return node.mode === 'regex'
+          ? this.scoreMatch(node, this.extractDomain(tab.url)) > 0
+          : this.matchesDomain(tab.url, node.value);
+      case 'age':
+        if (node.from !== undefined) {
+          return this.compareToPeriod(this.getLastAccessed(tab), node.operator, node.from, node.to);
         }
-      });
+        return this.compare(this.calculateAge(tab), node.operator, node.days);
+      case 'accessed':
+      case 'before':
+      case 'after':
+        return this.isInRange(this.getLastAccessed(tab), node.from, node.to);
+      case 'title':
+        return this.scoreMatch(node, tab.title || '') > 0;
+      case 'url':
+        return node.mode === 'regex'
+          ? this.scoreMatch(node, tab.url || '') > 0
+          : this.matchesUrl(tab.url, node.value);
+      case 'source':
+        return (tab.source || 'local') === node.value;
+      case 'device':
+        return this.scoreMatch(node, tab.device || tab.deviceName || '') > 0;
+      case 'group':
+        return (context.group || tab.group || 'main').toLowerCase() === node.value.toLowerCase();
+      case 'intent':
+      case 'status':
+        return this.getClassificationLabel(tab, context.metadata, node.field) === node.value;
+      case 'type':
+        return this.getClassificationLabel(tab, context.metadata, 'contentType') === node.value;
+      case 'entity':
+        return this.matchesEntity(node, tab.entities || context.entities);
+      case 'visits':
+        return this.compare((context.history || tab.history)?.visitCount ?? null, node.operator, node.number);
+      case 'category':
+        return this.matchesCategory(tab, context.history || tab.history, node.value.toLowerCase());
+      case 'reading':
+        return this.compare(
+          tab.readingTimeMinutes ?? context.metadata?.content?.readingTimeMinutes ?? null,
+          node.operator,
+          node.minutes
+        );
+      case 'semantic':
+        return this.scoreSemantic(node, tab, context) > 0;
+      default:
+        return true;
     }
+  }
 
-    // Apply title filter
-    if (filters.title) {
-      results = results.filter(tab =>
-        tab.title.toLowerCase().includes(filters.title.toLowerCase())
-      );
+  /**
+   * Check whether a tab mentions an entity
+   * Names match case-insensitively as substrings ("lovelace" finds "Ada Lovelace")
+   * @param {Object} node - Entity field node: { name, entityType }
+   * @param {Object|Array|null} entities - Analysis entities ({ people: [...], ... })
+   *   or a flat [{ name|word, type }] list from the entity store
+   * @returns {boolean} True if matching
+   */
+  matchesEntity(node, entities) {
+    if (!entities) {
+      return false;
     }
 
-    // Apply URL filter
-    if (filters.url) {
-      const urlTabs = await this.findByUrl(filters.url);
-      const urlIds = new Set(urlTabs.map(t => t.id));
-      results = results.filter(tab => urlIds.has(tab.id));
+    const list = Array.isArray(entities) ? entities : Object.values(entities).flat();
+
+    return list.some(entity => {
+      const name = (entity.name || entity.word || '').toLowerCase();
+      if (!name.includes(node.name)) {
+        return false;
+      }
+      return !node.entityType || this.normalizeEntityType(entity.type) === node.entityType;
+    });
+  }
+
+  /**
+   * Normalize entity types to NER tags
+   * Analysis output uses PER/ORG/LOC/MISC; the entity store keeps
+   * truncated plural names ("peopl", "organization", "location", "mis")
+   * @param {string} type - Entity type
+   * @returns {string|null} PER, ORG, LOC, MISC or null
+   */
+  normalizeEntityType(type) {
+    const lower = (type || '').toLowerCase();
+
+    if (lower.startsWith('per') || lower.startsWith('peop')) return 'PER';
+    if (lower.startsWith('org')) return 'ORG';
+    if (lower.startsWith('loc')) return 'LOC';
+    if (lower.startsWith('mis')) return 'MISC';
+    return null;
+  }
+
+  /**
+   * Check a tab category against the history category or the categorizer
+   * @param {Object} tab - Tab object
+   * @param {Object|null} history - History enrichment ({ category, ... })
+   * @param {string} category - Lowercased category
+   * @returns {boolean} True if matching
+   */
+  matchesCategory(tab, history, category) {
+    if (history?.category && history.category.toLowerCase() === category) {
+      return true;
     }
 
-    // Apply free text search with ranking (title > description > url)
-    if (filters.text) {
-      const lowerText = filters.text.toLowerCase();
+    if (typeof categorizeTab === 'function') {
+      return categorizeTab(tab).category === category;
+    }
 
-      // Score each tab based on where the match occurs
-      const scoredResults = await Promise.all(results.map(async (tab) => {
-        let score = 0;
-        const titleMatch = tab.title.toLowerCase().includes(lowerText);
-        const urlMatch = tab.url.toLowerCase().includes(lowerText);
+    return false;
+  }
+
+  /**
+   * Get the top ML label of a tab for one taxonomy dimension
+   * Analyzed tabs (IndexedDB) carry `classification.<dim>.label`;
+   * live tabs keep `mlClassifications.<dim>.topK` in their cached metadata
+   * @param {Object} tab - Tab object
+   * @param {Object|null} metadata - Cached page metadata
+   * @param {string} dimension - 'intent', 'status' or 'contentType'
+   * @returns {string|null} Label or null if not classified
+   */
+  getClassificationLabel(tab, metadata, dimension) {
+    return tab.classification?.[dimension]?.label
+      || metadata?.mlClassifications?.[dimension]?.topK?.[0]?.label
+      || null;
+  }
+
+  /**
+   * Score a free text term against a tab
+   * Ranking: title (100) > description (50) > url (10), each weighted by
+   * match quality (1 for plain and regex matches, 0-1 for ~fuzzy terms)
+   * @param {Object} tab - Tab object
+   * @param {Object|string} term - Text node ({ value, mode, pattern, flags }) or plain string
+   * @param {Object|null} metadata - Cached page metadata
+   * @returns {number} Score (0 if no match)
+   */
+  scoreText(tab, term, metadata = null) {
+    const node = typeof term === 'string' ? { value: term, mode: 'plain' } : term;
+    const descScore = Math.max(
+      this.scoreMatch(node, metadata?.og?.description || ''),
+      this.scoreMatch(node, metadata?.meta?.description || '')
+    );
+
+    return this.scoreMatch(node, tab.title || '') * 100
+      + descScore * 50
+      + this.scoreMatch(node, tab.url || '') * 10;
+  }
+
+  /**
+   * Score a tab against a semantic:"..." term
+   * Blends the cosine similarity between the query and tab embeddings with
+   * the plain text score of the query, so tabs without an embedding (or
+   * every tab, when the ML worker is unavailable) still match literally.
+   * @param {Object} node - Semantic field node
+   * @param {Object} tab - Tab object
+   * @param {Object} context - Tab data: { metadata, embedding }
+   * @returns {number} Score (0 if no match)
+   */
+  scoreSemantic(node, tab, context = {}) {
+    const queryEmbedding = this.queryEmbeddings.get(node.value);
+    const tabEmbedding = context.embedding || tab.embedding;
+    const similarity = queryEmbedding && tabEmbedding
+      ? embeddingIndex.similarity(queryEmbedding, tabEmbedding)
+      : 0;
+    const semanticScore = similarity >= this.SEMANTIC_MIN_SIMILARITY ? similarity * this.SEMANTIC_WEIGHT : 0;
+
+    return semanticScore + this.scoreText(tab, node, context.metadata);
+  }
 
-        // Get metadata to check description
-        const metadata = await metadataStorage.getMetadata(tab.id);
-        const descMatch = metadata && (
-          (metadata.og?.description && metadata.og.description.toLowerCase().includes(lowerText)) ||
-          (metadata.meta?.description && metadata.meta.description.toLowerCase().includes(lowerText))
+  /**
+   * Match a text or field node against one string
+   * @param {Object} node - Node with value and mode ('plain', 'regex' or 'fuzzy')
+   * @param {string} text - Text to match
+   * @returns {number} Match quality between 0 (no match) and 1
+   */
+  scoreMatch(node, text) {
+    if (!text) {
+      return 0;
+    }
+
+    let matcher = this.matcherCache.get(node);
+    if (!matcher) {
+      matcher = this.createMatcher(node);
+      this.matcherCache.set(node, matcher);
+    }
+    return matcher(text);
+  }
+
+  /**
+   * Build the match function for a node
+   * @param {Object} node - Node with value and mode
+   * @returns {Function} text -> score between 0 and 1
+   */
+  createMatcher(node) {
+    switch (node.mode) {
+      case 'regex': {
+        const regex = new RegExp(node.pattern, node.flags);
+        return (text) => (regex.test(text) ? 1 : 0);
+      }
+      case 'fuzzy': {
+        const words = this.normalizeText(node.value).split(/\s+/).filter(Boolean);
+        return (text) => this.fuzzyScore(words, text);
+      }
+      default: {
+        const lower = node.value.toLowerCase();
+        return (text) => (text.toLowerCase().includes(lower) ? 1 : 0);
+      }
+    }
+  }
+
+  /**
+   * Fuzzy-match search words against a text
+   * Accent- and case-insensitive ("resume" finds "Résumé"), tolerates a typo
+   * per 4-6 letters and two beyond, and accepts word prefixes ("lovel")
+   * @param {Array<string>} words - Normalized search words
+   * @param {string} text - Text to search
+   * @returns {number} Average word similarity (0 if any word is missing)
+   */
+  fuzzyScore(words, text) {
+    if (words.length === 0) {
+      return 1;
+    }
+
+    const normalized = this.normalizeText(text);
+    const textWords = normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    let total = 0;
+
+    for (const word of words) {
+      if (normalized.includes(word)) {
+        total += 1;
+        continue;
+      }
+
+      const maxTypos = this.FUZZY_MAX_TYPOS.find(rule => word.length <= rule.maxLength).typos;
+      let best = 0;
+
+      for (const candidate of textWords) {
+        // Compare against the whole word and its prefix of the same length
+        const distance = Math.min(
+          this.boundedEditDistance(word, candidate, maxTypos),
+          this.boundedEditDistance(word, candidate.slice(0, word.length), maxTypos)
         );
+        if (distance <= maxTypos) {
+          best = Math.max(best, 1 - distance / Math.max(word.length, 1));
+        }
+      }
 
-        // Ranking: title (100) > description (50) > url (10)
-        if (titleMatch) score += 100;
-        if (descMatch) score += 50;
-        if (urlMatch) score += 10;
+      if (best === 0) {
+        return 0;
+      }
+      total += best;
+    }
 
-        return { tab, score };
-      }));
+    return total / words.length;
+  }
 
-      // Filter out tabs with no matches and sort by score
-      results = scoredResults
-        .filter(item => item.score > 0)
-        .sort((a, b) => b.score - a.score)
-        .map(item => item.tab);
+  /**
+   * Lowercase, strip accents and expand ligatures (œ, æ) for fuzzy matching
+   * @param {string} text - Text to normalize
+   * @returns {string} Normalized text
+   */
+  normalizeText(text) {
+    return text
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/œ/g, 'oe')
+      .replace(/æ/g, 'ae');
+  }
+
+  /**
+   * Edit distance counting swapped neighbours ("reusme") as one typo
+   * (optimal string alignment); gives up once it exceeds a bound
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @param {number} max - Largest distance of interest
+   * @returns {number} Distance, or max + 1 if larger
+   */
+  boundedEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
     }
 
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) {
+        return max + 1;
+      }
+      beforePrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Collect free text terms that contribute to ranking
+   * Negated terms are skipped: they filter but never score
+   * @param {Object|null} node - AST node
+   * @param {Array} terms - Accumulator
+   * @returns {Array<Object>} Text nodes
+   */
+  collectTextTerms(node, terms = []) {
+    if (!node) {
+      return terms;
+    }
+
+    if (node.type === 'text') {
+      terms.push(node);
+    } else if (node.type === 'and' || node.type === 'or') {
+      node.children.forEach(child => this.collectTextTerms(child, terms));
+    }
+
+    return terms;
+  }
+
+  /**
+   * Check whether an AST contains a node of the given type
+   * @param {Object|null} node - AST node
+   * @param {string} type - Node type to look for
+   * @returns {boolean} True if found
+   */
+  containsNodeType(node, type) {
+    if (!node) {
+      return false;
+    }
+    if (node.type === type) {
+      return true;
+    }
+    if (node.type === 'not') {
+      return this.containsNodeType(node.child, type);
+    }
+    return (node.children || []).some(child => this.containsNodeType(child, type));
+  }
+
+  /**
+   * Create an in-memory snapshot of tabs to run queries against
+   * Stored data (records, history, entities) is loaded in bulk the first
+   * time a query needs it and reused by later queries on the same snapshot,
+   * so search-as-you-type and quick filter counts don't hit storage again.
+   * Drop the snapshot when tabs or their stored data change.
+   * @param {Array} tabs - Tabs (live, tracked or synced)
+   * @returns {Object} Snapshot { tabs, contexts: Map tabId -> context, loaded: Set, createdAt }
+   */
+  createSnapshot(tabs) {
+    const contexts = new Map();
+    for (const tab of tabs) {
+      contexts.set(tab.id, { metadata: null, group: null, history: null, entities: null, embedding: null });
+    }
+
+    return { tabs, contexts, loaded: new Set(), createdAt: Date.now() };
+  }
+
+  /**
+   * Work out which stored data a query needs
+   * - records (one storage read): metadata for text, classification and
+   *   reading terms, group for group terms
+   * - history enrichment for visits and category terms
+   * - analysis entities (IndexedDB) for entity terms
+   * - analysis embeddings (IndexedDB) for semantic terms
+   * @param {Object|null} ast - Query AST
+   * @returns {Array<string>} Subset of 'records', 'history', 'entities', 'embeddings'
+   */
+  getDataNeeds(ast) {
+    const needs = [];
+
+    if (this.containsNodeType(ast, 'text')
+      || ['intent', 'status', 'type', 'reading', 'group', 'semantic'].some(field => this.containsField(ast, field))) {
+      needs.push('records');
+    }
+    if (this.containsField(ast, 'visits') || this.containsField(ast, 'category')) {
+      needs.push('history');
+    }
+    if (this.containsField(ast, 'entity')) {
+      needs.push('entities');
+    }
+    if (this.containsField(ast, 'semantic')) {
+      needs.push('embeddings');
+    }
+
+    return needs;
+  }
+
+  /**
+   * Bulk-load the stored data a query needs into a snapshot
+   * Each kind of data is loaded at most once per snapshot
+   * @param {Object} snapshot - Snapshot from createSnapshot
+   * @param {Object|null} ast - Query AST
+   * @returns {Promise<void>}
+   */
+  async loadSnapshotData(snapshot, ast) {
+    const missing = this.getDataNeeds(ast).filter(kind => !snapshot.loaded.has(kind));
+
+    for (const kind of missing) {
+      switch (kind) {
+        case 'records': {
+          // Group and metadata share the tab-{id} record (see GroupManager, MetadataStorage)
+          const records = await Storage.getMany(snapshot.tabs.map(tab => `tab-${tab.id}`));
+          for (const tab of snapshot.tabs) {
+            const record = records[`tab-${tab.id}`];
+            const context = snapshot.contexts.get(tab.id);
+            context.metadata = record?.metadata || null;
+            context.group = record?.group || null;
+          }
+          break;
+        }
+        case 'history': {
+          const history = await this.loadHistory(snapshot.tabs);
+          for (const [tabId, entry] of history) {
+            snapshot.contexts.get(tabId).history = entry;
+          }
+          break;
+        }
+        case 'entities': {
+          const entities = await this.loadEntities();
+          for (const tab of snapshot.tabs) {
+            snapshot.contexts.get(tab.id).entities = entities.get(tab.url) || null;
+          }
+          break;
+        }
+        case 'embeddings': {
+          const embeddings = await this.loadEmbeddings();
+          for (const tab of snapshot.tabs) {
+            snapshot.contexts.get(tab.id).embedding = embeddings.get(tab.url) || null;
+          }
+          break;
+        }
+      }
+      snapshot.loaded.add(kind);
+    }
+  }
+
+  /**
+   * Load history enrichment (visit count, category) for tabs that don't carry it
+   * @param {Array} tabs - Tabs to enrich
+   * @returns {Promise<Map>} Map of tabId -> history
+   */
+  async loadHistory(tabs) {
+    const history = new Map();
+    const missing = tabs.filter(tab => !tab.history);
+
+    if (missing.length === 0 || typeof historyEnricher === 'undefined' || !historyEnricher) {
+      return history;
+    }
+
+    try {
+      const enriched = await historyEnricher.enrichBatch(missing);
+      enriched.forEach(tab => history.set(tab.id, tab.history));
+    } catch (error) {
+      console.warn('Failed to load history for query:', error);
+    }
+
+    return history;
+  }
+
+  /**
+   * Load analysis entities from IndexedDB, keyed by tab URL
+   * (analysis tab IDs are URLs)
+   * @returns {Promise<Map>} Map of url -> [{ name, type }]
+   */
+  async loadEntities() {
+    const byUrl = new Map();
+
+    if (typeof indexedDBStorage === 'undefined') {
+      return byUrl;
+    }
+
+    try {
+      const entities = await indexedDBStorage.getAllEntities();
+      for (const entity of entities) {
+        for (const url of entity.tabIds || []) {
+          if (!byUrl.has(url)) {
+            byUrl.set(url, []);
+          }
+          byUrl.get(url).push({ name: entity.name, type: entity.type });
+        }
+      }
+    } catch (error) {
+      console.warn('Failed to load entities for query:', error);
+    }
+
+    return byUrl;
+  }
+
+  /**
+   * Load analysis embeddings from IndexedDB, keyed by tab URL
+   * (analysis tab IDs are URLs)
+   * @returns {Promise<Map>} Map of url -> vector
+   */
+  async loadEmbeddings() {
+    const byUrl = new Map();
+
+    if (typeof indexedDBStorage === 'undefined') {
+      return byUrl;
+    }
+
+    try {
+      const embeddings = await indexedDBStorage.getAllEmbeddings();
+      for (const entry of embeddings) {
+        byUrl.set(entry.tabId, entry.vector);
+      }
+    } catch (error) {
+      console.warn('Failed to load embeddings for query:', error);
+    }
+
+    return byUrl;
+  }
+
+  /**
+   * Embed the text of the query's semantic terms with the ML worker
+   * Vectors are cached by text, so search-as-you-type only embeds new text.
+   * A failed embedding isn't cached; the term then matches as plain text.
+   * @param {Object|null} ast - Query AST
+   * @returns {Promise<void>}
+   */
+  async embedSemanticTerms(ast) {
+    const texts = new Set(this.collectFieldNodes(ast, 'semantic').map(node => node.value));
+
+    for (const text of texts) {
+      if (this.queryEmbeddings.has(text)) {
+        continue;
+      }
+
+      try {
+        this.queryEmbeddings.set(text, await this.embedText(text));
+      } catch (error) {
+        console.warn(`Semantic search unavailable, matching "${text}" as text:`, error);
+        continue;
+      }
+
+      // Forget the oldest query text
+      if (this.queryEmbeddings.size > this.MAX_QUERY_EMBEDDINGS) {
+        this.queryEmbeddings.delete(this.queryEmbeddings.keys().next().value);
+      }
+    }
+  }
+
+  /**
+   * Embed a text with the MiniLM model of the ML worker
+   * The background page calls the worker directly; other pages message it.
+   * @param {string} text - Text to embed
+   * @returns {Promise<Float32Array>} Embedding vector
+   * @throws {Error} If the worker can't embed the text
+   */
+  async embedText(text) {
+    if (typeof MLEmbedderWorker !== 'undefined') {
+      return Float32Array.from(await MLEmbedderWorker.embed(text));
+    }
+
+    const response = await browser.runtime.sendMessage({ action: 'embedText', text });
+    if (!response?.success) {
+      throw new Error(response?.error || 'No response from the ML worker');
+    }
+    return Float32Array.from(response.embedding);
+  }
+
+  /**
+   * Collect the positive field nodes of a given field (not under NOT)
+   * @param {Object|null} node - AST node
+   * @param {string} field - Field name
+   * @param {Array} nodes - Accumulator
+   * @returns {Array<Object>} Field nodes
+   */
+  collectFieldNodes(node, field, nodes = []) {
+    if (!node) {
+      return nodes;
+    }
+
+    if (node.type === 'field' && node.field === field) {
+      nodes.push(node);
+    } else if (node.type === 'and' || node.type === 'or') {
+      node.children.forEach(child => this.collectFieldNodes(child, field, nodes));
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Check whether an AST filters on a given field
+   * @param {Object|null} node - AST node
+   * @param {string} field - Field name
+   * @returns {boolean} True if found
+   */
+  containsField(node, field) {
+    if (!node) {
+      return false;
+    }
+    if (node.type === 'field') {
+      return node.field === field;
+    }
+    if (node.type === 'not') {
+      return this.containsField(node.child, field);
+    }
+    return (node.children || []).some(child => this.containsField(child, field));
+  }
+
+  /**
+   * Run a query AST over a snapshot
+   * Loads the stored data the query needs, then evaluates every predicate
+   * and the text ranking in a single pass over the tabs
+   * @param {Object} snapshot - Snapshot from createSnapshot
+   * @param {Object|null} ast - Query AST
+   * @returns {Promise<Object>} { tabs, stats: { total, matched, loadMs, evalMs, totalMs } }
+   */
+  async query(snapshot, ast) {
+    const started = this.now();
+    await Promise.all([this.loadSnapshotData(snapshot, ast), this.embedSemanticTerms(ast)]);
+    const loaded = this.now();
+
+    const textTerms = this.collectTextTerms(ast);
+    const semanticTerms = this.collectFieldNodes(ast, 'semantic');
+    const matches = [];
+
+    for (const tab of snapshot.tabs) {
+      const context = snapshot.contexts.get(tab.id) || {};
+      if (!this.evaluate(ast, tab, context)) {
+        continue;
+      }
+
+      const score = textTerms.reduce((sum, term) => sum + this.scoreText(tab, term, context.metadata), 0)
+        + semanticTerms.reduce((sum, term) => sum + this.scoreSemantic(term, tab, context), 0);
+      matches.push({ tab, score });
+    }
+
+    // Rank by combined text and semantic score (stable, so ties keep their order)
+    if (textTerms.length > 0 || semanticTerms.length > 0) {
+      matches.sort((a, b) => b.score - a.score);
+    }
+
+    const finished = this.now();
+
+    return {
+      tabs: matches.map(match => match.tab),
+      stats: {
+        total: snapshot.tabs.length,
+        matched: matches.length,
+        loadMs: loaded - started,
+        evalMs: finished - loaded,
+        totalMs: finished - started
+      }
+    };
+  }
+
+  /**
+   * High-resolution timestamp in milliseconds
+   */
+  now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+
+  /**
+   * Execute a parsed query against all open tabs
+   * Evaluates the AST (AND/OR/NOT, nested groups, repeated fields) against
+   * every tab; free text terms rank results (title > description > url),
+   * blended with embedding similarity for semantic:"..." terms.
+   * Timing of the last run is kept in `lastStats`.
+   * @param {Object} filters - Parsed filters from QueryParser (uses filters.ast)
+   * @returns {Promise<Array>} Matching tabs
+   */
+  async executeQuery(filters) {
+    const allTabs = await browser.tabs.query({});
+    const { tabs, stats } = await this.query(this.createSnapshot(allTabs), filters.ast);
+    this.lastStats = stats;
+    return tabs;
+  }
+
+  /**
+   * Filter and rank an arbitrary tab list (live, tracked or synced) by a query AST
+   * Use createSnapshot + query to run several queries over the same tabs
+   * @param {Array} tabs - Tabs to filter
+   * @param {Object|null} ast - Query AST
+   * @returns {Promise<Array>} Matching tabs, ranked by text score when text terms are present
+   */
+  async filterTabs(tabs, ast) {
+    if (!ast) {
+      return tabs;
+    }
+
+    const { tabs: results, stats } = await this.query(this.createSnapshot(tabs), ast);
+    this.lastStats = stats;
     return results;
   }
 
@@ -283,13 +1038,28 @@ class TabQuery {
    * @returns {number} Age in days
    */
   calculateAge(tab) {
-    if (!tab.lastAccessed) {
+    const lastAccessed = this.getLastAccessed(tab);
+    if (!lastAccessed) {
       return 0;
     }
-    const ageMs = Date.now() - tab.lastAccessed;
+    const ageMs = Date.now() - lastAccessed;
     return Math.floor(ageMs / (24 * 60 * 60 * 1000));
   }
 
+  /**
+   * Get the last access time of a tab in milliseconds
+   * Falls back to synced tabs' `lastUsed`, which Firefox Sync reports in seconds
+   * @param {Object} tab - Tab object
+   * @returns {number|null} Timestamp in ms, or null if unknown
+   */
+  getLastAccessed(tab) {
+    const value = tab.lastAccessed || tab.lastUsed;
+    if (!value) {
+      return null;
+    }
+    return value < 10000000000 ? value * 1000 : value;
+  }
+
   /**
    * Format age for display
    * @param {number} days - Age in days
@@ -0,0 +1,163 @@
+/**
+ * Tab Snapshots - named captures of the tab set (workspaces)
+ *
+ * A snapshot freezes the current tabs (or the result of a query) with
+ * everything needed to bring them back later. Snapshots live in the
+ * IndexedDB "snapshots" store:
+ *
+ * {
+ *   snapshotId, name, createdAt, query: string|null,
+ *   tabs: [{ url, title, domain, favIconUrl, lastAccessed, source, device,
+ *            group, metadata, classification }]
+ * }
+ *
+ * Tabs are captured from TabExport.collect entries (same group fallback and
+ * classification lookup as exports). Two snapshots can be compared (tabs
+ * added, removed, moved between groups) and a snapshot's tabs can be
+ * reopened in their groups.
+ */
+
+class TabSnapshots {
+  /**
+   * Capture tabs into a new snapshot
+   * @param {string} name - Snapshot name
+   * @param {Array|null} tabs - Tabs to capture (default: all open tabs)
+   * @param {string|null} query - Query the tabs came from, for reference
+   * @returns {Promise<Object>} Stored snapshot
+   * @throws {Error} If the name is empty or there are no tabs
+   */
+  async capture(name, tabs = null, query = null) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Snapshot needs a name');
+    }
+
+    const snapshot = await this.build(trimmed, tabs, query);
+    snapshot.snapshotId = await indexedDBStorage.saveSnapshot(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Build a snapshot without storing it (e.g. to compare with the current tabs)
+   * @param {string} name - Snapshot name
+   * @param {Array|null} tabs - Tabs to capture (default: all open tabs)
+   * @param {string|null} query - Query the tabs came from
+   * @returns {Promise<Object>} Snapshot (no snapshotId)
+   * @throws {Error} If there are no tabs
+   */
+  async build(name, tabs = null, query = null) {
+    const captured = tabs || await tabQuery.getAllTabsWithMetadata();
+    if (captured.length === 0) {
+      throw new Error('No tabs to capture');
+    }
+
+    const entries = await TabExport.collect(captured, groupManager);
+
+    return {
+      name,
+      createdAt: Date.now(),
+      query: query || null,
+      tabs: entries.map(({ url, title, domain, favIconUrl, lastAccessed, source, device, group, metadata, classification }) => (
+        { url, title, domain, favIconUrl, lastAccessed, source, device, group, metadata, classification }
+      ))
+    };
+  }
+
+  /**
+   * Get all snapshots, newest first
+   * @returns {Promise<Array>} Snapshots
+   */
+  async getAll() {
+    return (await indexedDBStorage.getSnapshots()).reverse();
+  }
+
+  /**
+   * Get a snapshot by ID
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {Promise<Object|null>} Snapshot or null
+   */
+  async get(snapshotId) {
+    return indexedDBStorage.getSnapshot(snapshotId);
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {number} snapshotId - Snapshot ID
+   * @returns {Promise<void>}
+   */
+  async remove(snapshotId) {
+    await indexedDBStorage.deleteSnapshot(snapshotId);
+  }
+
+  /**
+   * Compare two snapshots by URL
+   * @param {Object} before - Older snapshot
+   * @param {Object} after - Newer snapshot
+   * @returns {Object} { added, removed, moved: [{ tab, from, to }], unchanged }
+   */
+  diff(before, after) {
+    const beforeByUrl = new Map(before.tabs.map(tab => [tab.url, tab]));
+    const afterByUrl = new Map(after.tabs.map(tab => [tab.url, tab]));
+    const result = { added: [], removed: [], moved: [], unchanged: 0 };
+
+    for (const [url, tab] of afterByUrl) {
+      const previous = beforeByUrl.get(url);
+      if (!previous) {
+        result.added.push(tab);
+      } else if (previous.group !== tab.group) {
+        result.moved.push({ tab, from: previous.group, to: tab.group });
+      } else {
+        result.unchanged++;
+      }
+    }
+
+    for (const [url, tab] of beforeByUrl) {
+      if (!afterByUrl.has(url)) {
+        result.removed.push(tab);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Reopen a snapshot's tabs (in the background) in their groups
+   * Tabs already open are skipped; tabs of deleted groups land in Main.
+   * @param {Object} snapshot - Snapshot
+   * @returns {Promise<Object>} { reopened, skipped }
+   */
+  async restore(snapshot) {
+    const openUrls = new Set((await browser.tabs.query({})).map(tab => tab.url));
+    const groupIds = new Set((await groupManager.getGroups()).map(group => group.id));
+    const result = { reopened: 0, skipped: 0 };
+
+    for (const entry of snapshot.tabs) {
+      if (openUrls.has(entry.url)) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        const tab = await browser.tabs.create({ url: entry.url, active: false });
+        const group = groupIds.has(entry.group) ? entry.group : groupManager.GROUPS.MAIN;
+
+        // Retention starts over: the tab re-enters its group now
+        await Storage.set(`tab-${tab.id}`, {
+          group,
+          dateSwiped: group === groupManager.GROUPS.MAIN ? null : Date.now(),
+          metadata: entry.metadata
+        });
+
+        openUrls.add(entry.url);
+        result.reopened++;
+      } catch (error) {
+        console.error(`[Snapshots] Failed to reopen ${entry.url}:`, error);
+      }
+    }
+
+    return result;
+  }
+}
+
+// Export singleton instance
+const tabSnapshots = new TabSnapshots();
@@ -0,0 +1,157 @@
+/**
+ * Tab Sources - pluggable data sources for the query engine
+ *
+ * Each source loads raw tabs; results are mapped to one shape so the same
+ * query string runs against live tabs, synced devices and the analysis set:
+ *
+ *   { id, url, title, domain, source, device, lastAccessed, age, ...raw fields }
+ *
+ *   source       'local' (open and tracked tabs), 'synced' (Firefox Sync
+ *                import), 'imported' (bookmarks, OneTab, ... see TabImporters)
+ *                or 'analysis' (IndexedDB analysis set)
+ *   device       Sync device name or importer label, or null for local tabs
+ *   lastAccessed Timestamp in ms (null if unknown)
+ *   age          Days since last access
+ *
+ * Register more sources with tabSources.register(name, { label, load }).
+ */
+
+class TabSources {
+  constructor() {
+    this.sources = new Map();
+
+    this.register('local', {
+      label: 'This device',
+      load: (options) => tabQuery.getAllTabsWithMetadata(options.includeInternal)
+    });
+
+    // Tabs closed since an earlier Sync export stay in the timeline only
+    this.register('synced', {
+      label: 'Synced devices',
+      load: async () => ((await Storage.get('syncedTabs')) || []).filter(tab => !tab.closedAt)
+    });
+
+    this.register('imported', {
+      label: 'Imported files',
+      load: async () => (await Storage.get('importedTabs')) || []
+    });
+
+    this.register('analysis', {
+      label: 'Analysis set',
+      load: () => indexedDBStorage.getAllTabs()
+    });
+  }
+
+  /**
+   * Register a data source
+   * @param {string} name - Source name (stored on results as `source`)
+   * @param {Object} source - { label, load: async (options) => Array<Object> }
+   * @throws {Error} If the source has no load function
+   */
+  register(name, source) {
+    if (typeof source?.load !== 'function') {
+      throw new Error(`Tab source "${name}" needs a load function`);
+    }
+
+    this.sources.set(name, { name, label: source.label || name, load: source.load });
+  }
+
+  /**
+   * Get the registered source names
+   * @returns {Array<string>} Source names in registration order
+   */
+  getNames() {
+    return Array.from(this.sources.keys());
+  }
+
+  /**
+   * Load and normalize tabs from several sources
+   * A source that fails to load is reported in `errors` and skipped.
+   * With `dedupe` (default), a URL is kept from the first source listing it,
+   * so listing 'local' first prefers open tabs over synced copies.
+   * @param {Array<string>} names - Sources to load (default: all)
+   * @param {Object} options - { dedupe = true, includeInternal = false }
+   * @returns {Promise<Object>} { tabs, counts: {source: n}, duplicates, errors: {source: message} }
+   * @throws {Error} If a source name is unknown
+   */
+  async load(names = this.getNames(), options = {}) {
+    const { dedupe = true } = options;
+    const byUrl = new Map();
+    const tabs = [];
+    const counts = {};
+    const errors = {};
+    let duplicates = 0;
+
+    for (const name of names) {
+      const source = this.sources.get(name);
+      if (!source) {
+        throw new Error(`Unknown tab source: ${name}`);
+      }
+
+      let raw;
+      try {
+        raw = await source.load(options);
+      } catch (error) {
+        console.warn(`[Sources] Failed to load ${name} tabs:`, error);
+        errors[name] = error.message;
+        continue;
+      }
+
+      counts[name] = 0;
+      for (const tab of raw || []) {
+        const normalized = this.normalize(tab, name);
+
+        if (dedupe && normalized.url) {
+          if (byUrl.has(normalized.url)) {
+            duplicates++;
+            continue;
+          }
+          byUrl.set(normalized.url, normalized);
+        }
+
+        tabs.push(normalized);
+        counts[name]++;
+      }
+    }
+
+    return { tabs, counts, duplicates, errors };
+  }
+
+  /**
+   * Map a raw tab from any source to the common result shape
+   * Raw fields are kept, so source-specific data (classification, entities,
+   * syncExportDate, ...) stays available to the query engine and the UI.
+   * @param {Object} tab - Raw tab
+   * @param {string} source - Source name
+   * @returns {Object} Normalized tab
+   */
+  normalize(tab, source) {
+    return {
+      ...tab,
+      id: tab.id ?? tab.tabId,
+      title: tab.title || '',
+      domain: tab.domain || tabQuery.extractDomain(tab.url),
+      source,
+      device: tab.deviceName || null,
+      lastAccessed: tabQuery.getLastAccessed(tab),
+      age: tabQuery.calculateAge(tab)
+    };
+  }
+
+  /**
+   * Run a query across sources
+   * @param {string|Object|null} query - Query string or AST from QueryParser.parseAST
+   * @param {Object} options - load() options plus `sources` (default: all)
+   * @returns {Promise<Object>} { tabs, stats, counts, errors } (see TabQuery.query)
+   */
+  async query(query, options = {}) {
+    const ast = typeof query === 'string' ? queryParser.parseAST(query) : query;
+    const { tabs, counts, errors } = await this.load(options.sources, options);
+    const { tabs: results, stats } = await tabQuery.query(tabQuery.createSnapshot(tabs), ast);
+
+    return { tabs: results, stats, counts, errors };
+  }
+}
+
+// Export singleton instance
+const tabSources = new TabSources();
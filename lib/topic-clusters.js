@@ -0,0 +1,186 @@
+/**
+ * Topic Clusters - group tabs into topics from their embeddings
+ *
+ * Spherical k-means over the MiniLM vectors (see EmbeddingIndex.kmeans),
+ * with an HDBSCAN-style noise bucket: tabs far from every topic centroid
+ * and topics too small to mean anything stay unclustered instead of being
+ * forced into their nearest topic.
+ *
+ * Topics are labelled from their most salient title words (frequent in the
+ * topic, rare in the other tabs: TF-IDF) and their most mentioned NER entities.
+ */
+
+class TopicClusters {
+  constructor() {
+    this.MIN_SIMILARITY = 0.35; // Cosine similarity to the topic centroid
+    this.MIN_SIZE = 3;
+    this.MAX_TOPICS = 30;
+    this.LABEL_TERMS = 3;
+    this.embeddingIndex = new EmbeddingIndex();
+
+    // Title words that say nothing about a topic (English, French, web)
+    this.STOPWORDS = new Set([
+      'the', 'and', 'for', 'with', 'from', 'this', 'that', 'what', 'how', 'why', 'who', 'your', 'you',
+      'are', 'was', 'were', 'not', 'all', 'can', 'new', 'about', 'into', 'its', 'our', 'out', 'best',
+      'les', 'des', 'une', 'pour', 'dans', 'sur', 'avec', 'par', 'est', 'qui', 'que', 'aux', 'pas',
+      'plus', 'son', 'ses', 'leur', 'nous', 'vous', 'comment',
+      'www', 'http', 'https', 'com', 'org', 'html', 'home', 'page', 'index', 'login', 'untitled'
+    ]);
+  }
+
+  /**
+   * Cluster tabs into topics
+   * @param {Array<Object>} tabs - Tabs
+   * @param {Object} options - {
+   *   getVector: tab => embedding or null (default: tab.embedding),
+   *   getEntities: tab => analysis entities or [{ name, type }] (default: tab.entities),
+   *   k: number of topics (default: ~sqrt(n / 2))
+   * }
+   * @returns {Object} { topics: [{ id, label, terms, entities, tabs, cohesion }], unclustered, withoutEmbedding }
+   *   Topics are sorted by size, largest first
+   */
+  cluster(tabs, options = {}) {
+    const { getVector = tab => tab.embedding, getEntities = tab => tab.entities } = options;
+    const items = [];
+    const withoutEmbedding = [];
+
+    for (const tab of tabs) {
+      const vector = getVector(tab);
+      if (vector && vector.length > 0) {
+        items.push({ tab, vector: this.embeddingIndex.normalize(vector), entities: this.getEntityNames(getEntities(tab)) });
+      } else {
+        withoutEmbedding.push(tab);
+      }
+    }
+
+    if (items.length < this.MIN_SIZE) {
+      return { topics: [], unclustered: items.map(item => item.tab), withoutEmbedding };
+    }
+
+    const k = options.k || Math.min(this.MAX_TOPICS, Math.max(1, Math.round(Math.sqrt(items.length / 2))));
+    const centroids = this.embeddingIndex.kmeans(items.map(item => item.vector), k);
+    const members = centroids.map(() => []);
+    const noise = [];
+
+    for (const item of items) {
+      const nearest = this.embeddingIndex.nearestCentroid(item.vector, centroids);
+      item.similarity = this.embeddingIndex.dot(item.vector, centroids[nearest]);
+      (item.similarity >= this.MIN_SIMILARITY ? members[nearest] : noise).push(item);
+    }
+
+    const documentFrequency = this.countTerms(items);
+    const topics = [];
+
+    for (const topicItems of members) {
+      if (topicItems.length < this.MIN_SIZE) {
+        noise.push(...topicItems);
+        continue;
+      }
+
+      const { label, terms, entities } = this.label(topicItems, documentFrequency, items.length);
+      topics.push({
+        label,
+        terms,
+        entities,
+        tabs: topicItems.sort((a, b) => b.similarity - a.similarity).map(item => item.tab),
+        cohesion: Math.round(topicItems.reduce((sum, item) => sum + item.similarity, 0) / topicItems.length * 100) / 100
+      });
+    }
+
+    topics.sort((a, b) => b.tabs.length - a.tabs.length);
+    topics.forEach((topic, index) => {
+      topic.id = `topic-${index + 1}`;
+      topic.label = topic.label || `Topic ${index + 1}`;
+    });
+
+    return { topics, unclustered: noise.map(item => item.tab), withoutEmbedding };
+  }
+
+  /**
+   * Label a topic from its salient title words and most mentioned entities
+   * Words and entities must appear in at least two of the topic's tabs.
+   * @param {Array<Object>} items - Topic items ({ tab, entities })
+   * @param {Map} documentFrequency - Word -> number of tabs (all clustered tabs)
+   * @param {number} total - Number of clustered tabs
+   * @returns {Object} { label, terms, entities }
+   */
+  label(items, documentFrequency, total) {
+    const terms = Array.from(this.countTerms(items))
+      .filter(([, count]) => count >= 2)
+      .map(([term, count]) => ({ term, score: count * Math.log(total / documentFrequency.get(term)) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+      .slice(0, this.LABEL_TERMS)
+      .map(entry => entry.term);
+
+    const entityCounts = new Map();
+    for (const item of items) {
+      for (const name of new Set(item.entities)) {
+        const key = name.toLowerCase();
+        const entry = entityCounts.get(key) || { name, count: 0 };
+        entry.count++;
+        entityCounts.set(key, entry);
+      }
+    }
+    const entities = Array.from(entityCounts.values())
+      .filter(entry => entry.count >= 2)
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, this.LABEL_TERMS)
+      .map(entry => entry.name);
+
+    // Lead with the top entity, then the words it doesn't already say
+    const lead = entities.slice(0, 1);
+    const words = terms.filter(term => !lead.some(name => name.toLowerCase().includes(term)));
+
+    return { label: [...lead, ...words].slice(0, this.LABEL_TERMS).join(' · '), terms, entities };
+  }
+
+  /**
+   * Count in how many tabs each title word appears
+   * @param {Array<Object>} items - Items ({ tab })
+   * @returns {Map} Word -> number of tabs
+   */
+  countTerms(items) {
+    const counts = new Map();
+    for (const item of items) {
+      for (const term of new Set(this.tokenize(item.tab.title))) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Split a title into lowercase words, without stopwords and numbers
+   * @param {string} title - Tab title
+   * @returns {Array<string>} Words
+   */
+  tokenize(title) {
+    return (title || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length >= 3 && !this.STOPWORDS.has(word) && !/^\d+$/.test(word));
+  }
+
+  /**
+   * Entity names from analysis entities ({ people: [{ word }], ... }) or an entity store list ([{ name }])
+   * @param {Object|Array|null} entities - Entities
+   * @returns {Array<string>} Names
+   */
+  getEntityNames(entities) {
+    if (!entities) {
+      return [];
+    }
+
+    const list = Array.isArray(entities)
+      ? entities
+      : ['people', 'organizations', 'locations', 'misc'].flatMap(type => entities[type] || []);
+
+    return list
+      .map(entity => (typeof entity === 'string' ? entity : entity.name || entity.word || entity.text))
+      .filter(name => name && name.length > 1 && !name.startsWith('##'));
+  }
+}
+
+// Export singleton instance
+const topicClusters = new TopicClusters();
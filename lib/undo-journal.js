@@ -0,0 +1,165 @@
+/**
+ * Undo Journal - operation history for bulk actions in the manager
+ *
+ * Storage format:
+ * {
+ *   "undo-journal": [
+ *     {
+ *       id, type: "group" | "close", label, createdAt, undoneAt: timestamp|null,
+ *       tabs: [{ tabId, url, title, record }]  // record = tab-{id} record before the action
+ *     }
+ *   ]
+ * }
+ *
+ * Entries are kept oldest first, at most MAX_ENTRIES. Undo walks back from
+ * the newest entry, so later operations are reverted before earlier ones:
+ * - group: each tab still open gets its previous group and swipe date back
+ *   (none, i.e. Main); the rest of its record (metadata, identity, applied
+ *   rules) keeps what was written since
+ * - close: each tab is reopened with its previous record
+ */
+
+class UndoJournal {
+  constructor() {
+    this.STORAGE_KEY = 'undo-journal';
+    this.MAX_ENTRIES = 50;
+  }
+
+  /**
+   * Get all journal entries, newest first
+   * @returns {Promise<Array>} Entries
+   */
+  async getAll() {
+    const entries = (await Storage.get(this.STORAGE_KEY)) || [];
+    return entries.slice().reverse();
+  }
+
+  /**
+   * Record a bulk action before it is applied
+   * Captures each tab's current record so the action can be reverted
+   * @param {string} type - 'group' or 'close'
+   * @param {Array} tabs - Tabs ({ id, url, title }) the action applies to
+   * @param {string} label - Human-readable description ("Moved 3 tabs to Bin")
+   * @returns {Promise<Object>} Stored entry
+   */
+  async record(type, tabs, label) {
+    const records = await Storage.getMany(tabs.map(tab => `tab-${tab.id}`));
+    const entry = {
+      id: `op-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      label,
+      createdAt: Date.now(),
+      undoneAt: null,
+      tabs: tabs.map(tab => ({
+        tabId: tab.id,
+        url: tab.url,
+        title: tab.title,
+        record: records[`tab-${tab.id}`] || null
+      }))
+    };
+
+    const entries = (await Storage.get(this.STORAGE_KEY)) || [];
+    entries.push(entry);
+    await Storage.set(this.STORAGE_KEY, entries.slice(-this.MAX_ENTRIES));
+    return entry;
+  }
+
+  /**
+   * Revert the last `count` operations that haven't been undone, newest first
+   * @param {number} count - Number of operations to revert
+   * @returns {Promise<Object>} { undone: entries, restored: tabs regrouped, reopened: tabs reopened }
+   */
+  async undo(count = 1) {
+    const entries = (await Storage.get(this.STORAGE_KEY)) || [];
+    const pending = entries.filter(entry => !entry.undoneAt).reverse().slice(0, count);
+    const result = { undone: [], restored: 0, reopened: 0 };
+
+    for (const entry of pending) {
+      if (entry.type === 'close') {
+        result.reopened += await this.reopenTabs(entry.tabs);
+      } else {
+        result.restored += await this.restoreRecords(entry.tabs);
+      }
+
+      entry.undoneAt = Date.now();
+      result.undone.push(entry);
+      // Save after each entry so a failure part-way doesn't replay earlier undos
+      await Storage.set(this.STORAGE_KEY, entries);
+    }
+
+    return result;
+  }
+
+  /**
+   * Put back the group and swipe date tabs had before a group change
+   * Browser tabs closed since are skipped, so no orphaned record is recreated.
+   * @param {Array} tabs - Journal tabs
+   * @returns {Promise<number>} Number of tabs restored
+   */
+  async restoreRecords(tabs) {
+    const liveIds = new Set((await browser.tabs.query({})).map(tab => tab.id));
+    const current = await Storage.getMany(tabs.map(({ tabId }) => `tab-${tabId}`));
+    let restored = 0;
+
+    for (const { tabId, record } of tabs) {
+      // Synced tabs (string IDs) have no live browser tab to check
+      if (typeof tabId === 'number' && !liveIds.has(tabId)) {
+        continue;
+      }
+
+      const key = `tab-${tabId}`;
+      const { group, dateSwiped, ...rest } = current[key] || {};
+      const next = { ...rest };
+      if (record?.group) {
+        next.group = record.group;
+      }
+      if (record?.dateSwiped) {
+        next.dateSwiped = record.dateSwiped;
+      }
+
+      if (Object.keys(next).length > 0) {
+        await Storage.set(key, next);
+      } else {
+        await Storage.remove(key);
+      }
+      restored++;
+    }
+
+    return restored;
+  }
+
+  /**
+   * Reopen closed tabs (in the background) with their previous records
+   * Tab IDs change when a tab is reopened, so records move to the new IDs.
+   * @param {Array} tabs - Journal tabs
+   * @returns {Promise<number>} Number of tabs reopened
+   */
+  async reopenTabs(tabs) {
+    let reopened = 0;
+
+    for (const { url, record } of tabs) {
+      try {
+        const tab = await browser.tabs.create({ url, active: false });
+        if (record) {
+          await Storage.set(`tab-${tab.id}`, record);
+        }
+        reopened++;
+      } catch (error) {
+        console.error(`[Undo] Failed to reopen ${url}:`, error);
+      }
+    }
+
+    return reopened;
+  }
+
+  /**
+   * Forget the whole history
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await Storage.remove(this.STORAGE_KEY);
+  }
+}
+
+// Export singleton instance
+const undoJournal = new UndoJournal();
@@ -0,0 +1,201 @@
+/**
+ * URL Canonicalizer - finds duplicate and near-duplicate tabs
+ *
+ * canonicalize() turns a URL into a comparison key that is the same for
+ * copies of a page that only differ by:
+ * - scheme (http/https), `www.` and mobile subdomains (`m.`, `en.m.wikipedia.org`)
+ * - tracking parameters (utm_*, fbclid, gclid, ...) and parameter order
+ * - fragments (except SPA routes like `#/inbox` or `#!/page`)
+ * - AMP versions (`/amp`, `?amp=1`, Google and ampproject.org AMP caches)
+ * - a trailing slash
+ *
+ * The key is meant for comparison, not for opening.
+ *
+ * findDuplicates() groups tabs with the same key and, when page embeddings
+ * are available (see scripts/analyze-tabs.js), pages with near-identical
+ * content, found through the embedding index. The most recently accessed tab
+ * of each group is the keeper.
+ */
+
+class UrlCanonicalizer {
+  constructor() {
+    this.TRACKING_PARAMS = new Set([
+      'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+      'mc_cid', 'mc_eid', 'igshid', '_ga', '_gl', 'ref_src', 'ref_url', 'si'
+    ]);
+    this.MOBILE_LABELS = new Set(['m', 'mobile', 'amp']);
+    this.SEMANTIC_THRESHOLD = 0.97;
+    this.SEMANTIC_NEIGHBOURS = 10;
+  }
+
+  /**
+   * Build the comparison key of a URL
+   * Non-web URLs (about:, file:, ...) are returned unchanged
+   * @param {string} url - URL
+   * @returns {string} Canonical key
+   */
+  canonicalize(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return url;
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return url;
+    }
+
+    parsed = this.unwrapAmpCache(parsed);
+
+    const params = [...parsed.searchParams]
+      .filter(([key, value]) => !this.isTrackingParam(key, value))
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+    const hash = /^#!?\//.test(parsed.hash) ? parsed.hash : '';
+    const port = parsed.port ? `:${parsed.port}` : '';
+
+    return `${this.canonicalHost(parsed.hostname)}${port}${this.canonicalPath(parsed.pathname)}${query}${hash}`;
+  }
+
+  /**
+   * Drop `www.` and mobile/AMP subdomain labels (never the registrable domain)
+   * @param {string} hostname - Lowercase hostname
+   * @returns {string} Canonical hostname
+   */
+  canonicalHost(hostname) {
+    const labels = hostname.replace(/^www\d*\./, '').split('.');
+
+    return labels
+      .filter((label, index) => index >= labels.length - 2 || !this.MOBILE_LABELS.has(label))
+      .join('.');
+  }
+
+  /**
+   * Drop AMP path markers and the trailing slash
+   * @param {string} pathname - URL path
+   * @returns {string} Canonical path ('' for the root)
+   */
+  canonicalPath(pathname) {
+    return pathname
+      .replace(/^\/amp(?=\/)/, '')
+      .replace(/\/amp\/?$/, '')
+      .replace(/\.amp(\.html?)?$/, '$1')
+      .replace(/\/+$/, '');
+  }
+
+  /**
+   * Check whether a query parameter only tracks the visit (or asks for AMP)
+   * @param {string} key - Parameter name
+   * @param {string} value - Parameter value
+   * @returns {boolean} True if the parameter doesn't change the page
+   */
+  isTrackingParam(key, value) {
+    const name = key.toLowerCase();
+    return name.startsWith('utm_')
+      || this.TRACKING_PARAMS.has(name)
+      || name === 'amp'
+      || (name === 'outputtype' && value === 'amp');
+  }
+
+  /**
+   * Turn an AMP cache URL back into the publisher URL
+   * - https://www.google.com/amp/s/example.com/story
+   * - https://example-com.cdn.ampproject.org/c/s/example.com/story
+   * @param {URL} parsed - Parsed URL
+   * @returns {URL} Publisher URL (or the input)
+   */
+  unwrapAmpCache(parsed) {
+    const isGoogle = /(^|\.)google\.[a-z.]+$/.test(parsed.hostname) && parsed.pathname.startsWith('/amp/');
+    const isAmpProject = parsed.hostname.endsWith('.cdn.ampproject.org');
+    if (!isGoogle && !isAmpProject) {
+      return parsed;
+    }
+
+    const match = /^\/(?:amp|[cvi])\/(s\/)?(.+)$/.exec(parsed.pathname);
+    if (!match) {
+      return parsed;
+    }
+
+    try {
+      return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${parsed.search}`);
+    } catch {
+      return parsed;
+    }
+  }
+
+  /**
+   * Group duplicate tabs
+   * @param {Array} tabs - Tabs ({ id, url, lastAccessed })
+   * @param {Object} options - { index: EmbeddingIndex keyed by URL, threshold }
+   * @returns {Array} Groups, largest first: { key, tabs, keeper, others, semantic }
+   *   (`tabs` most recently accessed first; `semantic` when some URLs only match by content)
+   */
+  findDuplicates(tabs, { index = null, threshold = this.SEMANTIC_THRESHOLD } = {}) {
+    const parent = tabs.map((tab, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const union = (a, b) => {
+      parent[find(a)] = find(b);
+    };
+
+    const keys = tabs.map(tab => this.canonicalize(tab.url || ''));
+    const firstByKey = new Map();
+    keys.forEach((key, index) => {
+      if (firstByKey.has(key)) {
+        union(index, firstByKey.get(key));
+      } else {
+        firstByKey.set(key, index);
+      }
+    });
+
+    if (index) {
+      // Tabs with the same URL already share a key, one per URL is enough
+      const firstByUrl = new Map();
+      tabs.forEach((tab, i) => {
+        if (tab.url && !firstByUrl.has(tab.url)) {
+          firstByUrl.set(tab.url, i);
+        }
+      });
+
+      for (const [url, i] of firstByUrl) {
+        for (const { tabId } of index.search(url, this.SEMANTIC_NEIGHBOURS, { minSimilarity: threshold })) {
+          if (firstByUrl.has(tabId)) {
+            union(i, firstByUrl.get(tabId));
+          }
+        }
+      }
+    }
+
+    const groups = new Map();
+    tabs.forEach((tab, index) => {
+      const root = find(index);
+      if (!groups.has(root)) {
+        groups.set(root, []);
+      }
+      groups.get(root).push(index);
+    });
+
+    return Array.from(groups.values())
+      .filter(indexes => indexes.length > 1)
+      .map(indexes => {
+        const sorted = indexes.sort((a, b) => (tabs[b].lastAccessed || 0) - (tabs[a].lastAccessed || 0));
+        return {
+          key: keys[sorted[0]],
+          tabs: sorted.map(index => tabs[index]),
+          keeper: tabs[sorted[0]],
+          others: sorted.slice(1).map(index => tabs[index]),
+          semantic: new Set(sorted.map(index => keys[index])).size > 1
+        };
+      })
+      .sort((a, b) => b.tabs.length - a.tabs.length);
+  }
+}
+
+// Export singleton instance
+const urlCanonicalizer = new UrlCanonicalizer();
@@ -4,10 +4,12 @@ global.browser = {
     local: {
       get: vi.fn(),
       set: vi.fn(),
+      remove: vi.fn(),
     },
   },
   tabs: {
     query: vi.fn(),
+    create: vi.fn(),
     update: vi.fn(),
     remove: vi.fn(),
     sendMessage: vi.fn(),
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for AnalysisQueue
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate AnalysisQueue source
+const analysisQueueCode = readFileSync(resolve(__dirname, '../../lib/analysis-queue.js'), 'utf8');
+
+const createAnalysisQueue = () => {
+  const wrappedCode = `(function() { ${analysisQueueCode}; return AnalysisQueue; })()`;
+  return eval(wrappedCode);
+};
+
+const AnalysisQueue = createAnalysisQueue();
+
+const makeTabs = (count) => Array.from({ length: count }, (_, i) => ({
+  id: i + 1,
+  source: 'local',
+  url: `https://example.com/${i}`,
+  title: `Page ${i}`,
+  domain: 'example.com'
+}));
+
+describe('AnalysisQueue', () => {
+  let queue;
+  let jobs;
+  let tabRecords;
+  let messages;
+
+  beforeEach(() => {
+    jobs = {};
+    tabRecords = {};
+    messages = [];
+
+    // In-memory stand-in for the IndexedDB jobs, tabs and entities stores
+    globalThis.indexedDBStorage = {
+      saveJob: vi.fn(async (job) => {
+        jobs[job.jobId] = structuredClone(job);
+      }),
+      getJob: vi.fn(async (jobId) => structuredClone(jobs[jobId] || null)),
+      getTab: vi.fn(async (tabId) => tabRecords[tabId] || null),
+      saveTab: vi.fn(async (tab) => {
+        tabRecords[tab.tabId] = tab;
+      }),
+      saveTabEntities: vi.fn(async () => 0)
+    };
+    globalThis.embeddingIndex = { addEmbeddings: vi.fn(async () => {}) };
+    globalThis.metadataStorage = {
+      getMetadata: vi.fn(async () => null),
+      setMetadata: vi.fn(async () => {})
+    };
+    globalThis.MLClassifierWorker = {
+      classifyTab: vi.fn(async () => ({
+        classifications: {
+          intent: { labels: ['informational', 'navigational'], scores: [0.2, 0.7], topK: [] }
+        },
+        metadata: { modelVersion: 'distilbert-v1' }
+      }))
+    };
+    globalThis.MLEmbedderWorker = { embedTab: vi.fn(async () => [0.1, 0.2]) };
+    globalThis.MLNerWorker = {
+      extractEntities: vi.fn(async () => ({ people: [{ word: 'Ada Lovelace' }], organizations: [], locations: [], misc: [] }))
+    };
+
+    browser.alarms = { create: vi.fn(), clear: vi.fn(async () => true) };
+    browser.runtime.sendMessage = vi.fn(async (message) => {
+      messages.push(message);
+    });
+
+    queue = new AnalysisQueue();
+    queue.CHUNK_SIZE = 2;
+  });
+
+  afterEach(() => {
+    delete globalThis.indexedDBStorage;
+    delete globalThis.embeddingIndex;
+    delete globalThis.metadataStorage;
+    delete globalThis.MLClassifierWorker;
+    delete globalThis.MLEmbedderWorker;
+    delete globalThis.MLNerWorker;
+    delete browser.alarms;
+    delete browser.runtime.sendMessage;
+    delete browser.idle;
+  });
+
+  it('should analyze tabs in chunks and store results by URL', async () => {
+    tabRecords['https://example.com/0'] = { tabId: 'https://example.com/0', readingTimeMinutes: 4 };
+
+    const started = await queue.start([...makeTabs(5), makeTabs(1)[0], { id: 99, title: 'No URL' }]);
+    expect(started).toMatchObject({ status: 'running', total: 5, processed: 0 });
+    expect(started.tabs).toBeUndefined();
+
+    await queue.running;
+
+    expect(jobs.analysis).toMatchObject({ status: 'done', processed: 5, failed: 0 });
+    expect(embeddingIndex.addEmbeddings).toHaveBeenCalledTimes(3);
+    expect(embeddingIndex.addEmbeddings).toHaveBeenCalledWith([
+      { tabId: 'https://example.com/0', vector: [0.1, 0.2] },
+      { tabId: 'https://example.com/1', vector: [0.1, 0.2] }
+    ]);
+    expect(indexedDBStorage.saveTabEntities).toHaveBeenCalledWith('https://example.com/4', expect.objectContaining({ people: [{ word: 'Ada Lovelace' }] }));
+    expect(tabRecords['https://example.com/0']).toMatchObject({
+      readingTimeMinutes: 4,
+      title: 'Page 0',
+      classification: { intent: { label: 'navigational', score: 0.7 } }
+    });
+    expect(metadataStorage.setMetadata).toHaveBeenCalledWith(1, expect.objectContaining({ mlMetadata: { modelVersion: 'distilbert-v1' } }));
+    expect(messages.map(message => message.job.processed)).toEqual([0, 2, 4, 5, 5]);
+    expect(browser.alarms.clear).toHaveBeenCalledWith('analysis-queue');
+  });
+
+  it('should resume a job from its saved progress and stop when cancelled', async () => {
+    // Saved after the first chunk, before the browser quit
+    jobs.analysis = {
+      jobId: 'analysis',
+      status: 'running',
+      steps: ['embed'],
+      idleOnly: false,
+      tabs: makeTabs(5),
+      sessionContext: null,
+      total: 5,
+      processed: 2,
+      failed: 0,
+      waitingFor: null
+    };
+
+    await queue.resume();
+
+    expect(jobs.analysis).toMatchObject({ status: 'done', processed: 5 });
+    expect(MLEmbedderWorker.embedTab.mock.calls.map(([tab]) => tab.id)).toEqual([3, 4, 5]);
+    expect(MLClassifierWorker.classifyTab).not.toHaveBeenCalled();
+
+    await queue.start(makeTabs(5));
+    await queue.cancel();
+    await queue.running;
+
+    expect(jobs.analysis).toMatchObject({ status: 'cancelled', processed: 0 });
+    expect(MLClassifierWorker.classifyTab).toHaveBeenCalledTimes(2);
+    await expect(queue.start(makeTabs(1), { steps: ['summarize'] })).rejects.toThrow('Unknown analysis step: summarize');
+  });
+
+  it('should wait for idle on idle-only jobs and stop when no tab can be analyzed', async () => {
+    browser.idle = { queryState: vi.fn(async () => 'active') };
+
+    await queue.start(makeTabs(3), { idleOnly: true });
+    await queue.running;
+    expect(jobs.analysis).toMatchObject({ status: 'running', processed: 0, waitingFor: 'active' });
+    await expect(queue.start(makeTabs(1))).rejects.toThrow('An analysis is already running');
+
+    browser.idle.queryState.mockResolvedValue('idle');
+    MLClassifierWorker.classifyTab.mockRejectedValue(new Error('Model not found'));
+    await queue.resume();
+
+    expect(jobs.analysis).toMatchObject({ status: 'failed', processed: 0, waitingFor: null, error: 'Model not found' });
+  });
+
+  it('should count a failed chunk and go on once some tabs were analyzed', async () => {
+    const failing = new Set([3, 4, 7, 8, 9, 10, 11, 12]);
+    MLClassifierWorker.classifyTab.mockImplementation(async (tab) => {
+      if (failing.has(tab.id)) {
+        throw new Error('Out of memory');
+      }
+      return { classifications: {}, metadata: {} };
+    });
+
+    await queue.start(makeTabs(14));
+    await queue.running;
+
+    // Chunk 2 failed alone and was skipped; chunks 4 to 6 failed in a row
+    expect(jobs.analysis).toMatchObject({ status: 'failed', processed: 10, failed: 6, failedChunks: 3, error: 'Out of memory' });
+    expect(MLClassifierWorker.classifyTab).toHaveBeenCalledTimes(12);
+  });
+
+  it('should only cache classifications in the metadata of local tabs', async () => {
+    await queue.start([
+      { id: 'device-1:https://a.example/', source: 'synced', url: 'https://a.example/', title: 'Synced A' },
+      { id: 7, source: 'local', url: 'https://a.example/', title: 'Local A' },
+      { id: 'import-2', source: 'imported', url: 'https://b.example/', title: 'Imported B' }
+    ], { steps: ['classify'] });
+    await queue.running;
+
+    expect(jobs.analysis).toMatchObject({ status: 'done', total: 2, processed: 2 });
+    expect(metadataStorage.setMetadata).toHaveBeenCalledTimes(1);
+    expect(metadataStorage.setMetadata).toHaveBeenCalledWith(7, expect.any(Object));
+    expect(tabRecords['https://b.example/']).toMatchObject({ title: 'Imported B' });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Unit tests for EmbeddingIndex
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate EmbeddingIndex source
+const embeddingIndexCode = readFileSync(resolve(__dirname, '../../lib/embedding-index.js'), 'utf8');
+
+const createEmbeddingIndex = () => {
+  const wrappedCode = `(function() { ${embeddingIndexCode}; return EmbeddingIndex; })()`;
+  return eval(wrappedCode);
+};
+
+const EmbeddingIndex = createEmbeddingIndex();
+
+// Deterministic vectors scattered around a few topics
+const clusteredEmbeddings = (count, dimension = 16, topics = 8) => {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648 - 0.5;
+  };
+  const centres = Array.from({ length: topics }, () => Array.from({ length: dimension }, random));
+
+  return Array.from({ length: count }, (_, i) => ({
+    tabId: `tab-${i}`,
+    vector: Float32Array.from(centres[i % topics], value => value + random() * 0.3)
+  }));
+};
+
+describe('EmbeddingIndex', () => {
+  let index;
+  let saved;
+  let embeddings;
+
+  beforeEach(() => {
+    saved = null;
+    embeddings = [];
+
+    // In-memory stand-in for the IndexedDB embeddings and indexes stores
+    globalThis.indexedDBStorage = {
+      getAllEmbeddings: vi.fn(async () => embeddings),
+      getIndex: vi.fn(async () => saved),
+      saveIndex: vi.fn(async (record) => {
+        saved = structuredClone(record);
+      }),
+      saveEmbedding: vi.fn(async (tabId, vector) => {
+        embeddings.push({ tabId, vector });
+      })
+    };
+
+    index = new EmbeddingIndex();
+  });
+
+  afterEach(() => {
+    delete globalThis.indexedDBStorage;
+  });
+
+  it('should search small indexes exactly by cosine similarity', () => {
+    index.build([
+      { tabId: 'a', vector: [1, 0, 0] },
+      { tabId: 'b', vector: [10, 1, 0] },
+      { tabId: 'c', vector: [0, 1, 0] },
+      { tabId: 'd', vector: [-1, 0, 0] }
+    ]);
+
+    const results = index.search('a', 2);
+
+    expect(index.centroids).toHaveLength(0);
+    expect(results.map(result => result.tabId)).toEqual(['b', 'c']);
+    expect(results[0].similarity).toBeCloseTo(10 / Math.sqrt(101));
+    expect(index.search([0, 2, 0], 1)[0]).toMatchObject({ tabId: 'c' });
+    expect(() => index.add('e', [1, 0])).toThrow('Embedding has 2 dimensions, index expects 3');
+  });
+
+  it('should compute the cosine similarity of vectors that are not normalized', () => {
+    expect(index.similarity([10, 1, 0], [1, 0, 0])).toBeCloseTo(10 / Math.sqrt(101));
+    expect(index.similarity([2, 0], [0, 3])).toBe(0);
+    expect(index.similarity([0, 0], [1, 0])).toBe(0);
+    expect(index.similarity([1, 0], [1, 0, 0])).toBe(0);
+  });
+
+  it('should find the same nearest neighbours as a full scan once trained', () => {
+    const data = clusteredEmbeddings(800);
+    index.build(data);
+
+    const exact = new EmbeddingIndex();
+    exact.MIN_TRAINING_SIZE = Infinity;
+    exact.build(data);
+
+    let hits = 0;
+    for (let i = 0; i < 100; i++) {
+      const tabId = `tab-${i * 7}`;
+      if (index.search(tabId, 1)[0].tabId === exact.search(tabId, 1)[0].tabId) hits++;
+    }
+
+    expect(index.centroids.length).toBe(Math.round(Math.sqrt(800)));
+    expect(hits).toBeGreaterThanOrEqual(95);
+  });
+
+  it('should find the similar tabs of one tab among 10,000 in milliseconds', () => {
+    // Lighter training keeps the build cheap; only the lookups are timed
+    index.TRAINING_SAMPLE = 1000;
+    index.KMEANS_ITERATIONS = 2;
+    index.build(clusteredEmbeddings(10000, 384, 50));
+
+    const dot = vi.spyOn(index, 'dot');
+    const searches = 50;
+    const start = performance.now();
+    for (let i = 0; i < searches; i++) {
+      expect(index.search(`tab-${i * 199}`, 5)).toHaveLength(5);
+    }
+    const perSearchMs = (performance.now() - start) / searches;
+
+    expect(index.centroids.length).toBe(100);
+    // Each lookup scores its nprobe closest lists, a fraction of the index
+    expect(dot.mock.calls.length / searches).toBeLessThan(index.size / 4);
+    // Generous bound: catches a full scan per lookup, not machine speed
+    expect(perSearchMs).toBeLessThan(50);
+  }, 30000);
+
+  it('should persist the lists and assign embeddings stored since', async () => {
+    embeddings = clusteredEmbeddings(300);
+    expect(await index.sync()).toEqual({ size: 300, added: 300, removed: 0, trained: true });
+    expect(saved).toMatchObject({ indexId: 'embeddings', dimension: 16, trainedSize: 300 });
+
+    embeddings = embeddings.slice(1);
+    embeddings.push(...clusteredEmbeddings(302).slice(300).map(entry => ({ ...entry, tabId: `new-${entry.tabId}` })));
+
+    const reloaded = new EmbeddingIndex();
+    expect(await reloaded.load()).toEqual({ size: 301, added: 2, removed: 1, trained: false });
+    expect(reloaded.centroids).toEqual(index.centroids);
+    expect(reloaded.has('tab-0')).toBe(false);
+    expect(Number(reloaded.search('new-tab-300', 1)[0].tabId.slice(4)) % 8).toBe(300 % 8);
+    expect(Object.keys(saved.assignments)).toHaveLength(301);
+  });
+
+  it('should retrain once the index has doubled', async () => {
+    embeddings = clusteredEmbeddings(256);
+    await index.load();
+
+    for (const { tabId, vector } of clusteredEmbeddings(513).slice(256)) {
+      await index.addEmbedding(tabId, vector);
+    }
+
+    expect(index.trainedSize).toBe(513);
+    expect(index.centroids).toHaveLength(Math.round(Math.sqrt(513)));
+    expect(indexedDBStorage.saveEmbedding).toHaveBeenCalledTimes(257);
+    expect(saved.size).toBe(513);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for TabExport formats
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate Storage + TabExport sources
+const storageCode = readFileSync(resolve(__dirname, '../../lib/storage.js'), 'utf8');
+const exportCode = readFileSync(resolve(__dirname, '../../lib/export.js'), 'utf8');
+
+const createTabExport = () => {
+  const wrappedCode = `(function() { ${storageCode}; ${exportCode}; return TabExport; })()`;
+  return eval(wrappedCode);
+};
+
+const TabExport = createTabExport();
+
+describe('TabExport', () => {
+  let store;
+  let groupManager;
+
+  const tabs = [
+    { id: 1, url: 'https://github.com/a', title: 'Repo <A> & "B"', lastAccessed: Date.UTC(2025, 0, 2) },
+    { id: 2, url: 'https://github.com/b', title: 'Repo [B]' },
+    { id: 3, url: 'https://news.example/story', title: 'Story' }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = {
+      'tab-1': { group: 'trip', metadata: { httpCode: 200 } },
+      'tab-3': { group: 'bin' }
+    };
+    browser.storage.local.get.mockImplementation(async (key) => {
+      if (Array.isArray(key)) return Object.fromEntries(key.filter(k => k in store).map(k => [k, store[k]]));
+      return key in store ? { [key]: store[key] } : {};
+    });
+
+    groupManager = {
+      getGroups: vi.fn().mockResolvedValue([
+        { id: 'main', name: 'Main' },
+        { id: 'bin', name: 'Bin' },
+        { id: 'trip', name: 'Trip to Lyon' }
+      ])
+    };
+    globalThis.tabQuery = {
+      extractDomain: (url) => new URL(url).hostname,
+      calculateAge: (tab) => (tab.lastAccessed ? 10 : 0)
+    };
+    globalThis.indexedDBStorage = {
+      getAllTabs: vi.fn().mockResolvedValue([
+        { tabId: 'https://news.example/story', url: 'https://news.example/story', classification: { intent: { label: 'read' } } }
+      ])
+    };
+  });
+
+  afterEach(() => {
+    delete globalThis.tabQuery;
+    delete globalThis.indexedDBStorage;
+  });
+
+  it('should register the built-in formats', () => {
+    expect(TabExport.getFormats().map(format => format.id)).toEqual(['csv', 'json', 'markdown', 'html', 'bookmarks', 'opml']);
+  });
+
+  it('should collect groups, metadata and classifications', async () => {
+    const entries = await TabExport.collect(tabs, groupManager);
+
+    expect(entries[0]).toMatchObject({ domain: 'github.com', group: 'trip', groupName: 'Trip to Lyon', metadata: { httpCode: 200 }, age: 10 });
+    expect(entries[1]).toMatchObject({ group: 'main', groupName: 'Main', metadata: null, classification: null });
+    expect(entries[2].classification).toEqual({ intent: { label: 'read' } });
+    expect(TabExport.serializeCSV(entries).split('\n')[1]).toBe('"Repo <A> & ""B""",https://github.com/a,github.com,2025-01-02T00:00:00.000Z,10,Trip to Lyon');
+  });
+
+  it('should write Markdown sections grouped by domain', async () => {
+    const markdown = TabExport.serializeMarkdown(await TabExport.collect(tabs, groupManager), { groupBy: 'domain' });
+
+    expect(markdown).toContain('## github.com (2)\n\n- [Repo <A> & "B"](https://github.com/a)\n- [Repo \\[B\\]](https://github.com/b)');
+    expect(markdown.indexOf('## github.com')).toBeLessThan(markdown.indexOf('## news.example'));
+  });
+
+  it('should escape titles and URLs in bookmarks, OPML and the report', async () => {
+    const entries = await TabExport.collect(tabs, groupManager);
+    const bookmarks = TabExport.serializeBookmarks(entries);
+    const opml = TabExport.serializeOPML(entries);
+    const report = TabExport.serializeReport(entries);
+
+    expect(bookmarks).toMatch(/^<!DOCTYPE NETSCAPE-Bookmark-file-1>/);
+    expect(bookmarks).toContain('<DT><H3 ADD_DATE="');
+    expect(bookmarks).toMatch(/<A HREF="https:\/\/github.com\/a" ADD_DATE="\d+" LAST_VISIT="1735776000">Repo &lt;A&gt; &amp; &quot;B&quot;<\/A>/);
+    expect(opml).toContain('<outline text="Trip to Lyon">');
+    expect(opml).toContain('<outline text="Repo &lt;A&gt; &amp; &quot;B&quot;" type="link" url="https://github.com/a"');
+    expect(report).toContain('<p>3 tabs ·');
+    expect(report).not.toContain('<A>');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for Graveyard
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate Storage + TabExport + Graveyard sources
+const storageCode = readFileSync(resolve(__dirname, '../../lib/storage.js'), 'utf8');
+const exportCode = readFileSync(resolve(__dirname, '../../lib/export.js'), 'utf8');
+const graveyardCode = readFileSync(resolve(__dirname, '../../lib/graveyard.js'), 'utf8');
+
+const createGraveyard = () => {
+  const wrappedCode = `(function() { ${storageCode}; ${exportCode}; ${graveyardCode}; return Graveyard; })()`;
+  return eval(wrappedCode);
+};
+
+const Graveyard = createGraveyard();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Graveyard', () => {
+  let graveyard;
+  let store;
+  let entries;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = {};
+    entries = [];
+    browser.storage.local.get.mockImplementation(async (key) => (key in store ? { [key]: store[key] } : {}));
+    browser.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+
+    // In-memory stand-in for the IndexedDB graveyard store (oldest first)
+    globalThis.indexedDBStorage = {
+      getTab: vi.fn().mockResolvedValue({ classification: { intent: { label: 'reference' } } }),
+      saveGraveyardEntry: vi.fn(async (entry) => {
+        entries.push({ ...entry, entryId: entries.length + 1 });
+        return entries.length;
+      }),
+      getGraveyardEntries: vi.fn(async () => [...entries].sort((a, b) => a.deletedAt - b.deletedAt)),
+      deleteGraveyardEntries: vi.fn(async (ids) => {
+        entries = entries.filter(entry => !ids.includes(entry.entryId));
+      })
+    };
+
+    graveyard = new Graveyard();
+  });
+
+  afterEach(() => {
+    delete globalThis.indexedDBStorage;
+  });
+
+  describe('archive', () => {
+    it('should keep the URL, metadata and classification of a closed tab', async () => {
+      const entry = await graveyard.archive(
+        { id: 7, url: 'https://docs.example.com/guide', title: 'Guide' },
+        { group: 'bin', dateSwiped: 123, metadata: { httpCode: 200 } }
+      );
+
+      expect(entry).toMatchObject({
+        entryId: 1,
+        domain: 'docs.example.com',
+        group: 'bin',
+        dateSwiped: 123,
+        metadata: { httpCode: 200 },
+        classification: { intent: { label: 'reference' } }
+      });
+      expect(entry.deletedAt).toEqual(expect.any(Number));
+      expect(indexedDBStorage.getTab).toHaveBeenCalledWith('https://docs.example.com/guide');
+    });
+  });
+
+  describe('search', () => {
+    it('should match every word, most recently closed first', async () => {
+      entries = [
+        { entryId: 1, title: 'Rust book', url: 'https://doc.rust-lang.org/book/', group: 'bin', deletedAt: 1 },
+        { entryId: 2, title: 'Rust async', url: 'https://rust-lang.github.io/async-book/', group: 'staging', deletedAt: 2 },
+        { entryId: 3, title: 'Recipes', url: 'https://food.example.com/', group: 'bin', deletedAt: 3 }
+      ];
+
+      expect((await graveyard.search('')).map(entry => entry.entryId)).toEqual([3, 2, 1]);
+      expect((await graveyard.search('RUST book')).map(entry => entry.entryId)).toEqual([2, 1]);
+      expect((await graveyard.search('rust bin')).map(entry => entry.entryId)).toEqual([1]);
+    });
+  });
+
+  describe('reopen', () => {
+    it('should open the tab in Main with its metadata and drop the entry', async () => {
+      browser.tabs.create.mockResolvedValue({ id: 99 });
+      entries = [{ entryId: 1, url: 'https://example.com/', metadata: { httpCode: 200 }, deletedAt: 1 }];
+
+      await graveyard.reopen(entries[0]);
+
+      expect(browser.tabs.create).toHaveBeenCalledWith({ url: 'https://example.com/', active: false });
+      expect(store['tab-99']).toEqual({ group: 'main', dateSwiped: null, metadata: { httpCode: 200 } });
+      expect(entries).toEqual([]);
+    });
+  });
+
+  describe('purge', () => {
+    it('should drop entries past the age limit, then the oldest beyond the size limit', async () => {
+      const now = Date.now();
+      entries = [100, 20, 10, 5, 1].map((days, index) => ({ entryId: index + 1, deletedAt: now - days * DAY }));
+      await graveyard.setPolicy({ maxAgeDays: 30, maxEntries: 2 });
+
+      expect(await graveyard.purge()).toBe(3);
+      expect(entries.map(entry => entry.entryId)).toEqual([4, 5]);
+    });
+
+    it('should treat 0 as no limit and reject invalid limits', async () => {
+      entries = [{ entryId: 1, deletedAt: 0 }];
+      await graveyard.setPolicy({ maxAgeDays: 0, maxEntries: 0 });
+
+      expect(await graveyard.purge()).toBe(0);
+      await expect(graveyard.setPolicy({ maxEntries: -1 })).rejects.toThrow('Invalid maxEntries');
+    });
+  });
+});
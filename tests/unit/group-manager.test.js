@@ -0,0 +1,172 @@
+/**
+ * Unit tests for GroupManager custom groups
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate Storage + GroupManager sources
+const storageCode = readFileSync(resolve(__dirname, '../../lib/storage.js'), 'utf8');
+const groupManagerCode = readFileSync(resolve(__dirname, '../../lib/group-manager.js'), 'utf8');
+
+const createGroupManager = () => {
+  const wrappedCode = `(function() { ${storageCode}; ${groupManagerCode}; return GroupManager; })()`;
+  return eval(wrappedCode);
+};
+
+const GroupManager = createGroupManager();
+
+describe('GroupManager', () => {
+  let groupManager;
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = {};
+    browser.storage.local.get.mockImplementation(async (key) => {
+      if (key === null) return { ...store };
+      return key in store ? { [key]: store[key] } : {};
+    });
+    browser.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+    browser.storage.local.remove.mockImplementation(async (key) => {
+      delete store[key];
+    });
+    groupManager = new GroupManager();
+  });
+
+  describe('custom groups', () => {
+    it('should create groups with slug IDs after the built-in groups', async () => {
+      const trip = await groupManager.createGroup({ name: ' Trip to Lyon ', icon: '🚆', color: '#10B981' });
+      const thesis = await groupManager.createGroup({ name: 'Thesis refs', rules: ['domain:arxiv.org', ' '] });
+
+      expect(trip).toMatchObject({ id: 'trip-to-lyon', name: 'Trip to Lyon', icon: '🚆', color: '#10B981', order: 0, rules: [] });
+      expect(thesis).toMatchObject({ id: 'thesis-refs', icon: '📁', color: '#8B5CF6', order: 1, rules: ['domain:arxiv.org'] });
+      expect((await groupManager.getGroups()).map(group => group.id))
+        .toEqual(['main', 'staging', 'bin', 'trip-to-lyon', 'thesis-refs']);
+    });
+
+    it('should reject missing and duplicate names', async () => {
+      await groupManager.createGroup({ name: 'Reading' });
+
+      await expect(groupManager.createGroup({ name: '  ' })).rejects.toThrow('Group needs a name');
+      await expect(groupManager.createGroup({ name: 'reading' })).rejects.toThrow('already exists');
+      await expect(groupManager.createGroup({ name: 'Bin' })).rejects.toThrow('already exists');
+    });
+
+    it('should keep IDs unique and stable across renames', async () => {
+      const first = await groupManager.createGroup({ name: 'Café' });
+      const renamed = await groupManager.updateGroup(first.id, { name: 'Coffee', color: 'red' });
+      const second = await groupManager.createGroup({ name: 'Cafe!' });
+
+      expect(first.id).toBe('cafe');
+      expect(renamed).toMatchObject({ id: 'cafe', name: 'Coffee', color: '#8B5CF6' });
+      expect(second.id).toBe('cafe-2');
+      await expect(groupManager.updateGroup('main', { name: 'Inbox' })).rejects.toThrow('Unknown group: main');
+    });
+
+    it('should reorder custom groups', async () => {
+      await groupManager.createGroup({ name: 'A' });
+      await groupManager.createGroup({ name: 'B' });
+      await groupManager.createGroup({ name: 'C' });
+
+      await groupManager.reorderGroups(['c', 'a']);
+
+      expect((await groupManager.getCustomGroups()).map(group => `${group.id}${group.order}`)).toEqual(['c0', 'a1', 'b2']);
+    });
+
+    it('should move tabs back to Main when their group is deleted', async () => {
+      const trip = await groupManager.createGroup({ name: 'Trip' });
+      await groupManager.setGroup(1, trip.id);
+      await groupManager.setGroup(2, 'staging');
+
+      expect(await groupManager.deleteGroup(trip.id)).toBe(1);
+      expect(await groupManager.getGroup(1)).toBe('main');
+      expect(await groupManager.getGroup(2)).toBe('staging');
+      expect(await groupManager.getCustomGroups()).toEqual([]);
+    });
+  });
+
+  describe('setGroup', () => {
+    it('should date tabs entering any group but Main', async () => {
+      await groupManager.setGroup(1, 'staging');
+      await groupManager.setGroup(2, 'main');
+
+      expect(store['tab-1'].dateSwiped).toEqual(expect.any(Number));
+      expect(store['tab-2'].dateSwiped).toBeNull();
+    });
+
+    it('should keep cached metadata in the tab record', async () => {
+      store['tab-1'] = { metadata: { title: 'Cached' } };
+
+      await groupManager.setGroup(1, 'bin');
+
+      expect(store['tab-1']).toMatchObject({ group: 'bin', metadata: { title: 'Cached' } });
+      expect(store['tab-1'].dateSwiped).toEqual(expect.any(Number));
+    });
+  });
+
+  describe('getGroupCounts', () => {
+    it('should count built-in and custom groups', async () => {
+      const trip = await groupManager.createGroup({ name: 'Trip' });
+      browser.tabs.query.mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }]);
+      await groupManager.setGroup(1, trip.id);
+      await groupManager.setGroup(2, 'bin');
+      store['tab-3'] = { group: 'deleted-group' };
+
+      expect(await groupManager.getGroupCounts()).toEqual({ total: 4, main: 2, staging: 0, bin: 1, trip: 1 });
+    });
+  });
+
+  describe('retention', () => {
+    it('should default to closing Bin tabs after 2 days', async () => {
+      await groupManager.setRetention('staging', 7);
+
+      expect(await groupManager.getRetention()).toEqual({ bin: 2, staging: 7 });
+      expect(await groupManager.setRetention('bin', 0)).toEqual({ bin: null, staging: 7 });
+      await expect(groupManager.setRetention('main', 1)).rejects.toThrow('Main has no retention');
+    });
+
+    it('should close and archive tabs past their group retention', async () => {
+      const DAY = 24 * 60 * 60 * 1000;
+      const tabs = [1, 2, 3, 4].map(id => ({ id, url: `https://example.com/${id}` }));
+      browser.tabs.query.mockResolvedValue(tabs);
+      browser.tabs.remove.mockResolvedValue();
+      globalThis.graveyard = { archive: vi.fn() };
+      await groupManager.setRetention('staging', 7);
+      store['tab-1'] = { group: 'bin', dateSwiped: Date.now() - 3 * DAY };
+      store['tab-2'] = { group: 'bin', dateSwiped: Date.now() - DAY };
+      store['tab-3'] = { group: 'staging', dateSwiped: Date.now() - 8 * DAY, metadata: { httpCode: 200 } };
+      store['tab-4'] = { group: 'main', dateSwiped: null };
+
+      try {
+        expect(await groupManager.cleanupExpiredTabs()).toEqual([1, 3]);
+        expect(graveyard.archive).toHaveBeenCalledWith(tabs[2], expect.objectContaining({ metadata: { httpCode: 200 } }));
+        expect(store['tab-1']).toBeUndefined();
+        expect(store['tab-2']).toBeDefined();
+      } finally {
+        delete globalThis.graveyard;
+      }
+    });
+  });
+
+  describe('cleanupOrphanedEntries', () => {
+    it('should keep records with an identity for the grace period', async () => {
+      const DAY = 24 * 60 * 60 * 1000;
+      browser.tabs.query.mockResolvedValue([{ id: 1 }]);
+      store['tab-1'] = { group: 'staging' };
+      store['tab-2'] = { group: 'bin' };
+      store['tab-3'] = { group: 'staging', identity: { url: 'https://a.example/' } };
+      store['tab-4'] = { group: 'staging', identity: { url: 'https://b.example/' }, orphanedAt: Date.now() - 8 * DAY };
+      store['tab-synced-abc'] = { group: 'bin' };
+
+      expect(await groupManager.cleanupOrphanedEntries()).toBe(2);
+      expect(Object.keys(store).sort()).toEqual(['tab-1', 'tab-3', 'tab-synced-abc']);
+      expect(store['tab-3'].orphanedAt).toEqual(expect.any(Number));
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for GroupRules
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate every source the rule engine uses
+const RULE_ENGINE = ['storage', 'categorizer', 'query-parser', 'tab-query', 'saved-queries', 'group-manager', 'group-rules'];
+const readSource = (path) => readFileSync(resolve(__dirname, '../..', path), 'utf8');
+
+const createGroupRules = (paths) => {
+  const sources = paths.map(readSource);
+  const wrappedCode = `(function() { ${sources.join(';\n')}; return { groupRules, groupManager, savedQueries }; })()`;
+  return eval(wrappedCode);
+};
+
+// Rule engine scripts, in load order, of the background page and of the manager (preview)
+const backgroundScripts = JSON.parse(readSource('manifest.json')).background.scripts
+  .filter(path => RULE_ENGINE.some(name => path === `lib/${name}.js`));
+const managerScripts = Array.from(readSource('ui/manager.html').matchAll(/<script src="\.\.\/(lib\/[^"]+)"/g), match => match[1])
+  .filter(path => RULE_ENGINE.some(name => path === `lib/${name}.js`));
+
+const { groupRules, groupManager, savedQueries } = createGroupRules(RULE_ENGINE.map(name => `lib/${name}.js`));
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('GroupRules', () => {
+  let store;
+  let tabs;
+
+  const tab = (id, url, days = 0, title = `Tab ${id}`) => ({ id, url, title, lastAccessed: Date.now() - days * DAY });
+  const planned = (moves) => moves.map(move => `${move.tab.id}:${move.from}>${move.to}`);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = {};
+    tabs = [];
+    browser.storage.local.get.mockImplementation(async (key) => {
+      if (key === null) return { ...store };
+      if (Array.isArray(key)) return Object.fromEntries(key.filter(k => k in store).map(k => [k, store[k]]));
+      return key in store ? { [key]: store[key] } : {};
+    });
+    browser.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+    browser.tabs.query.mockImplementation(async () => tabs);
+  });
+
+  it('should plan moves for saved query rules and Main-only group rules', async () => {
+    const social = await savedQueries.save({ name: 'Old social', query: 'domain:twitter.com age>3d' });
+    await groupRules.save({ savedQueryId: social.id, group: 'staging' });
+    await groupManager.createGroup({ name: 'Thesis', rules: ['domain:arxiv.org'] });
+
+    tabs = [
+      tab(1, 'https://twitter.com/a', 5),
+      tab(2, 'https://twitter.com/b', 1),
+      tab(3, 'https://arxiv.org/abs/1'),
+      tab(4, 'https://arxiv.org/abs/2'),
+      tab(5, 'https://twitter.com/c', 9),
+      tab(6, 'about:config', 9)
+    ];
+    store['tab-4'] = { group: 'bin' };
+    store['tab-5'] = { group: 'staging' };
+    browser.storage.local.set.mockClear();
+
+    const { moves, errors } = await groupRules.plan();
+
+    expect(planned(moves)).toEqual(['1:main>staging', '3:main>thesis']);
+    expect(moves[1].rule).toMatchObject({ id: 'thesis#0', mainOnly: true });
+    expect(errors).toEqual({});
+    expect(browser.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  it('should let the first matching rule win and skip invalid queries', async () => {
+    const docs = await savedQueries.save({ name: 'Docs', query: 'domain:docs.example.com' });
+    const guides = await savedQueries.save({ name: 'Guides', query: 'title:guide' });
+    const broken = await savedQueries.save({ name: 'Broken', query: 'age>7x' });
+    await groupRules.save({ savedQueryId: docs.id, group: 'staging' });
+    await groupRules.save({ savedQueryId: guides.id, group: 'bin' });
+    const brokenRule = await groupRules.save({ savedQueryId: broken.id, group: 'bin' });
+
+    tabs = [tab(1, 'https://docs.example.com/', 0, 'Setup guide'), tab(2, 'https://blog.example.com/', 0, 'Style guide')];
+
+    const { moves, errors } = await groupRules.plan();
+
+    expect(planned(moves)).toEqual(['1:main>staging', '2:main>bin']);
+    expect(Object.keys(errors)).toEqual([brokenRule.id]);
+  });
+
+  it('should move a tab once, so moving it back by hand sticks', async () => {
+    const done = await savedQueries.save({ name: 'Done', query: 'domain:done.example.com' });
+    const rule = await groupRules.save({ savedQueryId: done.id, group: 'bin' });
+    tabs = [tab(1, 'https://done.example.com/')];
+
+    expect(planned((await groupRules.apply()).moves)).toEqual(['1:main>bin']);
+    expect(store['tab-1']).toMatchObject({ group: 'bin', appliedRules: [rule.id] });
+
+    await groupManager.setGroup(1, 'main');
+    expect((await groupRules.apply()).moves).toEqual([]);
+    expect(store['tab-1'].group).toBe('main');
+  });
+
+  it('should plan category rules the same way in the background as in the manager preview', async () => {
+    tabs = [
+      tab(1, 'https://github.com/PLNech/FiltreInfini'),
+      tab(2, 'https://www.youtube.com/watch?v=1'),
+      tab(3, 'https://example.com/')
+    ];
+
+    const plans = [];
+    for (const scripts of [backgroundScripts, managerScripts]) {
+      store = {};
+      const engine = createGroupRules(scripts);
+      const tech = await engine.savedQueries.save({ name: 'Tech', query: 'category:tech' });
+      await engine.groupRules.save({ savedQueryId: tech.id, group: 'staging' });
+      plans.push(planned((await engine.groupRules.plan()).moves));
+    }
+
+    expect(backgroundScripts).toContain('lib/categorizer.js');
+    expect(plans).toEqual([['1:main>staging'], ['1:main>staging']]);
+  });
+
+  it('should reject rules without a saved query or with an unknown group', async () => {
+    const entry = await savedQueries.save({ name: 'Any', query: 'domain:example.com' });
+
+    await expect(groupRules.save({ savedQueryId: 'missing', group: 'bin' })).rejects.toThrow('Rule needs a saved query');
+    await expect(groupRules.save({ savedQueryId: entry.id, group: 'nowhere' })).rejects.toThrow('Unknown group: nowhere');
+  });
+});
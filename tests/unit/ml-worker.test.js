@@ -0,0 +1,188 @@
+/**
+ * Unit tests for the background ML worker (entity reassembly and filtering)
+ * and the background embedTabs / extractEntities handlers
+ */
+
+import { describe, it, expect, beforeEach, afterEach, afterAll, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate the ML worker and background sources with a stubbed browser:
+// the background script registers its listeners, the message listener is kept
+const mlWorkerCode = readFileSync(resolve(__dirname, '../../background/ml-worker.js'), 'utf8');
+const backgroundCode = readFileSync(resolve(__dirname, '../../background/background.js'), 'utf8');
+
+const event = () => ({ addListener: vi.fn() });
+
+const backgroundBrowser = {
+  ...browser,
+  action: { onClicked: event() },
+  alarms: { onAlarm: event(), create: vi.fn() },
+  storage: { local: { get: vi.fn(async () => ({})), set: vi.fn(async () => {}) } },
+  tabs: { ...browser.tabs, query: vi.fn(async () => []), onActivated: event(), onCreated: event(), onRemoved: event(), onUpdated: event() },
+  runtime: {
+    ...browser.runtime,
+    getPlatformInfo: vi.fn(async () => ({ os: 'linux' })),
+    sendMessage: vi.fn(async () => {}),
+    onInstalled: event(),
+    onStartup: event(),
+    onMessage: event()
+  }
+};
+
+const createWorkers = () => {
+  // Shadow self/window so the worker classes don't leak into other test files
+  const wrappedCode = `(function(self, window, browser) { ${mlWorkerCode}; ${backgroundCode}; return { MLClassifierWorker, MLEmbedderWorker, MLNerWorker }; })`;
+  return eval(wrappedCode)({}, {}, backgroundBrowser);
+};
+
+// Stand-ins for the globals initialize() touches
+globalThis.analysisQueue = { resume: vi.fn(async () => {}), ALARM_NAME: 'analysis-queue', IDLE_THRESHOLD_SECONDS: 60 };
+const { MLClassifierWorker, MLEmbedderWorker, MLNerWorker } = createWorkers();
+MLClassifierWorker.instance = vi.fn();
+const [onMessage] = backgroundBrowser.runtime.onMessage.addListener.mock.calls[0];
+
+const sendMessage = (message) => new Promise(resolve => onMessage(message, {}, resolve));
+
+afterAll(() => {
+  delete globalThis.analysisQueue;
+});
+
+const token = (word, entity, score = 0.99) => ({ word, entity, score });
+
+describe('MLNerWorker', () => {
+  describe('reassembleEntities', () => {
+    it('should merge B- and I- tokens of the same type', () => {
+      const entities = MLNerWorker.reassembleEntities([
+        token('Ada', 'B-PER', 0.9),
+        token('Lovelace', 'I-PER', 0.8)
+      ]);
+
+      expect(entities).toHaveLength(1);
+      expect(entities[0]).toMatchObject({ word: 'Ada Lovelace', type: 'PER' });
+      expect(entities[0].score).toBeCloseTo(0.85);
+    });
+
+    it('should continue the current entity with a "##" subword tagged B-', () => {
+      expect(MLNerWorker.reassembleEntities([
+        token('Love', 'B-PER'),
+        token('##lace', 'B-PER')
+      ])).toEqual([expect.objectContaining({ word: 'Lovelace', type: 'PER' })]);
+    });
+
+    it('should start a new entity when the type changes', () => {
+      expect(MLNerWorker.reassembleEntities([
+        token('Ada', 'B-PER'),
+        token('London', 'B-LOC'),
+        token('##derry', 'I-ORG')
+      ]).map(({ word, type }) => ({ word, type }))).toEqual([
+        { word: 'Ada', type: 'PER' },
+        { word: 'London', type: 'LOC' }
+      ]);
+    });
+
+    it('should drop I- tokens that have no entity to continue', () => {
+      expect(MLNerWorker.reassembleEntities([
+        token('Lovelace', 'I-PER'),
+        token('Mozilla', 'B-ORG'),
+        token('Paris', 'I-LOC')
+      ]).map(entity => entity.word)).toEqual(['Mozilla']);
+    });
+  });
+
+  describe('filterEntities', () => {
+    it('should drop single letters, unsure short words and noise words', () => {
+      const kept = MLNerWorker.filterEntities([
+        { word: 'X', type: 'MISC', score: 0.99 },
+        { word: 'UK', type: 'LOC', score: 0.95 },
+        { word: 'AI', type: 'MISC', score: 0.6 },
+        { word: 'The', type: 'ORG', score: 0.99 },
+        { word: 'Rust', type: 'MISC', score: 0.5 }
+      ]);
+
+      expect(kept.map(entity => entity.word)).toEqual(['UK', 'Rust']);
+    });
+  });
+
+  describe('extractEntities', () => {
+    afterEach(() => {
+      MLNerWorker.instance = null;
+    });
+
+    it('should group the pipeline entities by type', async () => {
+      MLNerWorker.instance = vi.fn(async () => [
+        token('Ada', 'B-PER'),
+        token('Lovelace', 'I-PER'),
+        token('Mozilla', 'B-ORG'),
+        token('Paris', 'B-LOC')
+      ]);
+
+      const entities = await MLNerWorker.extractEntities({ title: 'Ada Lovelace at Mozilla Paris', domain: 'example.com' });
+
+      expect(entities.people.map(entity => entity.word)).toEqual(['Ada Lovelace']);
+      expect(entities.organizations.map(entity => entity.word)).toEqual(['Mozilla']);
+      expect(entities.locations.map(entity => entity.word)).toEqual(['Paris']);
+      expect(entities.misc).toEqual([]);
+      expect(await MLNerWorker.extractEntities({ title: 'Untitled' })).toEqual({ people: [], organizations: [], locations: [], misc: [] });
+      expect(MLNerWorker.instance).toHaveBeenCalledTimes(1);
+    });
+  });
+});
+
+describe('Background ML handlers', () => {
+  const tabs = [
+    { id: 1, url: 'https://a.example/rust', title: 'Rust ownership', domain: 'a.example' },
+    { id: 2, url: 'https://b.example/', title: 'Untitled', domain: 'about' },
+    { id: 3, title: 'No URL tab', domain: 'c.example' }
+  ];
+
+  beforeEach(() => {
+    globalThis.embeddingIndex = { addEmbeddings: vi.fn(async () => {}) };
+    globalThis.indexedDBStorage = { saveTabEntities: vi.fn(async () => 0) };
+    MLEmbedderWorker.instance = vi.fn(async () => ({ data: Float32Array.from([0.5, 0.5]) }));
+    MLNerWorker.instance = vi.fn(async () => [token('Rust', 'B-MISC')]);
+  });
+
+  afterEach(() => {
+    delete globalThis.embeddingIndex;
+    delete globalThis.indexedDBStorage;
+    MLEmbedderWorker.instance = null;
+    MLNerWorker.instance = null;
+  });
+
+  it('should embed tabs and store the vectors by URL in the embedding index', async () => {
+    const response = await sendMessage({ action: 'embedTabs', tabs });
+
+    expect(response.success).toBe(true);
+    expect(response.results.map(result => result.embedding)).toEqual([[0.5, 0.5], null, [0.5, 0.5]]);
+    expect(embeddingIndex.addEmbeddings).toHaveBeenCalledWith([
+      { tabId: 'https://a.example/rust', vector: [0.5, 0.5] }
+    ]);
+
+    await sendMessage({ action: 'embedTabs', tabs, store: false });
+    expect(embeddingIndex.addEmbeddings).toHaveBeenCalledTimes(1);
+  });
+
+  it('should extract entities and store them by URL', async () => {
+    const response = await sendMessage({ action: 'extractEntities', tabs });
+
+    expect(response.success).toBe(true);
+    expect(response.results[0].entities.misc.map(entity => entity.word)).toEqual(['Rust']);
+    expect(indexedDBStorage.saveTabEntities).toHaveBeenCalledTimes(2);
+    expect(indexedDBStorage.saveTabEntities).toHaveBeenCalledWith('https://a.example/rust', expect.objectContaining({ misc: [expect.objectContaining({ word: 'Rust' })] }));
+    expect(indexedDBStorage.saveTabEntities).toHaveBeenCalledWith('https://b.example/', { people: [], organizations: [], locations: [], misc: [] });
+  });
+
+  it('should report pipeline failures without storing anything', async () => {
+    MLNerWorker.instance = vi.fn(async () => {
+      throw new Error('Model not found');
+    });
+
+    expect(await sendMessage({ action: 'extractEntities', tabs })).toEqual({ success: false, error: 'Model not found' });
+    expect(indexedDBStorage.saveTabEntities).not.toHaveBeenCalled();
+  });
+});
@@ -2,7 +2,7 @@
  * Unit tests for QueryParser
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
@@ -26,9 +26,16 @@ describe('QueryParser', () => {
   let parser;
 
   beforeEach(() => {
+    // Months and years are calendar-based: pin "now" to Thursday 2025-05-15 (local time)
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2025, 4, 15, 12, 0));
     parser = new QueryParser();
   });
 
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
   describe('Domain filtering', () => {
     it('should parse domain filter', () => {
       const result = parser.parse('domain:example.com');
@@ -143,4 +150,444 @@ describe('QueryParser', () => {
       expect(result.age.days).toBe(7);
     });
   });
+  describe('AST parsing', () => {
+    it('should return null AST for empty query', () => {
+      expect(parser.parseAST('')).toBeNull();
+      expect(parser.parse('   ').ast).toBeNull();
+    });
+
+    it('should combine terms with implicit AND', () => {
+      const ast = parser.parseAST('domain:github.com age>1m');
+      expect(ast.type).toBe('and');
+      expect(ast.children).toHaveLength(2);
+      expect(ast.children[0]).toMatchObject({ type: 'field', field: 'domain', value: 'github.com' });
+      expect(ast.children[1]).toMatchObject({ type: 'field', field: 'age', operator: '>', days: 30 });
+    });
+
+    it('should parse OR with lower precedence than AND', () => {
+      const ast = parser.parseAST('domain:github.com OR domain:gitlab.com -title:issue');
+      expect(ast.type).toBe('or');
+      expect(ast.children[0]).toMatchObject({ type: 'field', field: 'domain', value: 'github.com' });
+      expect(ast.children[1].type).toBe('and');
+      expect(ast.children[1].children[0]).toMatchObject({ field: 'domain', value: 'gitlab.com' });
+      expect(ast.children[1].children[1]).toMatchObject({
+        type: 'not',
+        child: { type: 'field', field: 'title', value: 'issue' }
+      });
+    });
+
+    it('should respect parentheses', () => {
+      const ast = parser.parseAST('(domain:github.com OR domain:gitlab.com) -title:issue');
+      expect(ast.type).toBe('and');
+      expect(ast.children[0].type).toBe('or');
+      expect(ast.children[1].type).toBe('not');
+    });
+
+    it('should support NOT keyword and explicit AND', () => {
+      const ast = parser.parseAST('NOT domain:youtube.com AND age>1w');
+      expect(ast.type).toBe('and');
+      expect(ast.children[0]).toMatchObject({ type: 'not', child: { field: 'domain' } });
+      expect(ast.children[1]).toMatchObject({ field: 'age', days: 7 });
+    });
+
+    it('should support nested groups', () => {
+      const ast = parser.parseAST('-(title:a OR (title:b url:c))');
+      expect(ast.type).toBe('not');
+      expect(ast.child.type).toBe('or');
+      expect(ast.child.children[1].type).toBe('and');
+    });
+
+    it('should keep repeated fields', () => {
+      const ast = parser.parseAST('title:foo title:bar');
+      expect(ast.children.map(n => n.value)).toEqual(['foo', 'bar']);
+    });
+
+    it('should treat lowercase or/and/not as text', () => {
+      const ast = parser.parseAST('rock or roll');
+      expect(ast.type).toBe('and');
+      expect(ast.children.map(n => n.type)).toEqual(['text', 'text', 'text']);
+    });
+
+    it('should parse quoted phrases as single text terms', () => {
+      const ast = parser.parseAST('"protein folding" age>1w');
+      expect(ast.children[0]).toMatchObject({ type: 'text', value: 'protein folding', quoted: true });
+    });
+
+    it('should keep full URLs as free text', () => {
+      const ast = parser.parseAST('https://example.com/page');
+      expect(ast).toMatchObject({ type: 'text', value: 'https://example.com/page' });
+    });
+
+    it('should fall back to text for unknown fields and malformed ages', () => {
+      expect(parser.parseAST('foo:bar')).toMatchObject({ type: 'text', value: 'foo:bar' });
+      expect(parser.parseAST('age>7x')).toMatchObject({ type: 'text', value: 'age>7x' });
+    });
+
+    it('should tolerate unbalanced parentheses', () => {
+      expect(parser.parseAST('(title:a OR title:b')).toMatchObject({ type: 'or' });
+      expect(parser.parseAST('title:a) title:b')).toMatchObject({ type: 'and' });
+    });
+
+    it('should record character offsets on terms', () => {
+      const ast = parser.parseAST('foo title:bar');
+      expect(ast.children[0]).toMatchObject({ start: 0, end: 3 });
+      expect(ast.children[1]).toMatchObject({ start: 4, end: 13 });
+    });
+
+    it('should accept whitespace around known field operators', () => {
+      expect(parser.parseAST('domain: example.com')).toMatchObject({ field: 'domain', value: 'example.com' });
+      expect(parser.parseAST('age > 7d')).toMatchObject({ field: 'age', operator: '>', days: 7 });
+    });
+  });
+  describe('Validation', () => {
+    it('should accept valid queries', () => {
+      expect(parser.validate('')).toEqual({ valid: true, error: null, errors: [] });
+      expect(parser.validate('(domain:github.com OR domain:gitlab.com) -title:"bug report" age>=2w').valid).toBe(true);
+      expect(parser.validate('https://example.com claude').valid).toBe(true);
+    });
+
+    it('should report unknown fields with a suggestion', () => {
+      const result = parser.validate('claude domian:github.com');
+      expect(result.valid).toBe(false);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0]).toMatchObject({ start: 7, end: 13 });
+      expect(result.error).toContain('Unknown field "domian"');
+      expect(result.error).toContain('did you mean "domain"');
+    });
+
+    it('should report malformed age values at the value offset', () => {
+      const result = parser.validate('age>7x');
+      expect(result.errors[0]).toMatchObject({ start: 4, end: 6 });
+      expect(result.error).toContain('Invalid age "7x"');
+    });
+
+    it('should report bad operators', () => {
+      const result = parser.validate('domain>github.com');
+      expect(result.errors[0]).toMatchObject({ start: 6, end: 7 });
+      expect(result.error).toContain('Operator ">" is not supported for domain');
+
+      const doubled = parser.validate('age=>7d');
+      expect(doubled.errors[0]).toMatchObject({ start: 3, end: 5 });
+      expect(doubled.error).toContain('Invalid operator "=>"');
+    });
+
+    it('should report missing values', () => {
+      const result = parser.validate('title:');
+      expect(result.errors[0]).toMatchObject({ start: 0, end: 6 });
+      expect(result.error).toBe('Missing value for title');
+    });
+
+    it('should report unbalanced quotes', () => {
+      expect(parser.validate('"protein folding').errors[0]).toMatchObject({ message: 'Unclosed quote', start: 0, end: 16 });
+      expect(parser.validate('title:"search term').errors[0]).toMatchObject({ message: 'Unclosed quote', start: 6, end: 18 });
+    });
+
+    it('should report unbalanced parentheses', () => {
+      expect(parser.validate('(title:a OR title:b').errors[0]).toMatchObject({ message: 'Unclosed parenthesis', start: 0, end: 1 });
+      expect(parser.validate('title:a) title:b').errors[0]).toMatchObject({ message: 'Unmatched closing parenthesis', start: 7, end: 8 });
+    });
+
+    it('should report dangling boolean keywords', () => {
+      expect(parser.validate('title:a OR').error).toBe('OR needs a term on both sides');
+      expect(parser.validate('OR title:a').error).toBe('OR needs a term on both sides');
+      expect(parser.validate('title:a NOT').error).toBe('NOT must be followed by a term');
+      expect(parser.validate('(title:a AND)').error).toBe('AND needs a term on both sides');
+    });
+
+    it('should sort multiple errors by position', () => {
+      const result = parser.validate('foo:bar age>1q (x');
+      expect(result.errors.map(e => e.start)).toEqual([0, 12, 15]);
+    });
+  });
+  describe('Suggestions', () => {
+    const context = {
+      domains: { 'github.com': 12, 'gitlab.com': 3, 'news.ycombinator.com': 40, 'digg.com': 1 }
+    };
+    const labels = (suggestions) => suggestions.map(s => s.label);
+
+    it('should suggest field names for a partial word', () => {
+      expect(labels(parser.getSuggestions('claude do', 9))).toEqual(['domain:']);
+      expect(labels(parser.getSuggestions('s', 1))).toEqual(['source:', 'status:', 'semantic:']);
+    });
+
+    it('should suggest age operators once the field is typed', () => {
+      const suggestions = parser.getSuggestions('age', 3);
+      expect(labels(suggestions)).toEqual(['age>', 'age>=', 'age<', 'age<=', 'age=']);
+      expect(suggestions[0]).toMatchObject({ type: 'operator', replaceStart: 0, replaceEnd: 3 });
+    });
+
+    it('should suggest age units', () => {
+      expect(labels(parser.getSuggestions('age>', 4))).toEqual(['today', 'yesterday', 'thisweek', '1w', '2w', '1m', '6m', '1y']);
+      expect(labels(parser.getSuggestions('age>3', 5))).toEqual(['3d', '3w', '3m', '3y']);
+      expect(parser.getSuggestions('age>3', 5)[1].detail).toBe('3 weeks');
+    });
+
+    it('should suggest domains ranked by tab count', () => {
+      const suggestions = parser.getSuggestions('domain:', 7, context);
+      expect(labels(suggestions)).toEqual(['news.ycombinator.com', 'github.com', 'gitlab.com', 'digg.com']);
+      expect(suggestions[1]).toMatchObject({ insertText: 'github.com ', replaceStart: 7, replaceEnd: 7, detail: '12 tabs' });
+    });
+
+    it('should rank prefix matches before substring matches', () => {
+      expect(labels(parser.getSuggestions('domain:g', 8, context))).toEqual(['github.com', 'gitlab.com', 'digg.com']);
+    });
+
+    it('should suggest known values for group, intent and status', () => {
+      expect(labels(parser.getSuggestions('group:', 6))).toEqual(['main', 'staging', 'bin']);
+      expect(labels(parser.getSuggestions('intent:tr', 9))).toEqual(['transactional']);
+      expect(labels(parser.getSuggestions('status:to', 9))).toEqual(['to-read', 'to-do']);
+    });
+
+    it('should prefer values from context', () => {
+      const suggestions = parser.getSuggestions('group:t', 7, { values: { group: ['main', 'Trip to Lyon'] } });
+      expect(suggestions).toEqual([
+        expect.objectContaining({ label: 'Trip to Lyon', insertText: '"Trip to Lyon" ' })
+      ]);
+    });
+
+    it('should complete the word under the cursor, not the end of the query', () => {
+      const suggestions = parser.getSuggestions('(dom age>1w', 4);
+      expect(labels(suggestions)).toEqual(['domain:']);
+      expect(suggestions[0]).toMatchObject({ replaceStart: 1, replaceEnd: 4 });
+    });
+
+    it('should keep the negation prefix', () => {
+      const suggestions = parser.getSuggestions('-domain:git', 11, context);
+      expect(suggestions[0]).toMatchObject({ label: 'github.com', replaceStart: 8 });
+    });
+
+    it('should suggest uppercase boolean keywords only', () => {
+      expect(labels(parser.getSuggestions('title:a O', 9))).toEqual(['OR']);
+      expect(labels(parser.getSuggestions('title:a o', 9))).toEqual([]);
+    });
+
+    it('should not suggest inside free text', () => {
+      expect(parser.getSuggestions('https://exa', 11)).toEqual([]);
+    });
+  });
+
+  describe('Enum fields', () => {
+    it('should parse intent and status', () => {
+      expect(parser.parseAST('status:TO-READ')).toMatchObject({ type: 'field', field: 'status', value: 'to-read' });
+      expect(parser.parseAST('intent:navigational')).toMatchObject({ type: 'field', field: 'intent' });
+    });
+
+    it('should reject unknown values', () => {
+      expect(parser.parseAST('status:later')).toMatchObject({ type: 'text' });
+      expect(parser.validate('status:later').error).toContain('Unknown value "later"');
+    });
+  });
+
+  describe('Analysis fields', () => {
+    it('should parse type as a content type enum', () => {
+      expect(parser.parseAST('type:Communication')).toMatchObject({ type: 'field', field: 'type', value: 'communication' });
+      expect(parser.validate('type:video').error).toContain('Unknown value "video"');
+    });
+
+    it('should parse typed and untyped entities', () => {
+      expect(parser.parseAST('entity:person:"Ada Lovelace"')).toMatchObject({
+        type: 'field', field: 'entity', entityType: 'PER', name: 'ada lovelace'
+      });
+      expect(parser.parseAST('entity:org:Mozilla')).toMatchObject({ entityType: 'ORG', name: 'mozilla' });
+      expect(parser.parseAST('entity:Lovelace')).toMatchObject({ entityType: null, name: 'lovelace' });
+      // Unknown prefixes stay part of the name
+      expect(parser.parseAST('entity:"Re:Invent"')).toMatchObject({ entityType: null, name: 're:invent' });
+      expect(parser.validate('entity:person:').error).toBe('Missing entity name');
+    });
+
+    it('should parse source and device fields', () => {
+      expect(parser.parseAST('source:Synced')).toMatchObject({ field: 'source', value: 'synced' });
+      expect(parser.validate('source:bookmarks').error).toContain('Unknown value "bookmarks"');
+      expect(parser.parseAST('device:"Pixel 7"')).toMatchObject({ field: 'device', value: 'Pixel 7', mode: 'plain' });
+      expect(parser.parseAST('device:/pixel \\d/i')).toMatchObject({ field: 'device', mode: 'regex' });
+    });
+
+    it('should parse visit counts as comparisons', () => {
+      expect(parser.parseAST('visits>10')).toMatchObject({ field: 'visits', operator: '>', number: 10 });
+      expect(parser.parseAST('visits:3')).toMatchObject({ operator: '=', number: 3 });
+      expect(parser.validate('visits>lots').error).toBe('Invalid number "lots"');
+    });
+
+    it('should parse reading time in minutes and hours', () => {
+      expect(parser.parseAST('reading>10m')).toMatchObject({ field: 'reading', operator: '>', minutes: 10 });
+      expect(parser.parseAST('reading<=1h30m')).toMatchObject({ minutes: 90 });
+      expect(parser.parseAST('reading<15')).toMatchObject({ minutes: 15 });
+      expect(parser.validate('reading>2d').error).toContain('Invalid duration "2d"');
+    });
+
+    it('should keep semantic queries as free text', () => {
+      expect(parser.parseAST('semantic:"papers about protein folding" age<1m').children[0]).toMatchObject({
+        type: 'field', field: 'semantic', value: 'papers about protein folding'
+      });
+      expect(parser.validate('semantic:').error).toBe('Missing value for semantic');
+    });
+
+    it('should suggest operators, units and entity types', () => {
+      const labels = (q) => parser.getSuggestions(q, q.length).map(s => s.label);
+      expect(labels('visits')).toEqual(['visits>', 'visits>=', 'visits<', 'visits<=', 'visits=']);
+      expect(labels('reading>3')).toEqual(['3m', '3h']);
+      expect(labels('category:t')).toEqual(['tech', 'sorties', 'other']);
+      const [person] = parser.getSuggestions('entity:pe', 9);
+      expect(person).toMatchObject({ label: 'person:', insertText: 'person:' });
+    });
+  });
+
+  describe('Match modes', () => {
+    it('should parse regex literals as text and field values', () => {
+      expect(parser.parseAST('/v\\d+ (beta|rc)/i')).toMatchObject({
+        type: 'text', mode: 'regex', pattern: 'v\\d+ (beta|rc)', flags: 'i'
+      });
+      expect(parser.parseAST('title:/^Re: /')).toMatchObject({
+        type: 'field', field: 'title', mode: 'regex', pattern: '^Re: ', flags: ''
+      });
+      expect(parser.parseAST('(url:/a\\/b/ OR x)')).toMatchObject({
+        type: 'or', children: [{ field: 'url', mode: 'regex', pattern: 'a\\/b' }, { type: 'text', value: 'x' }]
+      });
+    });
+
+    it('should keep paths and unknown flags as plain text', () => {
+      expect(parser.parseAST('/docs/intro')).toMatchObject({ type: 'text', mode: 'plain', value: '/docs/intro' });
+      expect(parser.parseAST('url:/docs/intro')).toMatchObject({ field: 'url', mode: 'plain', value: '/docs/intro' });
+      expect(parser.parseAST('/a/gx')).toMatchObject({ mode: 'plain' });
+    });
+
+    it('should report invalid regular expressions', () => {
+      const result = parser.validate('title:/(unclosed/');
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatchObject({ start: 6, end: 17 });
+      expect(result.error).toMatch(/^Invalid regular expression \(/);
+      expect(parser.validate('/[z-a]/').valid).toBe(false);
+      expect(parser.parseAST('/[z-a]/')).toMatchObject({ type: 'text', mode: 'plain' });
+    });
+
+    it('should parse fuzzy terms', () => {
+      expect(parser.parseAST('~lovelce')).toMatchObject({ type: 'text', mode: 'fuzzy', value: 'lovelce' });
+      expect(parser.parseAST('~"ada lovelce"')).toMatchObject({ mode: 'fuzzy', value: 'ada lovelce', quoted: true });
+      expect(parser.parseAST('title:~resume')).toMatchObject({ field: 'title', mode: 'fuzzy', value: 'resume' });
+      // Only unquoted "~" switches modes, and only where fuzzy is supported
+      expect(parser.parseAST('title:"~resume"')).toMatchObject({ mode: 'plain', value: '~resume' });
+      expect(parser.parseAST('url:~resume')).toMatchObject({ mode: 'plain', value: '~resume' });
+      expect(parser.parseAST('-~spam')).toMatchObject({ type: 'not', child: { mode: 'fuzzy', value: 'spam' } });
+    });
+  });
+
+  describe('Dates', () => {
+    const local = (...args) => new Date(...args).getTime();
+    const labels = (suggestions) => suggestions.map(s => s.label);
+
+    it('should count months and years on the calendar', () => {
+      expect(parser.parseAge('1m', new Date(2025, 2, 31))).toBe(31); // back to Feb 28
+      expect(parser.parseAge('1m', new Date(2024, 2, 31))).toBe(31); // back to Feb 29
+      expect(parser.parseAge('1m', new Date(2025, 1, 28))).toBe(31); // back to Jan 28
+      expect(parser.parseAge('1y', new Date(2025, 2, 1))).toBe(365);
+      expect(parser.parseAge('1y', new Date(2024, 2, 1))).toBe(366);
+      expect(parser.parseAge('2w')).toBe(14);
+    });
+
+    it('should clamp month shifts to the end of shorter months', () => {
+      expect(parser.shiftMonths(new Date(2025, 2, 31), -1)).toEqual(new Date(2025, 1, 28));
+      expect(parser.shiftMonths(new Date(2024, 1, 29), -12)).toEqual(new Date(2023, 1, 28));
+    });
+
+    it('should resolve named periods to calendar boundaries', () => {
+      expect(parser.parseAST('age:yesterday')).toMatchObject({
+        field: 'age', operator: '=', days: 1, from: local(2025, 4, 14), to: local(2025, 4, 15)
+      });
+      // Weeks start on Monday
+      expect(parser.parseAST('age:thisweek')).toMatchObject({ days: 3, from: local(2025, 4, 12), to: local(2025, 4, 19) });
+      expect(parser.parseAST('age=today')).toMatchObject({ days: 0, from: local(2025, 4, 15) });
+      expect(parser.parseAST('age>thismonth')).toMatchObject({ operator: '>', from: local(2025, 4, 1) });
+    });
+
+    it('should parse accessed ranges with inclusive ends', () => {
+      expect(parser.parseAST('accessed:2025-01-01..2025-03-31')).toMatchObject({
+        field: 'accessed', from: local(2025, 0, 1), to: local(2025, 3, 1)
+      });
+      expect(parser.parseAST('accessed:2024')).toMatchObject({ from: local(2024, 0, 1), to: local(2025, 0, 1) });
+      expect(parser.parseAST('accessed:2025-02..')).toMatchObject({ from: local(2025, 1, 1), to: null });
+      expect(parser.parseAST('accessed:..2024-12')).toMatchObject({ from: null, to: local(2025, 0, 1) });
+    });
+
+    it('should parse before and after as open ranges', () => {
+      expect(parser.parseAST('before:2025-01-15')).toMatchObject({ field: 'before', from: null, to: local(2025, 0, 15) });
+      expect(parser.parseAST('after:2025-01-15')).toMatchObject({ field: 'after', from: local(2025, 0, 16), to: null });
+      expect(parser.parseAST('after:2024')).toMatchObject({ from: local(2025, 0, 1) });
+    });
+
+    it('should report invalid dates and reversed ranges', () => {
+      expect(parser.validate('before:2025-02-30').error).toContain('Invalid date "2025-02-30"');
+      expect(parser.validate('after:15/01/2025').error).toContain('Invalid date');
+      expect(parser.validate('accessed:2025-03-01..2025-01-01').error).toBe('Date range "2025-03-01..2025-01-01" ends before it starts');
+      expect(parser.validate('accessed:..').error).toContain('Invalid date range');
+      expect(parser.validate('age:lastweek').error).toContain('Invalid age "lastweek"');
+      expect(parser.parseAST('before:soon')).toMatchObject({ type: 'text' });
+    });
+
+    it('should suggest dates relative to today', () => {
+      expect(labels(parser.getSuggestions('before:', 7))).toEqual(['2025-05-15', '2025-05', '2025', 'yesterday', 'thisweek']);
+      expect(labels(parser.getSuggestions('accessed:2025-0', 15))).toEqual(['2025-05', '2025-02-15..2025-05-15']);
+    });
+  });
+
+  describe('Tokenize', () => {
+    const types = (tokens) => tokens.map(t => [t.type, t.value]);
+
+    it('should return no tokens for empty query', () => {
+      expect(parser.tokenize('')).toEqual([]);
+    });
+
+    it('should split field terms into field, operator and value', () => {
+      const tokens = parser.tokenize('claude DOMAIN: github.com age>=2w');
+      expect(types(tokens)).toEqual([
+        ['text', 'claude'],
+        ['field', 'DOMAIN'],
+        ['operator', ':'],
+        ['value', 'github.com'],
+        ['field', 'age'],
+        ['operator', '>='],
+        ['value', '2w']
+      ]);
+      expect(tokens[1]).toMatchObject({ start: 7, end: 13, termStart: 7, termEnd: 25 });
+      expect(tokens[3]).toMatchObject({ start: 15, end: 25, termStart: 7, termEnd: 25 });
+    });
+
+    it('should type boolean keywords and parentheses', () => {
+      expect(types(parser.tokenize('(title:a OR title:b) -url:x NOT "y z"'))).toEqual([
+        ['paren', '('],
+        ['field', 'title'], ['operator', ':'], ['value', 'a'],
+        ['keyword', 'OR'],
+        ['field', 'title'], ['operator', ':'], ['value', 'b'],
+        ['paren', ')'],
+        ['keyword', '-'],
+        ['field', 'url'], ['operator', ':'], ['value', 'x'],
+        ['keyword', 'NOT'],
+        ['text', '"y z"']
+      ]);
+    });
+
+    it('should flag tokens covered by validation errors', () => {
+      const tokens = parser.tokenize('domian:github.com age>7x');
+      expect(types(tokens)).toEqual([
+        ['error', 'domian'],
+        ['operator', ':'],
+        ['value', 'github.com'],
+        ['field', 'age'],
+        ['operator', '>'],
+        ['error', '7x']
+      ]);
+      expect(tokens[5].message).toContain('Invalid age');
+    });
+
+    it('should flag unbalanced parentheses and quotes', () => {
+      expect(types(parser.tokenize('(a "b'))).toEqual([
+        ['error', '('],
+        ['text', 'a'],
+        ['error', '"b']
+      ]);
+    });
+
+    it('should omit the value token when the value is missing', () => {
+      expect(types(parser.tokenize('title:'))).toEqual([['error', 'title'], ['error', ':']]);
+    });
+  });
 });
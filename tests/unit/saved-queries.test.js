@@ -0,0 +1,125 @@
+/**
+ * Unit tests for SavedQueries
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate Storage + QueryParser + SavedQueries sources
+const storageCode = readFileSync(resolve(__dirname, '../../lib/storage.js'), 'utf8');
+const parserCode = readFileSync(resolve(__dirname, '../../lib/query-parser.js'), 'utf8');
+const savedQueriesCode = readFileSync(resolve(__dirname, '../../lib/saved-queries.js'), 'utf8');
+
+const createSavedQueries = () => {
+  const wrappedCode = `(function() { ${storageCode}; ${parserCode}; ${savedQueriesCode}; return SavedQueries; })()`;
+  return eval(wrappedCode);
+};
+
+const SavedQueries = createSavedQueries();
+
+describe('SavedQueries', () => {
+  let savedQueries;
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = {};
+    browser.storage.local.get.mockImplementation(async (key) => (key in store ? { [key]: store[key] } : {}));
+    browser.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+    savedQueries = new SavedQueries();
+  });
+
+  describe('save', () => {
+    it('should store a new query with defaults', async () => {
+      const saved = await savedQueries.save({ name: ' Old GitHub ', query: 'domain:github.com age>1m' });
+
+      expect(saved).toMatchObject({ name: 'Old GitHub', query: 'domain:github.com age>1m', icon: '⭐', sort: null });
+      expect(saved.id).toMatch(/^sq-/);
+      expect(await savedQueries.getAll()).toEqual([saved]);
+    });
+
+    it('should update an existing query by id and keep its position', async () => {
+      const first = await savedQueries.save({ name: 'A', query: 'age>1w' });
+      await savedQueries.save({ name: 'B', query: 'age>1y' });
+
+      await savedQueries.save({ id: first.id, query: 'age>2w', icon: '🕰️', sort: 'age-desc' });
+
+      const all = await savedQueries.getAll();
+      expect(all.map(entry => entry.name)).toEqual(['A', 'B']);
+      expect(all[0]).toMatchObject({ id: first.id, query: 'age>2w', icon: '🕰️', sort: 'age-desc' });
+    });
+
+    it('should reject entries without a name or query', async () => {
+      await expect(savedQueries.save({ name: '', query: 'age>1w' })).rejects.toThrow('needs a name');
+      await expect(savedQueries.save({ name: 'Empty', query: '  ' })).rejects.toThrow('needs a query');
+    });
+
+    it('should drop unknown sort modes', async () => {
+      const saved = await savedQueries.save({ name: 'A', query: 'age>1w', sort: 'random' });
+      expect(saved.sort).toBeNull();
+    });
+  });
+
+  describe('remove', () => {
+    it('should delete by id', async () => {
+      const first = await savedQueries.save({ name: 'A', query: 'age>1w' });
+      await savedQueries.save({ name: 'B', query: 'age>1y' });
+
+      await savedQueries.remove(first.id);
+
+      expect((await savedQueries.getAll()).map(entry => entry.name)).toEqual(['B']);
+    });
+  });
+
+  describe('import/export', () => {
+    it('should round-trip through JSON without ids', async () => {
+      await savedQueries.save({ name: 'Work', query: 'category:work', icon: '💼', sort: 'title' });
+      const json = await savedQueries.exportJSON();
+
+      expect(JSON.parse(json)).toMatchObject({
+        version: 1,
+        queries: [{ name: 'Work', query: 'category:work', icon: '💼', sort: 'title' }]
+      });
+      expect(json).not.toContain('"id"');
+
+      store = {};
+      expect(await savedQueries.importJSON(json)).toEqual({ imported: 1, skipped: 0, rejected: [] });
+      expect((await savedQueries.getAll())[0]).toMatchObject({ name: 'Work', query: 'category:work' });
+    });
+
+    it('should replace queries with the same name and skip invalid entries', async () => {
+      const existing = await savedQueries.save({ name: 'Work', query: 'category:work' });
+
+      const result = await savedQueries.importJSON(JSON.stringify([
+        { name: 'work', query: 'category:work age>1w' },
+        { name: 'Reading', query: 'reading>10m' },
+        { name: 'Broken' },
+        { name: 'Typo', query: 'colour:red' },
+        { name: 'Old', query: 'age>7x' }
+      ]));
+
+      expect(result).toMatchObject({
+        imported: 2,
+        skipped: 3,
+        rejected: [
+          { name: 'Broken', query: null, error: 'Saved query needs a query' },
+          { name: 'Typo', query: 'colour:red', error: expect.stringContaining('Unknown field "colour"') },
+          { name: 'Old', query: 'age>7x', error: expect.stringContaining('Invalid age "7x"') }
+        ]
+      });
+      const all = await savedQueries.getAll();
+      expect(all).toHaveLength(2);
+      expect(all[0]).toMatchObject({ id: existing.id, name: 'work', query: 'category:work age>1w' });
+    });
+
+    it('should reject files that are not saved query exports', async () => {
+      await expect(savedQueries.importJSON('not json')).rejects.toThrow('Invalid JSON file');
+      await expect(savedQueries.importJSON('{"tabs": []}')).rejects.toThrow('No saved queries found');
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
@@ -75,6 +75,22 @@ describe('SyncParser', () => {
       expect(parser.formatAge(365)).toBe('1y ago');
       expect(parser.formatAge(730)).toBe('2y ago');
     });
+
+    it('should count months on the calendar when the last-used time is known', () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(2025, 2, 31, 12, 0));
+      try {
+        // Feb 28 -> Mar 31 is 31 days but only one calendar month
+        expect(parser.formatAge(31, new Date(2025, 1, 28, 12).getTime())).toBe('1mo ago');
+        // Mar 1 -> Mar 31 is 30 days but less than a month
+        expect(parser.formatAge(30, new Date(2025, 2, 1, 12).getTime())).toBe('4w ago');
+        // Leap year: 365 days back is Mar 31 2024, exactly one year
+        expect(parser.formatAge(365, new Date(2024, 2, 31, 12).getTime())).toBe('1y ago');
+        expect(parser.formatAge(364, new Date(2024, 3, 1, 12).getTime())).toBe('11mo ago');
+      } finally {
+        vi.useRealTimers();
+      }
+    });
   });
 
   describe('isInternalUrl', () => {
@@ -198,5 +214,57 @@ describe('SyncParser', () => {
       expect(result.totalTabs).toBe(0);
       expect(result.tabs).toHaveLength(0);
     });
+
+    it('should list a URL open twice on a device once', () => {
+      const now = Date.now() / 1000;
+      const mockData = [
+        { id: 'device-1', name: 'Phone', tabs: [{ title: 'A', url: 'https://a.com', lastUsed: now }, { title: 'A again', url: 'https://a.com', lastUsed: now }] },
+        { id: 'device-2', name: 'Tablet', tabs: [{ title: 'A', url: 'https://a.com', lastUsed: now }] }
+      ];
+
+      const result = parser.parse(mockData, 'synced-tabs-123.json');
+
+      expect(result.tabs.map(t => `${t.deviceId}:${t.title}`)).toEqual(['device-1:A', 'device-2:A']);
+      expect(result.deviceIds).toEqual(['device-1', 'device-2']);
+    });
+  });
+
+  describe('mergeExport', () => {
+    const exportOf = (date, devices) => parser.parse(
+      Object.entries(devices).map(([id, urls]) => ({
+        id,
+        name: id,
+        tabs: urls.map(url => ({ title: `${url} @${date}`, url, lastUsed: date / 1000 }))
+      })),
+      `synced-tabs-${date}.json`
+    );
+
+    it('should track when tabs appeared and were closed', () => {
+      let timeline = parser.mergeExport(null, exportOf(1000, { phone: ['https://a.com', 'https://b.com'], laptop: ['https://c.com'] }));
+      timeline = parser.mergeExport(timeline, exportOf(2000, { phone: ['https://a.com', 'https://d.com'] }));
+      timeline = parser.mergeExport(timeline, exportOf(3000, { phone: ['https://a.com'], laptop: [] }));
+
+      const byUrl = Object.fromEntries(timeline.tabs.map(tab => [tab.url, tab]));
+
+      expect(timeline.exports.map(entry => entry.syncExportDate)).toEqual([1000, 2000, 3000]);
+      expect(byUrl['https://a.com']).toMatchObject({ seenIn: [1000, 2000, 3000], firstSeenAt: 1000, lastSeenAt: 3000, closedAt: null, title: 'https://a.com @3000' });
+      expect(byUrl['https://b.com']).toMatchObject({ lastSeenAt: 1000, closedAt: 2000 });
+      expect(byUrl['https://d.com']).toMatchObject({ firstSeenAt: 2000, closedAt: 3000 });
+      // The laptop wasn't in the second export, so its tab was closed by the third
+      expect(byUrl['https://c.com'].closedAt).toBe(3000);
+
+      const { open, closed } = parser.summarizeTimeline(timeline.tabs);
+      expect(open.map(tab => tab.url)).toEqual(['https://a.com']);
+      expect(closed.map(tab => tab.url)).toEqual(['https://c.com', 'https://d.com', 'https://b.com']);
+    });
+
+    it('should merge exports in any order and replace re-imported exports', () => {
+      let timeline = parser.mergeExport(null, exportOf(3000, { phone: ['https://a.com'] }));
+      timeline = parser.mergeExport(timeline, exportOf(1000, { phone: ['https://a.com', 'https://b.com'] }));
+      timeline = parser.mergeExport(timeline, exportOf(1000, { phone: ['https://a.com'] }));
+
+      expect(timeline.tabs).toHaveLength(1);
+      expect(timeline.tabs[0]).toMatchObject({ url: 'https://a.com', seenIn: [1000, 3000], closedAt: null, title: 'https://a.com @3000' });
+    });
   });
 });
@@ -0,0 +1,147 @@
+/**
+ * Unit tests for TabIdentity
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate Storage + TabIdentity sources
+const storageCode = readFileSync(resolve(__dirname, '../../lib/storage.js'), 'utf8');
+const identityCode = readFileSync(resolve(__dirname, '../../lib/tab-identity.js'), 'utf8');
+
+const createTabIdentity = () => {
+  const wrappedCode = `(function() { ${storageCode}; ${identityCode}; return TabIdentity; })()`;
+  return eval(wrappedCode);
+};
+
+const TabIdentity = createTabIdentity();
+
+describe('TabIdentity', () => {
+  let identity;
+  let store;
+
+  const record = (tab, fields) => ({ ...fields, identity: identity.describe(tab) });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = { tabIdentityVersion: 1 };
+    browser.storage.local.get.mockImplementation(async (key) => {
+      if (key === null) return { ...store };
+      return key in store ? { [key]: store[key] } : {};
+    });
+    browser.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+    browser.storage.local.remove.mockImplementation(async (key) => {
+      delete store[key];
+    });
+    identity = new TabIdentity();
+  });
+
+  describe('describe', () => {
+    it('should ignore unread counters and case in titles', () => {
+      const a = identity.describe({ url: 'https://mail.example.com/inbox', title: '(3) Inbox' });
+      const b = identity.describe({ url: 'https://MAIL.example.com/inbox', title: 'inbox ' });
+
+      expect(a.fingerprint).toBe(b.fingerprint);
+      expect(a).toMatchObject({ url: 'https://mail.example.com/inbox', title: 'inbox' });
+      expect(identity.describe({ title: 'No URL' })).toBeNull();
+    });
+  });
+
+  describe('reattach', () => {
+    it('should move an orphaned record to the restored tab', async () => {
+      const docs = { url: 'https://docs.example.com/guide', title: 'Guide' };
+      store['tab-5'] = record(docs, { group: 'bin', dateSwiped: 123, metadata: { httpCode: 200 } });
+      browser.tabs.query.mockResolvedValue([{ id: 42, ...docs }]);
+
+      expect(await identity.reattach()).toEqual({ reattached: 1, stamped: 0 });
+      expect(store['tab-5']).toBeUndefined();
+      expect(store['tab-42']).toMatchObject({ group: 'bin', dateSwiped: 123, metadata: { httpCode: 200 } });
+    });
+
+    it('should fall back to a unique URL match when the title changed', async () => {
+      store['tab-5'] = record({ url: 'https://news.example.com/', title: 'Monday headlines' }, { group: 'staging' });
+      store['tab-6'] = record({ url: 'https://a.example.com/', title: 'A' }, { group: 'bin' });
+      store['tab-7'] = record({ url: 'https://a.example.com/', title: 'A (old)' }, { group: 'staging' });
+      browser.tabs.query.mockResolvedValue([
+        { id: 40, url: 'https://news.example.com/', title: 'Tuesday headlines' },
+        { id: 41, url: 'https://a.example.com/', title: 'A (new)' }
+      ]);
+
+      await identity.reattach();
+
+      expect(store['tab-40']).toMatchObject({ group: 'staging' });
+      // Two orphans share that URL: ambiguous, leave both alone
+      expect(store['tab-41']).toBeUndefined();
+      expect(store['tab-6']).toBeDefined();
+    });
+
+    it('should keep the group of a live tab and merge fresh metadata', async () => {
+      const page = { url: 'https://example.com/', title: 'Example' };
+      store['tab-1'] = record(page, { group: 'bin' });
+      store['tab-2'] = record(page, { group: 'staging' });
+      store['tab-9'] = { metadata: { httpCode: 200 } };
+      browser.tabs.query.mockResolvedValue([{ id: 2, ...page }, { id: 9, ...page }]);
+
+      await identity.reattach();
+
+      expect(store['tab-2']).toMatchObject({ group: 'staging' });
+      expect(store['tab-9']).toMatchObject({ group: 'bin', metadata: { httpCode: 200 } });
+      expect(store['tab-9'].identity.fingerprint).toBe(identity.describe(page).fingerprint);
+    });
+
+    it('should not hand records to unrelated pages that reuse their tab IDs after a restart', async () => {
+      const docs = { url: 'https://docs.example.com/guide', title: 'Guide' };
+      const shop = { url: 'https://shop.example.com/', title: 'Shop' };
+      const news = { url: 'https://news.example.com/', title: 'News' };
+      store['tab-5'] = record(docs, { group: 'bin', dateSwiped: 123 });
+      store['tab-6'] = record(shop, { group: 'staging' });
+      store['tab-7'] = record(news, { metadata: { httpCode: 200 } });
+      // After the restart: 5 is the shop, 6 is a new page, docs came back as 8
+      browser.tabs.query.mockResolvedValue([
+        { id: 5, ...shop },
+        { id: 6, url: 'https://new.example.com/', title: 'New' },
+        { id: 7, ...news },
+        { id: 8, ...docs }
+      ]);
+
+      expect(await identity.reattach({ startup: true })).toEqual({ reattached: 2, stamped: 0 });
+
+      expect(store['tab-5']).toMatchObject({ group: 'staging', identity: { url: shop.url } });
+      expect(store['tab-6']).toBeUndefined();
+      expect(store['tab-7']).toMatchObject({ metadata: { httpCode: 200 } });
+      expect(store['tab-8']).toMatchObject({ group: 'bin', dateSwiped: 123, identity: { url: docs.url } });
+    });
+
+    it('should re-stamp a live record when its page navigates in the same session', async () => {
+      store['tab-5'] = record({ url: 'https://a.example.com/', title: 'A' }, { group: 'staging' });
+      browser.tabs.query.mockResolvedValue([{ id: 5, url: 'https://b.example.com/', title: 'B' }]);
+
+      expect(await identity.reattach()).toEqual({ reattached: 0, stamped: 1 });
+      expect(store['tab-5']).toMatchObject({ group: 'staging', identity: { url: 'https://b.example.com/' } });
+    });
+  });
+
+  describe('migrate', () => {
+    it('should give legacy records an identity from live or tracked tabs once', async () => {
+      delete store.tabIdentityVersion;
+      store['tab-1'] = { group: 'staging' };
+      store['tab-2'] = { group: 'bin' };
+      store['tab-3'] = { group: 'bin' };
+      store['tab-synced-abc'] = { group: 'bin' };
+      store.knownTabs = [[2, { id: 2, url: 'https://tracked.example.com/', title: 'Tracked' }]];
+      browser.tabs.query.mockResolvedValue([{ id: 1, url: 'https://live.example.com/', title: 'Live' }]);
+
+      expect(await identity.migrate()).toBe(2);
+      expect(store['tab-1'].identity.url).toBe('https://live.example.com/');
+      expect(store['tab-2'].identity.url).toBe('https://tracked.example.com/');
+      expect(store['tab-3'].identity).toBeUndefined();
+      expect(store['tab-synced-abc'].identity).toBeUndefined();
+      expect(await identity.migrate()).toBe(0);
+    });
+  });
+});
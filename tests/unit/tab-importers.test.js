@@ -0,0 +1,115 @@
+/**
+ * Unit tests for TabImporters
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate Storage + SyncParser + TabImporters sources
+const storageCode = readFileSync(resolve(__dirname, '../../lib/storage.js'), 'utf8');
+const syncParserCode = readFileSync(resolve(__dirname, '../../lib/sync-parser.js'), 'utf8');
+const importersCode = readFileSync(resolve(__dirname, '../../lib/tab-importers.js'), 'utf8');
+
+const createTabImporters = () => {
+  const wrappedCode = `(function() { ${storageCode}; ${syncParserCode}; ${importersCode}; return TabImporters; })()`;
+  return eval(wrappedCode);
+};
+
+const TabImporters = createTabImporters();
+
+const BOOKMARKS = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000">Toolbar</H3>
+    <DL><p>
+        <DT><H3>Recipes &amp; Food</H3>
+        <DL><p>
+            <DT><A HREF="https://food.example/tarte?a=1&amp;b=2" ADD_DATE="1700000000" LAST_VISIT="1710000000">Tarte &lt;Tatin&gt;</A>
+        </DL><p>
+        <DT><A HREF="https://news.example/" ADD_DATE="1700000000">News</A>
+    </DL><p>
+    <DT><A HREF="place:sort=8">Recent</A>
+</DL><p>`;
+
+describe('TabImporters', () => {
+  let importers;
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = {};
+    browser.storage.local.get.mockImplementation(async (key) => (key in store ? { [key]: store[key] } : {}));
+    browser.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+    importers = new TabImporters();
+  });
+
+  it('should read bookmark folders, dates and entities', () => {
+    const { importer, tabs } = importers.parse(BOOKMARKS);
+
+    expect(importer.id).toBe('bookmarks');
+    expect(tabs).toHaveLength(2);
+    expect(tabs[0]).toMatchObject({
+      url: 'https://food.example/tarte?a=1&b=2',
+      title: 'Tarte <Tatin>',
+      folder: 'Toolbar / Recipes & Food',
+      domain: 'food.example',
+      lastUsed: 1710000000,
+      lastAccessed: 1710000000000,
+      source: 'imported',
+      deviceName: 'Bookmarks'
+    });
+    expect(tabs[0].id).toMatch(/^imported-bookmarks-[0-9a-f]{8}$/);
+    expect(tabs[0].ageDays).toEqual(expect.any(Number));
+    expect(tabs[1]).toMatchObject({ url: 'https://news.example/', folder: 'Toolbar' });
+  });
+
+  it('should leave numeric entities beyond Unicode undecoded', () => {
+    const { tabs } = importers.parse(BOOKMARKS.replace('Tarte &lt;Tatin&gt;', 'Caf&#233; &#x1F370; &#x110000; &#99999999;'));
+
+    expect(tabs[0].title).toBe('Café 🍰 &#x110000; &#99999999;');
+    expect(importers.decodeEntities('&#x10FFFF;')).toBe('\u{10FFFF}');
+  });
+
+  it('should detect OneTab groups, session backups and URL lists', () => {
+    const onetab = importers.parse('https://a.example/ | A | with pipe\nhttps://b.example/ | B\n\n\nhttps://c.example/ | C\n');
+    const sessionBuddy = importers.parse(JSON.stringify({
+      sessions: [{ name: 'Work', created: '2025-01-02T00:00:00Z', windows: [{ tabs: [{ url: 'https://a.example/', title: 'A' }] }] }]
+    }));
+    const tabSessionManager = importers.parse(JSON.stringify([
+      { name: 'Trip', date: 1735776000000, windows: { 1: { 7: { url: 'https://maps.example/', title: 'Map', lastAccessed: 1735689600000 } } } }
+    ]));
+    const urls = importers.parse('# reading list\nhttps://a.example/\nnot a url\nhttps://a.example/\nhttps://ünïcode.example/é\n');
+
+    expect(onetab.importer.id).toBe('onetab');
+    expect(onetab.tabs.map(tab => [tab.title, tab.folder])).toEqual([
+      ['A | with pipe', 'OneTab group 1'],
+      ['B', 'OneTab group 1'],
+      ['C', 'OneTab group 2']
+    ]);
+    expect(sessionBuddy.tabs[0]).toMatchObject({ folder: 'Work', lastAccessed: 1735776000000 });
+    expect(tabSessionManager.tabs[0]).toMatchObject({ folder: 'Trip', lastAccessed: 1735689600000 });
+    expect(urls.importer.id).toBe('urls');
+    expect(urls.tabs.map(tab => tab.title)).toEqual(['https://a.example/', 'https://ünïcode.example/é']);
+  });
+
+  it('should reject unknown formats and files without tabs', () => {
+    expect(() => importers.parse('just some notes')).toThrow('Unrecognized file format');
+    expect(() => importers.parse('{"sessions": []}')).toThrow('No tabs found in this Session Buddy / Tab Session Manager file');
+  });
+
+  it('should merge imports, replacing tabs imported again', async () => {
+    await importers.import('https://a.example/ | Old\nhttps://b.example/ | B');
+    await importers.import('https://a.example/ | New');
+    await importers.import('https://a.example/');
+
+    expect((await importers.getAll()).map(tab => `${tab.deviceId}:${tab.title}`))
+      .toEqual(['onetab:B', 'onetab:New', 'urls:https://a.example/']);
+  });
+});
@@ -0,0 +1,411 @@
+/**
+ * Unit tests for TabQuery AST evaluation
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate Storage + QueryParser + EmbeddingIndex + TabQuery sources
+const storageCode = readFileSync(resolve(__dirname, '../../lib/storage.js'), 'utf8');
+const parserCode = readFileSync(resolve(__dirname, '../../lib/query-parser.js'), 'utf8');
+const embeddingIndexCode = readFileSync(resolve(__dirname, '../../lib/embedding-index.js'), 'utf8');
+const queryCode = readFileSync(resolve(__dirname, '../../lib/tab-query.js'), 'utf8');
+
+const createClasses = () => {
+  const wrappedCode = `(function() { ${storageCode}; ${parserCode}; ${embeddingIndexCode}; ${queryCode}; return { QueryParser, TabQuery }; })()`;
+  return eval(wrappedCode);
+};
+
+const { QueryParser, TabQuery } = createClasses();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const makeTabs = () => {
+  const now = Date.now();
+  return [
+    { id: 1, title: 'Fix login issue', url: 'https://github.com/acme/app/issues/1', lastAccessed: now - 2 * DAY },
+    { id: 2, title: 'Pipeline docs', url: 'https://gitlab.com/acme/ci', lastAccessed: now - 40 * DAY },
+    { id: 3, title: 'Release notes', url: 'https://github.com/acme/app/releases', lastAccessed: now - 10 * DAY },
+    { id: 4, title: 'Cat videos', url: 'https://www.youtube.com/watch?v=1', lastAccessed: now },
+    { id: 5, title: 'Protein folding review', url: 'https://example.org/paper', lastAccessed: now - 400 * DAY }
+  ];
+};
+
+describe('TabQuery', () => {
+  let parser;
+  let query;
+  let tabs;
+
+  const run = (q) => tabs
+    .filter(tab => query.evaluate(parser.parseAST(q), tab))
+    .map(tab => tab.id);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    browser.storage.local.get.mockResolvedValue({});
+    parser = new QueryParser();
+    query = new TabQuery();
+    tabs = makeTabs();
+  });
+
+  describe('evaluate', () => {
+    it('should match everything for a null AST', () => {
+      expect(run('')).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should evaluate OR across repeated fields', () => {
+      expect(run('domain:github.com OR domain:gitlab.com')).toEqual([1, 2, 3]);
+    });
+
+    it('should evaluate negation', () => {
+      expect(run('domain:github.com -title:issue')).toEqual([3]);
+      expect(run('NOT domain:github.com')).toEqual([2, 4, 5]);
+    });
+
+    it('should bind AND tighter than OR', () => {
+      // github.com OR (gitlab.com AND NOT title:issue)
+      expect(run('domain:github.com OR domain:gitlab.com -title:issue')).toEqual([1, 2, 3]);
+      // (github.com OR gitlab.com) AND NOT title:issue
+      expect(run('(domain:github.com OR domain:gitlab.com) -title:issue')).toEqual([2, 3]);
+    });
+
+    it('should evaluate nested groups with ages', () => {
+      expect(run('(domain:github.com age<7d) OR (age>1y NOT domain:github.com)')).toEqual([1, 5]);
+    });
+
+    it('should AND free text words anywhere in title or url', () => {
+      expect(run('acme notes')).toEqual([3]);
+      expect(run('"cat videos"')).toEqual([4]);
+    });
+
+    it('should evaluate age=today', () => {
+      expect(run('age=today')).toEqual([4]);
+    });
+  });
+
+  describe('executeQuery', () => {
+    beforeEach(() => {
+      browser.tabs.query.mockResolvedValue(tabs);
+      browser.storage.local.get.mockResolvedValue({
+        'tab-2': { group: 'staging', metadata: { og: { description: 'How we run acme pipelines' } } },
+        'tab-3': { group: 'bin', dateSwiped: Date.now() }
+      });
+    });
+
+    it('should return all tabs for an empty query', async () => {
+      const results = await query.executeQuery(parser.parse(''));
+      expect(results).toHaveLength(5);
+      expect(browser.storage.local.get).not.toHaveBeenCalled();
+    });
+
+    it('should skip storage reads without text, group or classification terms', async () => {
+      const results = await query.executeQuery(parser.parse('domain:github.com'));
+      expect(results.map(t => t.id)).toEqual([1, 3]);
+      expect(browser.storage.local.get).not.toHaveBeenCalled();
+    });
+
+    it('should load all tabs and records in a single read each', async () => {
+      await query.executeQuery(parser.parse('acme group:main'));
+      expect(browser.tabs.query).toHaveBeenCalledTimes(1);
+      expect(browser.storage.local.get).toHaveBeenCalledTimes(1);
+      expect(browser.storage.local.get).toHaveBeenCalledWith(['tab-1', 'tab-2', 'tab-3', 'tab-4', 'tab-5']);
+    });
+
+    it('should rank text matches title > description > url', async () => {
+      const results = await query.executeQuery(parser.parse('pipeline OR release OR acme'));
+      // 2: title "Pipeline" + description "acme" + url "acme"; 3: title "Release" + url "acme"; 1: url "acme"
+      expect(results.map(t => t.id)).toEqual([2, 3, 1]);
+    });
+
+    it('should filter by group with main as default', async () => {
+      expect((await query.executeQuery(parser.parse('group:staging'))).map(t => t.id)).toEqual([2]);
+      expect((await query.executeQuery(parser.parse('group:main'))).map(t => t.id)).toEqual([1, 4, 5]);
+      expect((await query.executeQuery(parser.parse('-group:main'))).map(t => t.id)).toEqual([2, 3]);
+    });
+  });
+
+  describe('snapshots', () => {
+    beforeEach(() => {
+      browser.storage.local.get.mockResolvedValue({
+        'tab-2': { group: 'staging', metadata: { og: { description: 'How we run acme pipelines' } } }
+      });
+    });
+
+    it('should reuse loaded data across queries on the same snapshot', async () => {
+      const snapshot = query.createSnapshot(tabs);
+
+      const first = await query.query(snapshot, parser.parseAST('pipelines'));
+      const second = await query.query(snapshot, parser.parseAST('group:staging'));
+
+      expect(first.tabs.map(t => t.id)).toEqual([2]);
+      expect(second.tabs.map(t => t.id)).toEqual([2]);
+      expect(browser.storage.local.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report timing stats', async () => {
+      const { stats } = await query.query(query.createSnapshot(tabs), parser.parseAST('domain:github.com'));
+
+      expect(stats).toMatchObject({ total: 5, matched: 2 });
+      expect(stats.totalMs).toBeGreaterThanOrEqual(stats.loadMs);
+      expect(stats.evalMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should evaluate 5,000 tabs in a single pass with one storage read', async () => {
+      const now = Date.now();
+      const domains = ['github.com', 'gitlab.com', 'news.ycombinator.com', 'en.wikipedia.org', 'youtube.com'];
+      const bigTabs = Array.from({ length: 5000 }, (_, i) => ({
+        id: i + 1,
+        title: `${i % 7 === 0 ? 'Release notes' : 'Article'} ${i}`,
+        url: `https://${domains[i % domains.length]}/page/${i}`,
+        lastAccessed: now - (i % 400) * DAY
+      }));
+      const records = {};
+      for (const tab of bigTabs) {
+        records[`tab-${tab.id}`] = {
+          group: tab.id % 10 === 0 ? 'bin' : 'main',
+          metadata: { og: { description: tab.id % 3 === 0 ? 'release changelog' : 'misc' } }
+        };
+      }
+      browser.storage.local.get.mockResolvedValue(records);
+
+      const { tabs: results, stats } = await query.query(
+        query.createSnapshot(bigTabs),
+        parser.parseAST('release (domain:github.com OR domain:gitlab.com) age>1w -group:bin')
+      );
+
+      expect(browser.storage.local.get).toHaveBeenCalledTimes(1);
+      expect(stats.total).toBe(5000);
+      expect(results.length).toBe(stats.matched);
+      expect(results.length).toBeGreaterThan(0);
+      expect(results.every(tab => /github|gitlab/.test(tab.url))).toBe(true);
+      // Generous bound: catches per-tab storage reads, not machine speed
+      expect(stats.totalMs).toBeLessThan(2000);
+    });
+  });
+
+  describe('classification fields', () => {
+    it('should match analyzed tab classifications', () => {
+      const tab = { ...tabs[0], classification: { intent: { label: 'transactional' }, status: { label: 'to-do' } } };
+      expect(query.evaluate(parser.parseAST('intent:transactional status:to-do'), tab)).toBe(true);
+      expect(query.evaluate(parser.parseAST('status:done'), tab)).toBe(false);
+    });
+
+    it('should match cached ML classifications from metadata', () => {
+      const metadata = {
+        mlClassifications: {
+          intent: { topK: [{ label: 'informational', score: 0.8 }] },
+          status: { topK: [{ label: 'to-read', score: 0.6 }, { label: 'done', score: 0.3 }] }
+        }
+      };
+      expect(query.evaluate(parser.parseAST('status:to-read'), tabs[0], { metadata })).toBe(true);
+      expect(query.evaluate(parser.parseAST('status:done'), tabs[0], { metadata })).toBe(false);
+      expect(query.evaluate(parser.parseAST('intent:informational'), tabs[0])).toBe(false);
+    });
+
+    it('should match content type', () => {
+      const tab = { ...tabs[0], classification: { contentType: { label: 'communication' } } };
+      expect(query.evaluate(parser.parseAST('type:communication'), tab)).toBe(true);
+      expect(query.evaluate(parser.parseAST('type:search'), tab)).toBe(false);
+    });
+  });
+
+  describe('match modes', () => {
+    it('should escape regex characters in domain and url globs', () => {
+      expect(query.matchesDomain('https://docs.example.com/', '*.example.com')).toBe(true);
+      expect(query.matchesDomain('https://docsXexampleYcom/', '*.example.com')).toBe(false);
+      expect(query.matchesUrl('https://a.io/x?id=(1)', 'https://a.io/*?id=(1)')).toBe(true);
+      expect(query.matchesUrl('https://a.io/xid=1', 'https://a.io/*?id=1')).toBe(false);
+      expect(query.matchesUrl('https://a.io/[v2]/+', '*[v2]/+')).toBe(true);
+    });
+
+    it('should match regex values on title, url and domain', () => {
+      expect(run('title:/^(fix|release)/i')).toEqual([1, 3]);
+      expect(run('title:/^fix/')).toEqual([]);
+      expect(run('url:/issues\\/\\d+$/')).toEqual([1]);
+      expect(run('domain:/^git(hub|lab)\\.com$/')).toEqual([1, 2, 3]);
+      expect(run('/watch\\?v=/')).toEqual([4]);
+    });
+
+    it('should match fuzzy terms with typos and without accents', () => {
+      tabs.push({ id: 6, title: 'Créer un CV : le résumé parfait', url: 'https://emploi.fr/cv' });
+      tabs.push({ id: 7, title: 'Cœur de Paris', url: 'https://paris.fr/' });
+
+      expect(run('~resume')).toEqual([6]);
+      expect(run('title:~reusme')).toEqual([6]);
+      expect(run('~coeur')).toEqual([7]);
+      expect(run('~"protien foldng"')).toEqual([5]);
+      expect(run('~pipelin')).toEqual([2]);
+      // Short words must match exactly
+      expect(run('~cta')).toEqual([]);
+    });
+
+    it('should rank fuzzy matches by quality', async () => {
+      tabs = [
+        { id: 1, title: 'Release candidate', url: 'https://a.example/' },
+        { id: 2, title: 'Releases', url: 'https://b.example/' },
+        { id: 3, title: 'Relase notes', url: 'https://c.example/' }
+      ];
+      const results = await query.filterTabs(tabs, parser.parseAST('~release'));
+      expect(results.map(t => t.id)).toEqual([1, 2, 3]);
+      expect(query.scoreText(tabs[2], parser.parseAST('~release'))).toBeCloseTo(100 * (1 - 1 / 7));
+    });
+  });
+
+  describe('dates', () => {
+    const at = (...args) => new Date(...args).getTime();
+
+    beforeEach(() => {
+      // Thursday 2025-05-15, local time
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(2025, 4, 15, 12, 0));
+      tabs = [
+        { id: 1, title: 'Today', url: 'https://a.example/', lastAccessed: at(2025, 4, 15, 8) },
+        { id: 2, title: 'Yesterday late', url: 'https://b.example/', lastAccessed: at(2025, 4, 14, 23, 30) },
+        { id: 3, title: 'Monday', url: 'https://c.example/', lastAccessed: at(2025, 4, 12, 9) },
+        { id: 4, title: 'Q1', url: 'https://d.example/', lastAccessed: at(2025, 2, 31, 18) },
+        { id: 5, title: 'Synced', url: 'https://e.example/', lastUsed: at(2024, 11, 31, 10) / 1000 }
+      ];
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should match named age periods on calendar days', () => {
+      // Tab 2 is less than 24 hours old but was accessed yesterday
+      expect(run('age:today')).toEqual([1]);
+      expect(run('age:yesterday')).toEqual([2]);
+      expect(run('age:thisweek')).toEqual([1, 2, 3]);
+      expect(run('age>thisweek')).toEqual([4, 5]);
+      expect(run('age<=yesterday')).toEqual([1, 2]);
+    });
+
+    it('should match inclusive absolute ranges', () => {
+      expect(run('accessed:2025-01-01..2025-03-31')).toEqual([4]);
+      expect(run('accessed:2025-05')).toEqual([1, 2, 3]);
+      expect(run('accessed:..2024')).toEqual([5]);
+    });
+
+    it('should match before and after', () => {
+      expect(run('before:2025-05-12')).toEqual([4, 5]);
+      expect(run('after:2025-05-12')).toEqual([1, 2]);
+      expect(run('after:2024 before:2025-05')).toEqual([4]);
+    });
+
+    it('should use calendar months for age comparisons', () => {
+      // One month before May 15 is April 15: the Q1 tab is older, Monday's is not
+      expect(run('age>1m')).toEqual([4, 5]);
+      expect(run('age<1y')).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should read synced lastUsed seconds when lastAccessed is missing', () => {
+      expect(query.getLastAccessed(tabs[4])).toBe(at(2024, 11, 31, 10));
+      expect(query.getLastAccessed({})).toBeNull();
+      expect(run('accessed:2024-12-31')).toEqual([5]);
+    });
+  });
+
+  describe('analysis fields', () => {
+    it('should match analysis entities by name and type', () => {
+      const tab = {
+        ...tabs[4],
+        entities: {
+          people: [{ word: 'Ada Lovelace', type: 'PER', score: 0.99 }],
+          organizations: [{ word: 'Royal Society', type: 'ORG', score: 0.9 }]
+        }
+      };
+      expect(query.evaluate(parser.parseAST('entity:person:"Ada Lovelace"'), tab)).toBe(true);
+      expect(query.evaluate(parser.parseAST('entity:lovelace'), tab)).toBe(true);
+      expect(query.evaluate(parser.parseAST('entity:org:lovelace'), tab)).toBe(false);
+      expect(query.evaluate(parser.parseAST('entity:person:x'), tabs[0])).toBe(false);
+    });
+
+    it('should match entity store records with their stored type names', () => {
+      const entities = [{ name: 'Ada Lovelace', type: 'peopl' }, { name: 'London', type: 'location' }];
+      expect(query.evaluate(parser.parseAST('entity:person:ada'), tabs[4], { entities })).toBe(true);
+      expect(query.evaluate(parser.parseAST('entity:location:london'), tabs[4], { entities })).toBe(true);
+    });
+
+    it('should compare visit counts and skip tabs without history', () => {
+      const tab = { ...tabs[0], history: { visitCount: 42, category: 'development' } };
+      expect(query.evaluate(parser.parseAST('visits>10'), tab)).toBe(true);
+      expect(query.evaluate(parser.parseAST('visits<10'), tab)).toBe(false);
+      expect(query.evaluate(parser.parseAST('visits<10'), tabs[0])).toBe(false);
+    });
+
+    it('should match history categories', () => {
+      const tab = { ...tabs[0], history: { visitCount: 1, category: 'development' } };
+      expect(query.evaluate(parser.parseAST('category:development'), tab)).toBe(true);
+      expect(query.evaluate(parser.parseAST('category:tech'), tabs[0])).toBe(false);
+    });
+
+    it('should compare reading time from analysis or cached metadata', () => {
+      const analyzed = { ...tabs[4], readingTimeMinutes: 25 };
+      const metadata = { content: { readingTimeMinutes: 4 } };
+      expect(query.evaluate(parser.parseAST('reading>10m'), analyzed)).toBe(true);
+      expect(query.evaluate(parser.parseAST('reading>10m'), tabs[0], { metadata })).toBe(false);
+      expect(query.evaluate(parser.parseAST('reading<5m'), tabs[0], { metadata })).toBe(true);
+    });
+
+    it('should load metadata for reading terms but not for visit terms', async () => {
+      browser.storage.local.get.mockResolvedValue({});
+      await query.filterTabs(tabs, parser.parseAST('visits>10'));
+      expect(browser.storage.local.get).not.toHaveBeenCalled();
+      await query.filterTabs(tabs, parser.parseAST('reading>10m'));
+      expect(browser.storage.local.get).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('semantic search', () => {
+    // Unit vectors in a 3-d "topic" space: biology, code, video
+    const embeddings = [
+      { tabId: 'https://github.com/acme/app/issues/1', vector: Float32Array.from([0.1, 1, 0]) },
+      { tabId: 'https://www.youtube.com/watch?v=1', vector: Float32Array.from([0.3, 0, 1]) },
+      { tabId: 'https://example.org/paper', vector: Float32Array.from([1, 0.1, 0]) }
+    ];
+
+    beforeEach(() => {
+      browser.runtime.sendMessage = vi.fn().mockResolvedValue({ success: true, embedding: [1, 0, 0] });
+      globalThis.indexedDBStorage = { getAllEmbeddings: vi.fn().mockResolvedValue(embeddings) };
+    });
+
+    afterEach(() => {
+      delete browser.runtime.sendMessage;
+      delete globalThis.indexedDBStorage;
+    });
+
+    it('should rank tabs by embedding similarity blended with the text score', async () => {
+      tabs[2].title = 'Release notes: protein folding';
+      tabs[4].title = 'Molecular dynamics review';
+      const ast = parser.parseAST('semantic:"protein folding" OR domain:github.com');
+
+      const results = await query.filterTabs(tabs, ast);
+
+      // 3: title match, no embedding (100); 5: similarity 0.995 (99.5); 1: domain match, similarity below threshold
+      expect(results.map(t => t.id)).toEqual([3, 5, 1]);
+      expect(browser.runtime.sendMessage).toHaveBeenCalledWith({ action: 'embedText', text: 'protein folding' });
+    });
+
+    it('should embed each query text once', async () => {
+      const snapshot = query.createSnapshot(tabs);
+      await query.query(snapshot, parser.parseAST('semantic:"protein folding"'));
+      await query.query(snapshot, parser.parseAST('semantic:"protein folding" age<1y'));
+
+      expect(browser.runtime.sendMessage).toHaveBeenCalledTimes(1);
+      expect(indexedDBStorage.getAllEmbeddings).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to text matching when the ML worker fails', async () => {
+      browser.runtime.sendMessage.mockResolvedValue({ success: false, error: 'Model not found' });
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect((await query.filterTabs(tabs, parser.parseAST('semantic:"protein folding"'))).map(t => t.id)).toEqual([5]);
+      expect(query.queryEmbeddings.size).toBe(0);
+    });
+  });
+});
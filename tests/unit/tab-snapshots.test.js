@@ -0,0 +1,131 @@
+/**
+ * Unit tests for TabSnapshots
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate Storage + TabExport + TabSnapshots sources
+const storageCode = readFileSync(resolve(__dirname, '../../lib/storage.js'), 'utf8');
+const exportCode = readFileSync(resolve(__dirname, '../../lib/export.js'), 'utf8');
+const tabSnapshotsCode = readFileSync(resolve(__dirname, '../../lib/tab-snapshots.js'), 'utf8');
+
+const createTabSnapshots = () => {
+  const wrappedCode = `(function() { ${storageCode}; ${exportCode}; ${tabSnapshotsCode}; return TabSnapshots; })()`;
+  return eval(wrappedCode);
+};
+
+const TabSnapshots = createTabSnapshots();
+
+describe('TabSnapshots', () => {
+  let tabSnapshots;
+  let store;
+  let snapshots;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = {};
+    snapshots = [];
+    browser.storage.local.get.mockImplementation(async (key) => {
+      if (Array.isArray(key)) return Object.fromEntries(key.filter(k => k in store).map(k => [k, store[k]]));
+      return key in store ? { [key]: store[key] } : {};
+    });
+    browser.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+
+    globalThis.groupManager = {
+      GROUPS: { MAIN: 'main' },
+      getGroups: vi.fn().mockResolvedValue([{ id: 'main', name: 'Main' }, { id: 'staging', name: 'Staging' }, { id: 'bin', name: 'Bin' }, { id: 'trip', name: 'Trip' }])
+    };
+    globalThis.tabQuery = {
+      extractDomain: (url) => new URL(url).hostname,
+      calculateAge: () => 0,
+      getAllTabsWithMetadata: vi.fn().mockResolvedValue([])
+    };
+
+    // In-memory stand-in for the IndexedDB snapshots and tabs stores
+    globalThis.indexedDBStorage = {
+      getAllTabs: vi.fn().mockResolvedValue([
+        { tabId: 'https://a.example/', url: 'https://a.example/', classification: { intent: { label: 'reference' } } }
+      ]),
+      saveSnapshot: vi.fn(async (snapshot) => {
+        snapshots.push({ ...snapshot, snapshotId: snapshots.length + 1 });
+        return snapshots.length;
+      })
+    };
+
+    tabSnapshots = new TabSnapshots();
+  });
+
+  afterEach(() => {
+    delete globalThis.groupManager;
+    delete globalThis.tabQuery;
+    delete globalThis.indexedDBStorage;
+  });
+
+  const snapshotOf = (tabs) => ({ tabs: tabs.map(([url, group]) => ({ url, title: url, group })) });
+
+  describe('capture', () => {
+    it('should keep groups, metadata and classifications', async () => {
+      store['tab-1'] = { group: 'trip', metadata: { httpCode: 200 } };
+      store['tab-2'] = { group: 'deleted-group' };
+
+      const snapshot = await tabSnapshots.capture(' Trip ', [
+        { id: 1, url: 'https://a.example/', title: 'A', lastAccessed: 10 },
+        { id: 2, url: 'https://b.example/page', source: 'synced', device: 'Pixel 7' }
+      ], 'domain:example');
+
+      expect(snapshot).toMatchObject({ snapshotId: 1, name: 'Trip', query: 'domain:example' });
+      expect(snapshot.tabs[0]).toMatchObject({
+        domain: 'a.example',
+        group: 'trip',
+        metadata: { httpCode: 200 },
+        classification: { intent: { label: 'reference' } }
+      });
+      expect(snapshot.tabs[1]).toMatchObject({ title: 'https://b.example/page', group: 'main', source: 'synced', device: 'Pixel 7' });
+      expect(snapshots).toHaveLength(1);
+    });
+
+    it('should require a name and some tabs', async () => {
+      await expect(tabSnapshots.capture('  ', [{ id: 1, url: 'https://a.example/' }])).rejects.toThrow('Snapshot needs a name');
+      await expect(tabSnapshots.capture('Empty')).rejects.toThrow('No tabs to capture');
+      expect(indexedDBStorage.saveSnapshot).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('diff', () => {
+    it('should list added, removed and moved tabs', () => {
+      const before = snapshotOf([['https://a.example/', 'main'], ['https://b.example/', 'staging'], ['https://c.example/', 'main']]);
+      const after = snapshotOf([['https://a.example/', 'main'], ['https://b.example/', 'bin'], ['https://d.example/', 'trip']]);
+
+      const result = tabSnapshots.diff(before, after);
+
+      expect(result.added.map(tab => tab.url)).toEqual(['https://d.example/']);
+      expect(result.removed.map(tab => tab.url)).toEqual(['https://c.example/']);
+      expect(result.moved).toEqual([{ tab: after.tabs[1], from: 'staging', to: 'bin' }]);
+      expect(result.unchanged).toBe(1);
+    });
+  });
+
+  describe('restore', () => {
+    it('should reopen missing tabs in their groups', async () => {
+      browser.tabs.query.mockResolvedValue([{ id: 1, url: 'https://a.example/' }]);
+      browser.tabs.create
+        .mockResolvedValueOnce({ id: 10 })
+        .mockResolvedValueOnce({ id: 11 });
+
+      const snapshot = snapshotOf([['https://a.example/', 'main'], ['https://b.example/', 'trip'], ['https://c.example/', 'gone']]);
+      snapshot.tabs[1].metadata = { httpCode: 200 };
+
+      expect(await tabSnapshots.restore(snapshot)).toEqual({ reopened: 2, skipped: 1 });
+      expect(browser.tabs.create).toHaveBeenCalledWith({ url: 'https://b.example/', active: false });
+      expect(store['tab-10']).toMatchObject({ group: 'trip', metadata: { httpCode: 200 } });
+      expect(store['tab-10'].dateSwiped).toEqual(expect.any(Number));
+      expect(store['tab-11']).toMatchObject({ group: 'main', dateSwiped: null });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for TabSources
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate Storage + QueryParser + TabQuery + TabSources sources
+const storageCode = readFileSync(resolve(__dirname, '../../lib/storage.js'), 'utf8');
+const parserCode = readFileSync(resolve(__dirname, '../../lib/query-parser.js'), 'utf8');
+const queryCode = readFileSync(resolve(__dirname, '../../lib/tab-query.js'), 'utf8');
+const sourcesCode = readFileSync(resolve(__dirname, '../../lib/tab-sources.js'), 'utf8');
+
+const createTabSources = () => {
+  const wrappedCode = `(function() { ${storageCode}; ${parserCode}; ${queryCode}; ${sourcesCode}; return TabSources; })()`;
+  return eval(wrappedCode);
+};
+
+const TabSources = createTabSources();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('TabSources', () => {
+  let sources;
+  let now;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    now = Date.now();
+
+    browser.tabs.query.mockResolvedValue([
+      { id: 1, title: 'Acme issues', url: 'https://github.com/acme/app/issues', lastAccessed: now - DAY }
+    ]);
+    browser.storage.local.get.mockImplementation(async (key) => {
+      if (key === 'syncedTabs') {
+        return {
+          syncedTabs: [
+            { id: 'synced-a', title: 'Acme issues', url: 'https://github.com/acme/app/issues', deviceName: 'Pixel 7', lastAccessed: now - 3 * DAY },
+            { id: 'synced-b', title: 'Trail map', url: 'https://maps.example.com/trail', deviceName: 'Pixel 7', lastAccessed: now - 20 * DAY },
+            { id: 'synced-c', title: 'Recipes', url: 'https://food.example.com/', deviceName: 'Work laptop', lastAccessed: now - 2 * DAY }
+          ]
+        };
+      }
+      return {};
+    });
+
+    globalThis.indexedDBStorage = {
+      getAllTabs: vi.fn().mockResolvedValue([
+        {
+          tabId: 'https://example.org/paper',
+          title: 'Protein folding review',
+          url: 'https://example.org/paper',
+          domain: 'example.org',
+          deviceName: 'Pixel 7',
+          lastUsed: Math.floor((now - 40 * DAY) / 1000),
+          classification: { contentType: { label: 'content' } },
+          entities: { people: [{ word: 'Ada Lovelace', type: 'PER' }] }
+        }
+      ]),
+      getAllEntities: vi.fn().mockResolvedValue([])
+    };
+
+    sources = new TabSources();
+  });
+
+  afterEach(() => {
+    delete globalThis.indexedDBStorage;
+  });
+
+  describe('load', () => {
+    it('should prefer earlier sources when URLs repeat', async () => {
+      const { tabs, counts, duplicates } = await sources.load(['local', 'synced']);
+
+      expect(tabs.map(tab => tab.id)).toEqual([1, 'synced-b', 'synced-c']);
+      expect(counts).toEqual({ local: 1, synced: 2 });
+      expect(duplicates).toBe(1);
+    });
+
+    it('should keep every tab without dedupe', async () => {
+      const { tabs } = await sources.load(['local', 'synced'], { dedupe: false });
+      expect(tabs).toHaveLength(4);
+    });
+
+    it('should report a failing source and keep the others', async () => {
+      globalThis.indexedDBStorage.getAllTabs.mockRejectedValue(new Error('IndexedDB unavailable'));
+
+      const { tabs, errors } = await sources.load(['synced', 'analysis']);
+
+      expect(tabs).toHaveLength(3);
+      expect(errors).toEqual({ analysis: 'IndexedDB unavailable' });
+    });
+
+    it('should reject unknown sources', async () => {
+      await expect(sources.load(['bookmarks'])).rejects.toThrow('Unknown tab source: bookmarks');
+    });
+
+    it('should load registered sources', async () => {
+      sources.register('fixture', { load: async () => [{ id: 'f1', url: 'https://fixture.example/' }] });
+
+      const { tabs } = await sources.load(['fixture']);
+
+      expect(tabs[0]).toMatchObject({ id: 'f1', source: 'fixture', domain: 'fixture.example', device: null });
+      expect(() => sources.register('broken', {})).toThrow('needs a load function');
+    });
+  });
+
+  describe('normalize', () => {
+    it('should give every source the same result shape', async () => {
+      const { tabs } = await sources.load();
+
+      for (const tab of tabs) {
+        expect(Object.keys(tab)).toEqual(expect.arrayContaining(
+          ['id', 'url', 'title', 'domain', 'source', 'device', 'lastAccessed', 'age']
+        ));
+      }
+
+      const analyzed = tabs.find(tab => tab.source === 'analysis');
+      expect(analyzed).toMatchObject({ id: 'https://example.org/paper', device: 'Pixel 7', age: 40 });
+      expect(analyzed.lastAccessed).toBe(Math.floor((now - 40 * DAY) / 1000) * 1000);
+    });
+  });
+
+  describe('query', () => {
+    it('should run one query string across all sources', async () => {
+      const { tabs, counts } = await sources.query('device:"Pixel 7"');
+
+      expect(tabs.map(tab => tab.id)).toEqual(['synced-b', 'https://example.org/paper']);
+      expect(counts).toEqual({ local: 1, synced: 2, imported: 0, analysis: 1 });
+    });
+
+    it('should filter by source and analysis fields', async () => {
+      expect((await sources.query('source:synced')).tabs.map(tab => tab.id)).toEqual(['synced-b', 'synced-c']);
+      expect((await sources.query('entity:person:lovelace type:content')).tabs.map(tab => tab.source)).toEqual(['analysis']);
+      expect((await sources.query('age<7d -source:local', { sources: ['local', 'synced'] })).tabs.map(tab => tab.id)).toEqual(['synced-c']);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for TopicClusters
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate EmbeddingIndex + TopicClusters sources
+const embeddingIndexCode = readFileSync(resolve(__dirname, '../../lib/embedding-index.js'), 'utf8');
+const topicClustersCode = readFileSync(resolve(__dirname, '../../lib/topic-clusters.js'), 'utf8');
+
+const createTopicClusters = () => {
+  const wrappedCode = `(function() { ${embeddingIndexCode}; ${topicClustersCode}; return TopicClusters; })()`;
+  return eval(wrappedCode);
+};
+
+const TopicClusters = createTopicClusters();
+
+// Unit vector along one axis, slightly tilted so tabs of a topic aren't identical
+const around = (axis, tilt = 0, dimension = 4) =>
+  Array.from({ length: dimension }, (_, i) => (i === axis ? 1 : i === (axis + 1) % dimension ? tilt : 0));
+
+describe('TopicClusters', () => {
+  let topicClusters;
+
+  beforeEach(() => {
+    topicClusters = new TopicClusters();
+  });
+
+  it('should group tabs by embedding and leave outliers unclustered', () => {
+    const tabs = [
+      ...[0, 0.1, 0.2, 0.05].map((tilt, i) => ({ id: `cook-${i}`, title: `Recipe ${i}`, embedding: around(0, tilt) })),
+      ...[0, 0.1, 0.15].map((tilt, i) => ({ id: `trip-${i}`, title: `Trip ${i}`, embedding: around(2, tilt) })),
+      { id: 'lonely-1', title: 'Lonely', embedding: [1, 1, -1, 1] },
+      { id: 'lonely-2', title: 'Lonely too', embedding: [-1, 1, 1, 1] },
+      { id: 'no-vector', title: 'Not embedded yet', embedding: null }
+    ];
+
+    const { topics, unclustered, withoutEmbedding } = topicClusters.cluster(tabs, { k: 4 });
+
+    expect(topics.map(topic => topic.tabs.map(tab => tab.id).sort())).toEqual([
+      ['cook-0', 'cook-1', 'cook-2', 'cook-3'],
+      ['trip-0', 'trip-1', 'trip-2']
+    ]);
+    expect(topics.map(topic => topic.id)).toEqual(['topic-1', 'topic-2']);
+    expect(topics[0].tabs[0].id).toBe('cook-1'); // Closest to the mean tilt
+    expect(topics[0].cohesion).toBeGreaterThan(0.95);
+    expect(unclustered.map(tab => tab.id).sort()).toEqual(['lonely-1', 'lonely-2']);
+    expect(withoutEmbedding.map(tab => tab.id)).toEqual(['no-vector']);
+  });
+
+  it('should label topics with salient title words and shared entities', () => {
+    const tabs = [
+      { title: 'Rust borrow checker explained', entities: { organizations: [{ word: 'Mozilla' }], misc: [{ word: '##ust' }] } },
+      { title: 'The Rust borrow checker and lifetimes', entities: { organizations: [{ word: 'Mozilla' }] } },
+      { title: 'Rust lifetimes in practice', entities: null },
+      { title: 'Paris weekend trip ideas', entities: { locations: [{ word: 'Paris' }] } },
+      { title: 'Paris museums guide', entities: { locations: [{ word: 'Paris' }] } },
+      { title: 'Best Paris bakeries', entities: { locations: [{ word: 'Paris' }] } }
+    ].map((tab, i) => ({ ...tab, embedding: around(i < 3 ? 0 : 2, i * 0.01) }));
+
+    const { topics } = topicClusters.cluster(tabs, { k: 2 });
+    const rust = topics.find(topic => topic.terms.includes('rust') || topic.entities.includes('Mozilla'));
+    const paris = topics.find(topic => topic !== rust);
+
+    expect(rust).toMatchObject({
+      label: 'Mozilla · borrow · checker',
+      terms: ['borrow', 'checker', 'lifetimes'],
+      entities: ['Mozilla']
+    });
+    // "paris" is in every tab of the topic, but the entity already says it
+    expect(paris.entities).toEqual(['Paris']);
+    expect(paris.label).toBe('Paris');
+  });
+
+  it('should read entities from the entity store and skip small tab sets', () => {
+    expect(topicClusters.getEntityNames([{ name: 'Ada Lovelace', type: 'person' }, { name: 'X' }])).toEqual(['Ada Lovelace']);
+    expect(topicClusters.tokenize('Top 10 des meilleures recettes 2024 — cuisine.com')).toEqual(['top', 'meilleures', 'recettes', 'cuisine']);
+
+    const result = topicClusters.cluster([{ id: 1, embedding: [1, 0] }, { id: 2, embedding: [0, 1] }]);
+    expect(result).toEqual({ topics: [], unclustered: [{ id: 1, embedding: [1, 0] }, { id: 2, embedding: [0, 1] }], withoutEmbedding: [] });
+  });
+});
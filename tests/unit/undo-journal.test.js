@@ -0,0 +1,122 @@
+/**
+ * Unit tests for UndoJournal
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate Storage + UndoJournal sources
+const storageCode = readFileSync(resolve(__dirname, '../../lib/storage.js'), 'utf8');
+const journalCode = readFileSync(resolve(__dirname, '../../lib/undo-journal.js'), 'utf8');
+
+const createUndoJournal = () => {
+  const wrappedCode = `(function() { ${storageCode}; ${journalCode}; return UndoJournal; })()`;
+  return eval(wrappedCode);
+};
+
+const UndoJournal = createUndoJournal();
+
+describe('UndoJournal', () => {
+  let journal;
+  let store;
+
+  const tabs = [
+    { id: 1, url: 'https://a.example/', title: 'A' },
+    { id: 2, url: 'https://b.example/', title: 'B' }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    store = {};
+    browser.storage.local.get.mockImplementation(async (key) => {
+      if (Array.isArray(key)) return Object.fromEntries(key.filter(k => k in store).map(k => [k, store[k]]));
+      return key in store ? { [key]: store[key] } : {};
+    });
+    browser.storage.local.set.mockImplementation(async (items) => Object.assign(store, items));
+    browser.storage.local.remove.mockImplementation(async (key) => {
+      delete store[key];
+    });
+    browser.tabs.query.mockResolvedValue(tabs);
+    journal = new UndoJournal();
+  });
+
+  it('should restore previous records when undoing a group change', async () => {
+    store['tab-1'] = { group: 'staging', dateSwiped: 5, metadata: { httpCode: 200 } };
+
+    await journal.record('group', tabs, 'Moved 2 tabs to Bin');
+    store['tab-1'] = { group: 'bin', dateSwiped: 9, metadata: { httpCode: 200 } };
+    store['tab-2'] = { group: 'bin', dateSwiped: 9 };
+
+    const { undone, restored } = await journal.undo();
+
+    expect(undone.map(entry => entry.label)).toEqual(['Moved 2 tabs to Bin']);
+    expect(restored).toBe(2);
+    expect(store['tab-1']).toEqual({ group: 'staging', dateSwiped: 5, metadata: { httpCode: 200 } });
+    expect(store['tab-2']).toBeUndefined();
+  });
+
+  it('should only revert the group, keeping newer record data and skipping closed tabs', async () => {
+    store['tab-1'] = { group: 'staging', dateSwiped: 5 };
+
+    await journal.record('group', tabs, 'Moved 2 tabs to Bin');
+    store['tab-1'] = { group: 'bin', dateSwiped: 9, metadata: { httpCode: 200 }, appliedRules: ['old-social'], identity: { url: 'https://a.example/' } };
+    store['tab-2'] = { group: 'bin', dateSwiped: 9 };
+    browser.tabs.query.mockResolvedValue([tabs[0]]);
+    delete store['tab-2']; // Tab 2 closed since
+
+    const { restored } = await journal.undo();
+
+    expect(restored).toBe(1);
+    expect(store['tab-1']).toEqual({
+      group: 'staging',
+      dateSwiped: 5,
+      metadata: { httpCode: 200 },
+      appliedRules: ['old-social'],
+      identity: { url: 'https://a.example/' }
+    });
+    expect(store['tab-2']).toBeUndefined();
+  });
+
+  it('should reopen closed tabs with their records', async () => {
+    let nextId = 100;
+    browser.tabs.create.mockImplementation(async () => ({ id: nextId++ }));
+    store['tab-2'] = { group: 'staging' };
+
+    await journal.record('close', tabs, 'Closed 2 tabs');
+    const { reopened } = await journal.undo();
+
+    expect(reopened).toBe(2);
+    expect(browser.tabs.create).toHaveBeenCalledWith({ url: 'https://a.example/', active: false });
+    expect(store['tab-101']).toEqual({ group: 'staging' });
+    expect(store['tab-100']).toBeUndefined();
+  });
+
+  it('should revert the last N pending operations, newest first', async () => {
+    await journal.record('group', [tabs[0]], 'First');
+    store['tab-1'] = { group: 'staging' };
+    await journal.record('group', [tabs[0]], 'Second');
+    store['tab-1'] = { group: 'bin' };
+    await journal.record('group', [tabs[1]], 'Third');
+
+    expect((await journal.undo(1)).undone.map(entry => entry.label)).toEqual(['Third']);
+    expect((await journal.undo(5)).undone.map(entry => entry.label)).toEqual(['Second', 'First']);
+    expect(store['tab-1']).toBeUndefined();
+    expect((await journal.getAll()).every(entry => entry.undoneAt)).toBe(true);
+    expect((await journal.undo()).undone).toEqual([]);
+  });
+
+  it('should keep at most MAX_ENTRIES operations', async () => {
+    journal.MAX_ENTRIES = 2;
+
+    for (const label of ['One', 'Two', 'Three']) {
+      await journal.record('group', [tabs[0]], label);
+    }
+
+    expect((await journal.getAll()).map(entry => entry.label)).toEqual(['Three', 'Two']);
+  });
+});
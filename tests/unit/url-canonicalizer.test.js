@@ -0,0 +1,107 @@
+/**
+ * Unit tests for UrlCanonicalizer
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load and evaluate UrlCanonicalizer + EmbeddingIndex sources
+const canonicalizerCode = readFileSync(resolve(__dirname, '../../lib/url-canonicalizer.js'), 'utf8');
+const embeddingIndexCode = readFileSync(resolve(__dirname, '../../lib/embedding-index.js'), 'utf8');
+
+const createClasses = () => {
+  const wrappedCode = `(function() { ${canonicalizerCode}; ${embeddingIndexCode}; return { UrlCanonicalizer, EmbeddingIndex }; })()`;
+  return eval(wrappedCode);
+};
+
+const { UrlCanonicalizer, EmbeddingIndex } = createClasses();
+
+describe('UrlCanonicalizer', () => {
+  const canonicalizer = new UrlCanonicalizer();
+  const same = (...urls) => new Set(urls.map(url => canonicalizer.canonicalize(url))).size === 1;
+
+  describe('canonicalize', () => {
+    it('should ignore tracking parameters, parameter order and plain fragments', () => {
+      expect(same(
+        'https://example.com/post?id=3&page=2',
+        'http://www.example.com/post/?page=2&utm_source=x&id=3&fbclid=abc#comments'
+      )).toBe(true);
+      expect(same('https://example.com/post?id=3', 'https://example.com/post?id=4')).toBe(false);
+    });
+
+    it('should keep SPA route fragments', () => {
+      expect(same('https://mail.example.com/#/inbox', 'https://mail.example.com/#/sent')).toBe(false);
+    });
+
+    it('should fold mobile subdomains', () => {
+      expect(same('https://en.m.wikipedia.org/wiki/Lyon', 'https://en.wikipedia.org/wiki/Lyon')).toBe(true);
+      expect(same('https://m.facebook.com/events/1', 'https://www.facebook.com/events/1')).toBe(true);
+      expect(same('https://fr.wikipedia.org/wiki/Lyon', 'https://en.wikipedia.org/wiki/Lyon')).toBe(false);
+      expect(canonicalizer.canonicalize('https://m.me/page')).toBe('m.me/page');
+    });
+
+    it('should fold AMP versions and AMP caches', () => {
+      expect(same(
+        'https://news.example.com/2025/story',
+        'https://news.example.com/2025/story/amp',
+        'https://news.example.com/amp/2025/story',
+        'https://news.example.com/2025/story?amp=1',
+        'https://www.google.com/amp/s/news.example.com/2025/story',
+        'https://news-example-com.cdn.ampproject.org/c/s/news.example.com/2025/story'
+      )).toBe(true);
+    });
+
+    it('should leave non-web URLs alone', () => {
+      expect(canonicalizer.canonicalize('about:config')).toBe('about:config');
+      expect(canonicalizer.canonicalize('not a url')).toBe('not a url');
+    });
+  });
+
+  describe('findDuplicates', () => {
+    const tabs = [
+      { id: 1, url: 'https://example.com/a?utm_medium=mail', lastAccessed: 100 },
+      { id: 2, url: 'https://example.com/a', lastAccessed: 300 },
+      { id: 3, url: 'https://example.com/b', lastAccessed: 200 },
+      { id: 4, url: 'https://mirror.example.org/b-copy', lastAccessed: 50 },
+      { id: 5, url: 'https://example.com/a#top', lastAccessed: 10 }
+    ];
+
+    it('should keep the most recently accessed tab of each group', () => {
+      const groups = canonicalizer.findDuplicates(tabs);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0]).toMatchObject({ key: 'example.com/a', semantic: false });
+      expect(groups[0].keeper.id).toBe(2);
+      expect(groups[0].others.map(tab => tab.id)).toEqual([1, 5]);
+    });
+
+    it('should group pages with near-identical embeddings', () => {
+      const index = new EmbeddingIndex().build([
+        { tabId: 'https://example.com/b', vector: [1, 0, 0.01] },
+        { tabId: 'https://mirror.example.org/b-copy', vector: [1, 0, 0] },
+        { tabId: 'https://example.com/a', vector: [0, 1, 0] },
+        // Analyzed earlier, no longer open
+        { tabId: 'https://closed.example.net/b', vector: [1, 0, 0.02] }
+      ]);
+
+      const groups = canonicalizer.findDuplicates(tabs, { index });
+
+      expect(groups.map(group => group.tabs.map(tab => tab.id))).toEqual([[2, 1, 5], [3, 4]]);
+      expect(groups[1].semantic).toBe(true);
+    });
+
+    it('should not group pages below the similarity threshold', () => {
+      const index = new EmbeddingIndex().build([
+        { tabId: 'https://example.com/b', vector: [1, 0, 0.3] },
+        { tabId: 'https://mirror.example.org/b-copy', vector: [1, 0, 0] }
+      ]);
+
+      expect(canonicalizer.findDuplicates(tabs, { index })).toHaveLength(1);
+    });
+  });
+});
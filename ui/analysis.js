@@ -24,6 +24,10 @@ const filters = {
 // Similar tabs state
 let similarToTab = null;
 let similarityThreshold = 0.7;
+const SIMILAR_TABS_LIMIT = 50; // Neighbours fetched from the embedding index
+
+// Topics of the loaded analysis file (clustered once, on first view)
+let topicClusterResult = null;
 
 // Chart instances (for lazy loading and cleanup)
 let chartInstances = {
@@ -101,9 +105,16 @@ function setupEventListeners() {
     }
   });
 
-  document.getElementById('search-input').addEventListener('input', (e) => {
-    filters.search = e.target.value.toLowerCase();
+  document.getElementById('search-input').addEventListener('input', async (e) => {
+    filters.search = e.target.value.trim();
     applyFilters();
+
+    // semantic:"..." terms match by meaning once the ML worker has embedded them
+    const search = filters.search;
+    if (search.includes('semantic:')) {
+      await tabQuery.embedSemanticTerms(queryParser.parseAST(search));
+      if (filters.search === search) applyFilters();
+    }
   });
 
   document.getElementById('clear-filters-btn').addEventListener('click', clearFilters);
@@ -234,6 +245,7 @@ function setupEventListeners() {
     clearCacheBtn.addEventListener('click', async () => {
       if (confirm('Clear all IndexedDB cache? This will remove all imported data for content search.')) {
         await indexedDBStorage.clearAll();
+        embeddingIndex.reset();
         await updateIndexedDBStatus();
         alert('Cache cleared successfully');
       }
@@ -277,9 +289,10 @@ async function loadAnalysisFromFile(file) {
     localStorage.setItem('lastAnalysisFilename', file.name);
     console.log(`[Analysis] Cached filename: ${file.name}`);
 
-    // Initialize UI
-    allTabs = analysisData.tabs;
+    // Initialize UI (same tab shape as the query engine's other sources)
+    allTabs = analysisData.tabs.map(tab => tabSources.normalize(tab, 'analysis'));
     filteredTabs = [...allTabs];
+    topicClusterResult = null;
 
     // Reset reading time sliders to default values (prevent browser form cache)
     filters.readingTime.min = 0;
@@ -381,6 +394,19 @@ async function loadAnalysis() {
   await updateIndexedDBStatus();
 }
 
+/**
+ * Load the embedding index in the background, then show the similar buttons it enables
+ */
+async function loadEmbeddingIndex() {
+  try {
+    const { size, added, trained } = await embeddingIndex.load();
+    console.log(`[Analysis] Embedding index ready: ${size} vectors (${added} new${trained ? ', retrained' : ''})`);
+    if (allTabs.length > 0) renderPage();
+  } catch (error) {
+    console.warn('[Analysis] Embedding index unavailable:', error);
+  }
+}
+
 /**
  * Search content in IndexedDB
  */
@@ -453,8 +479,10 @@ async function importAnalysisToIndexedDB() {
 
     alert(message);
 
-    // Update status display
+    // Index the new embeddings, then update status display
+    await embeddingIndex.sync();
     await updateIndexedDBStatus();
+    if (allTabs.length > 0) renderPage();
   } catch (error) {
     progressDiv.style.display = 'none';
     console.error('[Import] Failed:', error);
@@ -484,6 +512,10 @@ async function updateIndexedDBStatus() {
         ${stats.embeddings} embeddings
       `;
       clearBtn.style.display = 'inline-block';
+
+      if (stats.embeddings > 0) {
+        loadEmbeddingIndex();
+      }
     } else {
       statusEl.style.display = 'none';
       clearBtn.style.display = 'none';
@@ -648,6 +680,9 @@ function getReadingTime(tab) {
 function applyFilters() {
   console.log(`[Filter] Applying filters - Reading time: ${filters.readingTime.min}-${filters.readingTime.max}min`);
 
+  // The search box takes the manager's query language (entity:, type:, age>, ...)
+  const searchAst = filters.search ? queryParser.parseAST(filters.search) : null;
+
   filteredTabs = allTabs.filter(tab => {
     // Similar tabs filter (takes precedence)
     if (similarToTab) {
@@ -662,16 +697,8 @@ function applyFilters() {
     }
 
     // Search filter
-    if (filters.search) {
-      const searchStr = filters.search;
-      const matchTitle = tab.title.toLowerCase().includes(searchStr);
-      const matchDomain = tab.domain.toLowerCase().includes(searchStr);
-      const matchEntities = tab.entities &&
-        (JSON.stringify(tab.entities).toLowerCase().includes(searchStr));
-
-      if (!matchTitle && !matchDomain && !matchEntities) {
-        return false;
-      }
+    if (searchAst && !tabQuery.evaluate(searchAst, tab)) {
+      return false;
     }
 
     // Intent filter
@@ -844,8 +871,8 @@ function renderPage() {
     if (entityBadge) {
       const entityText = entityBadge.textContent.trim();
       // Add to search filter
-      filters.search = entityText.toLowerCase();
-      document.getElementById('search-input').value = entityText;
+      filters.search = `entity:"${entityText.replace(/"/g, '')}"`;
+      document.getElementById('search-input').value = filters.search;
       applyFilters();
       // Scroll to top to see results
       window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -978,9 +1005,10 @@ function renderTabCard(tab) {
     }
   }
 
-  const similarBtn = tab.similarTabs && tab.similarTabs.length > 0 ? `
+  const similarCount = tab.similarTabs ? tab.similarTabs.length : 0;
+  const similarBtn = similarCount > 0 || embeddingIndex.has(tab.id) ? `
     <button class="similar-tabs-btn" data-tab-id="${escapeHtml(tab.id)}">
-      🔗 ${tab.similarTabs.length} similar
+      🔗 ${similarCount > 0 ? `${similarCount} similar` : 'Similar'}
     </button>
   ` : '';
 
@@ -1015,7 +1043,13 @@ function renderTabCard(tab) {
  */
 function showSimilarTabs(tabId) {
   const tab = allTabs.find(t => t.id === tabId);
-  if (!tab || !tab.similarTabs) return;
+  if (!tab) return;
+
+  // The embedding index beats the top 5 precomputed in the analysis file
+  if (embeddingIndex.has(tab.id)) {
+    tab.similarTabs = findIndexedSimilarTabs(tab);
+  }
+  if (!tab.similarTabs) return;
 
   similarToTab = tab;
 
@@ -1041,6 +1075,22 @@ function showSimilarTabs(tabId) {
   window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
+/**
+ * Find a tab's nearest neighbours among the loaded tabs with the embedding index
+ * @param {Object} tab - Tab with an indexed embedding
+ * @returns {Array<Object>} [{ id, title, domain, similarity }], most similar first
+ */
+function findIndexedSimilarTabs(tab) {
+  const tabsById = new Map(allTabs.map(t => [t.id, t]));
+
+  return embeddingIndex.search(tab.id, SIMILAR_TABS_LIMIT)
+    .filter(({ tabId }) => tabsById.has(tabId))
+    .map(({ tabId, similarity }) => {
+      const other = tabsById.get(tabId);
+      return { id: other.id, title: other.title, domain: other.domain, similarity };
+    });
+}
+
 /**
  * Escape HTML
  */
@@ -1399,7 +1449,94 @@ function renderChartsForTab(tabName) {
         }
       }));
     }
+  } else if (tabName === 'topics') {
+    renderTopics();
+  }
+}
+
+/**
+ * Render topic cards (tabs clustered by embedding, labelled by title words and entities)
+ */
+function renderTopics() {
+  if (!topicClusterResult) {
+    topicClusterResult = topicClusters.cluster(allTabs);
   }
+
+  const { topics, unclustered, withoutEmbedding } = topicClusterResult;
+  document.getElementById('topics-summary').textContent =
+    `${topics.length} topics · ${unclustered.length} unclustered tabs · ${withoutEmbedding.length} tabs without embedding`;
+
+  const container = document.getElementById('topics-container');
+  container.replaceChildren(...topics.map(createTopicCard));
+}
+
+/**
+ * Create a topic card: label, keywords, first tabs and a "Show" button
+ * @param {Object} topic - Topic from TopicClusters.cluster
+ * @returns {HTMLElement} Card
+ */
+function createTopicCard(topic) {
+  const card = document.createElement('div');
+  card.style.cssText = 'background: var(--bg-primary); padding: 20px; border-radius: 8px; border: 1px solid var(--border-color);';
+
+  const heading = document.createElement('h3');
+  heading.style.cssText = 'margin-bottom: 6px; font-size: 15px;';
+  const count = document.createElement('span');
+  count.style.cssText = 'font-weight: normal; color: var(--text-secondary);';
+  count.textContent = `(${topic.tabs.length})`;
+  heading.append(`${topic.label} `, count);
+
+  const keywords = document.createElement('div');
+  keywords.style.cssText = 'margin-bottom: 10px; font-size: 12px; color: var(--text-secondary);';
+  keywords.textContent = `${[...topic.entities, ...topic.terms].join(', ')} · cohesion ${Math.round(topic.cohesion * 100)}%`;
+
+  const list = document.createElement('ul');
+  list.style.cssText = 'margin-bottom: 12px; padding-left: 18px; font-size: 13px;';
+  for (const tab of topic.tabs.slice(0, 5)) {
+    const item = document.createElement('li');
+    item.textContent = tab.title;
+    list.appendChild(item);
+  }
+
+  const showBtn = document.createElement('button');
+  showBtn.className = 'btn topic-show-btn';
+  showBtn.textContent = `Show ${topic.tabs.length} tabs`;
+  showBtn.addEventListener('click', () => filterByTopic(topic.id));
+
+  card.append(heading, keywords, list, showBtn);
+  return card;
+}
+
+/**
+ * Show the tabs of a topic in the list
+ */
+function filterByTopic(topicId) {
+  const topic = topicClusterResult?.topics.find(t => t.id === topicId);
+  if (!topic) return;
+
+  similarToTab = null;
+  const topicTabIds = new Set(topic.tabs.map(tab => tab.id));
+  filteredTabs = allTabs.filter(tab => topicTabIds.has(tab.id));
+
+  const banner = document.getElementById('similar-banner');
+  banner.style.display = 'flex';
+  banner.style.background = 'linear-gradient(135deg, #5e35b1 0%, #7e57c2 100%)';
+
+  const message = document.createElement('div');
+  message.style.cssText = 'font-size: 16px; font-weight: 600;';
+  const label = document.createElement('span');
+  label.style.cssText = 'background: rgba(255,255,255,0.2); padding: 4px 8px; border-radius: 4px;';
+  label.textContent = topic.label;
+  message.append(`Showing ${filteredTabs.length} tabs about: `, label);
+  document.getElementById('similar-banner-content').replaceChildren(message);
+
+  document.getElementById('similarity-threshold').parentElement.style.display = 'none';
+  document.getElementById('clear-similar-btn').style.display = 'block';
+
+  currentPage = 1;
+  renderPage();
+
+  window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
 /**
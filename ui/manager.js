@@ -14,6 +14,14 @@ let showInternalTabs = false; // Show internal tabs (about:, moz-extension:, etc
 let searchDebounceTimer = null;
 let currentSortMode = 'lastAccessed'; // Default sort
 let currentView = 'list'; // 'list' or 'groups'
+let groupsMode = 'domains'; // Groups view cards: 'domains' or 'topics'
+let currentSuggestions = []; // Autocomplete suggestions for the query input
+let activeSuggestionIndex = -1; // Keyboard-highlighted suggestion
+let savedQueryList = []; // User-defined saved queries (smart collections)
+let querySnapshot = null; // Query engine snapshot of allTabs (see invalidateQuerySnapshot)
+let groupList = []; // Group definitions (built-in + custom), see GroupManager.getGroups
+let graveyardEntries = new Map(); // Graveyard entries shown in the modal, by entryId
+let undoSnackbarTimer = null;
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', async () => {
@@ -22,7 +30,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Start ML model pre-loading in background (non-blocking)
   startModelPreloading();
 
-  // Initial load
+  // Initial load (saved queries first so their counts are computed with the tabs)
+  savedQueryList = await savedQueries.getAll();
+  renderSavedQueries();
+  groupList = await groupManager.getGroups();
+  renderGroupControls();
   await loadAllTabs();
   await updateStatistics();
 
@@ -39,18 +51,61 @@ function setupEventListeners() {
   const clearBtn = document.getElementById('clear-query-btn');
 
   queryInput.addEventListener('input', (e) => {
+    renderQueryOverlay();
+    updateSuggestions();
     handleSearchInput();
     // Show/hide clear button based on input
     clearBtn.style.display = e.target.value ? 'flex' : 'none';
   });
 
+  // Autocomplete: refresh when focusing or moving the cursor by tap/click
+  queryInput.addEventListener('focus', updateSuggestions);
+  queryInput.addEventListener('click', updateSuggestions);
+  queryInput.addEventListener('keydown', handleSuggestionKeydown);
+  queryInput.addEventListener('blur', hideSuggestions);
+
+  const suggestionsEl = document.getElementById('query-suggestions');
+  // Keep focus in the input while tapping a suggestion (otherwise Android hides the keyboard)
+  suggestionsEl.addEventListener('mousedown', (e) => e.preventDefault());
+  suggestionsEl.addEventListener('click', (e) => {
+    const item = e.target.closest('.query-suggestions__item');
+    if (item) {
+      applySuggestion(Number(item.dataset.index));
+    }
+  });
+
+  // Keep error underlines aligned when the input scrolls horizontally
+  queryInput.addEventListener('scroll', () => {
+    document.getElementById('query-overlay').scrollLeft = queryInput.scrollLeft;
+  });
+
   clearBtn.addEventListener('click', handleClearQuery);
 
-  // Quick filters (age)
-  document.querySelectorAll('.filter-btn').forEach(btn => {
+  // Quick filters (age); saved queries are handled by delegation below
+  document.querySelectorAll('.filter-btn:not(.saved-query-btn)').forEach(btn => {
     btn.addEventListener('click', (e) => handleQuickFilter(e.target.dataset.filter));
   });
 
+  // Saved queries
+  document.getElementById('saved-query-buttons').addEventListener('click', (e) => {
+    const btn = e.target.closest('.saved-query-btn');
+    if (!btn) return;
+    if (e.target.closest('.saved-query-btn__remove')) {
+      handleDeleteSavedQuery(btn.dataset.savedId);
+    } else {
+      handleSavedQuery(btn.dataset.savedId, btn);
+    }
+  });
+  document.getElementById('save-query-btn').addEventListener('click', openSaveQueryModal);
+  document.getElementById('save-query-form').addEventListener('submit', handleSaveQuerySubmit);
+  document.getElementById('save-query-close-btn').addEventListener('click', closeSaveQueryModal);
+  document.getElementById('save-query-modal').querySelector('.modal__overlay').addEventListener('click', closeSaveQueryModal);
+  document.getElementById('export-saved-queries-btn').addEventListener('click', handleExportSavedQueries);
+  document.getElementById('import-saved-queries-btn').addEventListener('click', () => {
+    document.getElementById('saved-queries-file-input').click();
+  });
+  document.getElementById('saved-queries-file-input').addEventListener('change', handleSavedQueriesFileSelected);
+
   // Category filters
   document.querySelectorAll('.category-filter-btn').forEach(btn => {
     btn.addEventListener('click', (e) => handleCategoryFilter(e.target.dataset.category));
@@ -66,13 +121,80 @@ function setupEventListeners() {
   document.getElementById('bulk-staging-btn').addEventListener('click', () => handleBulkGroup('staging'));
   document.getElementById('bulk-bin-btn').addEventListener('click', () => handleBulkGroup('bin'));
   document.getElementById('bulk-close-btn').addEventListener('click', handleBulkClose);
+  document.getElementById('bulk-group-select').addEventListener('change', handleBulkGroupSelect);
+
+  // Custom groups
+  document.getElementById('manage-groups-btn').addEventListener('click', openGroupsModal);
+  document.getElementById('groups-close-btn').addEventListener('click', closeGroupsModal);
+  document.getElementById('groups-modal').querySelector('.modal__overlay').addEventListener('click', closeGroupsModal);
+  document.getElementById('group-form').addEventListener('submit', handleGroupFormSubmit);
+  document.getElementById('group-cancel-edit-btn').addEventListener('click', resetGroupForm);
+  document.getElementById('apply-group-rules-btn').addEventListener('click', handleApplyGroupRules);
+  document.getElementById('preview-group-rules-btn').addEventListener('click', handlePreviewGroupRules);
+  document.getElementById('group-rule-form').addEventListener('submit', handleRuleFormSubmit);
+  document.getElementById('group-rule-list').addEventListener('click', handleRuleAction);
+  document.getElementById('custom-group-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-group-action]');
+    if (!btn) return;
+    const id = btn.closest('.custom-group-list__item').dataset.groupId;
+    switch (btn.dataset.groupAction) {
+      case 'up':
+        handleMoveGroup(id, -1);
+        break;
+      case 'down':
+        handleMoveGroup(id, 1);
+        break;
+      case 'edit':
+        editGroup(id);
+        break;
+      case 'delete':
+        handleDeleteGroup(id);
+        break;
+    }
+  });
+
+  // Graveyard
+  document.getElementById('graveyard-btn').addEventListener('click', openGraveyardModal);
+  document.getElementById('graveyard-close-btn').addEventListener('click', closeGraveyardModal);
+  document.getElementById('graveyard-modal').querySelector('.modal__overlay').addEventListener('click', closeGraveyardModal);
+  document.getElementById('graveyard-search').addEventListener('input', renderGraveyard);
+  document.getElementById('graveyard-list').addEventListener('click', handleGraveyardAction);
+
+  // Snapshots
+  document.getElementById('snapshots-btn').addEventListener('click', openSnapshotsModal);
+  document.getElementById('snapshots-close-btn').addEventListener('click', closeSnapshotsModal);
+  document.getElementById('snapshots-modal').querySelector('.modal__overlay').addEventListener('click', closeSnapshotsModal);
+  document.getElementById('snapshot-form').addEventListener('submit', handleSnapshotFormSubmit);
+  document.getElementById('snapshot-list').addEventListener('click', handleSnapshotAction);
+  document.getElementById('snapshot-diff-btn').addEventListener('click', handleSnapshotDiff);
+
+  // Undo
+  document.getElementById('undo-snackbar-btn').addEventListener('click', () => performUndo(1));
+  document.getElementById('undo-history-btn').addEventListener('click', openUndoHistoryModal);
+  document.getElementById('undo-history-close-btn').addEventListener('click', closeUndoHistoryModal);
+  document.getElementById('undo-history-modal').querySelector('.modal__overlay').addEventListener('click', closeUndoHistoryModal);
+  document.getElementById('undo-history-list').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-undo-count]');
+    if (btn) {
+      performUndo(Number(btn.dataset.undoCount));
+    }
+  });
+  document.getElementById('undo-history-clear-btn').addEventListener('click', async () => {
+    await undoJournal.clear();
+    await renderUndoHistory();
+  });
 
   // Export
-  document.getElementById('export-btn').addEventListener('click', handleExport);
+  document.getElementById('export-btn').addEventListener('click', openExportModal);
+  document.getElementById('export-close-btn').addEventListener('click', closeExportModal);
+  document.getElementById('export-modal').querySelector('.modal__overlay').addEventListener('click', closeExportModal);
+  document.getElementById('export-format').addEventListener('change', updateExportOptions);
+  document.getElementById('export-form').addEventListener('submit', handleExport);
 
   // Fetch All Metadata
   document.getElementById('fetch-all-btn').addEventListener('click', handleFetchAll);
   document.getElementById('classify-all-btn').addEventListener('click', handleClassifyAll);
+  watchAnalysisProgress();
 
   // API Test
   document.getElementById('api-test-btn').addEventListener('click', handleApiTest);
@@ -83,6 +205,8 @@ function setupEventListeners() {
   // View switcher
   document.getElementById('view-list-btn').addEventListener('click', () => switchView('list'));
   document.getElementById('view-groups-btn').addEventListener('click', () => switchView('groups'));
+  document.getElementById('groups-mode-domains').addEventListener('click', () => setGroupsMode('domains'));
+  document.getElementById('groups-mode-topics').addEventListener('click', () => setGroupsMode('topics'));
 
   // Import synced tabs
   document.getElementById('import-sync-btn').addEventListener('click', handleImportSyncClick);
@@ -93,6 +217,18 @@ function setupEventListeners() {
   });
   document.getElementById('copy-script-btn').addEventListener('click', handleCopyScript);
 
+  // Sync timeline
+  document.getElementById('sync-timeline-btn').addEventListener('click', openSyncTimelineModal);
+  document.getElementById('sync-timeline-close-btn').addEventListener('click', closeSyncTimelineModal);
+  document.getElementById('sync-timeline-modal').querySelector('.modal__overlay').addEventListener('click', closeSyncTimelineModal);
+
+  // Import tabs from other tools
+  document.getElementById('import-file-input').addEventListener('change', handleImportFileSelected);
+  document.getElementById('choose-import-file-btn').addEventListener('click', () => {
+    document.getElementById('import-file-input').click();
+  });
+  document.getElementById('clear-imported-btn').addEventListener('click', handleClearImported);
+
   // Close modal on overlay click
   document.getElementById('import-guide-modal').querySelector('.modal__overlay').addEventListener('click', closeImportGuideModal);
 
@@ -144,45 +280,218 @@ function handleSearchInput() {
 }
 
 /**
- * Load all tabs and display
+ * Syntax-highlight the query and underline the broken parts
+ * The overlay mirrors the input text behind a transparent input;
+ * field terms are drawn as chips so long compound queries stay readable
  */
-async function loadAllTabs() {
-  // Get local tabs
-  const localTabs = await tabQuery.getAllTabsWithMetadata(showInternalTabs);
+function renderQueryOverlay() {
+  const input = document.getElementById('query-input');
+  const overlay = document.getElementById('query-overlay');
+  const errorEl = document.getElementById('query-error');
+  const queryString = input.value;
+  const tokens = queryParser.tokenize(queryString);
+  const { errors } = queryParser.validate(queryString);
+
+  overlay.replaceChildren();
+  input.classList.add('query-section__input--highlighted');
+
+  let pos = 0;
+  let container = overlay;
+
+  for (const token of tokens) {
+    // Open a chip at the start of a field term
+    if (token.termStart === token.start) {
+      container.append(queryString.slice(pos, token.start));
+      pos = token.start;
+      const chip = document.createElement('span');
+      chip.className = 'query-chip';
+      overlay.appendChild(chip);
+      container = chip;
+    }
 
-  // Mark all local tabs with source
-  for (const tab of localTabs) {
-    tab.source = 'local';
+    container.append(queryString.slice(pos, token.start));
+
+    const span = document.createElement('span');
+    span.className = `query-token query-token--${token.type}`;
+    span.textContent = token.value;
+    if (token.message) {
+      span.title = token.message;
+    }
+    container.appendChild(span);
+    pos = token.end;
+
+    // Close the chip at the end of the term
+    if (token.termEnd === token.end) {
+      container = overlay;
+    }
+  }
+
+  overlay.append(queryString.slice(pos));
+  overlay.scrollLeft = input.scrollLeft;
+
+  if (errors.length > 0) {
+    const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+    errorEl.textContent = `⚠️ ${errors[0].message}${more}`;
+    errorEl.style.display = 'block';
+  } else {
+    errorEl.textContent = '';
+    errorEl.style.display = 'none';
   }
+}
+
+/**
+ * Context for query autocomplete (values present in the current tab list)
+ */
+function getSuggestionContext() {
+  const devices = new Set(allTabs.map(tab => tab.device).filter(Boolean));
+
+  return {
+    domains: domainCounts,
+    values: {
+      device: Array.from(devices),
+      group: groupList.map(group => group.id)
+    }
+  };
+}
+
+/**
+ * Recompute autocomplete suggestions for the word under the cursor
+ */
+function updateSuggestions() {
+  const input = document.getElementById('query-input');
+  const cursor = input.selectionStart ?? input.value.length;
+
+  currentSuggestions = queryParser.getSuggestions(input.value, cursor, getSuggestionContext());
+  activeSuggestionIndex = -1;
+  renderSuggestions();
+}
 
-  // Get synced tabs from storage
-  const syncedTabs = await loadSyncedTabs();
+/**
+ * Render the autocomplete dropdown
+ */
+function renderSuggestions() {
+  const input = document.getElementById('query-input');
+  const listEl = document.getElementById('query-suggestions');
 
-  // Deduplicate by URL: prefer local tabs over synced tabs
-  const urlMap = new Map();
+  listEl.replaceChildren();
 
-  // Add local tabs first (they take priority)
-  for (const tab of localTabs) {
-    urlMap.set(tab.url, tab);
+  if (currentSuggestions.length === 0) {
+    hideSuggestions();
+    return;
   }
 
-  // Add synced tabs only if URL doesn't exist in local tabs
-  let duplicateCount = 0;
-  for (const tab of syncedTabs) {
-    if (!urlMap.has(tab.url)) {
-      urlMap.set(tab.url, tab);
-    } else {
-      duplicateCount++;
+  currentSuggestions.forEach((suggestion, index) => {
+    const item = document.createElement('li');
+    item.className = 'query-suggestions__item';
+    item.classList.toggle('active', index === activeSuggestionIndex);
+    item.setAttribute('role', 'option');
+    item.dataset.index = index;
+
+    const label = document.createElement('span');
+    label.className = 'query-suggestions__label';
+    label.textContent = suggestion.label;
+    item.appendChild(label);
+
+    if (suggestion.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'query-suggestions__detail';
+      detail.textContent = suggestion.detail;
+      item.appendChild(detail);
     }
+
+    listEl.appendChild(item);
+  });
+
+  listEl.style.display = 'block';
+  input.setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Hide the autocomplete dropdown
+ */
+function hideSuggestions() {
+  document.getElementById('query-suggestions').style.display = 'none';
+  document.getElementById('query-input').setAttribute('aria-expanded', 'false');
+  activeSuggestionIndex = -1;
+}
+
+/**
+ * Keyboard navigation in the autocomplete dropdown
+ */
+function handleSuggestionKeydown(event) {
+  const listEl = document.getElementById('query-suggestions');
+  if (listEl.style.display === 'none' || currentSuggestions.length === 0) {
+    return;
   }
 
-  if (duplicateCount > 0) {
-    console.log(`[Dedup] Removed ${duplicateCount} duplicate URLs (already open locally)`);
+  switch (event.key) {
+    case 'ArrowDown':
+      event.preventDefault();
+      activeSuggestionIndex = (activeSuggestionIndex + 1) % currentSuggestions.length;
+      renderSuggestions();
+      break;
+    case 'ArrowUp':
+      event.preventDefault();
+      activeSuggestionIndex = activeSuggestionIndex <= 0
+        ? currentSuggestions.length - 1
+        : activeSuggestionIndex - 1;
+      renderSuggestions();
+      break;
+    case 'Enter':
+    case 'Tab':
+      if (activeSuggestionIndex >= 0) {
+        event.preventDefault();
+        applySuggestion(activeSuggestionIndex);
+      }
+      break;
+    case 'Escape':
+      hideSuggestions();
+      break;
+  }
+}
+
+/**
+ * Insert a suggestion into the query input and re-run the search
+ * @param {number} index - Index in currentSuggestions
+ */
+function applySuggestion(index) {
+  const suggestion = currentSuggestions[index];
+  if (!suggestion) {
+    return;
+  }
+
+  const input = document.getElementById('query-input');
+  const value = input.value;
+  const rest = value.slice(suggestion.replaceEnd);
+
+  // Avoid doubling the space when completing in the middle of the query
+  const insertText = /^\s/.test(rest) ? suggestion.insertText.trimEnd() : suggestion.insertText;
+
+  input.value = value.slice(0, suggestion.replaceStart) + insertText + rest;
+  const cursor = suggestion.replaceStart + insertText.length;
+  input.setSelectionRange(cursor, cursor);
+  input.focus();
+
+  document.getElementById('clear-query-btn').style.display = 'flex';
+  renderQueryOverlay();
+  updateSuggestions();
+  handleSearchInput();
+}
+
+/**
+ * Load all tabs and display
+ */
+async function loadAllTabs() {
+  // Local tabs first: a URL open on this device hides its synced copies
+  const { tabs, duplicates } = await tabSources.load(['local', 'synced', 'imported'], { includeInternal: showInternalTabs });
+
+  if (duplicates > 0) {
+    console.log(`[Dedup] Removed ${duplicates} duplicate URLs (already open locally)`);
   }
 
-  // Merge deduplicated tabs
-  allTabs = Array.from(urlMap.values());
+  allTabs = tabs;
   currentTabs = allTabs;
+  invalidateQuerySnapshot();
 
   // Calculate domain counts (across both local and synced)
   // Normalize domains to merge www/m variants
@@ -213,6 +522,9 @@ async function prefetchMetadataInBackground() {
     await metadataManager.prefetchMetadata(allTabs);
     console.log('[Metadata] Background prefetch complete');
 
+    // Queries must see the freshly fetched metadata
+    invalidateQuerySnapshot();
+
     // Re-render to show thumbnails and reading times
     await renderTabList(currentTabs);
   } catch (error) {
@@ -242,6 +554,7 @@ async function handleFetchAll() {
     await metadataManager.prefetchMetadata(allTabs);
 
     // Re-render with fresh data
+    invalidateQuerySnapshot();
     await renderTabList(currentTabs);
 
     console.log('[Metadata] Force refresh complete');
@@ -277,6 +590,20 @@ async function updateFilterCounts() {
     '3years': allTabs.filter(tab => tab.age >= 1095).length
   };
 
+  // Duplicates: tabs that would be closed to keep one copy of each page
+  filterCounts.duplicates = urlCanonicalizer.findDuplicates(allTabs.filter(tab => tab.source === 'local'))
+    .reduce((sum, group) => sum + group.others.length, 0);
+
+  // Saved queries are counted with the same engine that runs them
+  for (const entry of savedQueryList) {
+    try {
+      const matches = await filterTabs(allTabs, { ast: queryParser.parseAST(entry.query) });
+      filterCounts[`saved:${entry.id}`] = matches.length;
+    } catch (error) {
+      console.error(`[Saved Queries] Failed to count "${entry.name}":`, error);
+    }
+  }
+
   // Update badge UI
   document.querySelectorAll('.filter-btn').forEach(btn => {
     const filterType = btn.dataset.filter;
@@ -288,12 +615,12 @@ async function updateFilterCounts() {
       existingBadge.remove();
     }
 
-    // Add new badge
+    // Add new badge (before the delete control on saved queries)
     if (count !== undefined) {
       const badge = document.createElement('span');
       badge.className = 'filter-badge';
       badge.textContent = count;
-      btn.appendChild(badge);
+      btn.insertBefore(badge, btn.querySelector('.saved-query-btn__remove'));
     }
   });
 }
@@ -653,6 +980,19 @@ async function createTabItemElement(tab, group) {
     meta.appendChild(syncBadge);
   }
 
+  // Imported tab indicator (bookmarks, OneTab, ...)
+  if (tab.source === 'imported') {
+    const importBadge = document.createElement('span');
+    importBadge.className = 'tab-item__sync-badge';
+    importBadge.textContent = `📂 ${tab.folder ? `${tab.deviceName}: ${tab.folder}` : tab.deviceName}`;
+    importBadge.style.fontSize = '0.85em';
+    importBadge.style.color = '#6B7280';
+    importBadge.style.fontStyle = 'italic';
+    importBadge.title = `Imported from ${tab.deviceName} on ${new Date(tab.syncExportDate).toLocaleString()}`;
+
+    meta.appendChild(importBadge);
+  }
+
   // Add thumbnail first if available
   if (thumbnail) {
     info.appendChild(thumbnail);
@@ -661,8 +1001,15 @@ async function createTabItemElement(tab, group) {
   info.appendChild(meta);
 
   const badge = document.createElement('span');
-  badge.className = `tab-item__badge tab-item__badge--${group}`;
-  badge.textContent = group.charAt(0).toUpperCase() + group.slice(1);
+  const customGroup = groupList.find(item => item.id === group && !item.builtin);
+  if (customGroup) {
+    badge.className = 'tab-item__badge tab-item__badge--custom';
+    badge.style.setProperty('--group-color', customGroup.color);
+    badge.textContent = `${customGroup.icon} ${customGroup.name}`;
+  } else {
+    badge.className = `tab-item__badge tab-item__badge--${group}`;
+    badge.textContent = group.charAt(0).toUpperCase() + group.slice(1);
+  }
 
   // Actions container
   const actions = document.createElement('div');
@@ -735,6 +1082,8 @@ async function handleRunQuery() {
   const input = document.getElementById('query-input');
   const queryString = input.value.trim();
 
+  renderQueryOverlay();
+
   if (!queryString) {
     await loadAllTabs();
     return;
@@ -744,7 +1093,7 @@ async function handleRunQuery() {
   const filters = queryParser.parse(queryString);
 
   // Execute query on allTabs (includes both local and synced)
-  const results = filterTabs(allTabs, filters);
+  const results = await filterTabs(allTabs, filters);
 
   // Render results
   currentTabs = results;
@@ -752,76 +1101,34 @@ async function handleRunQuery() {
 }
 
 /**
- * Filter tabs based on parsed query filters
- * Works on any tab array (local + synced)
- */
-function filterTabs(tabs, filters) {
-  return tabs.filter(tab => {
-    // Domain filter
-    if (filters.domain) {
-      const pattern = filters.domain.replace(/^https?:\/\//, '');
-      if (pattern.includes('*')) {
-        const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-        if (!regex.test(tab.domain)) return false;
-      } else if (!tab.domain.includes(pattern)) {
-        return false;
-      }
-    }
-
-    // Age filter
-    if (filters.age !== null) {
-      const operator = filters.ageOperator || '>';
-      const tabAgeDays = tab.ageDays || 0;
-
-      switch (operator) {
-        case '>':
-          if (tabAgeDays <= filters.age) return false;
-          break;
-        case '>=':
-          if (tabAgeDays < filters.age) return false;
-          break;
-        case '<':
-          if (tabAgeDays >= filters.age) return false;
-          break;
-        case '<=':
-          if (tabAgeDays > filters.age) return false;
-          break;
-        case '=':
-          if (tabAgeDays !== filters.age) return false;
-          break;
-      }
-    }
-
-    // Title filter
-    if (filters.title) {
-      const lowerSearch = filters.title.toLowerCase();
-      if (!tab.title.toLowerCase().includes(lowerSearch)) {
-        return false;
-      }
-    }
+ * Drop the query snapshot so the next query reloads the stored tab data
+ * Call after anything writes tab records, metadata or analysis results.
+ */
+function invalidateQuerySnapshot() {
+  querySnapshot = null;
+}
 
-    // URL filter
-    if (filters.url) {
-      const pattern = filters.url;
-      if (pattern.includes('*')) {
-        const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-        if (!regex.test(tab.url)) return false;
-      } else if (!tab.url.includes(pattern)) {
-        return false;
-      }
-    }
+/**
+ * Filter tabs based on parsed query filters
+ * Works on any tab array (local + synced) by evaluating the query AST.
+ * Queries over allTabs share one snapshot, so stored data is loaded once
+ * and reused until the tab list or metadata changes.
+ */
+async function filterTabs(tabs, filters) {
+  if (tabs !== allTabs) {
+    return await tabQuery.filterTabs(tabs, filters.ast);
+  }
+  if (!filters.ast) {
+    return tabs;
+  }
 
-    // Free text search (searches title, url, domain)
-    if (filters.text) {
-      const lowerSearch = filters.text.toLowerCase();
-      const searchableText = `${tab.title} ${tab.url} ${tab.domain}`.toLowerCase();
-      if (!searchableText.includes(lowerSearch)) {
-        return false;
-      }
-    }
+  if (!querySnapshot || querySnapshot.tabs !== allTabs) {
+    querySnapshot = tabQuery.createSnapshot(allTabs);
+  }
 
-    return true;
-  });
+  const { tabs: results, stats } = await tabQuery.query(querySnapshot, filters.ast);
+  console.log(`[Query] ${stats.matched}/${stats.total} tabs in ${stats.totalMs.toFixed(1)} ms (load ${stats.loadMs.toFixed(1)} ms)`);
+  return results;
 }
 
 /**
@@ -833,6 +1140,7 @@ async function handleClearQuery() {
 
   queryInput.value = '';
   clearBtn.style.display = 'none';
+  renderQueryOverlay();
 
   await loadAllTabs();
 }
@@ -900,114 +1208,1188 @@ async function handleQuickFilter(filterType) {
       // Filter broken tabs (4xx/5xx HTTP codes)
       await filterBrokenTabs();
       return; // Don't run query
+    case 'duplicates':
+      // Group copies of the same page
+      await filterDuplicateTabs();
+      return; // Don't run query
   }
 
   await handleRunQuery();
 }
 
 /**
- * Filter broken tabs (4xx/5xx HTTP codes)
- * Requires metadata to be loaded
+ * Render saved query buttons next to the built-in quick filters
  */
-async function filterBrokenTabs() {
-  console.log('[Broken Filter] Checking metadata for broken tabs...');
+function renderSavedQueries() {
+  const container = document.getElementById('saved-query-buttons');
+  container.replaceChildren();
+
+  for (const entry of savedQueryList) {
+    const btn = document.createElement('button');
+    btn.className = 'filter-btn saved-query-btn';
+    btn.dataset.filter = `saved:${entry.id}`;
+    btn.dataset.savedId = entry.id;
+    btn.title = entry.query;
+    btn.textContent = `${entry.icon} ${entry.name}`;
+
+    const count = filterCounts[`saved:${entry.id}`];
+    if (count !== undefined) {
+      const badge = document.createElement('span');
+      badge.className = 'filter-badge';
+      badge.textContent = count;
+      btn.appendChild(badge);
+    }
 
-  // Get all tabs
-  const allTabsData = await tabQuery.getAllTabsWithMetadata(showInternalTabs);
+    const remove = document.createElement('span');
+    remove.className = 'saved-query-btn__remove';
+    remove.setAttribute('role', 'button');
+    remove.setAttribute('aria-label', `Delete saved query ${entry.name}`);
+    remove.textContent = '×';
+    btn.appendChild(remove);
 
-  // Filter to tabs that have metadata with 4xx/5xx codes
-  const brokenTabs = [];
+    container.appendChild(btn);
+  }
+}
 
-  for (const tab of allTabsData) {
-    try {
-      const metadata = await metadataStorage.getMetadata(tab.id);
-      if (metadata && metadata.httpCode && metadata.httpCode >= 400) {
-        brokenTabs.push(tab);
-      }
-    } catch (error) {
-      console.error(`Failed to check metadata for tab ${tab.id}:`, error);
-    }
+/**
+ * Reload saved queries from storage, re-render and recount them
+ */
+async function refreshSavedQueries() {
+  savedQueryList = await savedQueries.getAll();
+  renderSavedQueries();
+  await updateFilterCounts();
+}
+
+/**
+ * Apply a saved query: fill the search box, apply its sort and run it
+ * @param {string} id - Saved query ID
+ * @param {HTMLElement} btn - Clicked button
+ */
+async function handleSavedQuery(id, btn) {
+  const entry = savedQueryList.find(item => item.id === id);
+  if (!entry) return;
+
+  document.querySelectorAll('.filter-btn').forEach(b => {
+    b.classList.remove('active');
+  });
+  btn.classList.add('active');
+
+  // Clear category filter
+  categoryFilterActive = null;
+  document.querySelectorAll('.category-filter-btn').forEach(b => {
+    b.classList.remove('active');
+  });
+
+  if (entry.sort) {
+    currentSortMode = entry.sort;
+    document.getElementById('sort-select').value = entry.sort;
   }
 
-  console.log(`[Broken Filter] Found ${brokenTabs.length} broken tabs`);
+  document.getElementById('query-input').value = entry.query;
+  document.getElementById('clear-query-btn').style.display = 'flex';
 
-  // Update UI
-  currentTabs = allTabsData;
-  await renderTabList(brokenTabs);
-  updateStatistics(brokenTabs);
+  await handleRunQuery();
 }
 
 /**
- * Handle category filter buttons
+ * Delete a saved query after confirmation
+ * @param {string} id - Saved query ID
  */
-async function handleCategoryFilter(category) {
-  // Remove active class from all category buttons
-  document.querySelectorAll('.category-filter-btn').forEach(btn => {
-    btn.classList.remove('active');
-  });
+async function handleDeleteSavedQuery(id) {
+  const entry = savedQueryList.find(item => item.id === id);
+  if (!entry || !confirm(`Delete saved query "${entry.name}"?`)) {
+    return;
+  }
 
-  // Toggle category filter
-  if (categoryFilterActive === category) {
-    // Deactivate if clicking same category
-    categoryFilterActive = null;
-    await renderTabList(currentTabs);
-  } else {
-    // Activate new category
-    categoryFilterActive = category;
-    event.target.classList.add('active');
+  await savedQueries.remove(id);
+  await refreshSavedQueries();
+}
 
-    // Filter current tabs by category
-    const filtered = currentTabs.filter(tab => {
-      const tabCategory = categorizeTab(tab);
-      return tabCategory.category === category;
+/**
+ * Open the save query modal, prefilled with the current search
+ */
+function openSaveQueryModal() {
+  const query = document.getElementById('query-input').value.trim();
+
+  document.getElementById('saved-query-name').value = '';
+  document.getElementById('saved-query-icon').value = '';
+  document.getElementById('saved-query-text').value = query;
+  document.getElementById('saved-query-sort').value = '';
+  document.getElementById('save-query-modal').style.display = 'flex';
+  document.getElementById(query ? 'saved-query-name' : 'saved-query-text').focus();
+}
+
+/**
+ * Close the save query modal
+ */
+function closeSaveQueryModal() {
+  document.getElementById('save-query-modal').style.display = 'none';
+}
+
+/**
+ * Handle save query form submit
+ * A saved query with the same name is replaced
+ */
+async function handleSaveQuerySubmit(event) {
+  event.preventDefault();
+
+  const name = document.getElementById('saved-query-name').value.trim();
+  const query = document.getElementById('saved-query-text').value.trim();
+
+  const validation = queryParser.validate(query);
+  if (!validation.valid) {
+    alert(`Invalid query: ${validation.error}`);
+    return;
+  }
+
+  const existing = savedQueryList.find(item => item.name.toLowerCase() === name.toLowerCase());
+
+  try {
+    await savedQueries.save({
+      id: existing?.id,
+      name,
+      query,
+      icon: document.getElementById('saved-query-icon').value,
+      sort: document.getElementById('saved-query-sort').value || null
     });
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
 
-    await renderTabList(filtered);
+  closeSaveQueryModal();
+  await refreshSavedQueries();
+}
+
+/**
+ * Download saved queries as JSON
+ */
+async function handleExportSavedQueries() {
+  try {
+    const json = await savedQueries.exportJSON();
+    const timestamp = new Date().toISOString().split('T')[0];
+    await TabExport.download(json, `filtre-infini-saved-queries-${timestamp}.json`, 'application/json');
+  } catch (error) {
+    console.error('[Saved Queries] Export failed:', error);
+    alert('Export failed. Check console for details.');
   }
 }
 
 /**
- * Handle source filter buttons (local/synced/all)
+ * Handle saved queries file selected - import JSON
  */
-async function handleSourceFilter(source) {
-  // Remove active class from all source buttons
-  document.querySelectorAll('.source-filter-btn').forEach(btn => {
-    btn.classList.remove('active');
-  });
+async function handleSavedQueriesFileSelected(event) {
+  const file = event.target.files[0];
+  if (!file) return;
 
-  // Add active class to clicked button
-  event.target.classList.add('active');
+  try {
+    const { imported, skipped, rejected } = await savedQueries.importJSON(await file.text());
+    await refreshSavedQueries();
 
-  let filtered;
-  if (source === 'all') {
-    filtered = allTabs;
-  } else if (source === 'local') {
-    filtered = allTabs.filter(tab => tab.source === 'local');
-  } else if (source === 'synced') {
-    filtered = allTabs.filter(tab => tab.source === 'synced');
+    let message = `Imported ${imported} saved ${imported === 1 ? 'query' : 'queries'}`;
+    if (skipped) {
+      console.warn('[Saved Queries] Rejected entries:', rejected);
+      message += `\n\nSkipped ${skipped} invalid:\n${rejected.map(entry => `• ${entry.name || '(unnamed)'}: ${entry.error}`).join('\n')}`;
+    }
+    alert(message);
+  } catch (error) {
+    console.error('[Saved Queries] Import failed:', error);
+    alert(`Import failed: ${error.message}`);
+  } finally {
+    // Allow re-importing the same file
+    event.target.value = '';
   }
-
-  currentTabs = filtered;
-  await renderTabList(currentTabs);
-  await updateStatistics();
 }
 
+// ============================================================================
+// Custom Groups
+// ============================================================================
+
 /**
- * Handle bulk group assignment
+ * Render the bulk "→ Group…" menu and the group list in the groups modal
  */
-async function handleBulkGroup(targetGroup) {
-  if (selectedTabIds.size === 0) {
-    alert('No tabs selected');
+function renderGroupControls() {
+  const customGroups = groupList.filter(group => !group.builtin);
+
+  const select = document.getElementById('bulk-group-select');
+  select.replaceChildren(new Option('→ Group…', ''));
+  for (const group of customGroups) {
+    select.appendChild(new Option(`${group.icon} ${group.name}`, group.id));
+  }
+  select.appendChild(new Option('＋ New group…', '__new'));
+
+  const list = document.getElementById('custom-group-list');
+  list.replaceChildren();
+
+  if (customGroups.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'custom-group-list__empty';
+    empty.textContent = 'No custom groups yet.';
+    list.appendChild(empty);
     return;
   }
 
-  for (let tabId of selectedTabIds) {
-    await groupManager.setGroup(tabId, targetGroup);
+  customGroups.forEach((group, index) => {
+    const item = document.createElement('li');
+    item.className = 'custom-group-list__item';
+    item.dataset.groupId = group.id;
+    item.style.setProperty('--group-color', group.color);
+
+    const name = document.createElement('span');
+    name.className = 'custom-group-list__name';
+    name.textContent = `${group.icon} ${group.name}`;
+
+    const rules = document.createElement('span');
+    rules.className = 'custom-group-list__rules';
+    rules.textContent = group.rules.length === 1 ? '1 rule' : `${group.rules.length} rules`;
+    rules.title = group.rules.join('\n');
+
+    item.append(name, rules);
+
+    const actions = [
+      ['up', '↑', `Move ${group.name} up`, index === 0],
+      ['down', '↓', `Move ${group.name} down`, index === customGroups.length - 1],
+      ['edit', '✏️', `Edit ${group.name}`, false],
+      ['delete', '🗑️', `Delete ${group.name}`, false]
+    ];
+    for (const [action, label, description, disabled] of actions) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn--small';
+      btn.dataset.groupAction = action;
+      btn.textContent = label;
+      btn.setAttribute('aria-label', description);
+      btn.disabled = disabled;
+      item.appendChild(btn);
+    }
+
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Reload group definitions and refresh everything that shows them
+ */
+async function refreshGroups() {
+  groupList = await groupManager.getGroups();
+  invalidateQuerySnapshot();
+  renderGroupControls();
+  await renderRuleControls();
+  await updateStatistics();
+  await renderTabList(currentTabs);
+}
+
+/**
+ * Handle the bulk "→ Group…" menu
+ */
+async function handleBulkGroupSelect(event) {
+  const value = event.target.value;
+  event.target.value = '';
+
+  if (value === '__new') {
+    openGroupsModal();
+  } else if (value) {
+    await handleBulkGroup(value);
+  }
+}
+
+/**
+ * Open the groups modal
+ */
+async function openGroupsModal() {
+  resetGroupForm();
+  document.getElementById('group-rule-preview').replaceChildren();
+  await renderRuleControls();
+  document.getElementById('groups-modal').style.display = 'flex';
+  document.getElementById('group-name').focus();
+}
+
+/**
+ * Close the groups modal
+ */
+function closeGroupsModal() {
+  document.getElementById('groups-modal').style.display = 'none';
+}
+
+/**
+ * Reset the group form to "create" mode
+ */
+function resetGroupForm() {
+  document.getElementById('group-id').value = '';
+  document.getElementById('group-name').value = '';
+  document.getElementById('group-icon').value = '';
+  document.getElementById('group-color').value = groupManager.DEFAULT_COLOR;
+  document.getElementById('group-rules').value = '';
+  document.getElementById('group-submit-btn').textContent = 'Create Group';
+  document.getElementById('group-cancel-edit-btn').style.display = 'none';
+}
+
+/**
+ * Load a custom group into the form for editing
+ * @param {string} id - Group ID
+ */
+function editGroup(id) {
+  const group = groupList.find(item => item.id === id);
+  if (!group) return;
+
+  document.getElementById('group-id').value = group.id;
+  document.getElementById('group-name').value = group.name;
+  document.getElementById('group-icon').value = group.icon;
+  document.getElementById('group-color').value = group.color;
+  document.getElementById('group-rules').value = group.rules.join('\n');
+  document.getElementById('group-submit-btn').textContent = 'Save Group';
+  document.getElementById('group-cancel-edit-btn').style.display = '';
+  document.getElementById('group-name').focus();
+}
+
+/**
+ * Handle group form submit - create or update a custom group
+ */
+async function handleGroupFormSubmit(event) {
+  event.preventDefault();
+
+  const id = document.getElementById('group-id').value;
+  const rules = document.getElementById('group-rules').value
+    .split('\n')
+    .map(rule => rule.trim())
+    .filter(Boolean);
+
+  for (const rule of rules) {
+    const validation = queryParser.validate(rule);
+    if (!validation.valid) {
+      alert(`Invalid rule "${rule}": ${validation.error}`);
+      return;
+    }
+  }
+
+  const entry = {
+    name: document.getElementById('group-name').value,
+    icon: document.getElementById('group-icon').value,
+    color: document.getElementById('group-color').value,
+    rules
+  };
+
+  try {
+    if (id) {
+      await groupManager.updateGroup(id, entry);
+    } else {
+      await groupManager.createGroup(entry);
+    }
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  resetGroupForm();
+  await refreshGroups();
+}
+
+/**
+ * Delete a custom group after confirmation; its tabs go back to Main
+ * @param {string} id - Group ID
+ */
+async function handleDeleteGroup(id) {
+  const group = groupList.find(item => item.id === id);
+  if (!group) return;
+
+  if (!confirm(`Delete group "${group.name}"?\nIts tabs go back to Main.`)) {
+    return;
+  }
+
+  const moved = await groupManager.deleteGroup(id);
+  console.log(`[Groups] Deleted "${group.name}", ${moved} tabs moved back to Main`);
+  await refreshGroups();
+}
+
+/**
+ * Move a custom group up or down
+ * @param {string} id - Group ID
+ * @param {number} delta - -1 (up) or 1 (down)
+ */
+async function handleMoveGroup(id, delta) {
+  const ids = groupList.filter(group => !group.builtin).map(group => group.id);
+  const index = ids.indexOf(id);
+  const target = index + delta;
+  if (index < 0 || target < 0 || target >= ids.length) return;
+
+  [ids[index], ids[target]] = [ids[target], ids[index]];
+  await groupManager.reorderGroups(ids);
+  await refreshGroups();
+}
+
+/**
+ * Render the saved query rules and the rule form selects in the groups modal
+ */
+async function renderRuleControls() {
+  const rules = await groupRules.getAll();
+  const groupLabel = (id) => {
+    const group = groupList.find(item => item.id === id);
+    return group ? `${group.icon} ${group.name}` : id;
+  };
+
+  const querySelect = document.getElementById('group-rule-query');
+  querySelect.replaceChildren(new Option(savedQueryList.length ? 'Saved query…' : 'Save a query first', ''));
+  for (const entry of savedQueryList) {
+    querySelect.appendChild(new Option(`${entry.icon} ${entry.name}`, entry.id));
+  }
+
+  const targetSelect = document.getElementById('group-rule-target');
+  targetSelect.replaceChildren(new Option('→ Group…', ''));
+  for (const group of groupList) {
+    targetSelect.appendChild(new Option(groupLabel(group.id), group.id));
+  }
+
+  const list = document.getElementById('group-rule-list');
+  list.replaceChildren();
+
+  if (rules.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'custom-group-list__empty';
+    empty.textContent = 'No automatic rules yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const rule of rules) {
+    const entry = savedQueryList.find(item => item.id === rule.savedQueryId);
+
+    const item = document.createElement('li');
+    item.className = 'custom-group-list__item';
+    item.classList.toggle('custom-group-list__item--disabled', !rule.enabled);
+    item.dataset.ruleId = rule.id;
+
+    const name = document.createElement('span');
+    name.className = 'custom-group-list__name';
+    name.textContent = `${entry ? `${entry.icon} ${entry.name}` : '(deleted query)'} → ${groupLabel(rule.group)}`;
+    name.title = entry?.query || '';
+    item.appendChild(name);
+
+    const actions = [
+      ['toggle', rule.enabled ? '⏸️' : '▶️', rule.enabled ? 'Pause rule' : 'Resume rule'],
+      ['delete', '🗑️', 'Delete rule']
+    ];
+    for (const [action, label, description] of actions) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn--small';
+      btn.dataset.ruleAction = action;
+      btn.textContent = label;
+      btn.setAttribute('aria-label', description);
+      item.appendChild(btn);
+    }
+
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Handle the add rule form
+ */
+async function handleRuleFormSubmit(event) {
+  event.preventDefault();
+
+  try {
+    await groupRules.save({
+      savedQueryId: document.getElementById('group-rule-query').value,
+      group: document.getElementById('group-rule-target').value
+    });
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  await renderRuleControls();
+}
+
+/**
+ * Handle pause/resume/delete buttons in the rule list
+ */
+async function handleRuleAction(event) {
+  const btn = event.target.closest('[data-rule-action]');
+  if (!btn) return;
+
+  const id = btn.closest('.custom-group-list__item').dataset.ruleId;
+  if (btn.dataset.ruleAction === 'delete') {
+    await groupRules.remove(id);
+  } else {
+    const rule = (await groupRules.getAll()).find(item => item.id === id);
+    await groupRules.save({ ...rule, enabled: !rule.enabled });
+  }
+
+  await renderRuleControls();
+}
+
+/**
+ * Dry run: list what each rule would move, without moving anything
+ * @returns {Promise<Object>} Plan from GroupRules.plan
+ */
+async function handlePreviewGroupRules() {
+  const plan = await groupRules.plan();
+  const preview = document.getElementById('group-rule-preview');
+  preview.replaceChildren();
+
+  const byRule = new Map();
+  for (const move of plan.moves) {
+    if (!byRule.has(move.rule.id)) {
+      byRule.set(move.rule.id, []);
+    }
+    byRule.get(move.rule.id).push(move);
+  }
+
+  if (byRule.size === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'saved-query-form__hint';
+    empty.textContent = 'No rule would move any tab right now.';
+    preview.appendChild(empty);
+  }
+
+  for (const moves of byRule.values()) {
+    const { rule, to } = moves[0];
+    const group = groupList.find(item => item.id === to);
+
+    const title = document.createElement('h4');
+    title.className = 'group-rule-preview__title';
+    title.textContent = `${rule.name} → ${group ? `${group.icon} ${group.name}` : to}: ${moves.length} ${moves.length === 1 ? 'tab' : 'tabs'}`;
+    title.title = rule.query;
+
+    const list = document.createElement('ul');
+    list.className = 'group-rule-preview__tabs';
+    for (const { tab } of moves.slice(0, 10)) {
+      const item = document.createElement('li');
+      item.textContent = tab.title || tab.url;
+      list.appendChild(item);
+    }
+    if (moves.length > 10) {
+      const more = document.createElement('li');
+      more.textContent = `+${moves.length - 10} more`;
+      list.appendChild(more);
+    }
+
+    preview.append(title, list);
+  }
+
+  for (const [ruleId, message] of Object.entries(plan.errors)) {
+    const error = document.createElement('p');
+    error.className = 'group-rule-preview__error';
+    error.textContent = `⚠️ Rule ${ruleId} skipped: ${message}`;
+    preview.appendChild(error);
+  }
+
+  return plan;
+}
+
+/**
+ * Handle Apply Now - preview the moves, then apply every rule
+ */
+async function handleApplyGroupRules() {
+  const { moves } = await handlePreviewGroupRules();
+
+  if (moves.length === 0) {
+    alert('No tabs match any rule.');
+    return;
+  }
+
+  if (!confirm(`Move ${moves.length} tabs into their groups?`)) {
+    return;
+  }
+
+  await groupRules.apply();
+  document.getElementById('group-rule-preview').replaceChildren();
+  await refreshGroups();
+}
+
+// ============================================================================
+// Graveyard
+// ============================================================================
+
+/**
+ * Open the graveyard modal
+ */
+async function openGraveyardModal() {
+  document.getElementById('graveyard-modal').style.display = 'flex';
+  document.getElementById('graveyard-search').value = '';
+  await renderGraveyard();
+}
+
+/**
+ * Close the graveyard modal
+ */
+function closeGraveyardModal() {
+  document.getElementById('graveyard-modal').style.display = 'none';
+}
+
+/**
+ * Render graveyard entries matching the search box
+ */
+async function renderGraveyard() {
+  const list = document.getElementById('graveyard-list');
+  const text = document.getElementById('graveyard-search').value;
+
+  let entries;
+  try {
+    entries = await graveyard.search(text);
+  } catch (error) {
+    console.error('[Graveyard] Failed to load entries:', error);
+    entries = [];
+  }
+
+  graveyardEntries = new Map(entries.map(entry => [entry.entryId, entry]));
+  list.replaceChildren();
+
+  if (entries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'custom-group-list__empty';
+    empty.textContent = text ? 'No closed tabs match.' : 'No tabs have been closed by retention yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.className = 'graveyard-list__item';
+    item.dataset.entryId = entry.entryId;
+
+    const info = document.createElement('div');
+    info.className = 'graveyard-list__info';
+
+    const title = document.createElement('span');
+    title.className = 'graveyard-list__title';
+    title.textContent = entry.title;
+    title.title = entry.url;
+
+    const details = document.createElement('span');
+    details.className = 'graveyard-list__details';
+    const group = groupList.find(definition => definition.id === entry.group);
+    details.textContent = [
+      entry.domain,
+      group ? `${group.icon} ${group.name}` : entry.group,
+      `closed ${new Date(entry.deletedAt).toLocaleDateString()}`
+    ].filter(Boolean).join(' · ');
+
+    info.append(title, details);
+
+    const reopenBtn = document.createElement('button');
+    reopenBtn.type = 'button';
+    reopenBtn.className = 'btn btn--small';
+    reopenBtn.dataset.graveyardAction = 'reopen';
+    reopenBtn.textContent = '↩️ Reopen';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'btn btn--small';
+    deleteBtn.dataset.graveyardAction = 'delete';
+    deleteBtn.textContent = '×';
+    deleteBtn.setAttribute('aria-label', `Forget ${entry.title}`);
+
+    item.append(info, reopenBtn, deleteBtn);
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Handle reopen/delete buttons in the graveyard list
+ */
+async function handleGraveyardAction(event) {
+  const btn = event.target.closest('[data-graveyard-action]');
+  if (!btn) return;
+
+  const entry = graveyardEntries.get(Number(btn.closest('.graveyard-list__item').dataset.entryId));
+  if (!entry) return;
+
+  try {
+    if (btn.dataset.graveyardAction === 'reopen') {
+      await graveyard.reopen(entry);
+      console.log(`[Graveyard] Reopened ${entry.url}`);
+      await loadAllTabs();
+    } else {
+      await graveyard.remove([entry.entryId]);
+    }
+  } catch (error) {
+    console.error('[Graveyard] Action failed:', error);
+    alert(`Failed: ${error.message}`);
+  }
+
+  await renderGraveyard();
+}
+
+// ============================================================================
+// Snapshots
+// ============================================================================
+
+/**
+ * Open the snapshots modal
+ */
+async function openSnapshotsModal() {
+  document.getElementById('snapshots-modal').style.display = 'flex';
+  document.getElementById('snapshot-name').value = '';
+  document.getElementById('snapshot-scope').querySelector('[value="view"]').textContent = `Current view (${currentTabs.length})`;
+  document.getElementById('snapshot-diff').replaceChildren();
+  await renderSnapshots();
+}
+
+/**
+ * Close the snapshots modal
+ */
+function closeSnapshotsModal() {
+  document.getElementById('snapshots-modal').style.display = 'none';
+}
+
+/**
+ * Render the snapshot list and the compare selects
+ */
+async function renderSnapshots() {
+  const list = document.getElementById('snapshot-list');
+
+  let snapshots;
+  try {
+    snapshots = await tabSnapshots.getAll();
+  } catch (error) {
+    console.error('[Snapshots] Failed to load snapshots:', error);
+    snapshots = [];
+  }
+
+  list.replaceChildren();
+
+  if (snapshots.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'custom-group-list__empty';
+    empty.textContent = 'No snapshots yet.';
+    list.appendChild(empty);
+  }
+
+  for (const snapshot of snapshots) {
+    const item = document.createElement('li');
+    item.className = 'graveyard-list__item';
+    item.dataset.snapshotId = snapshot.snapshotId;
+
+    const info = document.createElement('div');
+    info.className = 'graveyard-list__info';
+
+    const title = document.createElement('span');
+    title.className = 'graveyard-list__title';
+    title.textContent = snapshot.name;
+
+    const details = document.createElement('span');
+    details.className = 'graveyard-list__details';
+    details.textContent = [
+      `${snapshot.tabs.length} ${snapshot.tabs.length === 1 ? 'tab' : 'tabs'}`,
+      new Date(snapshot.createdAt).toLocaleString(),
+      snapshot.query
+    ].filter(Boolean).join(' · ');
+
+    info.append(title, details);
+
+    const actions = [
+      ['reopen', '↩️ Reopen', null],
+      ['download', '📤', `Download ${snapshot.name} as JSON`],
+      ['delete', '×', `Delete ${snapshot.name}`]
+    ].map(([action, label, ariaLabel]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn--small';
+      btn.dataset.snapshotAction = action;
+      btn.textContent = label;
+      if (ariaLabel) {
+        btn.setAttribute('aria-label', ariaLabel);
+      }
+      return btn;
+    });
+
+    item.append(info, ...actions);
+    list.appendChild(item);
+  }
+
+  // Compare: any snapshot (older) against another snapshot or the current tabs
+  const fromSelect = document.getElementById('snapshot-diff-from');
+  const toSelect = document.getElementById('snapshot-diff-to');
+  const options = snapshots.map(snapshot => {
+    const option = document.createElement('option');
+    option.value = snapshot.snapshotId;
+    option.textContent = `${snapshot.name} (${new Date(snapshot.createdAt).toLocaleDateString()})`;
+    return option;
+  });
+
+  const current = document.createElement('option');
+  current.value = 'current';
+  current.textContent = 'Current tabs';
+
+  fromSelect.replaceChildren(...options.map(option => option.cloneNode(true)));
+  toSelect.replaceChildren(current, ...options);
+  document.getElementById('snapshot-diff-btn').disabled = snapshots.length === 0;
+}
+
+/**
+ * Handle the snapshot form: capture all tabs or the current view
+ */
+async function handleSnapshotFormSubmit(event) {
+  event.preventDefault();
+
+  const name = document.getElementById('snapshot-name').value;
+  const scope = document.getElementById('snapshot-scope').value;
+  const query = document.getElementById('query-input').value.trim();
+
+  try {
+    const snapshot = scope === 'view'
+      ? await tabSnapshots.capture(name, currentTabs, query)
+      : await tabSnapshots.capture(name, allTabs);
+    console.log(`[Snapshots] Saved "${snapshot.name}" (${snapshot.tabs.length} tabs)`);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  document.getElementById('snapshot-name').value = '';
+  await renderSnapshots();
+}
+
+/**
+ * Handle reopen/download/delete buttons in the snapshot list
+ */
+async function handleSnapshotAction(event) {
+  const btn = event.target.closest('[data-snapshot-action]');
+  if (!btn) return;
+
+  const snapshot = await tabSnapshots.get(Number(btn.closest('.graveyard-list__item').dataset.snapshotId));
+  if (!snapshot) return;
+
+  try {
+    switch (btn.dataset.snapshotAction) {
+      case 'reopen': {
+        if (!confirm(`Reopen the tabs of "${snapshot.name}" that aren't open?`)) {
+          return;
+        }
+        const { reopened, skipped } = await tabSnapshots.restore(snapshot);
+        alert(`Reopened ${reopened} tabs (${skipped} already open)`);
+        await loadAllTabs();
+        break;
+      }
+
+      case 'download': {
+        const slug = snapshot.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'snapshot';
+        const date = new Date(snapshot.createdAt).toISOString().split('T')[0];
+        await TabExport.download(JSON.stringify(snapshot, null, 2), `filtre-infini-snapshot-${slug}-${date}.json`, 'application/json');
+        return;
+      }
+
+      case 'delete':
+        if (!confirm(`Delete snapshot "${snapshot.name}"?`)) {
+          return;
+        }
+        await tabSnapshots.remove(snapshot.snapshotId);
+        break;
+    }
+  } catch (error) {
+    console.error('[Snapshots] Action failed:', error);
+    alert(`Failed: ${error.message}`);
+  }
+
+  await renderSnapshots();
+}
+
+/**
+ * Compare the two selected snapshots (or a snapshot and the current tabs)
+ */
+async function handleSnapshotDiff() {
+  const fromId = Number(document.getElementById('snapshot-diff-from').value);
+  const toValue = document.getElementById('snapshot-diff-to').value;
+  const container = document.getElementById('snapshot-diff');
+
+  const before = await tabSnapshots.get(fromId);
+  const after = toValue === 'current'
+    ? await tabSnapshots.build('Current tabs', allTabs)
+    : await tabSnapshots.get(Number(toValue));
+  if (!before || !after) return;
+
+  const { added, removed, moved, unchanged } = tabSnapshots.diff(before, after);
+  const groupLabel = (id) => {
+    const group = groupList.find(item => item.id === id);
+    return group ? `${group.icon} ${group.name}` : id;
+  };
+
+  const sections = [
+    [`➕ Added: ${added.length}`, added.map(tab => tab.title)],
+    [`➖ Removed: ${removed.length}`, removed.map(tab => tab.title)],
+    [`↔️ Moved: ${moved.length}`, moved.map(({ tab, from, to }) => `${tab.title} (${groupLabel(from)} → ${groupLabel(to)})`)]
+  ];
+
+  container.replaceChildren();
+
+  for (const [heading, lines] of sections) {
+    const title = document.createElement('h4');
+    title.className = 'group-rule-preview__title';
+    title.textContent = heading;
+
+    const list = document.createElement('ul');
+    list.className = 'group-rule-preview__tabs';
+    for (const line of lines.slice(0, 10)) {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    }
+    if (lines.length > 10) {
+      const more = document.createElement('li');
+      more.textContent = `+${lines.length - 10} more`;
+      list.appendChild(more);
+    }
+
+    container.append(title, list);
+  }
+
+  const summary = document.createElement('p');
+  summary.className = 'saved-query-form__hint';
+  summary.textContent = `${unchanged} unchanged`;
+  container.appendChild(summary);
+}
+
+/**
+ * Filter broken tabs (4xx/5xx HTTP codes)
+ * Requires metadata to be loaded
+ */
+async function filterBrokenTabs() {
+  console.log('[Broken Filter] Checking metadata for broken tabs...');
+
+  // Get all tabs
+  const allTabsData = await tabQuery.getAllTabsWithMetadata(showInternalTabs);
+
+  // Filter to tabs that have metadata with 4xx/5xx codes
+  const brokenTabs = [];
+
+  for (const tab of allTabsData) {
+    try {
+      const metadata = await metadataStorage.getMetadata(tab.id);
+      if (metadata && metadata.httpCode && metadata.httpCode >= 400) {
+        brokenTabs.push(tab);
+      }
+    } catch (error) {
+      console.error(`Failed to check metadata for tab ${tab.id}:`, error);
+    }
+  }
+
+  console.log(`[Broken Filter] Found ${brokenTabs.length} broken tabs`);
+
+  // Update UI
+  currentTabs = allTabsData;
+  await renderTabList(brokenTabs);
+  updateStatistics(brokenTabs);
+}
+
+/**
+ * Filter duplicate tabs: copies of the same page (canonical URL) and, when
+ * analysis embeddings are available, pages with the same content
+ * Shows one block per page with the most recently accessed copy as keeper
+ */
+async function filterDuplicateTabs() {
+  const localTabs = allTabs.filter(tab => tab.source === 'local');
+  const index = await loadEmbeddingIndex();
+  const groups = urlCanonicalizer.findDuplicates(localTabs, { index });
+
+  console.log(`[Duplicates] ${groups.length} pages open more than once${index ? ` (${index.size} embeddings)` : ''}`);
+
+  currentTabs = allTabs;
+  await renderDuplicateGroups(groups);
+}
+
+/**
+ * Load the embedding index of the analysis embeddings (keyed by URL)
+ * @returns {Promise<EmbeddingIndex|null>} Index, or null when there are no embeddings
+ */
+async function loadEmbeddingIndex() {
+  try {
+    await embeddingIndex.load();
+    return embeddingIndex.size > 0 ? embeddingIndex : null;
+  } catch (error) {
+    console.warn('[Embeddings] Embedding index unavailable:', error);
+    return null;
+  }
+}
+
+/**
+ * Load analysis embeddings keyed by URL (analysis tab IDs are URLs)
+ * @returns {Promise<Map|null>} url -> vector, or null when there are none
+ */
+async function loadEmbeddingsByUrl() {
+  try {
+    const embeddings = await indexedDBStorage.getAllEmbeddings();
+    return embeddings.length > 0
+      ? new Map(embeddings.map(entry => [entry.tabId, entry.vector]))
+      : null;
+  } catch (error) {
+    console.warn('[Embeddings] Embeddings unavailable:', error);
+    return null;
+  }
+}
+
+/**
+ * Render duplicate groups with "close others" actions
+ * @param {Array} groups - Groups from UrlCanonicalizer.findDuplicates
+ */
+async function renderDuplicateGroups(groups) {
+  const listEl = document.getElementById('tabs-list');
+  const countEl = document.getElementById('tabs-count');
+  const duplicates = groups.flatMap(group => group.others);
+
+  countEl.textContent = groups.reduce((sum, group) => sum + group.tabs.length, 0);
+  listEl.replaceChildren();
+
+  if (groups.length === 0) {
+    const empty = document.createElement('p');
+    empty.style.cssText = 'text-align: center; color: var(--color-text-secondary); padding: var(--spacing-xl);';
+    empty.textContent = 'No duplicate tabs 🎉';
+    listEl.appendChild(empty);
+    return;
+  }
+
+  const summary = document.createElement('div');
+  summary.className = 'duplicate-group__header';
+  const summaryText = document.createElement('span');
+  summaryText.className = 'duplicate-group__title';
+  summaryText.textContent = `${groups.length} pages open more than once`;
+  summary.append(summaryText, createCloseDuplicatesButton(duplicates, `🧹 Close all ${duplicates.length} duplicates`));
+  listEl.appendChild(summary);
+
+  for (const group of groups) {
+    const section = document.createElement('div');
+    section.className = 'duplicate-group';
+
+    const header = document.createElement('div');
+    header.className = 'duplicate-group__header';
+    const title = document.createElement('span');
+    title.className = 'duplicate-group__title';
+    title.textContent = `${group.semantic ? '≈ ' : ''}${group.key}`;
+    title.title = group.semantic ? 'Same content at different URLs' : 'Same page';
+    header.append(title, createCloseDuplicatesButton(group.others, `Close ${group.others.length} ${group.others.length === 1 ? 'other' : 'others'}`));
+    section.appendChild(header);
+
+    for (const tab of group.tabs) {
+      const itemEl = await createTabItemElement(tab, await groupManager.getGroup(tab.id));
+      if (tab === group.keeper) {
+        const keeperBadge = document.createElement('span');
+        keeperBadge.className = 'tab-item__badge tab-item__badge--keeper';
+        keeperBadge.textContent = '⭐ Keeper';
+        keeperBadge.title = 'Most recently accessed copy';
+        itemEl.querySelector('.tab-item__meta')?.prepend(keeperBadge);
+      }
+      section.appendChild(itemEl);
+    }
+
+    listEl.appendChild(section);
+  }
+}
+
+/**
+ * Create a button that closes duplicate tabs (undoable)
+ * @param {Array} tabs - Tabs to close
+ * @param {string} label - Button label
+ * @returns {HTMLElement} Button
+ */
+function createCloseDuplicatesButton(tabs, label) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'btn btn--small btn--danger';
+  btn.textContent = label;
+  btn.addEventListener('click', async () => {
+    if (!confirm(`Close ${tabs.length} duplicate ${tabs.length === 1 ? 'tab' : 'tabs'}? The most recently accessed copies stay open.`)) {
+      return;
+    }
+
+    try {
+      const entry = await closeTabs(tabs, `Closed ${tabs.length} duplicate ${tabs.length === 1 ? 'tab' : 'tabs'}`);
+      await loadAllTabs();
+      await filterDuplicateTabs();
+      showUndoSnackbar(entry);
+    } catch (error) {
+      console.error('Failed to close duplicates:', error);
+      alert('Failed to close some tabs');
+    }
+  });
+  return btn;
+}
+
+/**
+ * Handle category filter buttons
+ */
+async function handleCategoryFilter(category) {
+  // Remove active class from all category buttons
+  document.querySelectorAll('.category-filter-btn').forEach(btn => {
+    btn.classList.remove('active');
+  });
+
+  // Toggle category filter
+  if (categoryFilterActive === category) {
+    // Deactivate if clicking same category
+    categoryFilterActive = null;
+    await renderTabList(currentTabs);
+  } else {
+    // Activate new category
+    categoryFilterActive = category;
+    event.target.classList.add('active');
+
+    // Filter current tabs by category
+    const filtered = currentTabs.filter(tab => {
+      const tabCategory = categorizeTab(tab);
+      return tabCategory.category === category;
+    });
+
+    await renderTabList(filtered);
+  }
+}
+
+/**
+ * Handle source filter buttons (local/synced/imported/all)
+ */
+async function handleSourceFilter(source) {
+  // Remove active class from all source buttons
+  document.querySelectorAll('.source-filter-btn').forEach(btn => {
+    btn.classList.remove('active');
+  });
+
+  // Add active class to clicked button
+  event.target.classList.add('active');
+
+  currentTabs = source === 'all'
+    ? allTabs
+    : allTabs.filter(tab => tab.source === source);
+  await renderTabList(currentTabs);
+  await updateStatistics();
+}
+
+/**
+ * Handle bulk group assignment
+ */
+async function handleBulkGroup(targetGroup) {
+  if (selectedTabIds.size === 0) {
+    alert('No tabs selected');
+    return;
+  }
+
+  const tabs = Array.from(selectedTabIds, tabId => allTabs.find(tab => tab.id === tabId) || { id: tabId });
+  selectedTabIds.clear();
+  await moveTabsToGroup(tabs, targetGroup);
+}
+
+/**
+ * Move tabs to a group, journaled so the move can be undone
+ * @param {Array} tabs - Tabs to move
+ * @param {string} targetGroup - Group ID
+ * @returns {Promise<void>}
+ */
+async function moveTabsToGroup(tabs, targetGroup) {
+  const group = groupList.find(item => item.id === targetGroup);
+  const entry = await undoJournal.record(
+    'group',
+    tabs,
+    `Moved ${tabs.length} ${tabs.length === 1 ? 'tab' : 'tabs'} to ${group ? `${group.icon} ${group.name}` : targetGroup}`
+  );
+
+  for (const tab of tabs) {
+    await groupManager.setGroup(tab.id, targetGroup);
   }
 
-  selectedTabIds.clear();
+  // group: queries must see the new assignments
+  invalidateQuerySnapshot();
   await renderTabList(currentTabs);
   await updateStatistics();
+  showUndoSnackbar(entry);
 }
 
 /**
@@ -1041,28 +2423,197 @@ async function handleBulkClose() {
   }
 
   try {
-    await browser.tabs.remove(localTabIds);
-
-    // Clean up storage
-    for (let tabId of localTabIds) {
-      await Storage.remove(`tab-${tabId}`);
-    }
-
+    const entry = await closeTabs(localTabIds.map(tabId => allTabs.find(tab => tab.id === tabId)));
     selectedTabIds.clear();
     await loadAllTabs();
     await updateStatistics();
+    showUndoSnackbar(entry);
   } catch (error) {
     console.error('Failed to close tabs:', error);
     alert('Failed to close some tabs');
   }
 }
 
+/**
+ * Close local tabs and journal them so they can be reopened
+ * @param {Array} tabs - Local tabs to close
+ * @param {string} label - Journal label (default "Closed N tabs")
+ * @returns {Promise<Object>} Undo journal entry
+ */
+async function closeTabs(tabs, label = `Closed ${tabs.length} ${tabs.length === 1 ? 'tab' : 'tabs'}`) {
+  const entry = await undoJournal.record('close', tabs, label);
+
+  await browser.tabs.remove(tabs.map(tab => tab.id));
+
+  // Clean up storage
+  for (let tab of tabs) {
+    await Storage.remove(`tab-${tab.id}`);
+  }
+
+  return entry;
+}
+
+// ============================================================================
+// Undo
+// ============================================================================
+
+/**
+ * Show the undo snackbar for a journal entry
+ * @param {Object} entry - Undo journal entry
+ */
+function showUndoSnackbar(entry) {
+  document.getElementById('undo-snackbar-message').textContent = entry.label;
+  document.getElementById('undo-snackbar').style.display = 'flex';
+
+  clearTimeout(undoSnackbarTimer);
+  undoSnackbarTimer = setTimeout(hideUndoSnackbar, 8000);
+}
+
+/**
+ * Hide the undo snackbar
+ */
+function hideUndoSnackbar() {
+  clearTimeout(undoSnackbarTimer);
+  document.getElementById('undo-snackbar').style.display = 'none';
+}
+
+/**
+ * Revert the last `count` bulk actions and refresh the tab list
+ * @param {number} count - Number of actions to revert
+ */
+async function performUndo(count) {
+  hideUndoSnackbar();
+
+  try {
+    const { undone, restored, reopened } = await undoJournal.undo(count);
+    console.log(`[Undo] Reverted ${undone.length} actions (${restored} tabs regrouped, ${reopened} reopened)`);
+  } catch (error) {
+    console.error('[Undo] Failed:', error);
+    alert(`Undo failed: ${error.message}`);
+  }
+
+  invalidateQuerySnapshot();
+  await loadAllTabs();
+  await updateStatistics();
+
+  if (document.getElementById('undo-history-modal').style.display !== 'none') {
+    await renderUndoHistory();
+  }
+}
+
+/**
+ * Open the history panel
+ */
+async function openUndoHistoryModal() {
+  document.getElementById('undo-history-modal').style.display = 'flex';
+  await renderUndoHistory();
+}
+
+/**
+ * Close the history panel
+ */
+function closeUndoHistoryModal() {
+  document.getElementById('undo-history-modal').style.display = 'none';
+}
+
+/**
+ * Render journal entries, newest first
+ * "Undo" on a pending entry reverts it and every pending entry after it
+ */
+async function renderUndoHistory() {
+  const entries = await undoJournal.getAll();
+  const list = document.getElementById('undo-history-list');
+  list.replaceChildren();
+
+  if (entries.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'custom-group-list__empty';
+    empty.textContent = 'No bulk actions yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  let pendingCount = 0;
+  for (const entry of entries) {
+    const item = document.createElement('li');
+    item.className = 'custom-group-list__item';
+    item.classList.toggle('custom-group-list__item--disabled', Boolean(entry.undoneAt));
+
+    const name = document.createElement('span');
+    name.className = 'custom-group-list__name';
+    name.textContent = entry.label;
+    name.title = entry.tabs.map(tab => tab.title || tab.url).join('\n');
+
+    const time = document.createElement('span');
+    time.className = 'custom-group-list__rules';
+    time.textContent = entry.undoneAt ? 'undone' : new Date(entry.createdAt).toLocaleTimeString();
+
+    item.append(name, time);
+
+    if (!entry.undoneAt) {
+      pendingCount++;
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn--small';
+      btn.dataset.undoCount = pendingCount;
+      btn.textContent = pendingCount === 1 ? '↩️ Undo' : `↩️ Undo ${pendingCount}`;
+      btn.setAttribute('aria-label', `Undo the last ${pendingCount} actions`);
+      item.appendChild(btn);
+    }
+
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Open the export modal with the registered formats
+ */
+function openExportModal() {
+  const select = document.getElementById('export-format');
+  const selected = select.value || 'csv';
+
+  select.replaceChildren(...TabExport.getFormats().map(format => {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.label;
+    return option;
+  }));
+  select.value = selected;
+
+  document.getElementById('export-hint').textContent = `Exports the ${currentTabs.length} ${currentTabs.length === 1 ? 'tab' : 'tabs'} in the current view.`;
+  updateExportOptions();
+  document.getElementById('export-modal').style.display = 'flex';
+}
+
+/**
+ * Close the export modal
+ */
+function closeExportModal() {
+  document.getElementById('export-modal').style.display = 'none';
+}
+
+/**
+ * Show the section option for Markdown only
+ */
+function updateExportOptions() {
+  const isMarkdown = document.getElementById('export-format').value === 'markdown';
+  document.getElementById('export-group-by-field').style.display = isMarkdown ? '' : 'none';
+}
+
 /**
  * Handle export
  */
-async function handleExport() {
+async function handleExport(event) {
+  event.preventDefault();
+
   try {
-    await TabExport.exportAndDownload(currentTabs, groupManager);
+    await TabExport.exportAndDownload(
+      currentTabs,
+      groupManager,
+      document.getElementById('export-format').value,
+      { groupBy: document.getElementById('export-group-by').value }
+    );
+    closeExportModal();
   } catch (error) {
     console.error('Export failed:', error);
     alert('Export failed. Check console for details.');
@@ -1075,23 +2626,42 @@ async function handleExport() {
  */
 async function updateStatistics() {
   // Count from allTabs instead of groupManager (which only knows local tabs)
-  const counts = {
-    total: allTabs.length,
-    main: 0,
-    staging: 0,
-    bin: 0,
-  };
+  const counts = { total: allTabs.length };
+  for (const group of groupList) {
+    counts[group.id] = 0;
+  }
 
-  // Count groups for all tabs
+  // Count groups for all tabs (tabs in a deleted group count as Main)
   for (const tab of allTabs) {
     const group = await groupManager.getGroup(tab.id);
-    counts[group]++;
+    counts[group in counts ? group : 'main']++;
   }
 
   document.getElementById('stat-total').textContent = counts.total;
   document.getElementById('stat-main').textContent = counts.main;
   document.getElementById('stat-staging').textContent = counts.staging;
   document.getElementById('stat-bin').textContent = counts.bin;
+
+  // One card per custom group, after the built-in ones
+  const statsSection = document.querySelector('.stats-section');
+  statsSection.querySelectorAll('.stat-card--custom').forEach(card => card.remove());
+
+  for (const group of groupList.filter(item => !item.builtin)) {
+    const card = document.createElement('div');
+    card.className = 'stat-card stat-card--custom';
+    card.style.setProperty('--group-color', group.color);
+
+    const label = document.createElement('span');
+    label.className = 'stat-card__label';
+    label.textContent = `${group.icon} ${group.name}`;
+
+    const value = document.createElement('span');
+    value.className = 'stat-card__value';
+    value.textContent = counts[group.id];
+
+    card.append(label, value);
+    statsSection.appendChild(card);
+  }
 }
 
 /**
@@ -1167,12 +2737,30 @@ function normalizeDomain(domain) {
   return domain.replace(/^(www\.|m\.|mobile\.)/, '');
 }
 
+/**
+ * Switch the groups view between domain cards and topic clusters
+ * @param {string} mode - 'domains' or 'topics'
+ */
+function setGroupsMode(mode) {
+  groupsMode = mode;
+  document.getElementById('groups-mode-domains').classList.toggle('active', mode === 'domains');
+  document.getElementById('groups-mode-topics').classList.toggle('active', mode === 'topics');
+  renderGroupsView(currentTabs);
+}
+
 /**
  * Render groups view with domain cards grouped by category
+ * (or topic cards in Topics mode)
  */
 function renderGroupsView(tabs) {
   const container = document.getElementById('groups-container');
   const countEl = document.getElementById('groups-count');
+  document.getElementById('groups-count-label').textContent = groupsMode === 'topics' ? 'topics' : 'domains';
+
+  if (groupsMode === 'topics') {
+    renderTopicsView(tabs);
+    return;
+  }
 
   // Group tabs by normalized domain
   const domainGroups = {};
@@ -1263,7 +2851,18 @@ function createDomainCard(domain, tabs) {
   header.appendChild(count);
   header.appendChild(categoryBadge);
 
-  // Body (list of tabs)
+  card.appendChild(header);
+  card.appendChild(createCardTabList(tabs));
+
+  return card;
+}
+
+/**
+ * Create the tab list of a domain or topic card (click to focus a tab)
+ * @param {Array} tabs - Tabs
+ * @returns {HTMLElement} Card body
+ */
+function createCardTabList(tabs) {
   const body = document.createElement('div');
   body.className = 'domain-card__body';
 
@@ -1291,9 +2890,115 @@ function createDomainCard(domain, tabs) {
     body.appendChild(tabEl);
   }
 
+  return body;
+}
+
+/**
+ * Render topic cards: tabs clustered by their analysis embeddings
+ * @param {Array} tabs - Tabs to cluster
+ */
+async function renderTopicsView(tabs) {
+  const container = document.getElementById('groups-container');
+  const countEl = document.getElementById('groups-count');
+  container.replaceChildren(createGroupsNote('Clustering tabs by topic…'));
+
+  const [embeddings, entities] = await Promise.all([loadEmbeddingsByUrl(), tabQuery.loadEntities()]);
+  if (!embeddings) {
+    countEl.textContent = 0;
+    container.replaceChildren(createGroupsNote('No embeddings yet: import an analysis file to IndexedDB from the Analysis page to group tabs by topic.'));
+    return;
+  }
+
+  const { topics, unclustered, withoutEmbedding } = topicClusters.cluster(tabs, {
+    getVector: tab => embeddings.get(tab.url),
+    getEntities: tab => entities.get(tab.url)
+  });
+  console.log(`[Topics] ${topics.length} topics, ${unclustered.length} unclustered, ${withoutEmbedding.length} without embedding`);
+
+  // The user may have switched back to domains while clustering
+  if (groupsMode !== 'topics') return;
+
+  countEl.textContent = topics.length;
+  container.replaceChildren();
+
+  if (withoutEmbedding.length > 0) {
+    container.appendChild(createGroupsNote(
+      `${withoutEmbedding.length} ${withoutEmbedding.length === 1 ? 'tab has' : 'tabs have'} no embedding and ${withoutEmbedding.length === 1 ? 'is' : 'are'} not shown.`
+    ));
+  }
+
+  for (const topic of topics) {
+    container.appendChild(createTopicCard(topic));
+  }
+
+  if (unclustered.length > 0) {
+    container.appendChild(createDomainCard('🎲 Unclustered', unclustered));
+  }
+}
+
+/**
+ * Create a note shown above or instead of the group cards
+ * @param {string} text - Note text
+ * @returns {HTMLElement} Note
+ */
+function createGroupsNote(text) {
+  const note = document.createElement('p');
+  note.className = 'groups-section__note';
+  note.textContent = text;
+  return note;
+}
+
+/**
+ * Create a topic card with its label terms and a "move to group" menu
+ * @param {Object} topic - Topic from TopicClusters.cluster
+ * @returns {HTMLElement} Card
+ */
+function createTopicCard(topic) {
+  const card = document.createElement('div');
+  card.className = 'domain-card topic-card';
+
+  const header = document.createElement('div');
+  header.className = 'domain-card__header';
+
+  const label = document.createElement('div');
+  label.className = 'domain-card__domain';
+  label.textContent = `🧠 ${topic.label}`;
+  label.title = topic.label;
+
+  const count = document.createElement('span');
+  count.className = 'domain-card__count';
+  count.textContent = topic.tabs.length;
+
+  // One tap moves the whole topic (undoable from the snackbar)
+  const move = document.createElement('select');
+  move.className = 'sort-select topic-card__move';
+  move.title = 'Move every tab of this topic to a group';
+  move.replaceChildren(new Option('→ Group…', ''));
+  for (const group of groupList) {
+    move.appendChild(new Option(`${group.icon} ${group.name}`, group.id));
+  }
+  move.addEventListener('change', async () => {
+    const targetGroup = move.value;
+    move.value = '';
+    if (targetGroup) {
+      await moveTabsToGroup(topic.tabs, targetGroup);
+    }
+  });
+
+  header.appendChild(label);
+  header.appendChild(count);
+  header.appendChild(move);
   card.appendChild(header);
-  card.appendChild(body);
 
+  const details = [...topic.entities, ...topic.terms];
+  if (details.length > 0) {
+    const terms = document.createElement('div');
+    terms.className = 'topic-card__terms';
+    terms.textContent = `${details.join(', ')} · cohesion ${Math.round(topic.cohesion * 100)}%`;
+    card.appendChild(terms);
+  }
+
+  card.appendChild(createCardTabList(topic.tabs));
   return card;
 }
 
@@ -1350,14 +3055,17 @@ async function handleLoadMetadata(tab) {
   }
 
   try {
-    // Fetch metadata - use direct URL fetch for synced tabs, content script for local tabs
+    // Fetch metadata - use direct URL fetch for synced/imported tabs, content script for local tabs
     let metadata;
-    if (tab.source === 'synced') {
+    if (tab.source !== 'local') {
       metadata = await metadataManager.fetchMetadataFromUrl(tab.url, tab.id);
     } else {
       metadata = await metadataManager.getMetadata(tab.id);
     }
 
+    // Fetched metadata is stored, queries must see it
+    invalidateQuerySnapshot();
+
     if (!metadata) {
       modalBody.innerHTML = `
         <div class="metadata-error">
@@ -1391,11 +3099,12 @@ async function handleLoadMetadata(tab) {
 
           // Use appropriate fetch method based on tab source
           let freshMetadata;
-          if (tab.source === 'synced') {
+          if (tab.source !== 'local') {
             freshMetadata = await metadataManager.fetchMetadataFromUrl(tab.url, tab.id);
           } else {
             freshMetadata = await metadataManager.getMetadata(tab.id, true);
           }
+          invalidateQuerySnapshot();
 
           if (freshMetadata) {
             modalBody.innerHTML = renderMetadata(freshMetadata, tab);
@@ -1744,11 +3453,12 @@ async function handleCopyScript() {
 }
 
 /**
- * Handle sync file selected - parse and import
+ * Handle sync file(s) selected - parse and merge into the sync timeline
+ * Several exports can be selected at once; tabs are matched by device + URL
  */
 async function handleSyncFileSelected(event) {
-  const file = event.target.files[0];
-  if (!file) return;
+  const files = Array.from(event.target.files);
+  if (files.length === 0) return;
 
   // Close the guidance modal
   closeImportGuideModal();
@@ -1760,24 +3470,34 @@ async function handleSyncFileSelected(event) {
   btn.textContent = '⏳ Importing...';
 
   try {
-    // Read and parse file
-    const content = await file.text();
-    const syncedData = JSON.parse(content);
-
-    // Parse using SyncParser
     const parser = new SyncParser();
-    const result = parser.parse(syncedData, file.name);
+    let timeline = {
+      tabs: (await Storage.get('syncedTabs')) || [],
+      exports: (await Storage.get('syncMetadata'))?.exports || []
+    };
+    let result;
 
-    console.log(`[Sync Import] Parsed ${result.totalTabs} tabs from ${result.deviceCount} devices`);
-    console.log(`[Sync Import] Sync export date: ${new Date(result.syncExportDate).toLocaleString()}`);
+    for (const file of files) {
+      // Read and parse file
+      const syncedData = JSON.parse(await file.text());
+      result = parser.parse(syncedData, file.name);
+      timeline = parser.mergeExport(timeline, result);
 
-    // Store synced tabs in storage.local
-    await Storage.set('syncedTabs', result.tabs);
+      console.log(`[Sync Import] Parsed ${result.totalTabs} tabs from ${result.deviceCount} devices`);
+      console.log(`[Sync Import] Sync export date: ${new Date(result.syncExportDate).toLocaleString()}`);
+    }
+
+    const { open, closed } = parser.summarizeTimeline(timeline.tabs);
+    const latest = timeline.exports[timeline.exports.length - 1];
+
+    // Store the timeline in storage.local (closed tabs are hidden from the list)
+    await Storage.set('syncedTabs', timeline.tabs);
     await Storage.set('syncMetadata', {
-      syncExportDate: result.syncExportDate,
-      deviceCount: result.deviceCount,
-      totalTabs: result.totalTabs,
-      importedAt: Date.now()
+      syncExportDate: latest.syncExportDate,
+      deviceCount: latest.deviceIds.length,
+      totalTabs: open.length,
+      importedAt: Date.now(),
+      exports: timeline.exports
     });
 
     // Reload to merge with local tabs
@@ -1790,7 +3510,9 @@ async function handleSyncFileSelected(event) {
       btn.disabled = false;
     }, 2000);
 
-    alert(`Successfully imported ${result.totalTabs} tabs from ${result.deviceCount} devices!`);
+    alert(files.length === 1 && timeline.exports.length === 1
+      ? `Successfully imported ${result.totalTabs} tabs from ${result.deviceCount} devices!`
+      : `Merged ${files.length} ${files.length === 1 ? 'export' : 'exports'}: ${open.length} tabs open, ${closed.length} closed since earlier exports (${timeline.exports.length} exports in the timeline)`);
   } catch (error) {
     console.error('[Sync Import] Failed to import:', error);
     btn.textContent = originalText;
@@ -1803,11 +3525,130 @@ async function handleSyncFileSelected(event) {
 }
 
 /**
- * Load synced tabs from storage and merge with local tabs
+ * Open the sync timeline modal
+ */
+async function openSyncTimelineModal() {
+  const parser = new SyncParser();
+  const tabs = (await Storage.get('syncedTabs')) || [];
+  const exports = (await Storage.get('syncMetadata'))?.exports || [];
+  const { open, closed } = parser.summarizeTimeline(tabs);
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+  const days = (from, to) => Math.floor((to - from) / (1000 * 60 * 60 * 24));
+
+  document.getElementById('sync-timeline-summary').textContent = exports.length > 0
+    ? `${exports.length} ${exports.length === 1 ? 'export' : 'exports'} from ${formatDate(exports[0].syncExportDate)} to ${formatDate(exports[exports.length - 1].syncExportDate)} · ${open.length} open · ${closed.length} closed`
+    : 'No Sync exports imported yet. Import several exports over time to follow your synced tabs.';
+
+  renderSyncTimelineList('sync-timeline-open', open, tab => {
+    const seen = tab.firstSeenAt || tab.syncExportDate;
+    return `${tab.deviceName} · seen since ${formatDate(seen)} (${days(seen, tab.lastSeenAt || seen)} days)`;
+  });
+  renderSyncTimelineList('sync-timeline-closed', closed, tab =>
+    `${tab.deviceName} · seen ${formatDate(tab.firstSeenAt)} → closed by ${formatDate(tab.closedAt)}`);
+
+  document.getElementById('sync-timeline-modal').style.display = 'flex';
+}
+
+/**
+ * Close the sync timeline modal
+ */
+function closeSyncTimelineModal() {
+  document.getElementById('sync-timeline-modal').style.display = 'none';
+}
+
+/**
+ * Render one timeline list (first 100 tabs)
+ * @param {string} listId - List element ID
+ * @param {Array} tabs - Timeline tabs
+ * @param {Function} describe - tab => details text
+ */
+function renderSyncTimelineList(listId, tabs, describe) {
+  const list = document.getElementById(listId);
+  list.replaceChildren();
+
+  if (tabs.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'custom-group-list__empty';
+    empty.textContent = 'None';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const tab of tabs.slice(0, 100)) {
+    const item = document.createElement('li');
+    item.className = 'graveyard-list__item';
+
+    const info = document.createElement('div');
+    info.className = 'graveyard-list__info';
+
+    const title = document.createElement('a');
+    title.className = 'graveyard-list__title';
+    title.href = tab.url;
+    title.target = '_blank';
+    title.rel = 'noopener';
+    title.textContent = tab.title || tab.url;
+
+    const details = document.createElement('span');
+    details.className = 'graveyard-list__details';
+    details.textContent = describe(tab);
+
+    info.append(title, details);
+    item.appendChild(info);
+    list.appendChild(item);
+  }
+
+  if (tabs.length > 100) {
+    const more = document.createElement('li');
+    more.className = 'custom-group-list__empty';
+    more.textContent = `+${tabs.length - 100} more`;
+    list.appendChild(more);
+  }
+}
+
+/**
+ * Handle import file selected - detect the format, parse and store
+ */
+async function handleImportFileSelected(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  closeImportGuideModal();
+
+  try {
+    const result = await tabImporters.import(await file.text());
+    console.log(`[Import] Parsed ${result.totalTabs} tabs from ${file.name} (${result.importer.label})`);
+
+    await loadAllTabs();
+    await updateStatistics();
+
+    alert(`Imported ${result.totalTabs} tabs from ${result.importer.label}!`);
+  } catch (error) {
+    console.error('[Import] Failed to import:', error);
+    alert(`Failed to import ${file.name}:\n${error.message}`);
+  }
+
+  // Reset file input
+  event.target.value = '';
+}
+
+/**
+ * Handle clear imported tabs button
  */
-async function loadSyncedTabs() {
-  const syncedTabs = await Storage.get('syncedTabs') || [];
-  return syncedTabs;
+async function handleClearImported() {
+  const count = (await tabImporters.getAll()).length;
+  if (count === 0) {
+    alert('No imported tabs');
+    return;
+  }
+
+  if (!confirm(`Remove ${count} imported tabs from the list?`)) {
+    return;
+  }
+
+  await tabImporters.clear();
+  closeImportGuideModal();
+  await loadAllTabs();
+  await updateStatistics();
 }
 
 // ============================================================================
@@ -2245,6 +4086,13 @@ async function handleClassifySingleTab(tab, button) {
   const originalText = button.textContent;
 
   try {
+    // The background analysis writes the same metadata
+    const status = await browser.runtime.sendMessage({ action: 'getAnalysisStatus' });
+    if (status.job?.status === 'running') {
+      alert('⏳ The background analysis is running and will classify this tab. Stop it from 🧠 Classify All to classify this tab now.');
+      return;
+    }
+
     // Disable button during classification
     button.disabled = true;
     button.textContent = '⏳';
@@ -2271,6 +4119,7 @@ async function handleClassifySingleTab(tab, button) {
       metadata.mlClassifications = result.classifications;
       metadata.mlMetadata = result.metadata;
       await metadataStorage.setMetadata(tab.id, metadata);
+      invalidateQuerySnapshot();
     }
 
     console.log('[Classify Single] Classification complete:', {
@@ -2423,94 +4272,113 @@ function getDefaultClassification(tab) {
 
 /**
  * Handle "Classify All" button click
- * Run ML classification on all tabs using UI-loaded model (lightweight mode)
- * Uses full session context (all tabs)
+ * Queue all tabs for on-device analysis (classification, embeddings, entities)
+ * in the background queue, which survives closing this page; clicking again
+ * while it runs stops it
  */
 async function handleClassifyAll() {
-  const btn = document.getElementById('classify-all-btn');
-  const originalText = btn.textContent;
-
   try {
-    // Disable button during classification
-    btn.disabled = true;
-    btn.textContent = '⏳ Classifying...';
+    const status = await browser.runtime.sendMessage({ action: 'getAnalysisStatus' });
 
-    console.log('[Classify All] Starting batch classification (UI mode)...');
-
-    // Get all tabs (both local and synced)
-    const tabs = allTabs;
+    if (status.job?.status === 'running') {
+      if (confirm('Stop the analysis? Tabs analyzed so far keep their results.')) {
+        const response = await browser.runtime.sendMessage({ action: 'cancelAnalysis' });
+        renderAnalysisProgress(response.job);
+      }
+      return;
+    }
 
-    if (tabs.length === 0) {
+    if (allTabs.length === 0) {
       alert('No tabs to classify');
       return;
     }
 
-    console.log(`[Classify All] Starting classification for ${tabs.length} tabs`);
-
-    // Load classification model in UI if not already loaded
-    btn.textContent = '⏳ Loading model...';
+    const response = await browser.runtime.sendMessage({
+      action: 'startAnalysis',
+      tabs: allTabs.map(tab => ({ id: tab.id, source: tab.source, url: tab.url, title: tab.title, domain: tab.domain }))
+    });
 
-    if (!window.modelPreloader) {
-      throw new Error('ModelPreloader not available');
+    if (!response.success) {
+      throw new Error(response.error);
     }
 
-    const classificationPipeline = await window.modelPreloader.preloadModel('classification');
+    console.log(`[Classify All] Queued ${response.job.total} tabs for background analysis`);
+    renderAnalysisProgress(response.job);
+  } catch (error) {
+    console.error('[Classify All] Error:', error);
+    alert(`❌ Classification failed: ${error.message}`);
+  }
+}
+
+/**
+ * Show the background analysis progress on the "Classify All" button
+ * @param {Object|null} job - Analysis job summary (see AnalysisQueue)
+ */
+function renderAnalysisProgress(job) {
+  const btn = document.getElementById('classify-all-btn');
+  const waiting = { battery: 'low battery', active: 'waiting for idle' };
 
-    // Extract full session context
-    const sessionContext = ContextFeatures ? ContextFeatures.extractSessionContext(tabs) : null;
+  if (job?.status === 'running') {
+    btn.textContent = job.waitingFor
+      ? `⏸️ ${job.processed}/${job.total} (${waiting[job.waitingFor] || job.waitingFor})`
+      : `🧠 ${job.processed}/${job.total} tabs...`;
+    btn.title = 'Analysis running in the background, click to stop';
+  } else {
+    btn.textContent = '🧠 Classify All';
+    btn.title = 'Run ML classification on all tabs';
+  }
+}
 
-    // Run batch classification in UI
-    const startTime = Date.now();
-    const results = [];
+/**
+ * Follow the background analysis: progress on the button, results in the list when it ends
+ */
+function watchAnalysisProgress() {
+  let lastStatus = null;
 
-    for (let i = 0; i < tabs.length; i++) {
-      const tab = tabs[i];
+  const update = async (job, initial = false) => {
+    renderAnalysisProgress(job);
 
-      // Update progress every 10 tabs
-      if (i % 10 === 0) {
-        btn.textContent = `🧠 ${i}/${tabs.length} tabs...`;
-      }
+    // A job can end between opening the page and the first status answer
+    const endedSinceLoad = initial && lastStatus === null &&
+      job.status !== 'running' && job.completedAt > performance.timeOrigin;
 
-      const result = await classifyTabInUI(tab, classificationPipeline, sessionContext);
+    if ((lastStatus === 'running' && job.status !== 'running') || endedSinceLoad) {
+      await refreshAnalyzedTabs();
 
-      // Store in cache
-      if (tab.id) {
-        const metadata = await metadataStorage.getMetadata(tab.id) || {};
-        metadata.mlClassifications = result.classifications;
-        metadata.mlMetadata = result.metadata;
-        await metadataStorage.setMetadata(tab.id, metadata);
+      if (job.status === 'done') {
+        alert(`✅ Analyzed ${job.processed - job.failed} tabs${job.failed ? ` (${job.failed} failed)` : ''}`);
+      } else if (job.status === 'failed') {
+        alert(`❌ Analysis stopped: ${job.error}`);
       }
-
-      results.push({
-        tabId: tab.id,
-        ...result
-      });
     }
+    lastStatus = job.status;
+  };
 
-    const totalTime = Date.now() - startTime;
-
-    console.log('[Classify All] Batch classification complete:', {
-      totalTabs: results.length,
-      totalTime: totalTime + 'ms',
-      avgTimePerTab: Math.round(totalTime / results.length) + 'ms'
-    });
-
-    // Show success message
-    const message = `✅ Classified ${results.length} tabs in ${(totalTime / 1000).toFixed(1)}s\n📊 Average: ${Math.round(totalTime / results.length)}ms per tab`;
+  browser.runtime.onMessage.addListener((message) => {
+    if (message.action === 'analysisProgress') {
+      update(message.job);
+    }
+  });
 
-    alert(message);
+  browser.runtime.sendMessage({ action: 'getAnalysisStatus' })
+    .then(response => response.job && update(response.job, true))
+    .catch(error => console.warn('[Classify All] Analysis status unavailable:', error));
+}
 
-    // Refresh the tab list to show updated classifications
-    await renderTabList(currentTabs);
+/**
+ * Show new analysis results: queries reload the stored data, the active
+ * query runs again and the quick filter counts are updated
+ */
+async function refreshAnalyzedTabs() {
+  invalidateQuerySnapshot();
 
-  } catch (error) {
-    console.error('[Classify All] Error:', error);
-    alert(`❌ Classification failed: ${error.message}`);
-  } finally {
-    // Re-enable button
-    btn.disabled = false;
-    btn.textContent = originalText;
+  const queryString = document.getElementById('query-input').value.trim();
+  if (queryString) {
+    currentTabs = await filterTabs(allTabs, queryParser.parse(queryString));
   }
+
+  await renderTabList(currentTabs);
+  await updateFilterCounts();
 }
 
 // ============================================================================
@@ -2632,4 +4500,3 @@ function updateModelProgress(progress) {
 // TODO: Add keyboard shortcuts (Ctrl+A for select all, etc.)
 // TODO: Add loading states / skeleton screens
 // TODO: Add error handling UI (toast notifications?)
-// TODO: Add undo functionality for bulk actions
@@ -27,6 +27,12 @@
   const statSessions = document.getElementById('stat-sessions');
   const statUpdated = document.getElementById('stat-updated');
 
+  const retentionList = document.getElementById('retention-list');
+  const graveyardAgeSelect = document.getElementById('graveyard-age-select');
+  const graveyardSizeSelect = document.getElementById('graveyard-size-select');
+  const graveyardCount = document.getElementById('graveyard-count');
+  const emptyGraveyardBtn = document.getElementById('empty-graveyard-btn');
+
   const refreshStatsBtn = document.getElementById('refresh-stats-btn');
   const reanalyzeBtn = document.getElementById('reanalyze-btn');
   const clearAllBtn = document.getElementById('clear-all-btn');
@@ -37,6 +43,7 @@
   let currentSettings = await window.historySettings.get();
   loadSettings(currentSettings);
   loadStorageStats();
+  loadRetention();
 
   // Event Listeners
   historyEnabledToggle.addEventListener('click', async () => {
@@ -122,6 +129,34 @@
 
   refreshStatsBtn.addEventListener('click', loadStorageStats);
 
+  retentionList.addEventListener('change', async (e) => {
+    const days = parseInt(e.target.value, 10);
+    await groupManager.setRetention(e.target.dataset.group, days);
+  });
+
+  graveyardAgeSelect.addEventListener('change', async () => {
+    await graveyard.setPolicy({ maxAgeDays: parseInt(graveyardAgeSelect.value, 10) });
+  });
+
+  graveyardSizeSelect.addEventListener('change', async () => {
+    await graveyard.setPolicy({ maxEntries: parseInt(graveyardSizeSelect.value, 10) });
+  });
+
+  emptyGraveyardBtn.addEventListener('click', async () => {
+    if (!confirm('Delete every tab archived in the graveyard? They can no longer be reopened. This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const count = await graveyard.clear();
+      await loadRetention();
+      alert(`Deleted ${count} archived tabs.`);
+    } catch (error) {
+      console.error('Failed to empty graveyard:', error);
+      alert('Failed to empty graveyard: ' + error.message);
+    }
+  });
+
   reanalyzeBtn.addEventListener('click', async () => {
     reanalyzeBtn.disabled = true;
     reanalyzeBtn.textContent = '⏳ Analyzing...';
@@ -232,6 +267,60 @@
     });
   }
 
+  async function loadRetention() {
+    const [groups, retention, policy] = await Promise.all([
+      groupManager.getGroups(),
+      groupManager.getRetention(),
+      graveyard.getPolicy()
+    ]);
+
+    retentionList.replaceChildren();
+
+    // Main is the inbox: tabs there are never closed automatically
+    for (const group of groups.filter(group => group.id !== groupManager.GROUPS.MAIN)) {
+      const row = document.createElement('div');
+      row.className = 'settings-row';
+
+      const label = document.createElement('div');
+      label.className = 'settings-row__label';
+      const title = document.createElement('h4');
+      title.textContent = `${group.icon} ${group.name}`;
+      const description = document.createElement('p');
+      description.textContent = 'Close tabs that stay in this group longer than';
+      label.append(title, description);
+
+      const select = document.createElement('select');
+      select.className = 'select-input';
+      select.dataset.group = group.id;
+      for (const days of [0, 1, 2, 3, 7, 14, 30, 90]) {
+        select.appendChild(new Option(days ? `${days} ${days === 1 ? 'Day' : 'Days'}` : 'Never', days));
+      }
+
+      const days = retention[group.id] || 0;
+      if (!Array.from(select.options).some(option => option.value === String(days))) {
+        select.appendChild(new Option(`${days} Days`, days));
+      }
+      select.value = days;
+
+      const control = document.createElement('div');
+      control.className = 'settings-row__control';
+      control.appendChild(select);
+
+      row.append(label, control);
+      retentionList.appendChild(row);
+    }
+
+    graveyardAgeSelect.value = policy.maxAgeDays;
+    graveyardSizeSelect.value = policy.maxEntries;
+
+    try {
+      graveyardCount.textContent = (await graveyard.search()).length.toLocaleString();
+    } catch (error) {
+      console.error('Failed to count graveyard entries:', error);
+      graveyardCount.textContent = '?';
+    }
+  }
+
   async function loadStorageStats() {
     try {
       const stats = await window.historyStorage.getStats();